@@ -0,0 +1,224 @@
+// Event page — social-preview meta tags for a single event.
+//
+//   GET /:slug/events/:id   → the normal SPA index.html, with the event's
+//                             title, date, description and thumbnail in
+//                             Open Graph / Twitter tags, and the event
+//                             as schema.org JSON-LD for search engines.
+//   GET /:slug/events/:id?date=2026-11-10
+//                           → one date of a repeating event (without it,
+//                             the next date to come).
+//
+// LinkedIn, Slack, Teams etc. don't run JavaScript, so they only ever see
+// the static <head>. netlify.toml routes event URLs here; we fetch the
+// built index.html once per container, inject the tags and return it, so
+// people following the link still get the regular React page (EventPage
+// in App.jsx). Anything we can't resolve falls back to the untouched
+// index.html — the SPA shows its own "not available" message.
+//
+// Required Netlify environment variables:
+//   - SUPABASE_URL
+//   - SUPABASE_SERVICE_ROLE_KEY
+// Netlify also sets URL (the site's primary URL) for us.
+
+import { createClient } from "@supabase/supabase-js";
+import { calendarEntriesFor, calendarEventFromRow } from "../../src/lib/ics.js";
+import { EVENT_WITH_SESSIONS } from "../../src/lib/event-sessions.js";
+import { expandRow, pickOccurrence } from "../../src/lib/recurrence.js";
+import { eventJsonLd, jsonLdText } from "../../src/lib/structured-data.js";
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DESCRIPTION_MAX = 200;
+
+// Used only if index.html can't be fetched; enough for a preview card.
+const FALLBACK_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>MB2 Upcoming Events</title>
+  </head>
+  <body></body>
+</html>`;
+
+let cachedTemplate = null;
+
+const escapeHtml = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const html = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    "content-type": "text/html; charset=utf-8",
+    // Short: unfurlers re-scrape rarely, but edits should show up the
+    // next time someone pastes the link.
+    "cache-control": "public, max-age=300",
+  },
+  body,
+});
+
+const siteOrigin = (event) => {
+  if (process.env.URL) return process.env.URL.replace(/\/+$/, "");
+  const host = event.headers?.host;
+  return host ? `https://${host}` : "";
+};
+
+async function loadTemplate(origin) {
+  if (cachedTemplate) return cachedTemplate;
+  try {
+    const res = await fetch(`${origin}/index.html`);
+    if (!res.ok) throw new Error(`index.html → ${res.status}`);
+    cachedTemplate = await res.text();
+  } catch (err) {
+    console.error("[event-page] template fetch failed:", err);
+    return FALLBACK_TEMPLATE;
+  }
+  return cachedTemplate;
+}
+
+// "Tue, Nov 4, 2026 · 7:00 PM CST" in the event's own timezone. Previews
+// are seen by everyone at once, so there's no viewer zone to pick.
+function whenLabel(row) {
+  const ev = calendarEventFromRow(row);
+  const [first] = calendarEntriesFor(ev);
+  if (!first) return "";
+  const day = (d) => d.toLocaleDateString("en-US", {
+    timeZone: first.tz, weekday: "short", month: "short", day: "numeric", year: "numeric",
+  });
+  const dates = ev.multiDay && ev.endDate ? `${day(ev.date)} – ${day(ev.endDate)}` : day(first.start);
+  if (first.allDay) return dates;
+  const time = first.start.toLocaleTimeString("en-US", {
+    timeZone: first.tz, hour: "numeric", minute: "2-digit", timeZoneName: "short",
+  });
+  return `${dates} · ${time}`;
+}
+
+const truncate = (s, max) => {
+  const text = String(s || "").replace(/\s+/g, " ").trim();
+  if (text.length <= max) return text;
+  return `${text.slice(0, max - 1).replace(/\s+\S*$/, "")}…`;
+};
+
+function metaTags({ title, description, image, url, siteName }) {
+  const tags = [
+    ["property", "og:type", "website"],
+    ["property", "og:site_name", siteName],
+    ["property", "og:title", title],
+    ["property", "og:description", description],
+    ["property", "og:url", url],
+    ["property", "og:image", image],
+    ["name", "twitter:card", image ? "summary_large_image" : "summary"],
+    ["name", "twitter:title", title],
+    ["name", "twitter:description", description],
+    ["name", "twitter:image", image],
+    ["name", "description", description],
+  ];
+  return tags
+    .filter(([, , content]) => content)
+    .map(([attr, key, content]) => `    <meta ${attr}="${key}" content="${escapeHtml(content)}" />`)
+    .join("\n");
+}
+
+// data-jsonld matches lib/structured-data.js, so the SPA swaps this
+// copy for its own rather than adding a second one.
+const jsonLdScript = (data) =>
+  data ? `\n    <script type="application/ld+json" data-jsonld="event">${jsonLdText(data)}</script>` : "";
+
+function inject(template, { pageTitle, tags, canonical, jsonLd }) {
+  let out = template.replace(/<title>[\s\S]*?<\/title>/i, `<title>${escapeHtml(pageTitle)}</title>`);
+  const head = `${tags}\n    <link rel="canonical" href="${escapeHtml(canonical)}" />${jsonLdScript(jsonLd)}\n  </head>`;
+  out = out.replace(/<\/head>/i, head);
+  return out;
+}
+
+export const handler = async (event) => {
+  if (event.httpMethod !== "GET" && event.httpMethod !== "HEAD") {
+    return { statusCode: 405, body: "method not allowed" };
+  }
+  const origin = siteOrigin(event);
+  const template = await loadTemplate(origin);
+  if (!SUPABASE_URL || !SERVICE_ROLE) {
+    console.error("[event-page] missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
+    return html(200, template);
+  }
+
+  // Path arrives as /mb2/events/<id> (redirect) or
+  // /.netlify/functions/event-page/mb2/<id>; the last two segments are
+  // slug and id either way once "events" is dropped.
+  const parts = (event.path || "").split("/").filter(Boolean).map(decodeURIComponent);
+  const tail = parts.filter((p) => p !== "events").slice(-2);
+  const [slugRaw, id] = tail;
+  const slug = (slugRaw || "").toLowerCase();
+  if (!slug || !UUID_RE.test(id || "")) return html(200, template);
+
+  const supabase = createClient(SUPABASE_URL, SERVICE_ROLE, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+  try {
+    const { data: client, error: cErr } = await supabase
+      .from("clients")
+      .select("id, name, slug")
+      .eq("slug", slug)
+      .maybeSingle();
+    if (cErr) throw cErr;
+    if (!client) return html(200, template);
+
+    const { data: row, error: eErr } = await supabase
+      .from("events")
+      .select(EVENT_WITH_SESSIONS)
+      .eq("id", id)
+      .eq("client_id", client.id)
+      .eq("is_published", true)
+      .maybeSingle();
+    if (eErr) throw eErr;
+    if (!row) return html(200, template);
+
+    // Same thumbnail and logo fallbacks as the catalog: the vendor's.
+    let image = (row.thumb_url || "").trim();
+    let logo = (row.vendor_logo_url || "").trim();
+    if ((!image || !logo) && row.vendor) {
+      const { data: vendor } = await supabase
+        .from("vendors")
+        .select("default_thumb_url, logo_url")
+        .eq("client_id", client.id)
+        .ilike("name", row.vendor.trim().replace(/[%_\\]/g, "\\$&"))
+        .maybeSingle();
+      image = image || (vendor?.default_thumb_url || "").trim();
+      logo = logo || (vendor?.logo_url || "").trim();
+    }
+    if (!image.startsWith("http")) image = "";
+
+    const wanted = event.queryStringParameters?.date || "";
+    const day = pickOccurrence(row, wanted, new Date().toISOString().slice(0, 10));
+
+    const title = (row.title || "").trim() || "Untitled Event";
+    const shown = day ? expandRow(row, day) : row;
+    const when = whenLabel(shown);
+    const byline = [when, (row.vendor || "").trim()].filter(Boolean).join(" · ");
+    const description = [byline, truncate(row.description, DESCRIPTION_MAX)]
+      .filter(Boolean)
+      .join(" — ");
+    const url = `${origin}/${client.slug}/events/${row.id}${day && day === wanted ? `?date=${day}` : ""}`;
+
+    const body = inject(template, {
+      pageTitle: `${title} | ${client.name}`,
+      tags: metaTags({ title, description, image, url, siteName: `${client.name} Events` }),
+      canonical: url,
+      jsonLd: eventJsonLd(
+        { ...calendarEventFromRow(shown), format: row.format, cost: row.cost, thumb: image, vendorLogo: logo },
+        { url, clientName: client.name }
+      ),
+    });
+    return html(200, event.httpMethod === "HEAD" ? "" : body);
+  } catch (err) {
+    console.error("[event-page] error:", err);
+    return html(200, template);
+  }
+};
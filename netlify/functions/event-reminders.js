@@ -0,0 +1,269 @@
+// Event reminders — sign-up and the links in the reminder emails.
+//
+//   POST /.netlify/functions/event-reminders
+//        { eventId, date?, email, lang? }   → { sent: true }
+//        "Remind me" on an event card. Stores the request and mails a
+//        confirmation link; nothing else is sent until it's followed.
+//        `date` is the card's date of a repeating event.
+//   GET  /reminders/confirm/:token          → "Confirm your reminder" page
+//   POST /reminders/confirm/:token          → its button: "Reminder confirmed"
+//   GET  /reminders/unsubscribe/:token      → "Unsubscribe?" page
+//   POST /reminders/unsubscribe/:token      → its button: "You're unsubscribed",
+//                                             or mail apps' one-click
+//                                             unsubscribe (RFC 8058)
+//
+// Opening a link never changes anything: mail security scanners and
+// link previews fetch every link in an email. Only the POST does.
+//
+// netlify.toml rewrites /reminders/* here. The reminders themselves go
+// out from send-event-reminders.js; the emails and pages are built in
+// netlify/lib/reminders.js.
+//
+// Like request-portal-link, sign-up answers { sent: true } whether or not
+// the address was already signed up, so it can't be used to find out.
+// Signing up again after unsubscribing starts over with a fresh opt-in.
+// Anyone can post an address, so confirmation emails are throttled —
+// per event date and per address a day — and a throttled sign-up gets
+// the same answer without an email going out.
+//
+// Required Netlify environment variables:
+//   - SUPABASE_URL
+//   - SUPABASE_SERVICE_ROLE_KEY
+//   - RESEND_API_KEY        (or EMAIL_TRANSPORT=local — see netlify/lib/email.js)
+// See netlify/lib/reminders.js for the optional ones.
+
+import { randomUUID } from "node:crypto";
+import { createClient } from "@supabase/supabase-js";
+import { EVENT_WITH_SESSIONS } from "../../src/lib/event-sessions.js";
+import { LOCALES, DEFAULT_LOCALE } from "../../src/lib/i18n.js";
+import { emailConfigured, sendEmail } from "../lib/email.js";
+import {
+  FROM_EMAIL,
+  confirmEmail,
+  eventUrl,
+  reminderTarget,
+  resultPage,
+} from "../lib/reminders.js";
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// At most one confirmation per event date in this long…
+const CONFIRM_COOLDOWN_MS = 10 * 60 * 1000;
+// …and this many per address across all events in 24 hours.
+const CONFIRMS_PER_DAY = 5;
+
+const json = (statusCode, body) => ({
+  statusCode,
+  headers: { "content-type": "application/json" },
+  body: JSON.stringify(body),
+});
+
+const html = (statusCode, body) => ({
+  statusCode,
+  headers: { "content-type": "text/html; charset=utf-8", "cache-control": "no-store" },
+  body,
+});
+
+const db = () =>
+  createClient(SUPABASE_URL, SERVICE_ROLE, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+// The event row (published only) and its client's slug for links.
+async function loadEvent(supabase, eventId) {
+  const { data: row, error } = await supabase
+    .from("events")
+    .select(EVENT_WITH_SESSIONS)
+    .eq("id", eventId)
+    .eq("is_published", true)
+    .maybeSingle();
+  if (error) throw error;
+  if (!row) return null;
+  const { data: client, error: cErr } = await supabase
+    .from("clients")
+    .select("slug")
+    .eq("id", row.client_id)
+    .maybeSingle();
+  if (cErr) throw cErr;
+  return client ? { row, slug: client.slug } : null;
+}
+
+async function signUp(event) {
+  if (!emailConfigured()) {
+    return json(500, {
+      error: "Server is missing RESEND_API_KEY (or EMAIL_TRANSPORT=local).",
+    });
+  }
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return json(400, { error: "invalid body" });
+  }
+  const email = String(body.email || "").trim().toLowerCase();
+  const eventId = String(body.eventId || "");
+  const day = DAY_RE.test(body.date || "") ? body.date : "";
+  const locale = LOCALES[body.lang] ? body.lang : DEFAULT_LOCALE;
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return json(400, { error: "Please enter a valid email." });
+  }
+  if (!UUID_RE.test(eventId)) return json(400, { error: "Unknown event." });
+
+  const supabase = db();
+  const found = await loadEvent(supabase, eventId);
+  const target = found && reminderTarget(found.row, day);
+  if (!target) return json(404, { error: "This event is no longer listed." });
+  if (target.start.getTime() <= Date.now()) {
+    return json(400, { error: "This event has already started." });
+  }
+
+  let lookup = supabase
+    .from("event_reminders")
+    .select("id, token, confirmed_at, unsubscribed_at, confirm_sent_at")
+    .eq("event_id", eventId)
+    .eq("email", email);
+  lookup = target.day ? lookup.eq("occurrence_date", target.day) : lookup.is("occurrence_date", null);
+  const { data: existing, error: lErr } = await lookup.maybeSingle();
+  if (lErr) throw lErr;
+
+  // Already confirmed and still on: nothing to do, and nothing to tell.
+  if (existing?.confirmed_at && !existing.unsubscribed_at) return json(200, { sent: true });
+
+  const now = Date.now();
+  if (existing?.confirm_sent_at && now - new Date(existing.confirm_sent_at).getTime() < CONFIRM_COOLDOWN_MS) {
+    console.log("[event-reminders] throttled (cooldown):", existing.id);
+    return json(200, { sent: true });
+  }
+  const { count, error: nErr } = await supabase
+    .from("event_reminders")
+    .select("id", { count: "exact", head: true })
+    .eq("email", email)
+    .gte("confirm_sent_at", new Date(now - 24 * 60 * 60 * 1000).toISOString());
+  if (nErr) throw nErr;
+  if (count >= CONFIRMS_PER_DAY) {
+    console.log("[event-reminders] throttled (daily cap):", { eventId, day: target.day });
+    return json(200, { sent: true });
+  }
+
+  const fields = {
+    locale,
+    starts_at: target.start.toISOString(),
+    confirmed_at: null,
+    unsubscribed_at: null,
+    early_sent_at: null,
+    final_sent_at: null,
+    confirm_sent_at: new Date(now).toISOString(),
+  };
+  let token = existing?.token;
+  if (existing) {
+    // Back after unsubscribing: a new token, so old links stop working.
+    if (existing.unsubscribed_at) fields.token = token = randomUUID();
+    const { error } = await supabase.from("event_reminders").update(fields).eq("id", existing.id);
+    if (error) throw error;
+  } else {
+    const { data, error } = await supabase
+      .from("event_reminders")
+      .insert({ ...fields, event_id: eventId, occurrence_date: target.day || null, email })
+      .select("token")
+      .single();
+    if (error) throw error;
+    token = data.token;
+  }
+
+  const msg = confirmEmail({ locale, target, token });
+  const result = await sendEmail({ from: FROM_EMAIL, to: email, ...msg });
+  console.log("[event-reminders] confirmation sent:", { eventId, day: target.day, id: result?.id });
+  return json(200, { sent: true });
+}
+
+// A one-click unsubscribe from a mail app rather than our page's button.
+function isOneClick(event) {
+  const raw = event.body || "";
+  const body = event.isBase64Encoded ? Buffer.from(raw, "base64").toString("utf8") : raw;
+  return !new URLSearchParams(body).has("via");
+}
+
+// Confirm / unsubscribe link. Always a page, even when the link is stale;
+// GET asks, POST acts.
+async function followLink(event, action, token) {
+  const acting = event.httpMethod === "POST";
+  const supabase = db();
+  const { data: reminder, error } = UUID_RE.test(token)
+    ? await supabase
+        .from("event_reminders")
+        .select("id, event_id, occurrence_date, locale, confirmed_at, unsubscribed_at")
+        .eq("token", token)
+        .maybeSingle()
+    : { data: null, error: null };
+  if (error) throw error;
+
+  const locale = reminder?.locale || DEFAULT_LOCALE;
+  const found = reminder && (await loadEvent(supabase, reminder.event_id));
+  const target = found && reminderTarget(found.row, reminder.occurrence_date || "");
+  const url = target ? eventUrl(found.slug, reminder.event_id, target, locale) : "";
+
+  if (action === "unsubscribe") {
+    if (!acting) {
+      const state = !reminder ? "invalid" : reminder.unsubscribed_at ? "unsubscribed" : "unsubscribeAsk";
+      return html(200, resultPage({ locale, state, url }));
+    }
+    if (reminder && !reminder.unsubscribed_at) {
+      const { error: uErr } = await supabase
+        .from("event_reminders")
+        .update({ unsubscribed_at: new Date().toISOString() })
+        .eq("id", reminder.id);
+      if (uErr) throw uErr;
+      console.log("[event-reminders] unsubscribed:", reminder.id);
+    }
+    // Mail apps only look at the status of the one-click POST.
+    if (isOneClick(event)) return json(200, { unsubscribed: true });
+    return html(200, resultPage({ locale, state: reminder ? "unsubscribed" : "invalid", url }));
+  }
+
+  if (!reminder || !target || target.start.getTime() <= Date.now()) {
+    return html(200, resultPage({ locale, state: "invalid", url }));
+  }
+  if (reminder.unsubscribed_at) {
+    return html(200, resultPage({ locale, state: "unsubscribed", url }));
+  }
+  if (!reminder.confirmed_at) {
+    if (!acting) return html(200, resultPage({ locale, state: "confirmAsk", target, url }));
+    const { error: cErr } = await supabase
+      .from("event_reminders")
+      .update({ confirmed_at: new Date().toISOString(), starts_at: target.start.toISOString() })
+      .eq("id", reminder.id);
+    if (cErr) throw cErr;
+    console.log("[event-reminders] confirmed:", reminder.id);
+  }
+  return html(200, resultPage({ locale, state: "confirmed", target, url }));
+}
+
+export const handler = async (event) => {
+  if (!SUPABASE_URL || !SERVICE_ROLE) {
+    return json(500, { error: "Server is missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY." });
+  }
+
+  // /reminders/confirm/<token> (redirect) or
+  // /.netlify/functions/event-reminders/confirm/<token>.
+  const parts = (event.path || "").split("/").filter(Boolean).map(decodeURIComponent);
+  const [action, token] = parts.slice(-2);
+  const isLink = action === "confirm" || action === "unsubscribe";
+
+  try {
+    if (isLink && (event.httpMethod === "GET" || event.httpMethod === "POST")) {
+      return await followLink(event, action, token);
+    }
+    if (event.httpMethod === "POST") return await signUp(event);
+    return json(405, { error: "method not allowed" });
+  } catch (err) {
+    console.error("[event-reminders] error:", err);
+    if (event.httpMethod === "GET" || (isLink && !isOneClick(event))) {
+      return html(500, resultPage({ locale: DEFAULT_LOCALE, state: "error" }));
+    }
+    return json(500, { error: "Could not save your reminder. Please try again." });
+  }
+};
@@ -0,0 +1,289 @@
+// Feeds — a client's catalog for calendars, newsletters and other sites.
+//
+//   GET /feeds/:slug.ics          → subscribable calendar: every upcoming
+//                                   published event
+//   GET /feeds/:slug.ics?exclusive=1&format=Webinar&roles=Hygienist
+//   GET /feeds/:slug.json         → events + on-demand courses as JSON Feed 1.1
+//   GET /feeds/:slug.rss          → the same as RSS 2.0
+//   GET /feeds/:slug.atom         → the same as Atom
+//
+// netlify.toml rewrites /feeds/* to this function. The slug is resolved
+// against clients.slug exactly like the public catalog does (lowercased).
+// The .json / .rss / .atom feeds are built by netlify/lib/catalog-feed.js,
+// which documents their params; the rest of this header is the calendar.
+//
+// Filter params mirror the catalog's FilterBar. Each may repeat or be
+// comma-separated; values within one param are OR'd, params are AND'd:
+//   - category   events.category
+//   - vendor     events.vendor
+//   - format     events.format
+//   - roles      any overlap with events.roles
+//   - ce         CE hours ("10+" = anything over 10)
+//   - exclusive  "1" → MB2/client Exclusive events only
+//
+// Subscribers' calendars update in place: every session keeps the same
+// UID (the event's row id, with -s2, -s3… for later sessions), SEQUENCE/LAST-MODIFIED follow updated_at, and events that
+// were unpublished or deleted recently are still listed as
+// STATUS:CANCELLED so the copy already in Outlook gets struck out instead
+// of lingering. Needs supabase/events_publish_tracking.sql for the
+// unpublish timestamps and the deleted_events tombstones.
+//
+// Repeating events go out once, with their RRULE and skipped dates
+// (EXDATE), so calendar apps lay out the dates themselves. A date that
+// was changed on its own is a separate event the series skips.
+//
+// Required Netlify environment variables:
+//   - SUPABASE_URL
+//   - SUPABASE_SERVICE_ROLE_KEY   (drafts are read only to emit cancellations)
+
+import { createClient } from "@supabase/supabase-js";
+import {
+  buildIcs,
+  calendarEntriesFor,
+  calendarEventFromRow,
+} from "../../src/lib/ics.js";
+import { EVENT_WITH_SESSIONS } from "../../src/lib/event-sessions.js";
+import { firstDayOf, occurrenceDays, parseRule } from "../../src/lib/recurrence.js";
+import {
+  FEED_TYPES,
+  SITE_URL,
+  etagOf,
+  lastModified,
+  listParam,
+  loadFeedItems,
+  readFeedQuery,
+  renderAtom,
+  renderJsonFeed,
+  renderRss,
+} from "../lib/catalog-feed.js";
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+// Keep recently finished events in the feed so they don't vanish from
+// subscribers' calendars the morning after.
+const PAST_WINDOW_DAYS = 30;
+// How long an unpublished or deleted event is still announced as cancelled.
+const CANCEL_WINDOW_DAYS = 60;
+// Hint to calendar apps; Outlook mostly decides on its own.
+const REFRESH_HOURS = 6;
+// Browsers and feed readers may reuse a copy for this long; Netlify's
+// CDN keeps serving it a while longer as it refetches in the background.
+const CACHE_SECONDS = 900;
+const CACHE_HEADERS = {
+  "cache-control": `public, max-age=${CACHE_SECONDS}`,
+  "netlify-cdn-cache-control": `public, s-maxage=${CACHE_SECONDS}, stale-while-revalidate=3600`,
+};
+
+const RENDER = { json: renderJsonFeed, rss: renderRss, atom: renderAtom };
+
+const SEQUENCE_EPOCH = Date.UTC(2020, 0, 1);
+const CE_OVER = "10+";
+
+const text = (statusCode, body, headers = {}) => ({
+  statusCode,
+  headers: { "content-type": "text/plain; charset=utf-8", ...headers },
+  body,
+});
+
+// Case-insensitive set membership — query strings get hand-typed.
+const lowerSet = (arr) => new Set(arr.map((v) => v.toLowerCase()));
+
+const matchesFilters = (row, f) => {
+  const low = (v) => (v || "").trim().toLowerCase();
+  if (f.exclusive && !row.mb2_exclusive) return false;
+  if (f.category.size && !f.category.has(low(row.category))) return false;
+  if (f.vendor.size && !f.vendor.has(low(row.vendor))) return false;
+  if (f.format.size && !f.format.has(low(row.format))) return false;
+  if (f.roles.size) {
+    const rRoles = Array.isArray(row.roles) ? row.roles : [];
+    if (!rRoles.some((r) => f.roles.has(low(r)))) return false;
+  }
+  if (f.ce.length) {
+    const ce = typeof row.ce_hours === "number" ? row.ce_hours : Number(row.ce_hours);
+    if (!Number.isFinite(ce)) return false;
+    const exact = f.ce.some((v) => v !== CE_OVER && Number(v) === ce);
+    const over = ce > 10 && f.ce.includes(CE_OVER);
+    if (!exact && !over) return false;
+  }
+  return true;
+};
+
+export const handler = async (event) => {
+  if (event.httpMethod !== "GET" && event.httpMethod !== "HEAD") {
+    return text(405, "method not allowed");
+  }
+  if (!SUPABASE_URL || !SERVICE_ROLE) {
+    return text(500, "Server is missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
+  }
+
+  // Path arrives as /feeds/mb2.ics (redirect) or /.netlify/functions/feeds/mb2.ics.
+  const last = decodeURIComponent((event.path || "").split("/").filter(Boolean).pop() || "");
+  const m = last.match(/^([a-z0-9][a-z0-9_-]*)\.(ics|json|rss|atom)$/i);
+  if (!m) return text(404, "Unknown feed. Use /feeds/<client-slug>.ics, .json, .rss or .atom");
+  const slug = m[1].toLowerCase();
+  const kind = m[2].toLowerCase();
+  if (kind !== "ics") return catalogFeed(event, slug, kind);
+
+  const filters = {
+    category: lowerSet(listParam(event, "category")),
+    vendor: lowerSet(listParam(event, "vendor")),
+    format: lowerSet(listParam(event, "format")),
+    roles: lowerSet(listParam(event, "roles")),
+    ce: listParam(event, "ce"),
+    exclusive: event.queryStringParameters?.exclusive === "1",
+  };
+
+  const supabase = createClient(SUPABASE_URL, SERVICE_ROLE, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+  try {
+    const { data: client, error: cErr } = await supabase
+      .from("clients")
+      .select("id, name, slug")
+      .eq("slug", slug)
+      .maybeSingle();
+    if (cErr) throw cErr;
+    if (!client) return text(404, `No catalog exists at "${slug}".`);
+
+    const now = Date.now();
+    const since = new Date(now - PAST_WINDOW_DAYS * 86400000).toISOString();
+    const cancelSince = new Date(now - CANCEL_WINDOW_DAYS * 86400000).toISOString();
+
+    // Published events, plus ones pulled recently that subscribers may
+    // already have. Drafts that were never published stay out. A series
+    // that started before the window may still have dates to come.
+    const listed = `is_published.eq.true,and(last_published_at.not.is.null,unpublished_at.gte."${cancelSince}")`;
+    const [recent, series, deleted] = await Promise.all([
+      supabase
+        .from("events")
+        .select(EVENT_WITH_SESSIONS)
+        .eq("client_id", client.id)
+        .gte("event_date", since)
+        .or(listed)
+        .order("event_date", { ascending: true }),
+      supabase
+        .from("events")
+        .select(EVENT_WITH_SESSIONS)
+        .eq("client_id", client.id)
+        .lt("event_date", since)
+        .not("recurrence_rule", "is", null)
+        .or(listed)
+        .order("event_date", { ascending: true }),
+      // Deleted events that had been published: the row as it was.
+      supabase
+        .from("deleted_events")
+        .select("row_json, deleted_at")
+        .eq("client_id", client.id)
+        .gte("deleted_at", cancelSince),
+    ]);
+    if (recent.error) throw recent.error;
+    if (series.error) throw series.error;
+    if (deleted.error) throw deleted.error;
+    const stillRunning = (row) =>
+      occurrenceDays(firstDayOf(row), parseRule(row.recurrence_rule), {
+        exdates: row.recurrence_exdates,
+        from: since.slice(0, 10),
+        limit: 1,
+      }).length > 0;
+    const rows = [...(series.data || []).filter(stillRunning), ...(recent.data || [])];
+    // The deletion is the last change, so it carries the SEQUENCE.
+    for (const { row_json: row, deleted_at } of deleted.data || []) {
+      if (!row) continue;
+      const upcoming = new Date(row.event_date).getTime() >= new Date(since).getTime();
+      if (!upcoming && !(row.recurrence_rule && stillRunning(row))) continue;
+      rows.push({ ...row, is_published: false, updated_at: deleted_at });
+    }
+
+    const entries = [];
+    for (const row of rows) {
+      if (!matchesFilters(row, filters)) continue;
+      const updated = row.updated_at ? new Date(row.updated_at) : null;
+      const sequence = updated && !isNaN(updated.getTime())
+        ? Math.max(0, Math.floor((updated.getTime() - SEQUENCE_EPOCH) / 1000))
+        : 0;
+      for (const entry of calendarEntriesFor(calendarEventFromRow(row))) {
+        entries.push({
+          ...entry,
+          sequence,
+          lastModified: updated,
+          status: row.is_published ? "CONFIRMED" : "CANCELLED",
+        });
+      }
+    }
+
+    const label = filters.exclusive ? `${client.name} Exclusive Events` : `${client.name} Events`;
+    const body = buildIcs(entries, { name: label, refreshHours: REFRESH_HOURS });
+
+    return {
+      statusCode: 200,
+      headers: {
+        "content-type": "text/calendar; charset=utf-8",
+        "content-disposition": `inline; filename="${slug}.ics"`,
+        ...CACHE_HEADERS,
+      },
+      body: event.httpMethod === "HEAD" ? "" : body,
+    };
+  } catch (err) {
+    console.error("[feeds] error:", err);
+    return text(500, "Could not build calendar feed.");
+  }
+};
+
+// /feeds/:slug.json | .rss | .atom — see netlify/lib/catalog-feed.js.
+async function catalogFeed(event, slug, kind) {
+  const q = readFeedQuery(event);
+  const supabase = createClient(SUPABASE_URL, SERVICE_ROLE, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+  try {
+    const { data: client, error: cErr } = await supabase
+      .from("clients")
+      .select("id, name, slug, logo_url")
+      .eq("slug", slug)
+      .maybeSingle();
+    if (cErr) throw cErr;
+    if (!client) return text(404, `No catalog exists at "${slug}".`);
+
+    const items = await loadFeedItems(supabase, client, q);
+
+    const [what, lead] = !q.courses
+      ? ["Events", "Upcoming live events"]
+      : !q.events
+        ? ["On-Demand Courses", "On-demand courses"]
+        : ["Events & On-Demand Courses", "Upcoming live events and on-demand courses"];
+    const qs = new URLSearchParams(event.rawQuery || "").toString();
+    const body = RENDER[kind]({
+      title: `${client.name}${q.exclusive ? " Exclusive" : ""} ${what}`,
+      description: `${lead} from ${client.name}.`,
+      author: client.name,
+      homeUrl: q.courses ? `${SITE_URL}/all/${slug}` : `${SITE_URL}/${slug}`,
+      feedUrl: `${SITE_URL}/feeds/${slug}.${kind}${qs ? `?${qs}` : ""}`,
+      icon: (client.logo_url || "").trim(),
+    }, items);
+
+    const etag = etagOf(body);
+    const modified = new Date(lastModified(items)).toUTCString();
+    const headers = {
+      "content-type": FEED_TYPES[kind],
+      etag,
+      "last-modified": modified,
+      // Newsletter tools and site widgets fetch these from the browser too.
+      "access-control-allow-origin": "*",
+      ...CACHE_HEADERS,
+    };
+    if (event.headers?.["if-none-match"] === etag) {
+      return { statusCode: 304, headers, body: "" };
+    }
+    return {
+      statusCode: 200,
+      headers,
+      body: event.httpMethod === "HEAD" ? "" : body,
+    };
+  } catch (err) {
+    console.error("[feeds] error:", err);
+    return text(500, "Could not build the feed.");
+  }
+}
@@ -0,0 +1,158 @@
+// Send-event-reminders — scheduled (see netlify.toml), every 15 minutes.
+//
+// Walks the confirmed, still-subscribed reminders in
+// public.event_reminders (supabase/event_reminders.sql) and sends what's
+// due:
+//   - the early reminder, REMINDER_DAYS_BEFORE days before the start —
+//     skipped when the visitor confirmed inside that window, since the
+//     confirmation page already told them the date
+//   - the final one, an hour before (on the day itself for events with
+//     no time set)
+// and stamps each as sent so it never goes out twice. A run that misses
+// a slot catches up on the next one; the "in an hour" reminder is
+// dropped once the event has started.
+//
+// The start is read from the event every run, so a rescheduled event is
+// reminded about at its new time (and gets a fresh early reminder when
+// it moved further out). Unpublished events and dates taken out of a
+// repeating series are left alone — they send nothing, and drop out of
+// the scan a day after their old start.
+//
+// Required Netlify environment variables:
+//   - SUPABASE_URL
+//   - SUPABASE_SERVICE_ROLE_KEY
+//   - RESEND_API_KEY        (or EMAIL_TRANSPORT=local — see netlify/lib/email.js)
+// See netlify/lib/reminders.js for the optional ones.
+
+import { createClient } from "@supabase/supabase-js";
+import { EVENT_WITH_SESSIONS } from "../../src/lib/event-sessions.js";
+import { emailConfigured, sendEmail } from "../lib/email.js";
+import {
+  DAYS_BEFORE,
+  FROM_EMAIL,
+  eventUrl,
+  reminderEmail,
+  reminderTarget,
+  reminderTimes,
+} from "../lib/reminders.js";
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+// Scheduled functions get 30 seconds; whatever's left waits 15 minutes.
+const MAX_SENDS_PER_RUN = 150;
+const PAGE_SIZE = 1000;
+
+// Confirmed, subscribed, final reminder not sent, due within the early
+// window (plus a day, so a start moved earlier is still picked up), and
+// not more than a day in the past.
+async function loadPending(supabase, now) {
+  const rows = [];
+  const horizon = new Date(now + (DAYS_BEFORE + 1) * 86400000).toISOString();
+  const since = new Date(now - 86400000).toISOString();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("event_reminders")
+      .select("id, event_id, occurrence_date, email, locale, token, starts_at, confirmed_at, early_sent_at")
+      .not("confirmed_at", "is", null)
+      .is("unsubscribed_at", null)
+      .is("final_sent_at", null)
+      .gt("starts_at", since)
+      .lte("starts_at", horizon)
+      .order("starts_at", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+// Published events for these reminders, with their client's slug.
+async function loadEvents(supabase, ids) {
+  const { data: events, error } = await supabase
+    .from("events")
+    .select(EVENT_WITH_SESSIONS)
+    .in("id", ids)
+    .eq("is_published", true);
+  if (error) throw error;
+  const clientIds = [...new Set((events || []).map((e) => e.client_id))];
+  const { data: clients, error: cErr } = clientIds.length
+    ? await supabase.from("clients").select("id, slug").in("id", clientIds)
+    : { data: [], error: null };
+  if (cErr) throw cErr;
+  const slugs = new Map((clients || []).map((c) => [c.id, c.slug]));
+  return new Map(
+    (events || [])
+      .filter((e) => slugs.has(e.client_id))
+      .map((e) => [e.id, { row: e, slug: slugs.get(e.client_id) }])
+  );
+}
+
+export const handler = async () => {
+  if (!SUPABASE_URL || !SERVICE_ROLE || !emailConfigured()) {
+    console.error("[reminders] missing SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY or an email transport");
+    return { statusCode: 500 };
+  }
+  const supabase = createClient(SUPABASE_URL, SERVICE_ROLE, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+  const now = Date.now();
+  let sent = 0;
+  try {
+    const pending = await loadPending(supabase, now);
+    if (!pending.length) return { statusCode: 200 };
+    const events = await loadEvents(supabase, [...new Set(pending.map((r) => r.event_id))]);
+
+    for (const r of pending) {
+      if (sent >= MAX_SENDS_PER_RUN) break;
+      const found = events.get(r.event_id);
+      const target = found && reminderTarget(found.row, r.occurrence_date || "", new Date(now));
+      if (!target) continue;
+
+      const startsAt = target.start.toISOString();
+      const due = reminderTimes(target);
+      const patch = {};
+      let early = r.early_sent_at;
+      if (new Date(r.starts_at).getTime() !== target.start.getTime()) {
+        patch.starts_at = startsAt;
+        // Moved further out: the early reminder is worth sending again.
+        if (early && due.early.getTime() > now) patch.early_sent_at = early = null;
+      }
+
+      let kind = "";
+      if (now >= due.final.getTime()) {
+        // Past the start of a timed event, "in an hour" would be wrong.
+        const late = !target.allDay && now >= target.start.getTime();
+        patch.final_sent_at = new Date(now).toISOString();
+        if (!early) patch.early_sent_at = patch.final_sent_at;
+        if (!late) kind = "final";
+      } else if (!early && now >= due.early.getTime()) {
+        patch.early_sent_at = new Date(now).toISOString();
+        if (new Date(r.confirmed_at).getTime() < due.early.getTime()) kind = "early";
+      }
+
+      if (kind) {
+        const url = eventUrl(found.slug, r.event_id, target, r.locale);
+        const msg = reminderEmail({ kind, locale: r.locale, target, token: r.token, url, now });
+        try {
+          await sendEmail({ from: FROM_EMAIL, to: r.email, ...msg });
+          sent += 1;
+        } catch (err) {
+          // Leave it unstamped; the next run tries again.
+          console.error("[reminders] send failed:", r.id, err);
+          continue;
+        }
+      }
+      if (Object.keys(patch).length) {
+        const { error } = await supabase.from("event_reminders").update(patch).eq("id", r.id);
+        if (error) console.error("[reminders] update failed:", r.id, error);
+      }
+    }
+    console.log("[reminders] run done:", { pending: pending.length, sent });
+    return { statusCode: 200 };
+  } catch (err) {
+    console.error("[reminders] error:", err);
+    return { statusCode: 500 };
+  }
+};
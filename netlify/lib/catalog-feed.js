@@ -0,0 +1,390 @@
+// Catalog feeds — a client's published live events and on-demand
+// courses as JSON Feed 1.1, RSS 2.0 or Atom, for newsletters and sites
+// that import feeds (WordPress etc.). Used by netlify/functions/feeds.js,
+// which also serves the .ics calendar.
+//
+// Items come from the same catalog_events / catalog_courses RPCs the
+// public catalogs page through (supabase/catalog_search.sql), so a feed
+// lists what the catalog lists, in the same order, with the same vendor
+// logo and default thumbnail filled in where a row has none. Filter
+// params are the catalog's own URL params (see readFeedQuery).
+
+import { createHash } from "node:crypto";
+import { calendarEntriesFor, calendarEventFromRow } from "../../src/lib/ics.js";
+import { dateWindow, dayKeyIn } from "../../src/lib/date-range.js";
+import { parseQuery } from "../../src/lib/search.js";
+
+export const SITE_URL = (process.env.URL || "https://events.dentlogics.com").replace(/\/+$/, "");
+
+export const FEED_TYPES = {
+  json: "application/feed+json; charset=utf-8",
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+};
+
+// Items per kind unless ?limit= says otherwise.
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+// The catalogs' fallback zone; ?tz= decides what "past" means instead.
+const DEFAULT_TZ = "America/Chicago";
+const SUMMARY_MAX = 300;
+
+const safe = (v) => (typeof v === "string" ? v.trim() : v == null ? "" : String(v).trim());
+const isUrl = (u) => /^https?:\/\//i.test(safe(u));
+const uniq = (arr) => [...new Set(arr)];
+
+// Collect a filter param from repeated and comma-separated values.
+export const listParam = (event, name) => {
+  const multi = event.multiValueQueryStringParameters?.[name];
+  const raw = multi || (event.queryStringParameters?.[name] != null
+    ? [event.queryStringParameters[name]]
+    : []);
+  return raw
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+};
+
+const validTz = (tz) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * The feed's filters from its query string. Same names as the catalogs'
+ * URLs, so a filtered catalog's query string works on its feed:
+ *   q                               search, ranked like the search box
+ *   category, vendor, roles, ce     both kinds
+ *   format                          events' format, courses' type
+ *   dates                           events only (lib/date-range.js values)
+ *   exclusive=1 (or exclusiveOnly)  Exclusive items only
+ *   only=events | courses           one kind; both by default
+ *   limit                           items per kind (1–200, default 50)
+ *   tz                              zone for "upcoming" (default Central)
+ * Set params may repeat or be comma-separated and match case-insensitively.
+ */
+export function readFeedQuery(event) {
+  const qs = event.queryStringParameters || {};
+  const tz = validTz(qs.tz) ? qs.tz : DEFAULT_TZ;
+  const only = qs.only === "events" || qs.only === "courses" ? qs.only : "";
+  return {
+    terms: parseQuery(qs.q || ""),
+    category: listParam(event, "category"),
+    vendor: listParam(event, "vendor"),
+    roles: listParam(event, "roles"),
+    ce: listParam(event, "ce"),
+    format: listParam(event, "format"),
+    dates: safe(qs.dates),
+    exclusive: qs.exclusive === "1" || qs.exclusiveOnly === "1",
+    events: only !== "courses",
+    courses: only !== "events",
+    limit: Math.min(MAX_LIMIT, Math.max(1, Math.round(Number(qs.limit)) || DEFAULT_LIMIT)),
+    tz,
+  };
+}
+
+// Hand-typed values → the catalog's spelling, from an unfiltered call's
+// facets. Values the catalog doesn't have are kept, and match nothing.
+function canonical(values, facet) {
+  const byLower = new Map((facet || []).map((f) => [String(f.value).toLowerCase(), String(f.value)]));
+  return values.map((v) => byLower.get(v.toLowerCase()) || v);
+}
+
+async function rpcRows(supabase, rpc, args, sets, limit) {
+  const base = { ...args, p_filters: { ...args.p_filters } };
+  const wanted = Object.entries(sets).filter(([, values]) => values.length > 0);
+  if (wanted.length) {
+    const { data, error } = await supabase.rpc(rpc, { ...base, p_offset: 0, p_limit: 1 });
+    if (error) throw error;
+    for (const [key, values] of wanted) base.p_filters[key] = canonical(values, data?.facets?.[key]);
+  }
+  const { data, error } = await supabase.rpc(rpc, { ...base, p_offset: 0, p_limit: limit });
+  if (error) throw error;
+  return Array.isArray(data?.rows) ? data.rows : [];
+}
+
+const summarize = (text) => {
+  const s = safe(text).replace(/\s+/g, " ");
+  return s.length > SUMMARY_MAX ? `${s.slice(0, SUMMARY_MAX - 1).trimEnd()}…` : s;
+};
+
+const iso = (v) => {
+  const d = v instanceof Date ? v : v ? new Date(v) : null;
+  return d && !isNaN(d.getTime()) ? d.toISOString() : "";
+};
+
+function eventItem(row, slug, now) {
+  const entries = calendarEntriesFor(calendarEventFromRow(row));
+  const next = entries.find((e) => e.end >= now) || entries[0];
+  const day = row.occurrence_date || "";
+  const page = `${SITE_URL}/${slug}/events/${row.id}${day ? `?date=${day}` : ""}`;
+  return {
+    kind: "event",
+    id: day ? `${row.id}:${day}` : String(row.id),
+    url: page,
+    title: safe(row.title) || "Untitled Event",
+    content: safe(row.description),
+    image: isUrl(row.thumb_url) ? safe(row.thumb_url) : "",
+    vendor: safe(row.vendor),
+    vendorLogo: isUrl(row.vendor_logo_url) ? safe(row.vendor_logo_url) : "",
+    categories: [safe(row.category)].filter(Boolean),
+    roles: Array.isArray(row.roles) ? row.roles : [],
+    format: safe(row.format),
+    ce: typeof row.ce_hours === "number" ? row.ce_hours : null,
+    exclusive: !!row.mb2_exclusive,
+    location: safe(row.location),
+    start: next ? iso(next.start) : "",
+    end: next ? iso(next.end) : "",
+    timezone: next?.tz || safe(row.event_timezone),
+    allDay: !!next?.allDay,
+    sessions: entries.map((e) => ({
+      label: e.label,
+      start: iso(e.start),
+      end: iso(e.end),
+      timezone: e.tz,
+      all_day: e.allDay,
+      registration_url: e.url,
+    })),
+    registrationUrl: next?.url || "",
+    published: iso(row.last_published_at) || iso(row.created_at),
+    updated: iso(row.updated_at) || iso(row.created_at),
+  };
+}
+
+function courseItem(row, slug) {
+  return {
+    kind: "course",
+    id: String(row.id),
+    url: isUrl(row.course_url) ? safe(row.course_url) : `${SITE_URL}/all/${slug}?tab=on-demand`,
+    title: safe(row.title) || "Untitled Course",
+    content: safe(row.description),
+    image: isUrl(row.thumbnail_url) ? safe(row.thumbnail_url) : "",
+    vendor: safe(row.vendor),
+    vendorLogo: isUrl(row.vendor_logo_url) ? safe(row.vendor_logo_url) : "",
+    categories: Array.isArray(row.categories) ? row.categories.map(safe).filter(Boolean) : [],
+    roles: Array.isArray(row.roles) ? row.roles : [],
+    format: safe(row.type),
+    ce: row.ce_hours != null && Number.isFinite(Number(row.ce_hours)) ? Number(row.ce_hours) : null,
+    exclusive: !!row.mb2_exclusive,
+    external: !!row.is_external,
+    registrationUrl: isUrl(row.course_url) ? safe(row.course_url) : "",
+    published: iso(row.release_date) || iso(row.created_at),
+    updated: iso(row.updated_at) || iso(row.created_at),
+  };
+}
+
+/**
+ * Load a client's feed items: upcoming events in date order, then
+ * courses newest first (featured ones first, as in the catalog).
+ * @param {import("@supabase/supabase-js").SupabaseClient} supabase
+ * @param {{ id:string, slug:string }} client
+ * @param {ReturnType<typeof readFeedQuery>} q
+ */
+export async function loadFeedItems(supabase, client, q) {
+  const now = new Date();
+  const today = dayKeyIn(now, q.tz);
+  const shared = {
+    terms: q.terms,
+    exclusive_only: q.exclusive,
+  };
+
+  const [events, courses] = await Promise.all([
+    q.events
+      ? (() => {
+          // dateWindow() counts from the local day it's given; hand it
+          // the feed zone's today.
+          const [y, m, d] = today.split("-").map(Number);
+          const win = dateWindow(q.dates, new Date(y, m - 1, d));
+          return rpcRows(supabase, "catalog_events", {
+            p_client_id: client.id,
+            p_filters: {
+              ...shared,
+              tz: q.tz,
+              today,
+              view: "upcoming",
+              date_start: win?.start || "",
+              date_end: win?.end || "",
+            },
+            p_sort: "date",
+          }, {
+            category: q.category, vendor: q.vendor, roles: q.roles, ce: q.ce, format: q.format,
+          }, q.limit);
+        })()
+      : [],
+    q.courses
+      ? rpcRows(supabase, "catalog_courses", {
+          p_filters: { ...shared, today },
+          p_sort: "newest",
+        }, {
+          category: q.category, vendor: q.vendor, roles: q.roles, ce: q.ce, type: q.format,
+        }, q.limit)
+      : [],
+  ]);
+
+  return [
+    ...events.map((r) => eventItem(r, client.slug, now)),
+    ...courses.map((r) => courseItem(r, client.slug)),
+  ];
+}
+
+/* ---------- serializers ---------- */
+
+const xml = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Control characters aren't allowed in XML 1.0 at all.
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+
+// Newest date among the items — the feed's own "updated".
+export const lastModified = (items) =>
+  items.reduce((max, i) => (i.updated > max ? i.updated : max), "") || new Date(0).toISOString();
+
+const rfc822 = (isoDate) => new Date(isoDate || 0).toUTCString();
+
+// "Webinar · 2 CE · Acme" — the short line under each title.
+const metaLine = (i) =>
+  [
+    i.kind === "course" ? "On-demand course" : "",
+    i.format,
+    i.ce != null ? `${i.ce} CE` : "",
+    i.vendor ? `Presented by ${i.vendor}` : "",
+    i.kind === "event" && i.start ? `Starts ${i.start.slice(0, 10)}` : "",
+    i.exclusive ? "Exclusive" : "",
+  ].filter(Boolean).join(" · ");
+
+const htmlContent = (i) =>
+  [
+    i.image ? `<p><img src="${xml(i.image)}" alt="" /></p>` : "",
+    `<p><strong>${xml(metaLine(i))}</strong></p>`,
+    ...safe(i.content).split(/\n{2,}/).filter(Boolean).map((p) => `<p>${xml(p).replace(/\n/g, "<br />")}</p>`),
+    i.registrationUrl ? `<p><a href="${xml(i.registrationUrl)}">Register</a></p>` : "",
+  ].filter(Boolean).join("\n");
+
+/**
+ * The three formats take the same arguments.
+ * @param {{ title:string, description:string, author:string, homeUrl:string,
+ *   feedUrl:string, icon?:string }} feed
+ * @param {object[]} items  from loadFeedItems()
+ */
+export function renderJsonFeed(feed, items) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    ...(feed.icon ? { icon: feed.icon } : {}),
+    items: items.map((i) => ({
+      id: `${i.kind}:${i.id}`,
+      url: i.url,
+      title: i.title,
+      content_text: i.content || i.title,
+      summary: summarize(i.content),
+      ...(i.image ? { image: i.image } : {}),
+      ...(i.published ? { date_published: i.published } : {}),
+      ...(i.updated ? { date_modified: i.updated } : {}),
+      tags: uniq([...i.categories, i.format].filter(Boolean)),
+      // Everything else a newsletter template might want. JSON Feed
+      // extensions start with an underscore.
+      _catalog: {
+        kind: i.kind,
+        vendor: i.vendor,
+        vendor_logo: i.vendorLogo,
+        categories: i.categories,
+        roles: i.roles,
+        format: i.format,
+        ce_hours: i.ce,
+        exclusive: i.exclusive,
+        registration_url: i.registrationUrl,
+        ...(i.kind === "event"
+          ? {
+              start: i.start,
+              end: i.end,
+              timezone: i.timezone,
+              all_day: i.allDay,
+              location: i.location,
+              sessions: i.sessions,
+            }
+          : { external: i.external }),
+      },
+    })),
+  }, null, 2);
+}
+
+export function renderRss(feed, items) {
+  const body = items.map((i) => [
+    "    <item>",
+    `      <title>${xml(i.title)}</title>`,
+    `      <link>${xml(i.url)}</link>`,
+    `      <guid isPermaLink="false">${xml(`${i.kind}:${i.id}`)}</guid>`,
+    i.published ? `      <pubDate>${rfc822(i.published)}</pubDate>` : "",
+    ...uniq([...i.categories, i.format].filter(Boolean)).map((c) => `      <category>${xml(c)}</category>`),
+    `      <description>${xml(summarize(i.content) || metaLine(i))}</description>`,
+    `      <content:encoded>${xml(htmlContent(i))}</content:encoded>`,
+    i.image ? `      <media:thumbnail url="${xml(i.image)}" />` : "",
+    i.image ? `      <media:content url="${xml(i.image)}" medium="image" />` : "",
+    "    </item>",
+  ].filter(Boolean).join("\n"));
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom"`,
+    `     xmlns:content="http://purl.org/rss/1.0/modules/content/"`,
+    `     xmlns:media="http://search.yahoo.com/mrss/">`,
+    "  <channel>",
+    `    <title>${xml(feed.title)}</title>`,
+    `    <link>${xml(feed.homeUrl)}</link>`,
+    `    <description>${xml(feed.description)}</description>`,
+    `    <atom:link href="${xml(feed.feedUrl)}" rel="self" type="application/rss+xml" />`,
+    `    <lastBuildDate>${rfc822(lastModified(items))}</lastBuildDate>`,
+    feed.icon ? `    <image><url>${xml(feed.icon)}</url><title>${xml(feed.title)}</title><link>${xml(feed.homeUrl)}</link></image>` : "",
+    ...body,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].filter(Boolean).join("\n");
+}
+
+export function renderAtom(feed, items) {
+  const body = items.map((i) => [
+    "  <entry>",
+    `    <id>${xml(`${feed.feedUrl}#${i.kind}:${i.id}`)}</id>`,
+    `    <title>${xml(i.title)}</title>`,
+    `    <link href="${xml(i.url)}" />`,
+    i.image ? `    <link rel="enclosure" href="${xml(i.image)}" />` : "",
+    `    <updated>${i.updated || lastModified(items)}</updated>`,
+    i.published ? `    <published>${i.published}</published>` : "",
+    i.vendor ? `    <author><name>${xml(i.vendor)}</name></author>` : "",
+    ...uniq([...i.categories, i.format].filter(Boolean)).map((c) => `    <category term="${xml(c)}" />`),
+    `    <summary>${xml(summarize(i.content) || metaLine(i))}</summary>`,
+    `    <content type="html">${xml(htmlContent(i))}</content>`,
+    "  </entry>",
+  ].filter(Boolean).join("\n"));
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom">`,
+    `  <id>${xml(feed.feedUrl)}</id>`,
+    `  <title>${xml(feed.title)}</title>`,
+    `  <subtitle>${xml(feed.description)}</subtitle>`,
+    `  <link href="${xml(feed.homeUrl)}" />`,
+    `  <link rel="self" href="${xml(feed.feedUrl)}" type="application/atom+xml" />`,
+    `  <updated>${lastModified(items)}</updated>`,
+    // Atom wants an author for the feed when entries may lack one.
+    `  <author><name>${xml(feed.author)}</name></author>`,
+    feed.icon ? `  <logo>${xml(feed.icon)}</logo>` : "",
+    ...body,
+    "</feed>",
+    "",
+  ].filter(Boolean).join("\n");
+}
+
+/** Strong validator for a rendered feed body. */
+export const etagOf = (body) => `"${createHash("sha1").update(body).digest("base64url")}"`;
@@ -0,0 +1,227 @@
+// Email — the sending path and branded layout the Netlify functions
+// share (portal links, event reminders). It lives outside
+// netlify/functions so Netlify doesn't deploy it as an endpoint of its
+// own; esbuild bundles it into each function that imports it.
+//
+// Transports:
+//   - Resend (default) — needs RESEND_API_KEY
+//   - EMAIL_TRANSPORT=local — nothing leaves the machine: each message is
+//     logged and written as an .html file to EMAIL_OUTBOX_DIR (default:
+//     <tmp>/mb2-email-outbox), so flows can be tried under `netlify dev`
+//     without a Resend account.
+
+import { mkdir, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const RESEND_API_KEY = process.env.RESEND_API_KEY;
+const LOCAL = (process.env.EMAIL_TRANSPORT || "").toLowerCase() === "local";
+const OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR || join(tmpdir(), "mb2-email-outbox");
+
+export const SUPPORT_EMAIL = "support@dentlogics.com";
+export const DEFAULT_FROM = `Dentlogics <${SUPPORT_EMAIL}>`;
+
+/** Whether a transport is set up: Resend's key, or the local outbox. */
+export const emailConfigured = () => LOCAL || !!RESEND_API_KEY;
+
+export const escapeHtml = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Outbox file name: timestamp + recipient + subject, filesystem-safe.
+const outboxName = (to, subject) =>
+  `${new Date().toISOString().replace(/[:.]/g, "-")}_${`${to}_${subject}`
+    .replace(/[^a-z0-9@._-]+/gi, "-")
+    .slice(0, 80)}.html`;
+
+async function sendLocal({ from, to, subject, html, headers }) {
+  await mkdir(OUTBOX_DIR, { recursive: true });
+  const file = join(OUTBOX_DIR, outboxName(to, subject));
+  const head = [`From: ${from}`, `To: ${to}`, `Subject: ${subject}`]
+    .concat(Object.entries(headers || {}).map(([k, v]) => `${k}: ${v}`))
+    .map((line) => `<!-- ${line.replace(/--/g, "- -")} -->`)
+    .join("\n");
+  await writeFile(file, `${head}\n${html}`, "utf8");
+  console.log("[email] local transport:", { to, subject, file });
+  return { id: `local:${file}` };
+}
+
+/**
+ * Send one email.
+ * @param {{ from?:string, to:string, subject:string, html:string,
+ *   headers?:Record<string,string> }} msg  `headers` are extra MIME headers
+ *   (List-Unsubscribe…)
+ * @returns {Promise<{id:string}>}
+ */
+export async function sendEmail({ from = DEFAULT_FROM, to, subject, html, headers }) {
+  if (LOCAL) return sendLocal({ from, to, subject, html, headers });
+  const res = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${RESEND_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      from,
+      to: [to],
+      subject,
+      html,
+      ...(headers ? { headers } : {}),
+    }),
+  });
+  if (!res.ok) {
+    const txt = await res.text();
+    throw new Error(`Resend error ${res.status}: ${txt}`);
+  }
+  return res.json();
+}
+
+const ctaButton = ({ href, label }) => `
+          <!-- CTA button (own row, full-width on mobile) -->
+          <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="100%">
+            <tr><td>
+              <table role="presentation" cellpadding="0" cellspacing="0" border="0">
+                <tr><td bgcolor="#0F766E" style="border-radius:10px; box-shadow:0 1px 2px rgba(15,118,110,0.25);">
+                  <a class="btn-link" href="${href}" target="_blank" style="display:inline-block; padding:14px 30px; font-size:15px; font-weight:600; color:#FFFFFF; text-decoration:none; border-radius:10px; mso-padding-alt:0;">
+                    ${label}&nbsp;&rarr;
+                  </a>
+                </td></tr>
+              </table>
+            </td></tr>
+          </table>`;
+
+const urlBox = ({ href, label }) => `
+          <!-- Spacer -->
+          <div style="height:32px; line-height:32px; font-size:32px;">&nbsp;</div>
+
+          <!-- URL fallback in a soft chip-style box -->
+          <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="100%">
+            <tr><td style="background:#F8FAFC; border:1px solid #E2E8F0; border-radius:10px; padding:14px 16px;">
+              <div style="font-size:11px; font-weight:600; letter-spacing:0.06em; text-transform:uppercase; color:#94A3B8; margin:0 0 6px 0;">${label}</div>
+              <div style="font-family:ui-monospace,'SF Mono',Menlo,Monaco,Consolas,monospace; font-size:12px; line-height:1.5; color:#475569; word-break:break-all;">
+                <a href="${href}" target="_blank" style="color:#0F766E; text-decoration:none;">${href}</a>
+              </div>
+            </td></tr>
+          </table>`;
+
+const calloutBlock = ({ icon, title, html }) => `
+          <!-- Divider -->
+          <div style="height:28px; line-height:28px; font-size:28px;">&nbsp;</div>
+          <div style="border-top:1px solid #E2E8F0; height:1px; font-size:1px; line-height:1px;">&nbsp;</div>
+          <div style="height:20px; line-height:20px; font-size:20px;">&nbsp;</div>
+
+          <!-- Callout -->
+          <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="100%">
+            <tr>
+              <td valign="top" width="32" style="padding-top:2px;">
+                <div style="width:24px; height:24px; border-radius:50%; background:#FEF3C7; text-align:center; line-height:24px; font-size:13px;">${icon}</div>
+              </td>
+              <td style="padding-left:10px;">
+                <div style="font-size:13px; font-weight:600; color:#475569; margin:0 0 4px 0;">${title}</div>
+                <div style="font-size:13px; line-height:1.6; color:#64748B;">
+                  ${html}
+                </div>
+              </td>
+            </tr>
+          </table>`;
+
+/**
+ * The Dentlogics email: wordmark, white card, teal call to action, footer.
+ * Strings go in as HTML — escape anything user-supplied first.
+ * @param {{
+ *   lang?: string,
+ *   title: string,          document <title>
+ *   preheader: string,      inbox preview text
+ *   eyebrow: string,
+ *   heading: string,
+ *   bodyHtml: string,       the paragraph(s) under the heading
+ *   cta?: { href:string, label:string },
+ *   urlLabel?: string,      shows the CTA's URL in a copyable box under it
+ *   callout?: { icon:string, title:string, html:string },
+ *   footerHtml?: string,    extra footer line (an unsubscribe link…)
+ *   labels?: { questions?:string, tagline?:string },
+ * }} parts
+ * @returns {string}
+ */
+export function renderLayout({
+  lang = "en",
+  title,
+  preheader,
+  eyebrow,
+  heading,
+  bodyHtml,
+  cta,
+  urlLabel,
+  callout,
+  footerHtml = "",
+  labels = {},
+}) {
+  const questions = labels.questions || "Questions? Email";
+  const tagline = labels.tagline || "Continuing dental education";
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <meta name="x-apple-disable-message-reformatting" />
+  <meta name="color-scheme" content="light" />
+  <meta name="supported-color-schemes" content="light" />
+  <title>${title}</title>
+  <style>
+    @media only screen and (max-width:600px) {
+      .container { width:100% !important; padding:16px !important; }
+      .card { padding:28px 24px !important; }
+      .h1 { font-size:22px !important; }
+      .btn-link { display:block !important; }
+    }
+  </style>
+</head>
+<body style="margin:0; padding:0; background:#F4F6F8; font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif; -webkit-font-smoothing:antialiased; color:#0F172A;">
+
+  <!-- Preheader (preview text in inbox list, hidden in body) -->
+  <div style="display:none; max-height:0; overflow:hidden; mso-hide:all; font-size:1px; line-height:1px; color:#F4F6F8;">
+    ${preheader}
+  </div>
+
+  <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="100%" style="background:#F4F6F8;">
+    <tr><td align="center" style="padding:40px 16px;">
+      <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="560" class="container" style="width:560px; max-width:560px;">
+
+        <!-- Brand wordmark -->
+        <tr><td align="center" style="padding:0 0 28px 0;">
+          <div style="font-size:22px; font-weight:700; letter-spacing:-0.6px; color:#0F172A;">Dentlogics</div>
+        </td></tr>
+
+        <!-- Main card -->
+        <tr><td class="card" style="background:#FFFFFF; border-radius:16px; padding:44px 40px; box-shadow:0 1px 3px rgba(15,23,42,0.04),0 1px 2px rgba(15,23,42,0.06);">
+
+          <!-- Eyebrow + title -->
+          <div style="font-size:12px; font-weight:600; letter-spacing:0.06em; text-transform:uppercase; color:#0F766E; margin:0 0 10px 0;">${eyebrow}</div>
+          <h1 class="h1" style="font-size:26px; font-weight:700; line-height:1.2; color:#0F172A; margin:0 0 16px 0;">${heading}</h1>
+
+          <p style="font-size:15px; line-height:1.65; color:#475569; margin:0 0 28px 0;">
+            ${bodyHtml}
+          </p>
+${cta ? ctaButton(cta) : ""}${cta && urlLabel ? urlBox({ href: cta.href, label: urlLabel }) : ""}${callout ? calloutBlock(callout) : ""}
+
+        </td></tr>
+
+        <!-- Footer -->
+        <tr><td align="center" style="padding:28px 8px 0 8px; font-size:12px; line-height:1.6; color:#94A3B8;">
+          ${questions} <a href="mailto:${SUPPORT_EMAIL}" style="color:#0F766E; text-decoration:none;">${SUPPORT_EMAIL}</a>
+          <br /><br />${footerHtml ? `
+          ${footerHtml}
+          <br /><br />` : ""}
+          &copy; Dentlogics &middot; ${tagline}
+        </td></tr>
+
+      </table>
+    </td></tr>
+  </table>
+
+</body>
+</html>`;
+}
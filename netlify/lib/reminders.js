@@ -0,0 +1,217 @@
+// Event reminders — what the event-reminders (sign-up, confirm,
+// unsubscribe) and send-event-reminders (scheduled) functions share:
+// which moment a reminder is for, the links in its emails, and the
+// emails and result pages themselves. Table: supabase/event_reminders.sql.
+//
+// Everything a visitor sees is in the language they signed up in
+// (src/locales, `reminderEmail.*` keys).
+//
+// Optional Netlify environment variables:
+//   - REMINDER_DAYS_BEFORE   (days ahead of the early reminder; default 3)
+//   - REMINDER_FROM_EMAIL    (defaults to PORTAL_FROM_EMAIL, then Dentlogics support)
+// Netlify sets URL (the site's primary URL) for us; links point there.
+
+import { calendarEntriesFor, calendarEventFromRow, nextCalendarEntry } from "../../src/lib/ics.js";
+import { expandRow, isOccurrence, parseRule } from "../../src/lib/recurrence.js";
+import { translator } from "../../src/lib/i18n.js";
+import { DEFAULT_FROM, escapeHtml, renderLayout } from "./email.js";
+
+export const DAYS_BEFORE = Math.max(1, Math.round(Number(process.env.REMINDER_DAYS_BEFORE)) || 3);
+export const FROM_EMAIL =
+  process.env.REMINDER_FROM_EMAIL || process.env.PORTAL_FROM_EMAIL || DEFAULT_FROM;
+export const SITE_URL = (process.env.URL || "https://events.dentlogics.com").replace(/\/+$/, "");
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+/**
+ * The moment of an event a reminder is about: its next session that
+ * hasn't started, so a multi-session event can still be signed up for
+ * (and reminded of) once the first one is under way. When all have
+ * started, the first session — callers see it's in the past. `day`
+ * picks one date of a repeating event and is ignored for one-off
+ * events. null when that date doesn't exist (skipped, off the rule) or
+ * the event has no date.
+ * @param {object} row  events row selected with EVENT_WITH_SESSIONS
+ * @param {string} day  "YYYY-MM-DD" or ""
+ * @param {Date} [now]
+ * @returns {null | { day:string, title:string, vendor:string, location:string,
+ *   start:Date, tz:string, allDay:boolean }}
+ */
+export function reminderTarget(row, day, now = new Date()) {
+  const repeating = !!parseRule(row.recurrence_rule);
+  if (repeating && !isOccurrence(row, day)) return null;
+  const ev = calendarEventFromRow(repeating ? expandRow(row, day) : row);
+  const entries = calendarEntriesFor(ev);
+  const entry = nextCalendarEntry(entries, now) || entries[0];
+  if (!entry?.start || isNaN(entry.start.getTime())) return null;
+  return {
+    day: repeating ? day : "",
+    title: ev.title,
+    vendor: ev.vendor,
+    location: ev.inPersonEvt ? ev.location : "",
+    start: entry.start,
+    tz: entry.tz,
+    allDay: entry.allDay,
+  };
+}
+
+/**
+ * When the two reminders are due. Events with no time set get their
+ * last one on the day itself rather than "an hour before midnight".
+ * @returns {{ early:Date, final:Date }}
+ */
+export function reminderTimes(target) {
+  return {
+    early: new Date(target.start.getTime() - DAYS_BEFORE * DAY_MS),
+    final: target.allDay ? target.start : new Date(target.start.getTime() - HOUR_MS),
+  };
+}
+
+export const confirmUrl = (token) => `${SITE_URL}/reminders/confirm/${token}`;
+export const unsubscribeUrl = (token) => `${SITE_URL}/reminders/unsubscribe/${token}`;
+
+/** The event's page, in the reminder's language. */
+export function eventUrl(slug, eventId, target, locale) {
+  const params = new URLSearchParams();
+  if (target?.day) params.set("date", target.day);
+  if (locale && locale !== "en") params.set("lang", locale);
+  const qs = params.toString();
+  return `${SITE_URL}/${slug}/events/${eventId}${qs ? `?${qs}` : ""}`;
+}
+
+// "Tuesday, November 4, 2026 · 7:00 PM CST" in the event's own timezone —
+// the reader may be anywhere, and the event's zone is what the catalog shows.
+function whenText(target, tr) {
+  const date = target.start.toLocaleDateString(tr.dateLocale, {
+    timeZone: target.tz, weekday: "long", month: "long", day: "numeric", year: "numeric",
+  });
+  if (target.allDay) return date;
+  const time = target.start.toLocaleTimeString(tr.dateLocale, {
+    timeZone: target.tz, hour: "numeric", minute: "2-digit", timeZoneName: "short",
+  });
+  return tr.t("reminderEmail.when", { date, time });
+}
+
+// What's still to come, for the confirmation email and page.
+function scheduleText(target, tr, now) {
+  const earlyAhead = reminderTimes(target).early.getTime() > now;
+  const key = target.allDay
+    ? (earlyAhead ? "reminderEmail.scheduleDay" : "reminderEmail.scheduleOnDay")
+    : (earlyAhead ? "reminderEmail.schedule" : "reminderEmail.scheduleHour");
+  return tr.t(key, { count: DAYS_BEFORE });
+}
+
+const layoutLabels = (tr) => ({
+  questions: tr.t("reminderEmail.questions"),
+  tagline: tr.t("reminderEmail.tagline"),
+});
+
+/**
+ * "Confirm your reminder" — the opt-in email sent on sign-up.
+ * @returns {{ subject:string, html:string }}
+ */
+export function confirmEmail({ locale, target, token, now = Date.now() }) {
+  const tr = translator(locale);
+  const title = escapeHtml(target.title);
+  const when = escapeHtml(whenText(target, tr));
+  return {
+    subject: tr.t("reminderEmail.confirmSubject", { title: target.title }),
+    html: renderLayout({
+      lang: tr.locale,
+      title: escapeHtml(tr.t("reminderEmail.confirmSubject", { title: target.title })),
+      preheader: escapeHtml(tr.t("reminderEmail.confirmPreheader", { title: target.title })),
+      eyebrow: escapeHtml(tr.t("reminderEmail.confirmEyebrow")),
+      heading: title,
+      bodyHtml: `${escapeHtml(tr.t("reminderEmail.confirmText"))} <strong style="color:#334155;">${when}</strong><br /><br />${escapeHtml(scheduleText(target, tr, now))}`,
+      cta: { href: confirmUrl(token), label: escapeHtml(tr.t("reminderEmail.confirmButton")) },
+      callout: {
+        icon: "&#9993;",
+        title: escapeHtml(tr.t("reminderEmail.notYou")),
+        html: escapeHtml(tr.t("reminderEmail.notYouText")),
+      },
+      labels: layoutLabels(tr),
+    }),
+  };
+}
+
+/**
+ * The reminder itself: `kind` "early" (N days out) or "final" (an hour
+ * before, or the day of for events with no time set).
+ * @returns {{ subject:string, html:string, headers:Record<string,string> }}
+ */
+export function reminderEmail({ kind, locale, target, token, url, now = Date.now() }) {
+  const tr = translator(locale);
+  const when = whenText(target, tr);
+  const days = Math.max(1, Math.round((target.start.getTime() - now) / DAY_MS));
+  const eyebrow = kind === "early"
+    ? tr.t("card.soon", { count: days })
+    : tr.t(target.allDay ? "card.today" : "reminderEmail.inAnHour");
+  const subject = tr.t("reminderEmail.subject", { eyebrow, title: target.title });
+  const lines = [
+    `<strong style="color:#334155;">${escapeHtml(when)}</strong>`,
+    target.vendor && escapeHtml(tr.t("calendar.presentedBy", { vendor: target.vendor })),
+    target.location && escapeHtml(target.location),
+  ].filter(Boolean);
+  const unsubscribe = unsubscribeUrl(token);
+
+  return {
+    subject,
+    html: renderLayout({
+      lang: tr.locale,
+      title: escapeHtml(subject),
+      preheader: escapeHtml(`${target.title} — ${when}`),
+      eyebrow: escapeHtml(eyebrow),
+      heading: escapeHtml(target.title),
+      bodyHtml: lines.join("<br />"),
+      cta: { href: url, label: escapeHtml(tr.t("reminderEmail.view")) },
+      footerHtml: `${escapeHtml(tr.t("reminderEmail.why"))} <a href="${unsubscribe}" style="color:#0F766E; text-decoration:underline;">${escapeHtml(tr.t("reminderEmail.unsubscribe"))}</a>`,
+      labels: layoutLabels(tr),
+    }),
+    // One-click unsubscribe from the mail app's own button (RFC 8058).
+    headers: {
+      "List-Unsubscribe": `<${unsubscribe}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+  };
+}
+
+// The button on a confirmAsk / unsubscribeAsk page. It posts back to the
+// link's own URL; the hidden field tells it apart from a mail app's
+// one-click unsubscribe.
+const askButton = (label) => `
+          <form method="post" action="" style="margin:24px 0 0 0;">
+            <input type="hidden" name="via" value="page" />
+            <button type="submit" style="padding:14px 30px; font-size:15px; font-weight:600; color:#FFFFFF; background:#0F766E; border:0; border-radius:10px; cursor:pointer;">${label}</button>
+          </form>`;
+
+/**
+ * Page for a confirm / unsubscribe link, in the same branded frame as the
+ * emails. Following the link only shows the confirmAsk / unsubscribeAsk
+ * page — mail scanners and link previews open every link — and its button
+ * makes the change.
+ * @param {{ locale:string,
+ *   state:"confirmAsk"|"confirmed"|"unsubscribeAsk"|"unsubscribed"|"invalid",
+ *   target?:object, url?:string, now?:number }} opts
+ * @returns {string}
+ */
+export function resultPage({ locale, state, target, url, now = Date.now() }) {
+  const tr = translator(locale);
+  const heading = tr.t(`reminderEmail.${state}Title`);
+  let body = state === "confirmAsk" ? "" : escapeHtml(tr.t(`reminderEmail.${state}Text`));
+  if ((state === "confirmed" || state === "confirmAsk") && target) {
+    body = `<strong style="color:#334155;">${escapeHtml(target.title)}</strong><br />${escapeHtml(whenText(target, tr))}<br /><br />${escapeHtml(scheduleText(target, tr, now))}`;
+  }
+  if (state === "confirmAsk") body += askButton(escapeHtml(tr.t("reminderEmail.confirmButton")));
+  if (state === "unsubscribeAsk") body += askButton(escapeHtml(tr.t("reminderEmail.unsubscribe")));
+  return renderLayout({
+    lang: tr.locale,
+    title: escapeHtml(heading),
+    preheader: "",
+    eyebrow: escapeHtml(tr.t("reminderEmail.eyebrow")),
+    heading: escapeHtml(heading),
+    bodyHtml: body,
+    cta: url ? { href: url, label: escapeHtml(tr.t("reminderEmail.view")) } : undefined,
+    labels: layoutLabels(tr),
+  });
+}
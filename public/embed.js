@@ -0,0 +1,134 @@
+/* ============================================================
+   MB2 catalog — host page helper (served as /embed.js)
+
+   For the page that embeds the catalog in an iframe (TI / MB2
+   Shield). Add it after the iframe:
+
+     <iframe id="mb2-catalog" src="https://<catalog-site>/all/mb2"></iframe>
+     <script src="https://<catalog-site>/embed.js"></script>
+     <script>
+       var catalog = MB2Catalog.connect(document.getElementById("mb2-catalog"));
+       catalog.on("registration-clicked", function (e) { console.log(e.title, e.url); });
+       catalog.setFilters({ format: ["Webinar"], ce: ["2"] });
+     </script>
+
+   It does what the old inline snippet did — stretches the iframe
+   to the catalog's height and streams the scroll position so the
+   catalog's menu stays pinned — and adds the control API:
+
+     setFilters(filters, { replace })   keys are the catalog's URL params
+     setSearch(query)
+     setTab("events" | "on-demand" | "my-list")        (/all pages)
+     scrollToEvent(eventId, date?)                     (live events)
+     on(type, fn) → off()   "ready", "filters-changed",
+                            "registration-clicked", "external-course-opened"
+
+   Commands wait until the catalog says it's ready. The catalog only
+   listens to sites on its client's allowlist (Clients → Details in
+   the admin), and this script only listens to the iframe it was
+   given. Protocol details: README, "Embed API".
+   ============================================================ */
+(function () {
+  "use strict";
+
+  var VERSION = 1;
+  var PREFIX = "mb2-embed-";
+
+  function connect(iframe, options) {
+    if (!iframe || !iframe.contentWindow) throw new Error("MB2Catalog.connect: pass the catalog <iframe>");
+    var opts = options || {};
+    var origin = new URL(iframe.src, window.location.href).origin;
+    var ready = false;
+    var queue = [];
+    var listeners = {};
+
+    function post(message) {
+      iframe.contentWindow.postMessage(message, origin);
+    }
+
+    function command(name, fields) {
+      var message = { type: PREFIX + name, version: VERSION };
+      for (var k in fields) message[k] = fields[k];
+      if (ready) post(message);
+      else queue.push(message);
+    }
+
+    function emit(type, data) {
+      var fns = (listeners[type] || []).slice();
+      for (var i = 0; i < fns.length; i++) {
+        try { fns[i](data); } catch (err) { console.error("[MB2Catalog] " + type + " listener:", err); }
+      }
+    }
+
+    // Ask for `ready` in case the catalog announced itself before this
+    // script was listening. Lost harmlessly while the iframe is loading.
+    function hello() {
+      post({ type: PREFIX + "hello", version: VERSION });
+    }
+
+    function sendScroll() {
+      post({ type: PREFIX + "scroll", top: iframe.getBoundingClientRect().top });
+    }
+
+    function onMessage(e) {
+      if (e.source !== iframe.contentWindow || e.origin !== origin) return;
+      var d = e.data;
+      if (!d || typeof d.type !== "string" || d.type.indexOf(PREFIX) !== 0) return;
+      var type = d.type.slice(PREFIX.length);
+
+      if (type === "height") {
+        if (opts.autoHeight !== false && typeof d.height === "number") iframe.style.height = d.height + "px";
+        return;
+      }
+      if (d.version !== VERSION) return;
+      if (type === "ready") {
+        ready = true;
+        while (queue.length) post(queue.shift());
+        sendScroll();
+      }
+      emit(type, d);
+    }
+
+    window.addEventListener("message", onMessage);
+    iframe.addEventListener("load", hello);
+    hello();
+    if (opts.pinMenu !== false) {
+      window.addEventListener("scroll", sendScroll, { passive: true });
+      window.addEventListener("resize", sendScroll);
+      iframe.addEventListener("load", sendScroll);
+    }
+    if (opts.autoHeight !== false) {
+      iframe.setAttribute("scrolling", "no");
+      iframe.style.overflow = "hidden";
+    }
+
+    return {
+      setFilters: function (filters, o) {
+        command("set-filters", { filters: filters || {}, replace: !!(o && o.replace) });
+      },
+      setSearch: function (query) { command("set-search", { query: String(query || "") }); },
+      setTab: function (tab) { command("set-tab", { tab: tab }); },
+      scrollToEvent: function (eventId, date) {
+        command("scroll-to-event", { eventId: String(eventId), date: date || "" });
+      },
+      on: function (type, fn) {
+        (listeners[type] = listeners[type] || []).push(fn);
+        return function off() {
+          listeners[type] = (listeners[type] || []).filter(function (f) { return f !== fn; });
+        };
+      },
+      get ready() { return ready; },
+      disconnect: function () {
+        window.removeEventListener("message", onMessage);
+        window.removeEventListener("scroll", sendScroll);
+        window.removeEventListener("resize", sendScroll);
+        iframe.removeEventListener("load", sendScroll);
+        iframe.removeEventListener("load", hello);
+        listeners = {};
+        queue = [];
+      },
+    };
+  }
+
+  window.MB2Catalog = { version: VERSION, connect: connect };
+})();
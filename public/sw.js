@@ -0,0 +1,245 @@
+/* ============================================================
+   MB2 catalog — service worker (served as /sw.js)
+
+   Registered by src/lib/offline.js, with the Supabase project URL
+   as ?supabase=. Keeps the public catalogs usable on flaky clinic
+   Wi-Fi:
+
+   Everything saved is served at once and refreshed behind it
+   (stale-while-revalidate); the network is only waited on when
+   nothing is saved yet.
+
+   1. APP SHELL — index.html and the built /assets/ files. Every
+      page is the saved index.html, re-fetched in the background
+      (a deploy doesn't touch this file, so install alone would
+      keep the first build) — the next visit gets the new build.
+      When it changes, assets named by neither it nor the build
+      before it are dropped; the one before is kept because the
+      page just served may still be loading its files.
+
+   2. CATALOG DATA — the last good answer to each catalog_events /
+      catalog_aggregate_events / catalog_courses call (per set of
+      arguments), plus the public clients / catalog_aggregates
+      lookups the pages make first. A copy saved more than
+      DATA_FRESH_MS ago is served with `saved_at` added to it —
+      the catalogs show "Showing saved results from …" — and
+      once the fresh answer lands, the page is told to load
+      again.
+
+   Only anonymous requests are cached: anything sent with a
+   signed-in user's token (the admin) goes straight through.
+   Bump VERSION to drop every cache on the next visit.
+   ============================================================ */
+
+const VERSION = "v1";
+const SHELL_CACHE = `mb2-shell-${VERSION}`;
+const DATA_CACHE = `mb2-data-${VERSION}`;
+
+// Younger saved catalog answers are served as if live.
+const DATA_FRESH_MS = 10 * 60 * 1000;
+// Saved catalog answers kept; the oldest go first.
+const DATA_MAX_ENTRIES = 80;
+
+const CATALOG_RPCS = ["catalog_events", "catalog_aggregate_events", "catalog_courses"];
+const CATALOG_TABLES = ["clients", "catalog_aggregates"];
+
+// Served by Netlify functions, not the SPA.
+const NOT_SHELL = /^\/(feeds|reminders|\.netlify)\//;
+
+const SUPABASE_ORIGIN = (() => {
+  try {
+    return new URL(new URL(self.location.href).searchParams.get("supabase") || "").origin;
+  } catch {
+    return "";
+  }
+})();
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    refreshShell()
+      .catch(() => {})
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((k) => k.startsWith("mb2-") && k !== SHELL_CACHE && k !== DATA_CACHE)
+          .map((k) => caches.delete(k))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+
+  if (url.origin === self.location.origin) {
+    if (req.method !== "GET") return;
+    if (req.mode === "navigate") {
+      if (!NOT_SHELL.test(url.pathname)) event.respondWith(page(event));
+    } else if (url.pathname.startsWith("/assets/")) {
+      event.respondWith(asset(event));
+    }
+    return;
+  }
+
+  if (!SUPABASE_ORIGIN || url.origin !== SUPABASE_ORIGIN || !isAnonymous(req)) return;
+  const rpc = url.pathname.match(/^\/rest\/v1\/rpc\/(\w+)$/)?.[1];
+  if (req.method === "POST" && CATALOG_RPCS.includes(rpc)) {
+    event.respondWith(catalogData(event, rpc));
+    return;
+  }
+  const table = url.pathname.match(/^\/rest\/v1\/(\w+)$/)?.[1];
+  if (req.method === "GET" && CATALOG_TABLES.includes(table)) {
+    event.respondWith(lookup(event));
+  }
+});
+
+/* ---------- helpers ---------- */
+
+// supabase-js sends the anon key as the bearer token until someone
+// signs in.
+function isAnonymous(req) {
+  const auth = req.headers.get("authorization");
+  return !auth || auth === `Bearer ${req.headers.get("apikey")}`;
+}
+
+async function trim(cache) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - DATA_MAX_ENTRIES)).map((k) => cache.delete(k)));
+}
+
+async function hashOf(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/* ---------- 1. app shell ---------- */
+
+async function page(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const saved = await cache.match("/index.html");
+  if (!saved) {
+    const res = await fetch(event.request);
+    if (res.ok) event.waitUntil(refreshShell().catch(() => {}));
+    return res;
+  }
+  event.waitUntil(refreshShell().catch(() => {}));
+  return saved;
+}
+
+const assetsIn = (html) => html.match(/\/assets\/[^"'\s)>]+/g) || [];
+
+// Save the current index.html; if it's a new build, drop the assets
+// that neither it nor the build before it names. Lazily loaded chunks
+// go too and are saved again the next time they're loaded.
+async function refreshShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  const res = await fetch("/index.html", { cache: "no-cache" });
+  if (!res.ok) return;
+  const html = await res.clone().text();
+  const saved = await cache.match("/index.html");
+  const before = saved ? await saved.text() : "";
+  if (before === html) return;
+  await cache.put("/index.html", res);
+
+  const named = new Set([...assetsIn(html), ...assetsIn(before)]);
+  const keys = await cache.keys();
+  await Promise.all(
+    keys
+      .filter((k) => {
+        const path = new URL(k.url).pathname;
+        return path.startsWith("/assets/") && !named.has(path);
+      })
+      .map((k) => cache.delete(k))
+  );
+}
+
+async function asset(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const saved = await cache.match(event.request);
+  const pending = fetch(event.request).then((res) => {
+    if (res.ok) return cache.put(event.request, res.clone()).then(() => res);
+    return res;
+  });
+  if (!saved) return pending;
+  event.waitUntil(pending.catch(() => {}));
+  return saved;
+}
+
+/* ---------- 2. catalog data ---------- */
+
+// Saved copies carry the time they were fetched.
+function stamped(res) {
+  const headers = new Headers(res.headers);
+  headers.set("x-mb2-saved-at", new Date().toISOString());
+  return res.blob().then((body) => new Response(body, { status: res.status, headers }));
+}
+
+const savedAt = (saved) => saved.headers.get("x-mb2-saved-at") || "";
+
+// The saved RPC answer; when it's `stale`, with `saved_at` in the JSON
+// for the catalog's notice.
+async function asSaved(saved, stale) {
+  const text = await saved.text();
+  if (!stale) return new Response(text, { status: 200, headers: { "content-type": "application/json" } });
+  let body = text;
+  try {
+    const data = JSON.parse(text);
+    if (data && typeof data === "object" && !Array.isArray(data)) {
+      body = JSON.stringify({ ...data, saved_at: savedAt(saved) });
+    }
+  } catch {
+    // Not JSON — hand it back as it was.
+  }
+  return new Response(body, { status: 200, headers: { "content-type": "application/json" } });
+}
+
+async function tellPage(clientId, rpc) {
+  const client = clientId ? await self.clients.get(clientId) : null;
+  client?.postMessage({ type: "mb2-catalog-refreshed", rpc });
+}
+
+async function catalogData(event, rpc) {
+  const req = event.request;
+  // A POST can't be a cache key; the URL plus a hash of its arguments can.
+  const key = new Request(`${req.url}?args=${await hashOf(await req.clone().text())}`);
+  const cache = await caches.open(DATA_CACHE);
+
+  const pending = fetch(req).then(async (res) => {
+    if (res.ok) {
+      await cache.put(key, await stamped(res.clone()));
+      await trim(cache);
+    }
+    return res;
+  });
+  const saved = await cache.match(key, { ignoreVary: true });
+  if (!saved) return pending;
+
+  // The saved copy now, fresh data behind it. A copy old enough to be
+  // labelled has the page load again once the fresh one is in.
+  const stale = !(Date.now() - new Date(savedAt(saved)).getTime() <= DATA_FRESH_MS);
+  event.waitUntil(
+    pending
+      .then((res) => (res.ok && stale ? tellPage(event.clientId, rpc) : undefined))
+      .catch(() => {})
+  );
+  return asSaved(saved, stale);
+}
+
+async function lookup(event) {
+  const cache = await caches.open(DATA_CACHE);
+  const pending = fetch(event.request).then(async (res) => {
+    if (res.ok) await cache.put(event.request, res.clone());
+    return res;
+  });
+  const saved = await cache.match(event.request, { ignoreVary: true });
+  if (!saved) return pending;
+  event.waitUntil(pending.catch(() => {}));
+  return saved;
+}
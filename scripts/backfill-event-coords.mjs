@@ -0,0 +1,76 @@
+// Fill in location_lat / location_lng on events saved before they were
+// placed automatically (supabase/events_location_geo.sql), so distance
+// search finds them too.
+//
+//   SUPABASE_URL=… SUPABASE_SERVICE_ROLE_KEY=… node scripts/backfill-event-coords.mjs [--dry-run]
+//
+// Uses the same committed ZIP / city table and rules as the admin form
+// (src/lib/geo.js). Only in-person / hybrid events with a location and
+// no coordinates yet are touched; run it again at any time. Events whose
+// location can't be placed are listed so someone can fix their text.
+
+import { readFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createClient } from "@supabase/supabase-js";
+import { eventCoords, isInPersonFormat } from "../src/lib/geo.js";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const GAZETTEER = resolve(ROOT, "public/geo/us-zips.json");
+const PAGE = 500;
+
+const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = process.env;
+const dryRun = process.argv.includes("--dry-run");
+if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+  console.error("Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY (Supabase → Project Settings → API).");
+  process.exit(1);
+}
+
+const data = JSON.parse(readFileSync(GAZETTEER, "utf8"));
+const gazetteer = { zips: data.zips || {}, places: data.places || {} };
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+  auth: { persistSession: false, autoRefreshToken: false },
+});
+
+// Rows that get placed drop out of the filter, so only the ones that
+// couldn't be placed move the offset.
+let offset = 0;
+let placed = 0;
+const unplaced = [];
+for (;;) {
+  const { data: rows, error } = await supabase
+    .from("events")
+    .select("id, title, format, location")
+    .is("location_lat", null)
+    .neq("location", "")
+    .not("location", "is", null)
+    .order("id")
+    .range(offset, offset + PAGE - 1);
+  if (error) throw error;
+  if (!rows.length) break;
+
+  let skipped = 0;
+  for (const row of rows) {
+    const coords = isInPersonFormat(row.format) ? eventCoords(row, gazetteer) : null;
+    if (coords?.location_lat == null) {
+      skipped += 1;
+      if (coords) unplaced.push(row);
+      continue;
+    }
+    if (dryRun) {
+      skipped += 1;
+    } else {
+      const { error: upErr } = await supabase.from("events").update(coords).eq("id", row.id);
+      if (upErr) throw upErr;
+    }
+    placed += 1;
+  }
+  offset += skipped;
+  if (rows.length < PAGE) break;
+}
+
+console.log(`${dryRun ? "Would place" : "Placed"} ${placed} events.`);
+if (unplaced.length) {
+  console.log(`${unplaced.length} in-person / hybrid events have a location that couldn't be placed:`);
+  for (const row of unplaced) console.log(`  ${row.id}  ${row.title || "(untitled)"}  — "${row.location}"`);
+}
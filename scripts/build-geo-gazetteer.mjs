@@ -0,0 +1,83 @@
+// Build the offline ZIP / city centroid table used for distance search.
+//
+//   node scripts/build-geo-gazetteer.mjs <zcta-gazetteer.txt> [places-gazetteer.txt]
+//
+// Inputs are the U.S. Census Bureau Gazetteer files (public domain):
+//   https://www.census.gov/geographies/reference-files/time-series/geo/gazetteer-files.html
+//   - "ZIP Code Tabulation Areas" national file, e.g. 2023_Gaz_zcta_national.txt
+//   - "Places" national file (optional), e.g. 2023_Gaz_place_national.txt
+// Unzip them anywhere; they're only needed while running this script.
+//
+// Output: public/geo/us-zips.json, served as a static file and loaded
+// lazily by src/lib/geo.js the first time someone searches by distance.
+//   { "v": 1, "zips": { "75006": [32.966, -96.884], … },
+//             "places": { "carrollton|tx": [32.989, -96.9], … } }
+// Coordinates are rounded to 3 decimals (~100 m) — plenty for "~32 mi".
+// Re-run it whenever you want fresher Census data and commit the result.
+
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const OUT = resolve(ROOT, "public/geo/us-zips.json");
+
+// Trailing words the Census puts on place names ("Carrollton city").
+const PLACE_SUFFIX =
+  /\s+(city and borough|consolidated government|metropolitan government|unified government|urban county|city|town|township|village|borough|municipality|cdp|comunidad|zona urbana)(\s*\(balance\))?$/i;
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+function readTable(path) {
+  const lines = readFileSync(path, "utf8").split(/\r?\n/).filter((l) => l.trim());
+  const header = lines.shift().split("\t").map((h) => h.trim().toUpperCase());
+  return lines.map((line) => {
+    const cells = line.split("\t");
+    const row = {};
+    header.forEach((h, i) => { row[h] = (cells[i] || "").trim(); });
+    return row;
+  });
+}
+
+function coords(row) {
+  const lat = Number(row.INTPTLAT);
+  const lng = Number(row.INTPTLONG);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? [round(lat), round(lng)] : null;
+}
+
+const [zctaPath, placesPath] = process.argv.slice(2);
+if (!zctaPath) {
+  console.error("Usage: node scripts/build-geo-gazetteer.mjs <zcta-gazetteer.txt> [places-gazetteer.txt]");
+  process.exit(1);
+}
+
+const zips = {};
+for (const row of readTable(zctaPath)) {
+  const zip = row.GEOID;
+  const c = coords(row);
+  if (/^\d{5}$/.test(zip) && c) zips[zip] = c;
+}
+
+const places = {};
+if (placesPath) {
+  // A state can have a city and a CDP with the same name; keep the
+  // bigger one, which is nearly always the one people mean.
+  const area = {};
+  for (const row of readTable(placesPath)) {
+    const state = (row.USPS || "").toLowerCase();
+    const name = (row.NAME || "").replace(PLACE_SUFFIX, "").trim().toLowerCase();
+    const c = coords(row);
+    if (!state || !name || !c) continue;
+    const key = `${name}|${state}`;
+    const land = Number(row.ALAND) || 0;
+    if (key in places && area[key] >= land) continue;
+    places[key] = c;
+    area[key] = land;
+  }
+}
+
+mkdirSync(dirname(OUT), { recursive: true });
+writeFileSync(OUT, JSON.stringify({ v: 1, zips, places }));
+console.log(
+  `Wrote ${Object.keys(zips).length} ZIPs and ${Object.keys(places).length} places to ${OUT}`
+);
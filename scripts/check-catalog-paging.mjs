@@ -0,0 +1,55 @@
+// Check that "Show more" pages through a catalog without losing or
+// repeating cards — in particular a weekly series, which catalog_events
+// returns as one row per date, all with the same id.
+//
+//   npm run check:paging
+//
+// Pages a fake catalog_events through mergeCatalogPage() the way
+// useCatalogPages() does, and fails loudly if the result is off.
+
+import assert from "node:assert/strict";
+import { catalogRowKey, mergeCatalogPage } from "../src/lib/catalog-rows.js";
+
+const PAGE = 4;
+
+// A one-off, then a weekly series of 7 dates that spans pages 1–3, then
+// another one-off.
+const weekly = Array.from({ length: 7 }, (_, i) => ({
+  id: "weekly",
+  occurrence_date: new Date(Date.UTC(2026, 10, 2 + i * 7)).toISOString().slice(0, 10),
+}));
+const server = [{ id: "a" }, ...weekly, { id: "b" }];
+
+function rpc(offset) {
+  return { rows: server.slice(offset, offset + PAGE), total: server.length };
+}
+
+let state = { rows: [], fetched: 0, total: 0 };
+const first = rpc(0);
+state = { rows: first.rows, fetched: first.rows.length, total: first.total };
+
+let requests = 1;
+while (state.fetched < state.total) {
+  assert.ok(requests < 10, `still loading after ${requests} pages — the offset isn't moving`);
+  state = mergeCatalogPage(state, rpc(state.fetched));
+  requests += 1;
+}
+
+assert.equal(requests, Math.ceil(server.length / PAGE), "each page is fetched once");
+assert.equal(state.rows.length, server.length, "every date of the series is shown");
+assert.deepEqual(state.rows.map(catalogRowKey), server.map(catalogRowKey), "in the server's order");
+
+// A row that shifted across the boundary comes back twice; it's shown
+// once, and the next offset still follows what the server sent.
+const shifted = mergeCatalogPage(
+  { rows: server.slice(0, 4), fetched: 4 },
+  { rows: server.slice(3, 7), total: server.length }
+);
+assert.equal(shifted.rows.length, 7);
+assert.equal(shifted.fetched, 8);
+
+// An empty page ends paging instead of asking again forever.
+const done = mergeCatalogPage({ rows: server.slice(0, 4), fetched: 4 }, { rows: [], total: server.length });
+assert.equal(done.total, 4);
+
+console.log("catalog paging: ok");
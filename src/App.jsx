@@ -1,7 +1,63 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import { createPortal } from "react-dom";
-import { useParams } from "react-router-dom";
+import { useParams, useSearchParams } from "react-router-dom";
 import { supabase } from "./lib/supabase.js";
+import {
+  calendarEntriesFor,
+  nextCalendarEntry,
+  buildIcs,
+  googleCalendarUrl,
+  outlookCalendarUrl,
+  icsFileName,
+} from "./lib/ics.js";
+import { EVENT_WITH_SESSIONS, orderSessions } from "./lib/event-sessions.js";
+import {
+  describeRule,
+  expandRow,
+  firstDayOf,
+  occurrenceDays,
+  parseRule,
+  pickOccurrence,
+  repeatLabel,
+} from "./lib/recurrence.js";
+import { useUrlFilters, parseCeParam } from "./lib/url-filters.js";
+import { parseQuery } from "./lib/search.js";
+import { PAGE_SIZE, facetOptions, useCatalogPages, useDebouncedValue } from "./lib/catalog-query.js";
+import { catalogRowKey } from "./lib/catalog-rows.js";
+import {
+  DATE_PRESETS,
+  dateFilterLabel,
+  dateWindow,
+  dayKeyIn,
+  monthLabel,
+  parseRange,
+  presetLabel,
+  rangeValue,
+} from "./lib/date-range.js";
+import {
+  DEFAULT_RADIUS,
+  RADIUS_OPTIONS,
+  distanceLabel,
+  loadGazetteer,
+  zipCentroid,
+} from "./lib/geo.js";
+import { DEFAULT_THEME, normalizeTheme, themeLabel, useThemeVars } from "./lib/client-theme.js";
+import { FLYER_LIMIT, flyerFileName, flyerHref, periodOf, sectionsByMonth } from "./lib/flyer.js";
+import { applyPageLang, i18n, withLang } from "./lib/i18n.js";
+import { emitEmbedEvent, useEmbedCommand, useEmbedConnection, useEmbedFilters } from "./lib/embed-api.js";
+import { recordClick } from "./lib/click-analytics.js";
+import { useLiveStatus } from "./lib/live-status.js";
+import { useMyList } from "./lib/my-list.js";
+import { savedAtLabel } from "./lib/offline.js";
+import { eventJsonLd, itemListJsonLd, setJsonLd } from "./lib/structured-data.js";
+import EventsCalendar from "./EventsCalendar.jsx";
+import Flyer from "./Flyer.jsx";
+import Highlight from "./Highlight.jsx";
+import LoadMore from "./LoadMore.jsx";
+import SaveButton from "./SaveButton.jsx";
+import MyListChip from "./MyListChip.jsx";
+import Recommendations from "./Recommendations.jsx";
+import { ExternalCourseModal, OnDemandCard } from "./OnDemand.jsx";
 import "./catalog-extras.css";
 
 /**
@@ -12,13 +68,45 @@ import "./catalog-extras.css";
  *   /c/:slug?exclusive=1 — that client's exclusive view.
  *
  * If no slug is in the URL, we fall back to slug "mb2" so the original embeds keep serving MB2.
+ *
+ * Any of the above + ?view=past — archive of finished events, newest first.
+ * Any of the above + ?mine=1    — only what the visitor saved to "My list".
+ *
+ *   /partners/:slug  — partner catalog: several clients' public events
+ *                      together (supabase/catalog_aggregates.sql). Cards
+ *                      say which client they're from and link to its pages.
  */
 const DEFAULT_SLUG = "mb2";
 
+// Visitor-facing text and date formats follow ?lang= / the browser
+// (lib/i18n.js). Parsing stored times below stays on "en-US".
+const { t } = i18n;
+
 const isExclusiveMode =
   typeof window !== "undefined" &&
   new URLSearchParams(window.location.search).get("exclusive") === "1";
 
+// Filter state lives in the query string (see lib/url-filters.js), e.g.
+//   /mb2?roles=Hygienist&vendor=Acme&q=implant
+const EVENT_FILTERS = {
+  query:         { param: "q",             type: "string" },
+  category:      { param: "category",      type: "set" },
+  vendor:        { param: "vendor",        type: "set" },
+  ce:            { param: "ce",            type: "set", parse: parseCeParam },
+  format:        { param: "format",        type: "set" },
+  roles:         { param: "roles",         type: "set" },
+  client:        { param: "client",        type: "set" },    // partner catalogs only
+  exclusiveOnly: { param: "exclusiveOnly", type: "flag" },
+  mine:          { param: "mine",          type: "flag" },   // "My list" (lib/my-list.js)
+  dates:         { param: "dates",         type: "string" }, // see lib/date-range.js
+  near:          { param: "near",          type: "string" }, // visitor's ZIP (lib/geo.js)
+  radius:        { param: "radius",        type: "string", default: String(DEFAULT_RADIUS) }, // miles
+  view:          { param: "view",          type: "string", default: "upcoming" }, // upcoming | past
+  layout:        { param: "layout",        type: "string", default: "grid" },     // grid | month | week
+  sortBy:        { param: "sort",          type: "string", default: "relevance" }, // relevance | date | name | ce_desc
+  print:         { param: "print",         type: "flag" },   // printable flyer (Flyer.jsx)
+};
+
 /* ---------- helpers ---------- */
 const safe = (v) =>
   typeof v === "string" ? v.trim() : v == null ? "" : String(v).trim();
@@ -41,24 +129,122 @@ const pickDisplayTz = (storedTz, isInPersonEvt) =>
   isInPersonEvt ? (storedTz || VIEWER_TZ) : VIEWER_TZ;
 
 const formatDate = (d, tz) =>
-  d.toLocaleDateString("en-US", {
+  d.toLocaleDateString(i18n.dateLocale, {
     timeZone: tz || VIEWER_TZ,
     month: "short", day: "numeric", year: "numeric",
   });
 
+// "Tue, Nov 10" for a "YYYY-MM-DD" day.
+const dayLabel = (day) =>
+  new Date(`${day}T12:00:00Z`).toLocaleDateString(i18n.dateLocale, {
+    timeZone: "UTC", weekday: "short", month: "short", day: "numeric",
+  });
+
 const endOfDay = (d) => {
   const x = new Date(d);
   x.setHours(23, 59, 59, 999);
   return x;
 };
 
-const uniq = (arr) => [...new Set(arr.filter(Boolean))];
+// A session is over once the last day it runs on has ended, so multi-day
+// courses stay in the upcoming list until their final day. Sessions with
+// no start (an old free-text time) never count as over on their own.
+const isSessionOver = (s, now) => !!s.start && endOfDay(s.end || s.start) < now;
+
+// An event is over once its last session is.
+const isPastEvent = (r, now) => {
+  const dated = (r.sessions || []).filter((s) => s.start);
+  if (dated.length === 0) return !!r.date && endOfDay(r.endDate || r.date) < now;
+  return dated.every((s) => isSessionOver(s, now));
+};
+
+// Month / week layouts place every match at once, so they load one big
+// page rather than scrolling in more (catalog_events caps a page at 500).
+const CALENDAR_PAGE_SIZE = 500;
+
+// Standalone page for one event (see EventPage below and main.jsx), or
+// for one date of a repeating event.
+const eventPath = (slug, id, day = "") => withLang(`/${slug}/events/${id}${day ? `?date=${day}` : ""}`);
+
+// Saved events + courses together (MyList below).
+const myListPath = (slug) => withLang(`/${slug}/my-list`);
+
+// How many more dates of a repeating event its page links to.
+const MORE_DATES = 6;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Vendor name → vendor row (lowercase key for case-insensitive match)
+const indexVendors = (vendorRows) => {
+  const byName = {};
+  for (const v of vendorRows || []) {
+    if (v.name) byName[v.name.toLowerCase()] = v;
+  }
+  return byName;
+};
+
+// Fall back to the vendor's current logo + default thumbnail when an event
+// row is missing them (it predates the upload or the sync trigger didn't fire).
+const withVendorAssets = (r, vendorByName) => {
+  const vinfo = vendorByName[(r.vendor || "").toLowerCase()];
+  const ownThumb = (r.thumb_url || "").trim();
+  const ownLogo  = (r.vendor_logo_url || "").trim();
+  return {
+    ...r,
+    thumb_url:       ownThumb || vinfo?.default_thumb_url || "",
+    vendor_logo_url: ownLogo  || vinfo?.logo_url           || "",
+  };
+};
 
 const isInPerson = (format) => {
   const f = safe(format).toLowerCase();
   return f === "in-person" || f === "in person" || f === "inperson";
 };
 
+const miles = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+
+// HH:MM of `when` in `displayTz`, like "7:00 PM EDT" (or "7:00 PM" with
+// `withZone` off, for the start of a range). Returns "" if the time is
+// exactly midnight in the stored TZ, which we treat as "no time was set".
+const clockTime = (when, storedTz, displayTz, withZone = true) => {
+  if (!when || isNaN(when.getTime())) return "";
+  const storedParts = new Intl.DateTimeFormat("en-US", {
+    timeZone: storedTz,
+    hour: "2-digit", minute: "2-digit", hour12: false,
+  }).formatToParts(when);
+  const sh = storedParts.find((p) => p.type === "hour")?.value;
+  const sm = storedParts.find((p) => p.type === "minute")?.value;
+  if (sh === "00" && sm === "00") return "";
+  return when.toLocaleTimeString(i18n.dateLocale, {
+    timeZone: displayTz,
+    hour: "numeric",
+    minute: "2-digit",
+    ...(withZone ? { timeZoneName: "short" } : {}),
+  });
+};
+
+// Register-row label for one session.
+// - Single time: "7:00 PM EDT"
+// - Time range:  "8:00 AM – 5:00 PM EDT"
+// - No time: ""
+// With `withDay` (events that run on several dates) the day goes first:
+// "Tue, Mar 10 · 7:00 PM EDT", or just "Tue, Mar 10" with no time.
+const sessionTimeLabel = (start, end, storedTz, displayTz, withDay) => {
+  let time = clockTime(start, storedTz, displayTz);
+  const endShort = clockTime(end, storedTz, displayTz, false);
+  if (time && endShort) {
+    // append the TZ suffix from the full start time just once at the end
+    const tzMatch = time.match(/\s([A-Z]{2,5}T?)$/);
+    const tzSuffix = tzMatch ? ` ${tzMatch[1]}` : "";
+    time = `${clockTime(start, storedTz, displayTz, false)} – ${endShort}${tzSuffix}`;
+  }
+  if (!withDay || !start) return time;
+  const day = start.toLocaleDateString(i18n.dateLocale, {
+    timeZone: displayTz, weekday: "short", month: "short", day: "numeric",
+  });
+  return time ? `${day} · ${time}` : day;
+};
+
 /* ---------- shape Supabase row -> what the cards expect ---------- */
 function fromDb(row) {
   const d = row.event_date ? new Date(row.event_date) : null;
@@ -67,62 +253,6 @@ function fromDb(row) {
   const inPersonEvt = isInPerson(row.format);
   const displayTz = pickDisplayTz(storedTz, inPersonEvt);
 
-  // Helper: format a Date's HH:MM in a given TZ as a string like "7:00 PM EDT".
-  // Returns "" if the time portion is exactly midnight in the stored TZ
-  // (which we treat as "no time was set").
-  const formatTime = (when) => {
-    if (!when || isNaN(when.getTime())) return "";
-    const storedParts = new Intl.DateTimeFormat("en-US", {
-      timeZone: storedTz,
-      hour: "2-digit", minute: "2-digit", hour12: false,
-    }).formatToParts(when);
-    const sh = storedParts.find((p) => p.type === "hour")?.value;
-    const sm = storedParts.find((p) => p.type === "minute")?.value;
-    if (sh === "00" && sm === "00") return "";
-    return when.toLocaleTimeString("en-US", {
-      timeZone: displayTz,
-      hour: "numeric",
-      minute: "2-digit",
-      timeZoneName: "short",
-    });
-  };
-
-  // Plain-time formatter (without timezone suffix) for ranges,
-  // so "8:00 AM – 5:00 PM CDT" reads naturally instead of repeating CDT.
-  const formatTimeShort = (when) => {
-    if (!when || isNaN(when.getTime())) return "";
-    const storedParts = new Intl.DateTimeFormat("en-US", {
-      timeZone: storedTz,
-      hour: "2-digit", minute: "2-digit", hour12: false,
-    }).formatToParts(when);
-    const sh = storedParts.find((p) => p.type === "hour")?.value;
-    const sm = storedParts.find((p) => p.type === "minute")?.value;
-    if (sh === "00" && sm === "00") return "";
-    return when.toLocaleTimeString("en-US", {
-      timeZone: displayTz,
-      hour: "numeric",
-      minute: "2-digit",
-    });
-  };
-
-  // Build the time-range string for the card (Session 1 label fallback).
-  // - Single time: "7:00 PM EDT"
-  // - Time range:  "8:00 AM – 5:00 PM EDT"
-  // - No time: ""
-  const dateTimeString = (() => {
-    const startFull = formatTime(d);
-    if (!startFull) return "";
-    const endShort = formatTimeShort(dEnd);
-    if (endShort) {
-      const startShort = formatTimeShort(d);
-      // append the TZ suffix from startFull just once at the end
-      const tzMatch = startFull.match(/\s([A-Z]{2,5}T?)$/);
-      const tzSuffix = tzMatch ? ` ${tzMatch[1]}` : "";
-      return `${startShort} – ${endShort}${tzSuffix}`;
-    }
-    return startFull;
-  })();
-
   // Multi-day check: end date is on a different calendar day than start
   // (in the event's display TZ).
   const sameDay = (a, b) => {
@@ -133,9 +263,41 @@ function fromDb(row) {
   };
   const multiDay = !!(dEnd && d && !sameDay(d, dEnd));
 
+  // One entry per session (supabase/event_sessions.sql). Session 0 mirrors
+  // the event's own dates, so it falls back to them; later sessions without
+  // a start are old free-text time slots and keep their label as is.
+  const sessionRows = orderSessions(row.sessions);
+  const datedCount = sessionRows.filter((s) => s.starts_at).length;
+  const sessions = (sessionRows.length ? sessionRows : [{}]).map((s, i) => {
+    const own = !!s.starts_at;
+    const start = own ? new Date(s.starts_at) : i === 0 ? d : null;
+    const end = own ? (s.ends_at ? new Date(s.ends_at) : null) : i === 0 ? dEnd : null;
+    const tz = s.timezone || storedTz;
+    const sessionTz = pickDisplayTz(tz, inPersonEvt);
+    return {
+      id: s.id || null,
+      start,
+      end,
+      tz,
+      displayTz: sessionTz,
+      label: safe(s.label) || sessionTimeLabel(start, end, tz, sessionTz, datedCount > 1),
+      url: safe(s.registration_url),
+      email: safe(s.registration_email),
+      capacity: Number.isInteger(s.capacity) && s.capacity > 0 ? s.capacity : null,
+    };
+  });
+
+  // Repeating events arrive one row per date (catalog_events, or
+  // expandRow() on the event page) with `occurrence_date` set.
+  const rule = parseRule(row.recurrence_rule);
+
   return {
     id: row.id,
-    title: safe(row.title) || "Untitled Event",
+    key: catalogRowKey(row),
+    occurrenceDate: row.occurrence_date || "",
+    repeat: repeatLabel(rule, i18n),                        // <-- "Weekly", "Monthly"…; "" for one-offs
+    repeatText: describeRule(rule, firstDayOf(row), i18n),
+    title: safe(row.title) || t("events.untitled"),
     description: safe(row.description),
     date: d,
     endDate: dEnd,     // <-- nullable; when set, drives range displays
@@ -153,22 +315,16 @@ function fromDb(row) {
     roles: Array.isArray(row.roles) ? row.roles : [],
     mb2Exclusive: !!row.mb2_exclusive,
     location: safe(row.location),
+    distance: miles(row.distance_mi), // <-- from the visitor's ZIP; catalog_events only
     inPersonRegistrationLink: safe(row.in_person_registration_url),
     inPersonRegistrationEmail: safe(row.in_person_registration_email),
     discountCode: safe(row.discount_code),
     discountDescription: safe(row.discount_description),
-    sessions: [
-      {
-        label: safe(row.session1_label) || dateTimeString,
-        url: safe(row.session1_url),
-        email: safe(row.session1_email),
-      },
-      {
-        label: safe(row.session2_label),
-        url: safe(row.session2_url),
-        email: safe(row.session2_email),
-      },
-    ].filter((s) => s.label || s.url || s.email),
+    recordingUrl: safe(row.recording_url),
+    sessions,          // <-- [{ start, end, tz, displayTz, label, url, email, capacity }]
+    clientSlug: safe(row.client_slug),   // <-- catalog rows only
+    // Every client listing it, first the one whose copy this is.
+    clients: Array.isArray(row.client_names) ? row.client_names : [],
   };
 }
 
@@ -201,7 +357,7 @@ function PinIcon() {
 function CalendarBlock({ date, tz }) {
   if (!(date instanceof Date) || isNaN(date.getTime())) return null;
   const zone = tz || VIEWER_TZ;
-  const parts = new Intl.DateTimeFormat("en-US", {
+  const parts = new Intl.DateTimeFormat(i18n.dateLocale, {
     timeZone: zone,
     year: "numeric", month: "short", day: "numeric",
   }).formatToParts(date);
@@ -210,7 +366,7 @@ function CalendarBlock({ date, tz }) {
   const year = parseInt(parts.find((p) => p.type === "year")?.value || "0", 10);
   const thisYear = new Date().getFullYear();
   return (
-    <div className="calBlock" aria-label={date.toLocaleDateString("en-US", { timeZone: zone, dateStyle: "long" })}>
+    <div className="calBlock" aria-label={date.toLocaleDateString(i18n.dateLocale, { timeZone: zone, dateStyle: "long" })}>
       <div className="calBlockMonth">{month}</div>
       <div className="calBlockDay">{day}</div>
       {year !== thisYear && <div className="calBlockYear">{year}</div>}
@@ -242,137 +398,84 @@ function ClockIcon() {
    APP
 ================================= */
 
-export default function App({ embedded = false, slugOverride = null }) {
+export default function App({ embedded = false, slugOverride = null, partner = false }) {
   const { slug: routeSlug } = useParams();
   const effectiveSlug = (slugOverride || routeSlug || DEFAULT_SLUG).toLowerCase();
 
-  const [client, setClient] = useState(null);     // { id, name, slug, logo_url } | null
+  // A partner catalog's `client` is its catalog_aggregates row:
+  // { id, name, slug, intro }. Its cards belong to their own clients.
+  const [client, setClient] = useState(null);     // { id, name, slug, logo_url, theme } | null
   const [clientLoading, setClientLoading] = useState(true);
   const [clientError, setClientError] = useState("");
 
-  const [rows, setRows] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [loadError, setLoadError] = useState("");
-
-  const [query, setQuery] = useState("");
-  const [catSelected, setCatSelected] = useState(new Set());
-  const [vendorSelected, setVendorSelected] = useState(new Set());
-  const [ceSelected, setCeSelected] = useState(new Set());
-  const [formatSelected, setFormatSelected] = useState(new Set());
-  const [rolesSelected, setRolesSelected] = useState(new Set());
-  const [mb2ExclusiveOnly, setMb2ExclusiveOnly] = useState(isExclusiveMode);
+  const [filters, setFilter, resetFilters, setFilters] = useUrlFilters(EVENT_FILTERS);
+  const {
+    query,
+    category: catSelected,
+    vendor: vendorSelected,
+    ce: ceSelected,
+    format: formatSelected,
+    roles: rolesSelected,
+    client: clientSelected,
+    sortBy,
+  } = filters;
+  // Exclusive page mode keeps the filter locked on regardless of the URL.
+  // Partner catalogs have no Exclusive events to filter to.
+  const mb2ExclusiveOnly = !partner && (isExclusiveMode || filters.exclusiveOnly);
+  const archive = filters.view === "past";
+
+  // Typing replaces the current history entry; only the first keystroke
+  // of a new search pushes one, so Back clears a search in one step.
+  const setQuery = (v) => setFilter("query", v, { replace: !!query });
+  const setCatSelected = (v) => setFilter("category", v);
+  const setVendorSelected = (v) => setFilter("vendor", v);
+  const setCeSelected = (v) => setFilter("ce", v);
+  const setFormatSelected = (v) => setFilter("format", v);
+  const setRolesSelected = (v) => setFilter("roles", v);
+  const setClientSelected = (v) => setFilter("client", v);
+  const setMb2ExclusiveOnly = (v) => setFilter("exclusiveOnly", v);
+  const setMine = (v) => setFilter("mine", v);
+  const setDates = (v) => setFilter("dates", v);
+  // ZIP + radius change together, as one Back-able step.
+  const setNear = (zip, miles) => {
+    setFilter("near", zip);
+    setFilter("radius", zip ? String(miles) : "", { replace: true });
+  };
+  const setView = (v) => setFilter("view", v);
+  const setLayout = (v) => setFilter("layout", v);
+  const setSortBy = (v) => setFilter("sortBy", v);
 
-  // 1. Resolve the client by slug
+  // 1. Resolve the client (or partner catalog) by slug
   useEffect(() => {
     let cancelled = false;
     setClientLoading(true);
     setClientError("");
     (async () => {
-      const { data, error } = await supabase
-        .from("clients")
-        .select("id, name, slug, logo_url")
-        .eq("slug", effectiveSlug)
-        .maybeSingle();
+      const { data, error } = partner
+        ? await supabase
+            .from("catalog_aggregates")
+            .select("id, name, slug, intro")
+            .eq("slug", effectiveSlug)
+            .eq("is_published", true)
+            .maybeSingle()
+        : await supabase
+            .from("clients")
+            .select("id, name, slug, logo_url, theme")
+            .eq("slug", effectiveSlug)
+            .maybeSingle();
       if (cancelled) return;
       if (error) { setClientError(error.message); setClient(null); }
       else setClient(data || null);
       setClientLoading(false);
     })();
     return () => { cancelled = true; };
-  }, [effectiveSlug]);
-
-  // 2. Load events for that client
-  useEffect(() => {
-    if (!client?.id) return;
-    let cancelled = false;
-
-    async function load() {
-      setLoading(true);
-      setLoadError("");
-      try {
-        // Fetch events + vendor info in parallel so we can fall back to
-        // the vendor's current logo + default thumbnail when an event row
-        // is missing them (because it predates the upload or the sync
-        // trigger didn't fire).
-        const [evRes, vendorRes] = await Promise.all([
-          supabase
-            .from("events")
-            .select("*")
-            .eq("is_published", true)
-            .eq("client_id", client.id)
-            .order("event_date", { ascending: true }),
-          supabase
-            .from("vendors")
-            .select("name, logo_url, default_thumb_url")
-            .eq("client_id", client.id),
-        ]);
-        if (evRes.error) throw evRes.error;
-
-        // Vendor name → vendor row (lowercase key for case-insensitive match)
-        const vendorByName = {};
-        for (const v of vendorRes.data || []) {
-          if (v.name) vendorByName[v.name.toLowerCase()] = v;
-        }
-
-        if (!cancelled) {
-          const enriched = (evRes.data || []).map((r) => {
-            const vinfo = vendorByName[(r.vendor || "").toLowerCase()];
-            const ownThumb = (r.thumb_url || "").trim();
-            const ownLogo  = (r.vendor_logo_url || "").trim();
-            return {
-              ...r,
-              thumb_url:       ownThumb || vinfo?.default_thumb_url || "",
-              vendor_logo_url: ownLogo  || vinfo?.logo_url           || "",
-            };
-          });
-          setRows(enriched.map(fromDb));
-        }
-      } catch (e) {
-        console.error("Data load error:", e);
-        if (!cancelled) {
-          setRows([]);
-          setLoadError(e?.message || "Failed to load data.");
-        }
-      } finally {
-        if (!cancelled) setLoading(false);
-      }
-    }
-
-    load();
-    return () => { cancelled = true; };
-  }, [client?.id]);
+  }, [effectiveSlug, partner]);
 
-  const categories = useMemo(
-    () => uniq(rows.map((r) => r.category)).sort((a, b) => a.localeCompare(b)),
-    [rows]
-  );
-  const vendors = useMemo(
-    () => uniq(rows.map((r) => r.vendor)).sort((a, b) => a.localeCompare(b)),
-    [rows]
-  );
-  // CE Hours filter — caps at "10+". Any course with ce > 10 rolls up
-  // into a single "10+" bucket instead of listing every distinct value.
-  const CE_OVER = "10+";
-  const ceHours = useMemo(() => {
-    const vals = rows.map((r) => r.ce).filter((n) => typeof n === "number");
-    const lowSet = new Set();
-    let hasOver = false;
-    for (const v of vals) {
-      if (v > 10) hasOver = true;
-      else lowSet.add(v);
-    }
-    const sorted = [...lowSet].sort((a, b) => a - b);
-    if (hasOver) sorted.push(CE_OVER);
-    return sorted;
-  }, [rows]);
-  const formats = useMemo(
-    () => uniq(rows.map((r) => r.format)).sort((a, b) => a.localeCompare(b)),
-    [rows]
-  );
-  const roles = useMemo(() => {
-    const all = rows.flatMap((r) => (Array.isArray(r.roles) ? r.roles : []));
-    return uniq(all).sort((a, b) => a.localeCompare(b));
-  }, [rows]);
+  // The client's colors, font and labels. Inside the /all page the host
+  // applies the colors, so only a standalone catalog sets them.
+  const theme = useMemo(() => normalizeTheme(client?.theme), [client]);
+  useThemeVars(embedded ? null : theme);
+  useEffect(applyPageLang, []);
 
   const toggle = (setFn, value) =>
     setFn((prev) => {
@@ -381,61 +484,141 @@ export default function App({ embedded = false, slugOverride = null }) {
       return next;
     });
 
-  const clearFilters = () => {
-    setQuery("");
-    setCatSelected(new Set());
-    setVendorSelected(new Set());
-    setCeSelected(new Set());
-    setFormatSelected(new Set());
-    setRolesSelected(new Set());
-    setMb2ExclusiveOnly(isExclusiveMode);
-  };
+  // Clearing filters doesn't leave the archive — that's a view, not a
+  // filter — and keeps the chosen layout and sort.
+  const clearFilters = () => resetFilters(["view", "layout", "sortBy"]);
 
-  const filtered = useMemo(() => {
-    const now = new Date();
-    const q = safe(query).toLowerCase();
-
-    const catOn = catSelected.size > 0;
-    const vendorOn = vendorSelected.size > 0;
-    const ceOn = ceSelected.size > 0;
-    const formatOn = formatSelected.size > 0;
-    const rolesOn = rolesSelected.size > 0;
-
-    return rows
-      .filter((r) => (r.date ? endOfDay(r.date) >= now : true))
-      .filter((r) => (catOn ? catSelected.has(r.category) : true))
-      .filter((r) => (vendorOn ? vendorSelected.has(r.vendor) : true))
-      .filter((r) => {
-        if (!ceOn) return true;
-        if (typeof r.ce !== "number") return false;
-        // Exact-value match
-        if (ceSelected.has(r.ce)) return true;
-        // 10+ bucket match: any course with more than 10 CE hours
-        if (r.ce > 10 && ceSelected.has(CE_OVER)) return true;
-        return false;
-      })
-      .filter((r) => (formatOn ? formatSelected.has(r.format) : true))
-      .filter((r) => (mb2ExclusiveOnly ? r.mb2Exclusive === true : true))
-      .filter((r) => {
-        if (!rolesOn) return true;
-        const rRoles = Array.isArray(r.roles) ? r.roles : [];
-        return rRoles.some((rr) => rolesSelected.has(rr));
-      })
-      .filter((r) => {
-        if (!q) return true;
-        const hay = `${r.title} ${r.vendor} ${r.category} ${r.format ?? ""} ${r.ce ?? ""} ${
-          r.description ?? ""
-        } ${r.location ?? ""} ${(Array.isArray(r.roles) ? r.roles.join(" ") : "")} ${
-          r.date ? formatDate(r.date) : ""
-        }`.toLowerCase();
-        return hay.includes(q);
-      })
-      .sort((a, b) => {
-        const ad = a.date ? a.date.getTime() : Number.POSITIVE_INFINITY;
-        const bd = b.date ? b.date.getTime() : Number.POSITIVE_INFINITY;
-        return ad - bd;
-      });
-  }, [rows, query, catSelected, vendorSelected, ceSelected, formatSelected, rolesSelected, mb2ExclusiveOnly]);
+  // The database is queried once typing pauses; cards highlight the same
+  // terms the results were ranked by.
+  const settledQuery = useDebouncedValue(query);
+  const searchTerms = useMemo(() => parseQuery(settledQuery), [settledQuery]);
+
+  // Distance filter. The ZIP table is only fetched once someone uses it.
+  const nearZip = safe(filters.near);
+  const radius = Number(filters.radius) || DEFAULT_RADIUS;
+  const [gazetteer, setGazetteer] = useState(null);
+  const [geoUnavailable, setGeoUnavailable] = useState(false);
+  useEffect(() => {
+    if (!nearZip || gazetteer) return;
+    let cancelled = false;
+    loadGazetteer().then((g) => {
+      if (cancelled) return;
+      if (g) setGazetteer(g);
+      else setGeoUnavailable(true);
+    });
+    return () => { cancelled = true; };
+  }, [nearZip, gazetteer]);
+
+  const nearOrigin = useMemo(
+    () => (nearZip && gazetteer ? zipCentroid(nearZip, gazetteer) : null),
+    [nearZip, gazetteer]
+  );
+  const nearStatus = !nearZip
+    ? ""
+    : geoUnavailable
+      ? "unavailable"
+      : !gazetteer
+        ? "loading"
+        : nearOrigin ? "ok" : "unknownZip";
+
+  const myList = useMyList();
+
+  // 2. Load events for that client, a page at a time. Filtering, search
+  // ranking and sorting run in Postgres (supabase/catalog_search.sql);
+  // the calendar layouts need the whole range at once, so they ask for
+  // one big page instead.
+  const win = dateWindow(filters.dates);
+  const catalogArgs = client?.id && nearStatus !== "loading"
+    ? {
+        ...(partner ? { p_slug: effectiveSlug } : { p_client_id: client.id }),
+        p_filters: {
+          tz: VIEWER_TZ,
+          today: dayKeyIn(new Date(), VIEWER_TZ),
+          view: archive ? "past" : "upcoming",
+          terms: searchTerms,
+          category: [...catSelected],
+          vendor: [...vendorSelected],
+          ce: [...ceSelected],
+          format: [...formatSelected],
+          roles: [...rolesSelected],
+          client: partner ? [...clientSelected] : [],
+          exclusive_only: mb2ExclusiveOnly,
+          date_start: win?.start || "",
+          date_end: win?.end || "",
+          near: nearOrigin ? { ...nearOrigin, miles: radius } : null,
+          // Only sent with the chip on; an empty list then matches nothing.
+          saved: filters.mine ? myList.events : undefined,
+        },
+        // The flyer is laid out by month, so it's always in date order.
+        p_sort: filters.print ? "date" : sortBy,
+      }
+    : null;
+  const catalog = useCatalogPages(partner ? "catalog_aggregate_events" : "catalog_events", catalogArgs, {
+    pageSize: filters.print ? FLYER_LIMIT : filters.layout === "grid" ? PAGE_SIZE : CALENDAR_PAGE_SIZE,
+  });
+  const loading = catalog.loading && catalog.rows.length === 0;
+  const loadError = catalog.error;
+  const items = useMemo(() => catalog.rows.map(fromDb), [catalog.rows]);
+
+  // What search engines read of the page (lib/structured-data.js): the
+  // loaded events as an ItemList, each linking to its own event page.
+  useEffect(() => {
+    if (!client) return undefined;
+    return setJsonLd("catalog", itemListJsonLd({
+      name: client.name,
+      url: `${window.location.origin}${window.location.pathname}`,
+      items: items.map((item) =>
+        eventJsonLd(item, {
+          url: `${window.location.origin}${eventPath(partner ? item.clientSlug : effectiveSlug, item.id, item.occurrenceDate)}`,
+          clientName: partner ? item.clients[0] : client.name,
+        })
+      ),
+    }));
+  }, [items, client, partner, effectiveSlug]);
+
+  // Popover options and counts. Each facet applies every filter except
+  // its own, so the numbers say what ticking that option would show.
+  const { facets } = catalog;
+  const formats = useMemo(() => facetOptions(facets.format, formatSelected), [facets, formatSelected]);
+  const roles = useMemo(() => facetOptions(facets.roles, rolesSelected), [facets, rolesSelected]);
+  const categories = useMemo(() => facetOptions(facets.category, catSelected), [facets, catSelected]);
+  const vendors = useMemo(() => facetOptions(facets.vendor, vendorSelected), [facets, vendorSelected]);
+  const clientOptions = useMemo(() => facetOptions(facets.client, clientSelected), [facets, clientSelected]);
+  // CE Hours — anything over 10 comes back as a single "10+" bucket.
+  const ceHours = useMemo(
+    () => facetOptions(facets.ce, ceSelected, parseCeParam),
+    [facets, ceSelected]
+  );
+  // Month picker choices: months with matching events in the current view.
+  const dateMonths = useMemo(() => (facets.months || []).map((m) => m.value), [facets]);
+
+  // The host page's side of the TI embed (lib/embed-api.js). Its
+  // allowlist is a client's, so partner catalogs don't take commands.
+  useEmbedConnection(partner ? null : effectiveSlug);
+  useEmbedFilters("events", EVENT_FILTERS, filters, setFilters);
+
+  // scroll-to-event: only cards are scrolled to, so the calendar layouts
+  // hand over to the grid first. The card has to be among the loaded
+  // results — the host can narrow the filters with set-filters beforehand.
+  const [scrollTarget, setScrollTarget] = useState(null);
+  useEmbedCommand("scroll-to-event", (msg) => {
+    const id = String(msg.eventId ?? "");
+    const date = typeof msg.date === "string" ? msg.date : "";
+    if (!items.some((i) => String(i.id) === id && (!date || i.occurrenceDate === date))) {
+      console.warn(`[embed] scroll-to-event: event ${id} ${date} isn't in the current results`);
+      return;
+    }
+    if (filters.layout !== "grid") setFilter("layout", "grid", { replace: true });
+    setScrollTarget({ id, date });
+  });
+  useEffect(() => {
+    if (!scrollTarget) return;
+    const date = scrollTarget.date ? `[data-event-date="${CSS.escape(scrollTarget.date)}"]` : "";
+    const card = document.querySelector(`[data-event-id="${CSS.escape(scrollTarget.id)}"]${date}`);
+    if (!card) return; // not rendered yet — runs again once the grid is
+    card.scrollIntoView({ behavior: "smooth", block: "start" });
+    setScrollTarget(null);
+  }, [scrollTarget, items, filters.layout]);
 
   // Hard 404 if the slug doesn't resolve
   if (!clientLoading && !client) {
@@ -443,8 +626,8 @@ export default function App({ embedded = false, slugOverride = null }) {
       <div className="page">
         <header className="header">
           <div className="headerLeft">
-            <h1>Catalog not found</h1>
-            <p>{clientError || `No catalog exists at "${effectiveSlug}".`}</p>
+            <h1>{t("events.notFound")}</h1>
+            <p>{clientError || t("events.noCatalog", { slug: effectiveSlug })}</p>
           </div>
         </header>
       </div>
@@ -452,9 +635,41 @@ export default function App({ embedded = false, slugOverride = null }) {
   }
 
   const clientName = client?.name || "";
-  const title = isExclusiveMode
-    ? `Upcoming ${clientName} Exclusive Events`.trim()
-    : "Upcoming Events";
+  // Cards link to, and count clicks for, the client the event is from.
+  const cardSlug = (item) => (partner ? item.clientSlug : effectiveSlug);
+  // A client's own header copy replaces the regular upcoming view's;
+  // the archive and the exclusive page keep theirs. A partner catalog
+  // is headed by its name and intro.
+  const title = partner
+    ? (!archive && clientName) || t(archive ? "events.titlePast" : "events.titleUpcoming")
+    : isExclusiveMode
+      ? t(archive ? "events.titleExclusivePast" : "events.titleExclusiveUpcoming", { name: clientName }).replace(/\s+/g, " ").trim()
+      : (!archive && theme.events_title) || t(archive ? "events.titlePast" : "events.titleUpcoming");
+  const intro = archive
+    ? t("events.introPast")
+    : partner
+      ? client?.intro || t("events.introPartners")
+      : isExclusiveMode
+        ? t("events.introExclusive", { name: clientName })
+        : theme.events_intro || t("events.intro");
+
+  if (filters.print) {
+    const sections = sectionsByMonth(items.map((item) => eventFlyerEntry(item, cardSlug(item), archive)));
+    return (
+      <Flyer
+        slug={partner ? "" : effectiveSlug}
+        title={title}
+        period={periodOf(sections)}
+        sections={sections}
+        scanHint={t(archive ? "flyer.scanPast" : "flyer.scanEvents")}
+        loading={clientLoading || loading}
+        error={loadError}
+        shown={items.length}
+        total={catalog.total}
+        fileName={flyerFileName(effectiveSlug, archive ? "past-events" : "live-events", dayKeyIn(new Date(), VIEWER_TZ).slice(0, 7))}
+      />
+    );
+  }
 
   return (
     <div className={`page ${embedded ? "pageEmbedded" : ""}`}>
@@ -466,15 +681,13 @@ export default function App({ embedded = false, slugOverride = null }) {
               <h1>{title}</h1>
             </div>
             <p>
-              {isExclusiveMode
-                ? `Browse upcoming ${clientName} Exclusive events, register instantly, and filter by category, vendor, CE hours, format, or role.`
-                : "Browse upcoming events, register instantly, and filter by category, vendor, CE hours, format, or role."}
+              {intro}
             </p>
           </div>
 
           <input
             className="search"
-            placeholder="Search events, vendors, categories…"
+            placeholder={t("events.searchPlaceholder")}
             value={query}
             onChange={(e) => setQuery(e.target.value)}
           />
@@ -489,56 +702,547 @@ export default function App({ embedded = false, slugOverride = null }) {
         clientName={clientName}
         isExclusiveMode={isExclusiveMode}
         mb2ExclusiveOnly={mb2ExclusiveOnly}
-        setMb2ExclusiveOnly={setMb2ExclusiveOnly}
+        setMb2ExclusiveOnly={partner ? null : setMb2ExclusiveOnly}
+        mine={filters.mine}
+        setMine={setMine}
+        myListHref={embedded || partner ? "" : myListPath(effectiveSlug)}
+        printHref={flyerHref()}
+        view={archive ? "past" : "upcoming"}
+        setView={setView}
+        dates={filters.dates}
+        setDates={setDates}
+        dateMonths={dateMonths}
+        nearZip={nearZip}
+        radius={radius}
+        setNear={setNear}
+        nearStatus={nearStatus}
+        layout={filters.layout}
+        setLayout={setLayout}
+        sortBy={sortBy}
+        setSortBy={setSortBy}
         formats={formats} formatSelected={formatSelected} setFormatSelected={setFormatSelected}
         roles={roles} rolesSelected={rolesSelected} setRolesSelected={setRolesSelected}
         categories={categories} catSelected={catSelected} setCatSelected={setCatSelected}
         vendors={vendors} vendorSelected={vendorSelected} setVendorSelected={setVendorSelected}
         ceHours={ceHours} ceSelected={ceSelected} setCeSelected={setCeSelected}
+        clientOptions={partner ? clientOptions : null}
+        clientSelected={clientSelected} setClientSelected={setClientSelected}
         toggle={toggle}
         clearFilters={clearFilters}
-        filteredCount={filtered.length}
+        filteredCount={catalog.total}
         showSearch={embedded}
         query={query}
         setQuery={setQuery}
-        searchPlaceholder="Search events, vendors, categories…"
+        searchPlaceholder={t("events.searchPlaceholder")}
       />
 
       <div className="layoutTop">
         <main className="mainFull">
-          {loading && <div className="center">Loading…</div>}
+          {loading && <div className="center">{t("common.loading")}</div>}
 
           {!loading && loadError && (
             <div className="errorBox">
-              <div className="errorTitle">Data not loading</div>
+              <div className="errorTitle">{t("common.dataNotLoading")}</div>
               <div className="errorLine">
-                <strong>Error:</strong> {loadError}
+                <strong>{t("common.error")}</strong> {loadError}
               </div>
+              {/* Setup hint for whoever runs the site — left in English. */}
               <div className="errorHint">
                 Check that <code>VITE_SUPABASE_URL</code> and <code>VITE_SUPABASE_ANON_KEY</code> are set in
-                Netlify → Site settings → Environment variables, and that the events table has at least one
-                row with <code>is_published = true</code>.
+                Netlify → Site settings → Environment variables, that <code>supabase/catalog_search.sql</code> has
+                been run, and that the events table has at least one row with <code>is_published = true</code>.
               </div>
             </div>
           )}
 
-          {!loading && !loadError && filtered.length === 0 && (
-            <div className="center">No upcoming events match your filters.</div>
+          {!loading && !loadError && catalog.savedAt && (
+            <div className="savedNotice" role="status">{savedAtLabel(catalog.savedAt)}</div>
+          )}
+
+          {!loading && !loadError && items.length === 0 && (
+            <div className="center">
+              {filters.mine && myList.events.length === 0
+                ? t("myList.noneHere")
+                : t(archive ? "events.nonePast" : "events.noneUpcoming")}
+            </div>
+          )}
+
+          {!loading && !loadError && items.length > 0 && filters.layout !== "grid" && (
+            <EventsCalendar
+              key={archive ? "past" : "upcoming"}
+              events={items}
+              mode={filters.layout === "week" ? "week" : "month"}
+              onModeChange={setLayout}
+              renderCard={(item) => (
+                <Card
+                  item={item}
+                  slug={cardSlug(item)}
+                  clientName={clientName}
+                  archived={archive}
+                  href={eventPath(cardSlug(item), item.id, item.occurrenceDate)}
+                  terms={searchTerms}
+                  distance={item.distance}
+                  theme={theme}
+                  showClients={partner}
+                />
+              )}
+            />
           )}
 
-          {!loading && !loadError && filtered.length > 0 && (
+          {!loading && !loadError && items.length > 0 && filters.layout === "grid" && (
             <div className="grid">
-              {filtered.map((item) => (
-                <Card key={item.id} item={item} clientName={clientName} />
+              {items.map((item) => (
+                <Card
+                  key={item.key}
+                  item={item}
+                  slug={cardSlug(item)}
+                  clientName={clientName}
+                  archived={archive}
+                  href={eventPath(cardSlug(item), item.id, item.occurrenceDate)}
+                  terms={searchTerms}
+                  distance={item.distance}
+                  theme={theme}
+                  showClients={partner}
+                />
               ))}
             </div>
           )}
+
+          {!loading && !loadError && catalog.hasMore && (
+            <LoadMore
+              onLoadMore={catalog.loadMore}
+              loading={catalog.loadingMore}
+              shown={items.length}
+              total={catalog.total}
+              noun={t("events.noun")}
+            />
+          )}
         </main>
       </div>
     </div>
   );
 }
 
+/* =====================================================================
+   EVENT PAGE — /:slug/events/:id. One event on its own, shareable URL.
+   Link previews (LinkedIn, Slack…) come from netlify/functions/
+   event-page.js, which serves this same SPA with the event's meta tags.
+===================================================================== */
+export function EventPage() {
+  const { slug: routeSlug, id } = useParams();
+  const slug = (routeSlug || DEFAULT_SLUG).toLowerCase();
+  // ?date=YYYY-MM-DD picks one date of a repeating event.
+  const [searchParams] = useSearchParams();
+  const wantedDate = searchParams.get("date") || "";
+
+  const [client, setClient] = useState(null);
+  const [item, setItem] = useState(null);
+  const [moreDates, setMoreDates] = useState([]);
+  // The row behind `item`, for the suggestions under the card.
+  const [source, setSource] = useState(null);
+  const [externalCourse, setExternalCourse] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setLoadError("");
+    setSource(null);
+    (async () => {
+      try {
+        const { data: c, error: cErr } = await supabase
+          .from("clients")
+          .select("id, name, slug, logo_url, theme")
+          .eq("slug", slug)
+          .maybeSingle();
+        if (cErr) throw cErr;
+        if (cancelled) return;
+        setClient(c || null);
+        // Anything that isn't a row id would make Postgres reject the
+        // query — treat it as "not found" instead of an error.
+        if (!c || !UUID_RE.test(id || "")) { setItem(null); return; }
+
+        const { data: row, error: eErr } = await supabase
+          .from("events")
+          .select(EVENT_WITH_SESSIONS)
+          .eq("id", id)
+          .eq("client_id", c.id)
+          .eq("is_published", true)
+          .maybeSingle();
+        if (eErr) throw eErr;
+        if (!row) { if (!cancelled) setItem(null); return; }
+
+        // A repeating event shows the date that was linked (or the next
+        // one) and links to the few after it.
+        const today = dayKeyIn(new Date(), VIEWER_TZ);
+        const day = pickOccurrence(row, wantedDate, today);
+        const later = day
+          ? occurrenceDays(firstDayOf(row), parseRule(row.recurrence_rule), {
+              exdates: row.recurrence_exdates || [],
+              from: day > today ? day : today,
+              limit: MORE_DATES + 1,
+            }).filter((d) => d !== day).slice(0, MORE_DATES)
+          : [];
+
+        const { data: vendorRows } = await supabase
+          .from("vendors")
+          .select("name, logo_url, default_thumb_url")
+          .eq("client_id", c.id);
+        if (cancelled) return;
+        const shown = withVendorAssets(day ? expandRow(row, day) : row, indexVendors(vendorRows));
+        setItem(fromDb(shown));
+        setSource({ kind: "event", row: shown });
+        setMoreDates(later.map((d) => ({ day: d, href: eventPath(slug, row.id, d) })));
+      } catch (e) {
+        console.error("Event load error:", e);
+        if (!cancelled) { setItem(null); setLoadError(e?.message || t("eventPage.loadFailed")); }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [slug, id, wantedDate]);
+
+  const clientName = client?.name || "";
+  const theme = useMemo(() => normalizeTheme(client?.theme), [client]);
+  useThemeVars(theme);
+  useEffect(applyPageLang, []);
+
+  useEffect(() => {
+    if (item) document.title = clientName ? `${item.title} | ${clientName}` : item.title;
+  }, [item, clientName]);
+
+  // Replaces the copy event-page.js put in the served HTML, so a
+  // crawler that runs scripts still finds one Event.
+  useEffect(() => {
+    if (!item) return undefined;
+    return setJsonLd("event", eventJsonLd(item, {
+      url: `${window.location.origin}${eventPath(slug, item.id, item.occurrenceDate)}`,
+      clientName,
+    }));
+  }, [item, slug, clientName]);
+
+  const past = item ? isPastEvent(item, new Date()) : false;
+
+  return (
+    <div className="page eventPage">
+      <CatalogElevatedStyles />
+      <header className="header">
+        <div className="headerLeft">
+          <a className="eventPageBack" href={withLang(`/${slug}${past ? "?view=past" : ""}`)}>
+            {clientName
+              ? t(past ? "eventPage.backPastNamed" : "eventPage.backUpcomingNamed", { name: clientName })
+              : t(past ? "eventPage.backPast" : "eventPage.backUpcoming")}
+          </a>
+        </div>
+      </header>
+
+      <main className="eventPageMain">
+        {loading && <div className="center">{t("common.loading")}</div>}
+
+        {!loading && loadError && (
+          <div className="errorBox">
+            <div className="errorTitle">{t("eventPage.notLoading")}</div>
+            <div className="errorLine">
+              <strong>{t("common.error")}</strong> {loadError}
+            </div>
+          </div>
+        )}
+
+        {!loading && !loadError && !item && (
+          <div className="center">{t("eventPage.unavailable")}</div>
+        )}
+
+        {!loading && item && (
+          <Card item={item} slug={slug} clientName={clientName} archived={past} detail moreDates={moreDates} theme={theme} />
+        )}
+
+        {!loading && item && (
+          <Recommendations
+            source={source}
+            clientId={client?.id || null}
+            slug={slug}
+            onExternalClick={setExternalCourse}
+          />
+        )}
+      </main>
+
+      <ExternalCourseModal
+        course={externalCourse?.course || null}
+        anchorY={externalCourse?.anchorY}
+        cardTop={externalCourse?.cardTop}
+        cardCenterX={externalCourse?.cardCenterX}
+        slug={slug}
+        onClose={() => setExternalCourse(null)}
+      />
+    </div>
+  );
+}
+
+/* =====================================================================
+   MY LIST — /:slug/my-list, and the "My list" tab of /all. Everything
+   the visitor saved (lib/my-list.js): this client's upcoming events and
+   the on-demand courses, with a printable version of the list and one
+   .ics file for all the saved events.
+===================================================================== */
+
+// The RPCs' page cap; a saved list longer than that isn't a real case.
+const MY_LIST_LIMIT = 500;
+
+// Every dated session on its own line: "Tue, Mar 10 · 7:00 PM CDT".
+const printWhen = (item) => {
+  const dated = item.sessions.filter((s) => s.start);
+  if (dated.length === 0) return item.date ? formatDate(item.date, item.displayTz) : "";
+  return dated.map((s) => sessionTimeLabel(s.start, s.end, s.tz, s.displayTz, true)).join("\n");
+};
+
+// What an event's QR code on the flyer opens: its registration page when
+// there's exactly one, otherwise the event page, which lists them all.
+// Past events only have their page.
+const flyerUrl = (item, slug, archived) => {
+  const page = `${window.location.origin}${eventPath(slug, item.id, item.occurrenceDate)}`;
+  if (archived) return page;
+  const links = new Set(
+    [item.inPersonRegistrationLink, ...item.sessions.map((s) => s.url)].filter(isUrl)
+  );
+  return links.size === 1 ? [...links][0] : page;
+};
+
+// One line of the printable flyer (Flyer.jsx).
+const eventFlyerEntry = (item, slug, archived) => ({
+  key: item.key,
+  title: item.title,
+  when: printWhen(item),
+  details: [
+    item.vendor ? t("calendar.presentedBy", { vendor: item.vendor }) : "",
+    item.inPersonEvt ? item.location : "",
+  ].filter(Boolean).join(" · "),
+  badges: [
+    typeof item.ce === "number" ? t("common.ce", { ce: item.ce }) : "",
+    i18n.value("format", item.format),
+    item.mb2Exclusive ? t("common.exclusive") : "",
+  ].filter(Boolean),
+  url: flyerUrl(item, slug, archived),
+  month: item.date ? monthLabel(dayKeyIn(item.date, item.displayTz).slice(0, 7), i18n) : "",
+});
+
+export function MyList({ embedded = false, slugOverride = null }) {
+  const { slug: routeSlug } = useParams();
+  const slug = (slugOverride || routeSlug || DEFAULT_SLUG).toLowerCase();
+
+  const [client, setClient] = useState(null);
+  const [clientLoading, setClientLoading] = useState(true);
+  const [externalCourse, setExternalCourse] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setClientLoading(true);
+    supabase
+      .from("clients")
+      .select("id, name, slug, logo_url, theme")
+      .eq("slug", slug)
+      .maybeSingle()
+      .then(({ data }) => {
+        if (cancelled) return;
+        setClient(data || null);
+        setClientLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [slug]);
+
+  const theme = useMemo(() => normalizeTheme(client?.theme), [client]);
+  useThemeVars(embedded ? null : theme);
+  useEffect(applyPageLang, []);
+
+  const saved = useMyList();
+  const today = dayKeyIn(new Date(), VIEWER_TZ);
+  const events = useCatalogPages(
+    "catalog_events",
+    client?.id
+      ? {
+          p_client_id: client.id,
+          p_filters: { tz: VIEWER_TZ, today, view: "upcoming", saved: saved.events },
+          p_sort: "date",
+        }
+      : null,
+    { pageSize: MY_LIST_LIMIT }
+  );
+  const courses = useCatalogPages(
+    "catalog_courses",
+    { p_filters: { today, saved: saved.courses }, p_sort: "name" },
+    { pageSize: MY_LIST_LIMIT }
+  );
+  const items = useMemo(() => events.rows.map(fromDb), [events.rows]);
+
+  const clientName = client?.name || "";
+  // Events wait for the client; an unknown slug just lists the courses.
+  const loading =
+    clientLoading ||
+    (!!client && events.loading && events.rows.length === 0) ||
+    (courses.loading && courses.rows.length === 0);
+  const loadError = events.error || courses.error;
+  const empty = items.length === 0 && courses.rows.length === 0;
+
+  const downloadAll = () => {
+    const entries = items.flatMap((item) => calendarEntriesFor(item, i18n));
+    downloadIcs(
+      buildIcs(entries, { name: t("myList.calendarName", { name: clientName || "MB2" }) }),
+      icsFileName(t("myList.title"))
+    );
+  };
+
+  return (
+    <div className={`page myListPage ${embedded ? "pageEmbedded" : ""}`}>
+      <CatalogElevatedStyles />
+      {!embedded && (
+        <header className="header">
+          <div className="headerLeft">
+            <a className="eventPageBack" href={withLang(`/${slug}`)}>{t("myList.back")}</a>
+            <div className="titleRow">
+              <h1>{t("myList.title")}</h1>
+            </div>
+            <p>{t("myList.intro")}</p>
+          </div>
+        </header>
+      )}
+
+      <div className="layoutTop">
+        <main className="mainFull">
+          {embedded && <p className="myListIntro">{t("myList.intro")}</p>}
+
+          <div className="myListActions">
+            <button
+              type="button"
+              className="myListBtn"
+              onClick={() => window.print()}
+              disabled={loading || empty}
+            >
+              {t("myList.print")}
+            </button>
+            <button
+              type="button"
+              className="myListBtn"
+              onClick={downloadAll}
+              disabled={loading || items.length === 0}
+            >
+              {t("myList.ics")}
+            </button>
+          </div>
+
+          {loading && <div className="center">{t("common.loading")}</div>}
+
+          {!loading && loadError && (
+            <div className="errorBox">
+              <div className="errorTitle">{t("common.dataNotLoading")}</div>
+              <div className="errorLine">
+                <strong>{t("common.error")}</strong> {loadError}
+              </div>
+            </div>
+          )}
+
+          {!loading && !loadError && empty && (
+            <div className="center">{t("myList.empty")}</div>
+          )}
+
+          {!loading && !loadError && items.length > 0 && (
+            <section className="myListSection">
+              <h2 className="myListHeading">{t("myList.events")}</h2>
+              <div className="grid">
+                {items.map((item) => (
+                  <Card
+                    key={item.key}
+                    item={item}
+                    slug={slug}
+                    clientName={clientName}
+                    href={eventPath(slug, item.id, item.occurrenceDate)}
+                    theme={theme}
+                  />
+                ))}
+              </div>
+            </section>
+          )}
+
+          {!loading && !loadError && courses.rows.length > 0 && (
+            <section className="myListSection">
+              <h2 className="myListHeading">{t("myList.courses")}</h2>
+              <div className="odGrid">
+                {courses.rows.map((c) => (
+                  <OnDemandCard key={c.id} course={c} slug={slug} onExternalClick={setExternalCourse} theme={theme} />
+                ))}
+              </div>
+            </section>
+          )}
+        </main>
+      </div>
+
+      {/* What the Print button prints — a plain list with full links,
+          in place of the card grid (see .myListSheet in catalog-extras.css). */}
+      {!loading && !empty && (
+        <section className="myListSheet">
+          <h1>{clientName ? `${t("myList.title")} — ${clientName}` : t("myList.title")}</h1>
+          <p className="myListSheetDate">
+            {t("myList.printedOn", { date: formatDate(new Date(), VIEWER_TZ) })}
+          </p>
+          {items.length > 0 && (
+            <>
+              <h2>{t("myList.events")}</h2>
+              <ol>
+                {items.map((item) => (
+                  <li key={item.key}>
+                    <strong>{item.title}</strong>
+                    <div className="myListSheetWhen">{printWhen(item)}</div>
+                    <div>
+                      {[
+                        item.vendor,
+                        i18n.value("format", item.format),
+                        typeof item.ce === "number" ? t("common.ce", { ce: item.ce }) : "",
+                        item.location,
+                      ].filter(Boolean).join(" · ")}
+                    </div>
+                    <div className="myListSheetUrl">
+                      {window.location.origin}{eventPath(slug, item.id, item.occurrenceDate)}
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            </>
+          )}
+          {courses.rows.length > 0 && (
+            <>
+              <h2>{t("myList.courses")}</h2>
+              <ol>
+                {courses.rows.map((c) => (
+                  <li key={c.id}>
+                    <strong>{safe(c.title)}</strong>
+                    <div>
+                      {[
+                        safe(c.vendor),
+                        i18n.value("format", safe(c.type)),
+                        typeof c.ce_hours === "number" ? t("common.ce", { ce: c.ce_hours }) : "",
+                      ].filter(Boolean).join(" · ")}
+                    </div>
+                    {isUrl(c.course_url) && <div className="myListSheetUrl">{c.course_url}</div>}
+                  </li>
+                ))}
+              </ol>
+            </>
+          )}
+        </section>
+      )}
+
+      <ExternalCourseModal
+        course={externalCourse?.course || null}
+        anchorY={externalCourse?.anchorY}
+        cardTop={externalCourse?.cardTop}
+        cardCenterX={externalCourse?.cardCenterX}
+        slug={slug}
+        onClose={() => setExternalCourse(null)}
+      />
+    </div>
+  );
+}
+
 /* =====================================================================
    FILTER BAR + POPOVERS — horizontal sticky filters at the top of the
    catalog. Each filter is a compact chip button; clicking opens a
@@ -548,126 +1252,466 @@ function FilterBar(props) {
   const {
     clientName, isExclusiveMode,
     mb2ExclusiveOnly, setMb2ExclusiveOnly,
+    mine, setMine, myListHref, printHref,
+    view, setView,
+    dates, setDates, dateMonths,
+    nearZip, radius, setNear, nearStatus,
+    layout, setLayout,
+    sortBy, setSortBy,
     formats, formatSelected, setFormatSelected,
     roles, rolesSelected, setRolesSelected,
     categories, catSelected, setCatSelected,
     vendors, vendorSelected, setVendorSelected,
     ceHours, ceSelected, setCeSelected,
+    clientOptions, clientSelected, setClientSelected,
     toggle, clearFilters, filteredCount,
     showSearch, query, setQuery, searchPlaceholder,
   } = props;
 
   const hasAnyFilter =
     (!isExclusiveMode && mb2ExclusiveOnly) ||
+    !!mine ||
+    !!dates ||
+    !!nearZip ||
     formatSelected.size > 0 ||
     rolesSelected.size > 0 ||
     catSelected.size > 0 ||
     vendorSelected.size > 0 ||
-    ceSelected.size > 0;
+    ceSelected.size > 0 ||
+    (!!clientOptions && clientSelected.size > 0);
 
-  const eventLabel = filteredCount === 1 ? "event" : "events";
+  const eventLabel = t("events.count", { count: filteredCount });
 
   return (
-    <div className="filterBar" role="toolbar" aria-label="Event filters">
+    <div className="filterBar" role="toolbar" aria-label={t("events.filters")}>
       <div className="filterBarInner">
         {showSearch && (
           <input
             className="filterBarSearch"
             type="search"
-            placeholder={searchPlaceholder || "Search…"}
+            placeholder={searchPlaceholder || t("common.search")}
             value={query || ""}
             onChange={(e) => setQuery(e.target.value)}
           />
         )}
-        {!isExclusiveMode && (
+        {setView && (
+          <div className="filterViewToggle" role="group" aria-label={t("events.view")}>
+            <button
+              type="button"
+              className={view !== "past" ? "active" : ""}
+              aria-pressed={view !== "past"}
+              onClick={() => setView("upcoming")}
+            >
+              {t("events.upcoming")}
+            </button>
+            <button
+              type="button"
+              className={view === "past" ? "active" : ""}
+              aria-pressed={view === "past"}
+              onClick={() => setView("past")}
+            >
+              {t("events.past")}
+            </button>
+          </div>
+        )}
+        {!isExclusiveMode && setMb2ExclusiveOnly && (
           <button
             type="button"
             className={`filterExclBtn ${mb2ExclusiveOnly ? "active" : ""}`}
             onClick={() => setMb2ExclusiveOnly(!mb2ExclusiveOnly)}
             aria-pressed={mb2ExclusiveOnly}
-            title={`Only show ${clientName || "your organization"} Exclusive events`}
+            title={t("filters.exclusiveEvents", { name: clientName || t("filters.yourOrganization") })}
           >
             <span className="filterExclStar" aria-hidden="true">★</span>
             <span className="filterExclLabel">
               {/* Strip trailing "Dental" so "MB2 Dental" → "MB2 Exclusive",
                   not "MB2 Dental Exclusive". Other clients keep their full name. */}
-              {(clientName || "MB2").replace(/\s+Dental\s*$/i, "").trim()} Exclusive
+              {t("filters.exclusive", { name: (clientName || "MB2").replace(/\s+Dental\s*$/i, "").trim() })}
             </span>
           </button>
         )}
+        {setMine && (
+          <MyListChip active={mine} onChange={setMine} href={myListHref} />
+        )}
 
+        {setDates && (
+          <DateFilterPopover value={dates} onChange={setDates} months={dateMonths} />
+        )}
+        {setNear && (
+          <NearFilterPopover zip={nearZip} radius={radius} onChange={setNear} status={nearStatus} />
+        )}
+        {clientOptions && (
+          <FilterPopover
+            label={t("filters.client")}
+            options={clientOptions.options}
+            counts={clientOptions.counts}
+            selected={clientSelected}
+            onToggle={(v) => toggle(setClientSelected, v)}
+            onClear={() => setClientSelected(new Set())}
+            searchable={clientOptions.options.length > 10}
+          />
+        )}
         <FilterPopover
-          label="Format"
-          options={formats}
+          label={t("filters.format")}
+          options={formats.options}
+          counts={formats.counts}
           selected={formatSelected}
           onToggle={(v) => toggle(setFormatSelected, v)}
           onClear={() => setFormatSelected(new Set())}
+          formatOption={(o) => i18n.value("format", o)}
         />
         <FilterPopover
-          label="Role"
-          options={roles}
+          label={t("filters.role")}
+          options={roles.options}
+          counts={roles.counts}
           selected={rolesSelected}
           onToggle={(v) => toggle(setRolesSelected, v)}
           onClear={() => setRolesSelected(new Set())}
-          searchable={roles.length > 10}
+          searchable={roles.options.length > 10}
+          formatOption={(o) => i18n.value("role", o)}
         />
         <FilterPopover
-          label="Category"
-          options={categories}
+          label={t("filters.category")}
+          options={categories.options}
+          counts={categories.counts}
           selected={catSelected}
           onToggle={(v) => toggle(setCatSelected, v)}
           onClear={() => setCatSelected(new Set())}
-          searchable={categories.length > 10}
+          searchable={categories.options.length > 10}
         />
         <FilterPopover
-          label="Vendor"
-          options={vendors}
+          label={t("filters.vendor")}
+          options={vendors.options}
+          counts={vendors.counts}
           selected={vendorSelected}
           onToggle={(v) => toggle(setVendorSelected, v)}
           onClear={() => setVendorSelected(new Set())}
           searchable
         />
         <FilterPopover
-          label="CE Hours"
-          options={ceHours}
+          label={t("filters.ceHours")}
+          options={ceHours.options}
+          counts={ceHours.counts}
           selected={ceSelected}
           onToggle={(v) => toggle(setCeSelected, v)}
           onClear={() => setCeSelected(new Set())}
-          formatOption={(o) => `${o} CE`}
+          formatOption={(o) => t("common.ce", { ce: o })}
         />
 
         <div className="filterBarSpacer" />
 
+        {setSortBy && (
+          <label className="filterBarSort">
+            <span className="filterBarSortLabel">{t("filters.sortBy")}</span>
+            <select
+              className="filterBarSortSelect"
+              value={sortBy || "relevance"}
+              onChange={(e) => setSortBy(e.target.value)}
+            >
+              {/* Without a search, "Best match" is simply date order. */}
+              <option value="relevance">{t("sort.relevance")}</option>
+              <option value="date">{t("sort.date")}</option>
+              {(nearZip || sortBy === "distance") && <option value="distance">{t("sort.distance")}</option>}
+              <option value="name">{t("sort.name")}</option>
+              <option value="ce_desc">{t("sort.ce_desc")}</option>
+            </select>
+          </label>
+        )}
         {hasAnyFilter && (
           <button
             type="button"
             className="filterBarClear"
             onClick={clearFilters}
-            title="Reset all filters"
+            title={t("filters.resetAll")}
+          >
+            {t("filters.clearAll")}
+          </button>
+        )}
+        {setLayout && (
+          <div className="filterViewToggle filterLayoutToggle" role="group" aria-label={t("layout.label")}>
+            {["grid", "month", "week"].map((value) => (
+              <button
+                key={value}
+                type="button"
+                className={layout === value ? "active" : ""}
+                aria-pressed={layout === value}
+                onClick={() => setLayout(value)}
+              >
+                {t(`layout.${value}`)}
+              </button>
+            ))}
+          </div>
+        )}
+        {printHref && filteredCount > 0 && (
+          <a
+            className="filterPrintLink"
+            href={printHref}
+            target="_blank"
+            rel="noopener"
+            title={t("flyer.linkTitle")}
+          >
+            {t("flyer.link")}
+          </a>
+        )}
+        <div className="filterBarCount" aria-live="polite">
+          <strong>{filteredCount}</strong> {eventLabel}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function FilterPopover({
+  label,
+  options,
+  selected,
+  onToggle,
+  onClear,
+  searchable = false,
+  formatOption,
+  counts,
+}) {
+  const [open, setOpen] = useState(false);
+  const [search, setSearch] = useState("");
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const onDoc = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    const onKey = (e) => { if (e.key === "Escape") setOpen(false); };
+    document.addEventListener("mousedown", onDoc);
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("mousedown", onDoc);
+      document.removeEventListener("keydown", onKey);
+    };
+  }, []);
+
+  useEffect(() => { if (!open) setSearch(""); }, [open]);
+
+  const filtered = useMemo(() => {
+    if (!search) return options;
+    const q = search.toLowerCase();
+    return options.filter((o) => String(formatOption ? formatOption(o) : o).toLowerCase().includes(q));
+  }, [options, search, formatOption]);
+
+  const count = selected.size;
+  const disabled = options.length === 0;
+
+  return (
+    <div className="filterPop" ref={ref}>
+      <button
+        type="button"
+        className={`filterPopBtn ${count > 0 ? "active" : ""} ${open ? "open" : ""}`}
+        onClick={() => !disabled && setOpen((o) => !o)}
+        disabled={disabled}
+        aria-expanded={open}
+        aria-haspopup="listbox"
+      >
+        <span className="filterPopLabel">{label}</span>
+        {count > 0 && <span className="filterPopCount">{count}</span>}
+        <svg width="10" height="10" viewBox="0 0 10 10" aria-hidden="true" className="filterPopChev">
+          <path d="M1 3l4 4 4-4" stroke="currentColor" strokeWidth="1.5" fill="none" strokeLinecap="round" strokeLinejoin="round"/>
+        </svg>
+      </button>
+
+      {open && (
+        <div className="filterPopMenu" role="listbox" aria-label={label}>
+          {searchable && (
+            <div className="filterPopSearchWrap">
+              <input
+                type="text"
+                className="filterPopSearch"
+                placeholder={t("filters.searchIn", { label: label.toLowerCase() })}
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                autoFocus
+              />
+            </div>
+          )}
+          <div className="filterPopList">
+            {filtered.length === 0 ? (
+              <div className="filterPopEmpty">{t("filters.noMatches")}</div>
+            ) : (
+              filtered.map((opt) => {
+                const key = String(opt);
+                const displayLabel = formatOption ? formatOption(opt) : String(opt);
+                const isSel = selected.has(opt);
+                return (
+                  <label key={key} className={`filterPopItem ${isSel ? "selected" : ""}`}>
+                    <input
+                      type="checkbox"
+                      checked={isSel}
+                      onChange={() => onToggle(opt)}
+                    />
+                    <span className="filterPopItemLabel">{displayLabel}</span>
+                    {counts && (
+                      <span className="filterPopItemN">{counts.get(opt) ?? 0}</span>
+                    )}
+                    {isSel && <span className="filterPopItemCheck" aria-hidden="true">✓</span>}
+                  </label>
+                );
+              })
+            )}
+          </div>
+          {count > 0 && (
+            <div className="filterPopFooter">
+              <button
+                type="button"
+                className="filterPopClearBtn"
+                onClick={() => { onClear(); }}
+              >
+                {t("filters.clearOne", { label: label.toLowerCase() })}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Date filter — same chip + popover shell as FilterPopover, but a single
+   choice: a preset, a month, or a custom from/to range. The value format
+   and the multi-day overlap rules live in lib/date-range.js. */
+function DateFilterPopover({ value, onChange, months }) {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+  const range = parseRange(value);
+  const [from, setFrom] = useState(range?.from || "");
+  const [to, setTo] = useState(range?.to || "");
+
+  useEffect(() => {
+    const onDoc = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    const onKey = (e) => { if (e.key === "Escape") setOpen(false); };
+    document.addEventListener("mousedown", onDoc);
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("mousedown", onDoc);
+      document.removeEventListener("keydown", onKey);
+    };
+  }, []);
+
+  // Reopening shows the range that's actually applied (e.g. after Back).
+  useEffect(() => {
+    if (!open) return;
+    const r = parseRange(value);
+    setFrom(r?.from || "");
+    setTo(r?.to || "");
+  }, [open, value]);
+
+  const label = dateFilterLabel(value, i18n);
+  const isMonth = /^\d{4}-\d{2}$/.test(value || "");
+  // Keep a month chosen from an old link selectable even if no event is in it.
+  const monthOptions = isMonth && !months.includes(value) ? [...months, value].sort() : months;
+
+  const pick = (v) => {
+    onChange(v);
+    setOpen(false);
+  };
+
+  return (
+    <div className="filterPop" ref={ref}>
+      <button
+        type="button"
+        className={`filterPopBtn ${label ? "active" : ""} ${open ? "open" : ""}`}
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        aria-haspopup="dialog"
+      >
+        <span className="filterPopLabel">{label || t("date.label")}</span>
+        <svg width="10" height="10" viewBox="0 0 10 10" aria-hidden="true" className="filterPopChev">
+          <path d="M1 3l4 4 4-4" stroke="currentColor" strokeWidth="1.5" fill="none" strokeLinecap="round" strokeLinejoin="round"/>
+        </svg>
+      </button>
+
+      {open && (
+        <div className="filterPopMenu filterDateMenu" role="dialog" aria-label={t("date.label")}>
+          <div className="filterPopList">
+            {DATE_PRESETS.map((p) => (
+              <button
+                key={p}
+                type="button"
+                className={`filterPopItem filterDatePreset ${value === p ? "selected" : ""}`}
+                onClick={() => pick(p)}
+              >
+                <span className="filterPopItemLabel">{presetLabel(p, i18n)}</span>
+                {value === p && <span className="filterPopItemCheck" aria-hidden="true">✓</span>}
+              </button>
+            ))}
+          </div>
+
+          <div className="filterDateSection">
+            <label className="filterDateFieldLabel" htmlFor="filterDateMonth">{t("date.month")}</label>
+            <select
+              id="filterDateMonth"
+              className="filterDateInput"
+              value={isMonth ? value : ""}
+              onChange={(e) => e.target.value && pick(e.target.value)}
+              disabled={monthOptions.length === 0}
+            >
+              <option value="">{t(monthOptions.length ? "date.chooseMonth" : "date.noMonths")}</option>
+              {monthOptions.map((m) => (
+                <option key={m} value={m}>{monthLabel(m, i18n)}</option>
+              ))}
+            </select>
+          </div>
+
+          <form
+            className="filterDateSection"
+            onSubmit={(e) => {
+              e.preventDefault();
+              pick(rangeValue(from, to));
+            }}
           >
-            Clear all
-          </button>
-        )}
-        <div className="filterBarCount" aria-live="polite">
-          <strong>{filteredCount}</strong> {eventLabel}
+            <span className="filterDateFieldLabel">{t("date.customRange")}</span>
+            <div className="filterDateRange">
+              <input
+                type="date"
+                className="filterDateInput"
+                aria-label={t("date.from")}
+                value={from}
+                max={to || undefined}
+                onChange={(e) => setFrom(e.target.value)}
+              />
+              <span className="filterDateDash" aria-hidden="true">–</span>
+              <input
+                type="date"
+                className="filterDateInput"
+                aria-label={t("date.to")}
+                value={to}
+                min={from || undefined}
+                onChange={(e) => setTo(e.target.value)}
+              />
+            </div>
+            <button type="submit" className="filterDateApply" disabled={!from && !to}>
+              {t("date.apply")}
+            </button>
+          </form>
+
+          {label && (
+            <div className="filterPopFooter">
+              <button type="button" className="filterPopClearBtn" onClick={() => pick("")}>
+                {t("date.any")}
+              </button>
+            </div>
+          )}
         </div>
-      </div>
+      )}
     </div>
   );
 }
 
-function FilterPopover({
-  label,
-  options,
-  selected,
-  onToggle,
-  onClear,
-  searchable = false,
-  formatOption,
-}) {
+/* Distance filter — the visitor's ZIP and a radius. Only in-person and
+   hybrid events with coordinates survive it (see catalog_events). */
+function NearFilterPopover({ zip, radius, onChange, status }) {
   const [open, setOpen] = useState(false);
-  const [search, setSearch] = useState("");
   const ref = useRef(null);
+  const [draftZip, setDraftZip] = useState(zip || "");
+  const [draftRadius, setDraftRadius] = useState(radius);
 
   useEffect(() => {
     const onDoc = (e) => {
@@ -682,82 +1726,92 @@ function FilterPopover({
     };
   }, []);
 
-  useEffect(() => { if (!open) setSearch(""); }, [open]);
-
-  const filtered = useMemo(() => {
-    if (!search) return options;
-    const q = search.toLowerCase();
-    return options.filter((o) => String(o).toLowerCase().includes(q));
-  }, [options, search]);
-
-  const count = selected.size;
-  const disabled = options.length === 0;
+  useEffect(() => {
+    if (!open) return;
+    setDraftZip(zip || "");
+    setDraftRadius(radius);
+  }, [open, zip, radius]);
+
+  const validZip = /^\d{5}$/.test(draftZip);
+  const label = zip ? t("near.within", { radius, zip }) : t("near.label");
+  // A ZIP we can't place leaves the catalog unfiltered; the chip turns
+  // amber and the popover says why.
+  const problem =
+    status === "unavailable" ? t("near.unavailable")
+    : status === "unknownZip" ? t("near.unknownZip", { zip })
+    : "";
 
   return (
     <div className="filterPop" ref={ref}>
       <button
         type="button"
-        className={`filterPopBtn ${count > 0 ? "active" : ""} ${open ? "open" : ""}`}
-        onClick={() => !disabled && setOpen((o) => !o)}
-        disabled={disabled}
+        className={`filterPopBtn ${zip ? "active" : ""} ${problem ? "filterPopBtnWarn" : ""} ${open ? "open" : ""}`}
+        onClick={() => setOpen((o) => !o)}
         aria-expanded={open}
-        aria-haspopup="listbox"
+        aria-haspopup="dialog"
+        title={problem || undefined}
       >
         <span className="filterPopLabel">{label}</span>
-        {count > 0 && <span className="filterPopCount">{count}</span>}
         <svg width="10" height="10" viewBox="0 0 10 10" aria-hidden="true" className="filterPopChev">
           <path d="M1 3l4 4 4-4" stroke="currentColor" strokeWidth="1.5" fill="none" strokeLinecap="round" strokeLinejoin="round"/>
         </svg>
       </button>
 
       {open && (
-        <div className="filterPopMenu" role="listbox" aria-label={label}>
-          {searchable && (
-            <div className="filterPopSearchWrap">
+        <form
+          className="filterPopMenu filterNearMenu"
+          role="dialog"
+          aria-label={t("near.label")}
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (!validZip) return;
+            onChange(draftZip, draftRadius);
+            setOpen(false);
+          }}
+        >
+          <div className="filterDateSection">
+            <span className="filterDateFieldLabel">{t("near.heading")}</span>
+            <div className="filterDateRange">
               <input
-                type="text"
-                className="filterPopSearch"
-                placeholder={`Search ${label.toLowerCase()}…`}
-                value={search}
-                onChange={(e) => setSearch(e.target.value)}
+                className="filterDateInput"
+                inputMode="numeric"
+                autoComplete="postal-code"
+                maxLength={5}
+                placeholder={t("near.zip")}
+                aria-label={t("near.zip")}
+                value={draftZip}
+                onChange={(e) => setDraftZip(e.target.value.replace(/\D/g, "").slice(0, 5))}
                 autoFocus
               />
+              <select
+                className="filterDateInput"
+                aria-label={t("near.radius")}
+                value={draftRadius}
+                onChange={(e) => setDraftRadius(Number(e.target.value))}
+              >
+                {RADIUS_OPTIONS.map((mi) => (
+                  <option key={mi} value={mi}>{t("near.miles", { miles: mi })}</option>
+                ))}
+              </select>
             </div>
-          )}
-          <div className="filterPopList">
-            {filtered.length === 0 ? (
-              <div className="filterPopEmpty">No matches</div>
-            ) : (
-              filtered.map((opt) => {
-                const key = String(opt);
-                const displayLabel = formatOption ? formatOption(opt) : String(opt);
-                const isSel = selected.has(opt);
-                return (
-                  <label key={key} className={`filterPopItem ${isSel ? "selected" : ""}`}>
-                    <input
-                      type="checkbox"
-                      checked={isSel}
-                      onChange={() => onToggle(opt)}
-                    />
-                    <span className="filterPopItemLabel">{displayLabel}</span>
-                    {isSel && <span className="filterPopItemCheck" aria-hidden="true">✓</span>}
-                  </label>
-                );
-              })
-            )}
+            {problem && <div className="filterNearProblem" role="alert">{problem}</div>}
+            <button type="submit" className="filterDateApply" disabled={!validZip}>
+              {t("near.apply")}
+            </button>
           </div>
-          {count > 0 && (
+
+          {zip && (
             <div className="filterPopFooter">
               <button
                 type="button"
                 className="filterPopClearBtn"
-                onClick={() => { onClear(); }}
+                onClick={() => { onChange("", radius); setOpen(false); }}
               >
-                Clear {label.toLowerCase()}
+                {t("near.any")}
               </button>
             </div>
           )}
-        </div>
+        </form>
       )}
     </div>
   );
@@ -799,7 +1853,7 @@ function CatalogElevatedStyles() {
         font-family: ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, Helvetica, Arial;
       }
       .calBlockMonth {
-        background: #f97316;
+        background: var(--primary);
         color: #fff;
         font-size: 8px;
         font-weight: 800;
@@ -836,16 +1890,16 @@ function CatalogElevatedStyles() {
         text-transform: uppercase;
       }
       .soonChipToday {
-        background: #f97316;
+        background: var(--primary);
         color: #fff;
-        border-color: #f97316;
-        box-shadow: 0 4px 10px rgba(249,115,22,.4);
+        border-color: var(--primary);
+        box-shadow: 0 4px 10px color-mix(in srgb, var(--primary) 40%, transparent);
       }
 
       /* MB2 / client exclusive badge — bump elevation so it stands out beside the new tile */
       .mb2Badge {
         z-index: 3;
-        box-shadow: 0 6px 14px rgba(249,115,22,.35);
+        box-shadow: 0 6px 14px color-mix(in srgb, var(--primary) 35%, transparent);
       }
 
       /* Discount banner — small callout above the Register button */
@@ -940,13 +1994,13 @@ function CatalogElevatedStyles() {
         width: 44px; height: 44px;
         margin: 0 auto 10px;
         border-radius: 50%;
-        background: #ecfeff; border: 1px solid #a5f3fc; color: #0e7490;
+        background: var(--accentSoft); border: 1px solid var(--accentLight); color: var(--accentInk);
         display: flex; align-items: center; justify-content: center;
       }
       .emailRegModalTitle { margin: 0 0 6px; font-size: 18px; font-weight: 800; color: #0f172a; }
       .emailRegModalText { margin: 0 0 10px; font-size: 13.5px; color: #64748b; }
       .emailRegModalAddress {
-        font-weight: 700; font-size: 15px; color: #0e7490;
+        font-weight: 700; font-size: 15px; color: var(--accentInk);
         background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 10px;
         padding: 10px 12px; margin-bottom: 16px;
         word-break: break-all;
@@ -956,10 +2010,10 @@ function CatalogElevatedStyles() {
         display: flex; gap: 10px; justify-content: center; flex-wrap: wrap;
       }
       .emailRegModalCopy {
-        background: #1dbfc9; border: none; color: #fff;
+        background: var(--accent); border: none; color: #fff;
         font: inherit; font-weight: 700; font-size: 14px;
         padding: 10px 16px; border-radius: 10px; cursor: pointer;
-        box-shadow: 0 4px 12px rgba(29,191,201,.35);
+        box-shadow: 0 4px 12px color-mix(in srgb, var(--accent) 35%, transparent);
       }
       .emailRegModalCopy:hover { filter: brightness(1.05); }
       .emailRegModalOpen {
@@ -970,6 +2024,33 @@ function CatalogElevatedStyles() {
       }
       .emailRegModalOpen:hover { background: #f8fafc; color: #0f172a; }
 
+      /* "Remind me" — sits beside "Add to calendar" and opens the same
+         popup, with an email field instead of the address box. */
+      .addCalRow { gap: 8px; flex-wrap: wrap; }
+      .remindForm { margin: 0; }
+      .remindLabel {
+        display: flex; flex-direction: column; gap: 4px;
+        text-align: left; font-size: 12px; font-weight: 700; color: #475569;
+        margin: 6px 0 10px;
+      }
+      .remindInput {
+        font: inherit; font-size: 15px; font-weight: 500; color: #0f172a;
+        border: 1px solid #cbd5e1; border-radius: 10px;
+        padding: 10px 12px; width: 100%; box-sizing: border-box;
+      }
+      .remindInput:focus { outline: none; border-color: var(--accent); box-shadow: 0 0 0 3px var(--accentSoft); }
+      .remindError { margin: 0 0 10px; font-size: 13px; font-weight: 600; color: #b91c1c; text-align: left; }
+      .remindSubmit {
+        width: 100%;
+        background: var(--accent); border: none; color: #fff;
+        font: inherit; font-weight: 700; font-size: 14px;
+        padding: 11px 16px; border-radius: 10px; cursor: pointer;
+        box-shadow: 0 4px 12px color-mix(in srgb, var(--accent) 35%, transparent);
+      }
+      .remindSubmit:hover:not(:disabled) { filter: brightness(1.05); }
+      .remindSubmit:disabled { opacity: 0.6; cursor: default; }
+      .remindFine { margin: 10px 0 0; font-size: 11.5px; line-height: 1.45; color: #94a3b8; }
+
       @media (max-width: 700px) {
         .discountBanner { flex-direction: column; align-items: flex-start; gap: 4px; }
       }
@@ -977,23 +2058,12 @@ function CatalogElevatedStyles() {
   );
 }
 
-/* Renders an "Email to Register" button in place of the Register button
-   when an event has an email-based registration but no URL. Clicking it
-   opens a small popup showing the registration address with Copy and
-   Open-email-app options — this works even inside the TI iframe or when
-   the visitor has no mail app configured (where a bare mailto: link
-   silently does nothing). */
-function EmailReg({ email }) {
-  const [open, setOpen] = useState(false);
-  const [copied, setCopied] = useState(false);
-  const [anchor, setAnchor] = useState({ y: 300, x: null });
+// Where a card popup (EmailReg, RemindMe) goes. Position after first
+// paint, once the popup's height is known: hover above the clicked
+// button when there's visible room, else clamp into the visible part
+// of the page (known via the embed scroll stream inside the TI iframe).
+function usePopupPlacement(open, anchor, boxRef) {
   const [placed, setPlaced] = useState(null);
-  const boxRef = useRef(null);
-
-  // Position after first paint, once the popup's height is known:
-  // hover above the clicked button when there's visible room, else
-  // clamp into the visible part of the page (known via the embed
-  // scroll stream inside the TI iframe).
   useEffect(() => {
     if (!open) { setPlaced(null); return; }
     const el = boxRef.current;
@@ -1019,7 +2089,38 @@ function EmailReg({ email }) {
     let top = anchor.y - 12 - h; // bottom edge just above the button
     if (top < minTop) top = minTop;
     setPlaced({ top, left: x });
-  }, [open, anchor]);
+  }, [open, anchor, boxRef]);
+  return placed;
+}
+
+// Page position of a clicked button, for usePopupPlacement().
+const anchorOf = (button) => {
+  const r = button.getBoundingClientRect();
+  return {
+    y: r.top + window.scrollY,
+    x: r.left + r.width / 2 + window.scrollX,
+  };
+};
+
+// Inline style for a popup placed by usePopupPlacement(): hidden at a
+// rough spot until it's been measured.
+const popupStyle = (placed, anchor) =>
+  placed
+    ? { top: placed.top, left: placed.left, transform: "translateX(-50%)" }
+    : { top: anchor.y, left: "50%", transform: "translateX(-50%)", visibility: "hidden" };
+
+/* Renders an "Email to Register" button in place of the Register button
+   when an event has an email-based registration but no URL. Clicking it
+   opens a small popup showing the registration address with Copy and
+   Open-email-app options — this works even inside the TI iframe or when
+   the visitor has no mail app configured (where a bare mailto: link
+   silently does nothing). */
+function EmailReg({ email, onOpen }) {
+  const [open, setOpen] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [anchor, setAnchor] = useState({ y: 300, x: null });
+  const boxRef = useRef(null);
+  const placed = usePopupPlacement(open, anchor, boxRef);
 
   if (!isEmail(email)) return null;
 
@@ -1047,21 +2148,18 @@ function EmailReg({ email }) {
         type="button"
         className="sessionBtn emailRegBtn"
         onClick={(e) => {
-          const r = e.currentTarget.getBoundingClientRect();
-          setAnchor({
-            y: r.top + window.scrollY,
-            x: r.left + r.width / 2 + window.scrollX,
-          });
+          setAnchor(anchorOf(e.currentTarget));
           setOpen(true);
           setCopied(false);
+          onOpen?.();
         }}
-        title={`Email ${email}`}
+        title={t("emailReg.buttonTitle", { email })}
       >
         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" aria-hidden="true">
           <rect x="3" y="5" width="18" height="14" rx="2" stroke="currentColor" strokeWidth="2"/>
           <path d="M3.5 6.5l8.5 6 8.5-6" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
         </svg>
-        Email to Register
+        {t("emailReg.button")}
       </button>
 
       {open && createPortal(
@@ -1069,21 +2167,17 @@ function EmailReg({ email }) {
           <div
             ref={boxRef}
             className="emailRegModal"
-            style={
-              placed
-                ? { top: placed.top, left: placed.left, transform: "translateX(-50%)" }
-                : { top: anchor.y, left: "50%", transform: "translateX(-50%)", visibility: "hidden" }
-            }
+            style={popupStyle(placed, anchor)}
             role="dialog"
             aria-modal="true"
-            aria-label="Register by email"
+            aria-label={t("emailReg.title")}
             onClick={(e) => e.stopPropagation()}
           >
             <button
               type="button"
               className="emailRegModalClose"
               onClick={() => setOpen(false)}
-              aria-label="Close"
+              aria-label={t("common.close")}
             >×</button>
             <div className="emailRegModalIcon" aria-hidden="true">
               <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
@@ -1091,19 +2185,19 @@ function EmailReg({ email }) {
                 <path d="M3.5 6.5l8.5 6 8.5-6" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
               </svg>
             </div>
-            <h3 className="emailRegModalTitle">Register by email</h3>
-            <p className="emailRegModalText">Send your registration request to:</p>
+            <h3 className="emailRegModalTitle">{t("emailReg.title")}</h3>
+            <p className="emailRegModalText">{t("emailReg.text")}</p>
             <div className="emailRegModalAddress">{email}</div>
             <div className="emailRegModalActions">
               <button type="button" className="emailRegModalCopy" onClick={copy}>
-                {copied ? "✓ Copied!" : "Copy email address"}
+                {t(copied ? "emailReg.copied" : "emailReg.copy")}
               </button>
               <a
                 className="emailRegModalOpen"
                 href={`mailto:${email}`}
                 target="_top"
               >
-                Open email app
+                {t("emailReg.open")}
               </a>
             </div>
           </div>
@@ -1114,6 +2208,133 @@ function EmailReg({ email }) {
   );
 }
 
+/* "Remind me" on an upcoming event: takes an email address and hands it
+   to netlify/functions/event-reminders, which mails a confirmation link
+   (double opt-in). Once confirmed, a scheduled function sends the
+   reminders a few days and an hour before the start. A repeating event
+   is reminded about for the card's own date. Popup placed like EmailReg's. */
+function RemindMe({ item }) {
+  const [open, setOpen] = useState(false);
+  const [anchor, setAnchor] = useState({ y: 300, x: null });
+  const [email, setEmail] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [sentTo, setSentTo] = useState("");
+  const [error, setError] = useState("");
+  const boxRef = useRef(null);
+  const placed = usePopupPlacement(open, anchor, boxRef);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const address = email.trim();
+    if (!isEmail(address)) {
+      setError(t("remind.invalidEmail"));
+      return;
+    }
+    setBusy(true);
+    setError("");
+    try {
+      const res = await fetch("/.netlify/functions/event-reminders", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({
+          eventId: item.id,
+          date: item.occurrenceDate,
+          email: address,
+          lang: i18n.locale,
+        }),
+      });
+      if (!res.ok) {
+        const payload = await res.json().catch(() => ({}));
+        throw new Error(payload?.error || `HTTP ${res.status}`);
+      }
+      setSentTo(address);
+    } catch (err) {
+      console.error("[remind] sign-up failed:", err);
+      setError(t("remind.failed"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        className="addCalBtn remindBtn"
+        onClick={(e) => {
+          setAnchor(anchorOf(e.currentTarget));
+          setOpen(true);
+          setError("");
+        }}
+        title={t("remind.buttonTitle", { title: item.title })}
+      >
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" aria-hidden="true">
+          <path d="M6 16V11a6 6 0 0112 0v5l2 2H4l2-2zM10 21h4" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+        </svg>
+        {t("remind.button")}
+      </button>
+
+      {open && createPortal(
+        <div className="emailRegBackdrop" onClick={() => setOpen(false)} role="presentation">
+          <div
+            ref={boxRef}
+            className="emailRegModal remindModal"
+            style={popupStyle(placed, anchor)}
+            role="dialog"
+            aria-modal="true"
+            aria-label={t("remind.title")}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <button
+              type="button"
+              className="emailRegModalClose"
+              onClick={() => setOpen(false)}
+              aria-label={t("common.close")}
+            >×</button>
+            <div className="emailRegModalIcon" aria-hidden="true">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
+                <path d="M6 16V11a6 6 0 0112 0v5l2 2H4l2-2zM10 21h4" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+            </div>
+            {sentTo ? (
+              <>
+                <h3 className="emailRegModalTitle">{t("remind.sentTitle")}</h3>
+                <p className="emailRegModalText" role="status">
+                  {t("remind.sentText", { email: sentTo })}
+                </p>
+              </>
+            ) : (
+              <form className="remindForm" onSubmit={submit} noValidate>
+                <h3 className="emailRegModalTitle">{t("remind.title")}</h3>
+                <p className="emailRegModalText">{t("remind.text")}</p>
+                <label className="remindLabel">
+                  <span>{t("remind.email")}</span>
+                  <input
+                    type="email"
+                    className="remindInput"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder={t("remind.placeholder")}
+                    autoComplete="email"
+                    required
+                    autoFocus
+                  />
+                </label>
+                {error && <div className="remindError" role="alert">{error}</div>}
+                <button type="submit" className="remindSubmit" disabled={busy}>
+                  {t(busy ? "remind.sending" : "remind.submit")}
+                </button>
+                <p className="remindFine">{t("remind.privacy")}</p>
+              </form>
+            )}
+          </div>
+        </div>,
+        document.body
+      )}
+    </>
+  );
+}
+
 /* Renders a small discount callout above the Register button.
    Returns null if neither code nor description is set. */
 function DiscountBanner({ code, description }) {
@@ -1124,7 +2345,7 @@ function DiscountBanner({ code, description }) {
     <div className="discountBanner" role="note">
       {hasCode && (
         <div className="discountBannerCode">
-          <span className="discountBannerCodeLabel">Promo</span>
+          <span className="discountBannerCodeLabel">{t("card.promo")}</span>
           <span className="discountBannerCodeValue">{code}</span>
         </div>
       )}
@@ -1135,7 +2356,27 @@ function DiscountBanner({ code, description }) {
   );
 }
 
-function Card({ item, clientName = "" }) {
+/* `archived` = rendered in the past-events view: no registration, promo or
+   calendar actions (the event is over), plus a recording link when set.
+   `href` = the event's standalone page; the title links to it.
+   `detail` = rendered ON that page: full description, and the location
+   is shown for every format, not just in-person.
+   `terms` = parsed search terms to highlight in the title and description.
+   `distance` = miles from the visitor's ZIP when filtering by distance.
+   `showClients` = name the client(s) listing it, on partner catalogs. */
+function Card({
+  item,
+  slug = "",
+  clientName = "",
+  archived = false,
+  href = "",
+  detail = false,
+  terms = null,
+  distance = null,
+  moreDates = [],
+  theme = DEFAULT_THEME,
+  showClients = false,
+}) {
   const thumbOk = isUrl(item.thumb);
   const logoOk = isUrl(item.vendorLogo);
 
@@ -1145,23 +2386,59 @@ function Card({ item, clientName = "" }) {
   // Either method present means we should show registration UI
   const inPersonRegAvailable = inPersonRegOk || inPersonRegEmail;
 
+  // Sessions still to come (all of them once the whole event is over).
+  // The date sticker and "soon" badge follow the next one.
+  const allSessions = Array.isArray(item.sessions) ? item.sessions : [];
+  const now = new Date();
+  const comingSessions = allSessions.filter((s) => !isSessionOver(s, now));
+  const sessions = comingSessions.length ? comingSessions : allSessions;
+  const nextDated = sessions.find((s) => s.start);
+  const tileDate = nextDated?.start || item.date;
+  const tileTz = nextDated?.displayTz || item.displayTz;
+
   // Include sessions that have EITHER a URL or an email address (both are
   // valid registration paths). URL wins if both are set.
-  const sessionsWithReg = (Array.isArray(item.sessions) ? item.sessions : [])
-    .filter((s) => isUrl(s?.url) || isEmail(s?.email));
-  const timeLabel = safe(item.sessions?.[0]?.label);
+  const sessionsWithReg = sessions.filter((s) => isUrl(s?.url) || isEmail(s?.email));
 
-  const dInDays = item.date ? daysUntil(item.date) : Infinity;
+  const dInDays = tileDate && !archived ? daysUntil(tileDate) : Infinity;
   const isSoon = dInDays >= 0 && dInDays <= 7;
   const isToday = dInDays === 0;
+  // On right now / starting within the hour / finished earlier today
+  // (lib/live-status.js). An event that has ended drops its register
+  // buttons straight away rather than at midnight.
+  const live = useLiveStatus(allSessions, !archived);
+  const over = archived || live.phase === "ended";
+  // An online session that's running links straight in.
+  const joinable = (s) => live.phase === "live" && live.session === s && !inPerson;
+  const showPlaceBox = inPerson
+    ? !!(item.date || safe(item.location) || inPersonRegAvailable)
+    : detail && !!safe(item.location);
+  const registerLabel = themeLabel(theme, "register_label", i18n);
+  // Counted for Admin → Clicks (lib/click-analytics.js) and, for a link,
+  // passed on to the TI host page (lib/embed-api.js). The link opens as usual.
+  const reportRegistration = (link, url = "") => {
+    recordClick({ slug, link, eventId: item.id, occurrenceDate: item.occurrenceDate });
+    if (url) {
+      emitEmbedEvent("registration-clicked", {
+        eventId: item.id,
+        date: item.occurrenceDate,
+        title: item.title,
+        url,
+      });
+    }
+  };
 
   return (
-    <article className="card cardElevated">
+    <article
+      className={`card cardElevated ${detail ? "cardDetail" : ""}`}
+      data-event-id={item.id}
+      data-event-date={item.occurrenceDate || undefined}
+    >
       <div className={`thumb ${thumbOk ? "" : "thumbNoImg"}`}>
         {thumbOk ? (
           <img
             src={item.thumb}
-            alt={`${item.title} thumbnail`}
+            alt={t("card.thumbnail", { title: item.title })}
             loading="lazy"
             onError={(e) => {
               e.currentTarget.style.display = "none";
@@ -1171,22 +2448,37 @@ function Card({ item, clientName = "" }) {
         ) : null}
         {/* Gradient overlay so the calendar block reads on any image */}
         <span className="thumbGradient" aria-hidden="true" />
-        {item.mb2Exclusive ? <span className="mb2Badge">Exclusive</span> : null}
+        {item.mb2Exclusive ? <span className="mb2Badge">{t("common.exclusive")}</span> : null}
+        <SaveButton kind="events" itemKey={item.key} title={item.title} />
         {/* Urgency: TODAY events get a banner that REPLACES the calendar tile
             (same bottom-left position, more attention-grabbing). Future-soon
             events keep their calendar tile and get a "Tomorrow" / "In N days"
             badge in the top-right. */}
-        {isToday ? (
-          <span className="todayBanner" aria-label="Happening today">
+        {live.phase === "live" ? (
+          <span className="todayBanner liveBanner">
+            <span className="todayBannerDot" aria-hidden="true" />
+            <span className="todayBannerText">{t("card.liveNow")}</span>
+          </span>
+        ) : live.phase === "soon" ? (
+          <span className="todayBanner" role="timer">
+            <span className="todayBannerDot" aria-hidden="true" />
+            <span className="todayBannerText">{t("card.startsIn", { count: live.minutes })}</span>
+          </span>
+        ) : live.phase === "ended" ? (
+          <span className="todayBanner endedBanner">
+            <span className="todayBannerText">{t("card.endedToday")}</span>
+          </span>
+        ) : isToday ? (
+          <span className="todayBanner" aria-label={t("card.happeningToday")}>
             <span className="todayBannerDot" aria-hidden="true" />
-            <span className="todayBannerText">Today</span>
+            <span className="todayBannerText">{t("card.today")}</span>
           </span>
         ) : (
           <>
-            <CalendarBlock date={item.date} tz={item.displayTz} />
+            {theme.show_calendar_block && <CalendarBlock date={tileDate} tz={tileTz} />}
             {isSoon && (
               <span className="thumbUrgency">
-                {dInDays === 1 ? "Tomorrow" : `In ${dInDays} days`}
+                {t("card.soon", { count: dInDays })}
               </span>
             )}
           </>
@@ -1196,36 +2488,71 @@ function Card({ item, clientName = "" }) {
       <div className="body">
         <div className="topRow">
           <div className="metaRow">
-            {typeof item.ce === "number" ? <span className="ceBadge">{item.ce} CE</span> : null}
-            {safe(item.format) ? <span className="formatBadge">{item.format}</span> : null}
+            {typeof item.ce === "number" ? <span className="ceBadge">{t("common.ce", { ce: item.ce })}</span> : null}
+            {safe(item.format) ? <span className="formatBadge">{i18n.value("format", item.format)}</span> : null}
+            {Number.isFinite(distance) ? (
+              <span className="distanceBadge">{distanceLabel(distance, i18n)}</span>
+            ) : null}
+            {item.repeat ? (
+              <span className="repeatBadge" title={item.repeatText}>↻ {item.repeat}</span>
+            ) : null}
           </div>
 
-          {logoOk ? <img className="vendorLogo" src={item.vendorLogo} alt="Vendor logo" loading="lazy" /> : null}
+          {logoOk ? <img className="vendorLogo" src={item.vendorLogo} alt={t("card.vendorLogo")} loading="lazy" /> : null}
         </div>
 
-        <h3 className="title" title={item.title}>
-          {item.title}
-        </h3>
+        {showClients && item.clients.length > 0 ? (
+          <div className="clientLine">{t("card.fromClients", { names: item.clients.join(", ") })}</div>
+        ) : null}
+
+        {detail ? (
+          <h1 className="title">{item.title}</h1>
+        ) : (
+          <h3 className="title" title={item.title}>
+            {href ? (
+              <a className="titleLink" href={href} target="_blank" rel="noopener">
+                <Highlight text={item.title} terms={terms} />
+              </a>
+            ) : <Highlight text={item.title} terms={terms} />}
+          </h3>
+        )}
 
         {safe(item.description) ? (
           <p className="descFull" title={item.description}>
-            {item.description}
+            <Highlight text={item.description} terms={terms} />
           </p>
         ) : null}
 
+        {detail && item.repeatText ? (
+          <div className="repeatLine">
+            <span className="repeatText">{item.repeatText}</span>
+            {moreDates.length > 0 ? (
+              <span className="repeatMore">
+                {t("card.alsoOn")}{" "}
+                {moreDates.map((d, i) => (
+                  <span key={d.day}>
+                    {i > 0 ? ", " : ""}
+                    <a href={d.href}>{dayLabel(d.day)}</a>
+                  </span>
+                ))}
+              </span>
+            ) : null}
+          </div>
+        ) : null}
+
         {Array.isArray(item.roles) && item.roles.length > 0 ? (
           <div className="rolesLine">
-            <span className="rolesLabel">This event is ideal for</span>{" "}
-            <span className="rolesValue">{item.roles.join(", ")}</span>
+            <span className="rolesLabel">{t("card.idealFor")}</span>{" "}
+            <span className="rolesValue">{item.roles.map((r) => i18n.value("role", r)).join(", ")}</span>
           </div>
         ) : null}
 
-        {inPerson && (item.date || safe(item.location) || inPersonRegAvailable) ? (
+        {showPlaceBox ? (
           <div className="inPersonBox">
             <div className="inPersonBoxGrid">
-              {item.date ? (
+              {item.date && inPerson ? (
                 <div className="inPersonRow">
-                  <span className="inPersonKey">Date</span>
+                  <span className="inPersonKey">{t("card.date")}</span>
                   <span className="inPersonVal">
                     {item.multiDay && item.endDate
                       ? `${formatDate(item.date, item.displayTz)} – ${formatDate(item.endDate, item.displayTz)}`
@@ -1242,23 +2569,29 @@ function Card({ item, clientName = "" }) {
                     <span className="inPersonIcon" aria-hidden="true">
                       <PinIcon />
                     </span>
-                    Location
+                    {t("card.location")}
                   </span>
                   <span className="inPersonVal">{item.location}</span>
                 </div>
               ) : null}
             </div>
 
-            {inPersonRegAvailable ? (
+            {inPerson && inPersonRegAvailable && !over ? (
               <>
                 <DiscountBanner code={item.discountCode} description={item.discountDescription} />
                 <div className="inPersonActions">
                   {inPersonRegOk ? (
-                    <a className="sessionBtn" href={item.inPersonRegistrationLink} target="_blank" rel="noopener">
-                      Register →
+                    <a
+                      className="sessionBtn"
+                      href={item.inPersonRegistrationLink}
+                      target="_blank"
+                      rel="noopener"
+                      onClick={() => reportRegistration("in_person", item.inPersonRegistrationLink)}
+                    >
+                      {registerLabel} →
                     </a>
                   ) : (
-                    <EmailReg email={item.inPersonRegistrationEmail} />
+                    <EmailReg email={item.inPersonRegistrationEmail} onOpen={() => reportRegistration("email")} />
                   )}
                 </div>
               </>
@@ -1266,26 +2599,200 @@ function Card({ item, clientName = "" }) {
           </div>
         ) : null}
 
-        <div className="sessions">
-          {sessionsWithReg.map((s, i) => (
-            <div className="sessionGroup" key={i}>
-              {i === 0 && (
-                <DiscountBanner code={item.discountCode} description={item.discountDescription} />
-              )}
-              <div className="session">
-                <span className="sessionLabel">{s.label}</span>
-                {isUrl(s.url) ? (
-                  <a className="sessionBtn" href={s.url} target="_blank" rel="noopener">
-                    Register →
+        {over ? (
+          <div className="sessions">
+            <div className="session recordingRow">
+              {isUrl(item.recordingUrl) ? (
+                <>
+                  <span className="sessionLabel">{t("card.recording")}</span>
+                  <a className="sessionBtn recordingBtn" href={item.recordingUrl} target="_blank" rel="noopener">
+                    {themeLabel(theme, "watch_label", i18n)} →
                   </a>
-                ) : (
-                  <EmailReg email={s.email} />
+                </>
+              ) : (
+                <span className="sessionLabel recordingEnded">{t("card.ended")}</span>
+              )}
+            </div>
+          </div>
+        ) : (
+          <div className="sessions">
+            {sessionsWithReg.map((s, i) => (
+              <div className="sessionGroup" key={s.id || i}>
+                {i === 0 && (
+                  <DiscountBanner code={item.discountCode} description={item.discountDescription} />
                 )}
+                <div className="session">
+                  <span className="sessionLabel">
+                    {s.label}
+                    {s.capacity ? <span className="sessionCap">{t("card.seats", { count: s.capacity })}</span> : null}
+                  </span>
+                  {isUrl(s.url) ? (
+                    <a
+                      className={`sessionBtn ${joinable(s) ? "joinBtn" : ""}`}
+                      href={s.url}
+                      target="_blank"
+                      rel="noopener"
+                      onClick={() => reportRegistration("session", s.url)}
+                    >
+                      {joinable(s) ? t("card.join") : registerLabel} →
+                    </a>
+                  ) : (
+                    <EmailReg email={s.email} onOpen={() => reportRegistration("email")} />
+                  )}
+                </div>
               </div>
-            </div>
-          ))}
-        </div>
+            ))}
+          </div>
+        )}
+
+        {item.date && !over ? (
+          <div className="addCalRow">
+            <AddToCalendar item={item} />
+            {nextCalendarEntry(calendarEntriesFor(item)) && <RemindMe item={item} />}
+          </div>
+        ) : null}
       </div>
     </article>
   );
 }
+
+// Hand an .ics document to the browser as a download.
+function downloadIcs(ics, fileName) {
+  const blob = new Blob([ics], { type: "text/calendar;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* "Add to calendar" menu for a card. One group per session, each with an
+   .ics download (Apple Calendar, Outlook desktop) plus Google and Outlook
+   web links. The menu is portaled to <body> and anchored under the
+   button — same trick as EmailReg — so the card's overflow:hidden can't
+   clip it inside the TI iframe. */
+function AddToCalendar({ item }) {
+  const entries = useMemo(() => calendarEntriesFor(item, i18n), [item]);
+  const [open, setOpen] = useState(false);
+  const [anchor, setAnchor] = useState({ top: 0, left: 0 });
+  const btnRef = useRef(null);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const onDoc = (e) => {
+      if (menuRef.current?.contains(e.target)) return;
+      if (btnRef.current?.contains(e.target)) return;
+      setOpen(false);
+    };
+    const onKey = (e) => { if (e.key === "Escape") setOpen(false); };
+    document.addEventListener("mousedown", onDoc);
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("mousedown", onDoc);
+      document.removeEventListener("keydown", onKey);
+    };
+  }, [open]);
+
+  if (entries.length === 0) return null;
+
+  const toggleMenu = () => {
+    if (!open && btnRef.current) {
+      const r = btnRef.current.getBoundingClientRect();
+      const pageW = document.documentElement.clientWidth || 1200;
+      const menuW = Math.min(280, pageW - 24);
+      setAnchor({
+        top: r.bottom + window.scrollY + 6,
+        left: Math.max(12, Math.min(r.left + window.scrollX, pageW - menuW - 12)),
+      });
+    }
+    setOpen((o) => !o);
+  };
+
+  const download = (entry) => {
+    downloadIcs(
+      buildIcs([entry], { name: item.title }),
+      icsFileName(entries.length > 1 ? `${item.title} ${entry.label}` : item.title)
+    );
+    setOpen(false);
+  };
+
+  return (
+    <>
+      <button
+        ref={btnRef}
+        type="button"
+        className={`addCalBtn ${open ? "open" : ""}`}
+        onClick={toggleMenu}
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" aria-hidden="true">
+          <rect x="3" y="5" width="18" height="16" rx="2" stroke="currentColor" strokeWidth="2"/>
+          <path d="M8 3v4M16 3v4M3 10h18M12 13v5M9.5 15.5h5" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+        </svg>
+        {t("calendar.add")}
+      </button>
+
+      {open && createPortal(
+        <div
+          ref={menuRef}
+          className="addCalMenu"
+          style={{ top: anchor.top, left: anchor.left }}
+          role="menu"
+          aria-label={t("calendar.addTitle", { title: item.title })}
+        >
+          {entries.map((entry) => (
+            <div className="addCalGroup" key={entry.uid}>
+              {entries.length > 1 && (
+                <div className="addCalGroupLabel">{entry.label}</div>
+              )}
+              <button
+                type="button"
+                className="addCalItem"
+                role="menuitem"
+                onClick={() => download(entry)}
+              >
+                Apple / Outlook <span className="addCalItemHint">{t("calendar.icsFile")}</span>
+              </button>
+              <a
+                className="addCalItem"
+                role="menuitem"
+                href={googleCalendarUrl(entry)}
+                target="_blank"
+                rel="noopener"
+                onClick={() => setOpen(false)}
+              >
+                Google Calendar
+              </a>
+              <a
+                className="addCalItem"
+                role="menuitem"
+                href={outlookCalendarUrl(entry, "live")}
+                target="_blank"
+                rel="noopener"
+                onClick={() => setOpen(false)}
+              >
+                Outlook.com
+              </a>
+              <a
+                className="addCalItem"
+                role="menuitem"
+                href={outlookCalendarUrl(entry, "office")}
+                target="_blank"
+                rel="noopener"
+                onClick={() => setOpen(false)}
+              >
+                Microsoft 365
+              </a>
+            </div>
+          ))}
+        </div>,
+        document.body
+      )}
+    </>
+  );
+}
@@ -0,0 +1,292 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { dayKeyIn } from "./lib/date-range.js";
+import { i18n } from "./lib/i18n.js";
+import "./events-calendar.css";
+
+/**
+ * Month / week calendar layout for the live events catalog (App.jsx).
+ *
+ * Each event lands on the day(s) it covers in its own display timezone —
+ * the same `displayTz` CalendarBlock uses — so the calendar always agrees
+ * with the date sticker on the card. Multi-day events repeat on every day
+ * of their span as joined segments, and an event with several sessions
+ * shows up on each session's day. Clicking an event opens the normal
+ * catalog card in a popup (rendered by App via `renderCard`).
+ */
+
+const { t, dateLocale } = i18n;
+
+// Column headings, Sunday first. Jan 7, 2024 was a Sunday.
+const WEEKDAYS = Array.from({ length: 7 }, (_, i) =>
+  new Date(Date.UTC(2024, 0, 7 + i)).toLocaleDateString(dateLocale, { timeZone: "UTC", weekday: "short" })
+);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SPAN_DAYS = 62; // guard against a bad end date painting months
+const MONTH_CELL_LIMIT = 3;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Grid days are plain civil dates. Doing the arithmetic on UTC midnights
+// means a DST change can never skip or double a day.
+const civil = (key) => {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+};
+const keyOf = (d) => `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+const addDays = (d, n) => new Date(d.getTime() + n * DAY_MS);
+const startOfWeek = (d) => addDays(d, -d.getUTCDay());
+const todayCivil = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+};
+
+// "7:00 PM" in the display TZ, or "" when no time was set (midnight in
+// the stored TZ — same rule as fromDb in App.jsx).
+function shortTime(when, storedTz, displayTz) {
+  const stored = new Intl.DateTimeFormat("en-US", {
+    timeZone: storedTz, hour: "2-digit", minute: "2-digit", hour12: false,
+  }).formatToParts(when);
+  const h = stored.find((p) => p.type === "hour")?.value;
+  const m = stored.find((p) => p.type === "minute")?.value;
+  if ((h === "00" || h === "24") && m === "00") return "";
+  return when.toLocaleTimeString(dateLocale, {
+    timeZone: displayTz, hour: "numeric", minute: "2-digit",
+  });
+}
+
+const isDate = (d) => d instanceof Date && !isNaN(d.getTime());
+
+// The dated sessions of an event, or the event's own dates when none of
+// its sessions has a start.
+function occurrences(ev) {
+  const dated = (ev.sessions || []).filter((s) => isDate(s.start));
+  if (dated.length === 0) {
+    return isDate(ev.date)
+      ? [{ start: ev.date, end: ev.multiDay ? ev.endDate : null, tz: ev.storedTz, displayTz: ev.displayTz }]
+      : [];
+  }
+  return dated;
+}
+
+export default function EventsCalendar({ events, mode = "month", onModeChange, renderCard }) {
+  // Day key → [{ ev, seg, time, at }]. seg: single | start | mid | end
+  const byDay = useMemo(() => {
+    const map = {};
+    for (const ev of events) {
+      for (const o of occurrences(ev)) {
+        const startKey = dayKeyIn(o.start, o.displayTz);
+        const endKey = isDate(o.end) ? dayKeyIn(o.end, o.displayTz) : startKey;
+        const first = civil(startKey);
+        const span = Math.min(
+          Math.max(0, Math.round((civil(endKey) - first) / DAY_MS)),
+          MAX_SPAN_DAYS
+        );
+        const time = shortTime(o.start, o.tz, o.displayTz);
+        for (let i = 0; i <= span; i++) {
+          const seg = span === 0 ? "single" : i === 0 ? "start" : i === span ? "end" : "mid";
+          (map[keyOf(addDays(first, i))] ||= []).push({ ev, seg, time, at: o.start });
+        }
+      }
+    }
+    // Spanning events first so their bars line up, then by start time.
+    for (const list of Object.values(map)) {
+      list.sort((a, b) => {
+        const aSpan = a.seg === "single" ? 1 : 0;
+        const bSpan = b.seg === "single" ? 1 : 0;
+        return aSpan - bSpan || a.at - b.at;
+      });
+    }
+    return map;
+  }, [events]);
+
+  const undated = events.length - events.filter((e) => e.date instanceof Date).length;
+
+  // Open on the first listed event's month so filtered results are in view.
+  const [cursor, setCursor] = useState(() => {
+    const first = events.find((e) => e.date instanceof Date);
+    return first ? civil(dayKeyIn(first.date, first.displayTz)) : todayCivil();
+  });
+  const [open, setOpen] = useState(null); // { ev, y, x }
+
+  const todayKey = keyOf(todayCivil());
+
+  const days = useMemo(() => {
+    if (mode === "week") {
+      const start = startOfWeek(cursor);
+      return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+    }
+    const firstOfMonth = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth(), 1));
+    const start = startOfWeek(firstOfMonth);
+    const nextMonth = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 1));
+    const weeks = Math.ceil((nextMonth - start) / DAY_MS / 7);
+    return Array.from({ length: weeks * 7 }, (_, i) => addDays(start, i));
+  }, [cursor, mode]);
+
+  const step = (dir) => {
+    if (mode === "week") setCursor((c) => addDays(c, dir * 7));
+    else setCursor((c) => new Date(Date.UTC(c.getUTCFullYear(), c.getUTCMonth() + dir, 1)));
+  };
+
+  const heading = (() => {
+    if (mode !== "week") {
+      return cursor.toLocaleDateString(dateLocale, { timeZone: "UTC", month: "long", year: "numeric" });
+    }
+    const a = days[0];
+    const b = days[6];
+    const sameMonth = a.getUTCMonth() === b.getUTCMonth();
+    const left = a.toLocaleDateString(dateLocale, { timeZone: "UTC", month: "short", day: "numeric" });
+    const right = b.toLocaleDateString(dateLocale, {
+      timeZone: "UTC", ...(sameMonth ? {} : { month: "short" }), day: "numeric", year: "numeric",
+    });
+    return `${left} – ${right}`;
+  })();
+
+  const openEvent = (e, ev) => {
+    setOpen({ ev, y: e.pageY, x: e.pageX });
+  };
+
+  const viewWeekOf = (d) => {
+    setCursor(d);
+    onModeChange?.("week");
+  };
+
+  const visibleMonth = cursor.getUTCMonth();
+
+  return (
+    <div className={`evCal evCal-${mode}`}>
+      <div className="evCalHead">
+        <div className="evCalNav">
+          <button type="button" className="evCalNavBtn" onClick={() => step(-1)} aria-label={t("cal.previous")}>‹</button>
+          <button type="button" className="evCalNavBtn" onClick={() => step(1)} aria-label={t("cal.next")}>›</button>
+          <button type="button" className="evCalToday" onClick={() => setCursor(todayCivil())}>{t("cal.today")}</button>
+        </div>
+        <h2 className="evCalTitle">{heading}</h2>
+        {undated > 0 && (
+          <span className="evCalNote">
+            {t("cal.undated", { count: undated })}
+          </span>
+        )}
+      </div>
+
+      <div className="evCalGrid" role="grid">
+        {WEEKDAYS.map((w) => (
+          <div key={w} className="evCalWeekday" role="columnheader">{w}</div>
+        ))}
+        {days.map((d) => {
+          const key = keyOf(d);
+          const list = byDay[key] || [];
+          const limit = mode === "month" ? MONTH_CELL_LIMIT : Infinity;
+          const shown = list.slice(0, limit);
+          const hidden = list.length - shown.length;
+          const outside = mode === "month" && d.getUTCMonth() !== visibleMonth;
+          return (
+            <div
+              key={key}
+              role="gridcell"
+              className={`evCalDay ${outside ? "evCalDayOutside" : ""} ${key === todayKey ? "evCalDayToday" : ""}`}
+            >
+              <div className="evCalDayNum">
+                {mode === "week"
+                  ? d.toLocaleDateString(dateLocale, { timeZone: "UTC", month: "short", day: "numeric" })
+                  : d.getUTCDate()}
+              </div>
+              {shown.map(({ ev, seg, time, at }) => (
+                <button
+                  key={`${ev.id}-${at.getTime()}`}
+                  type="button"
+                  className={`evCalChip evCalChip-${seg} ${ev.mb2Exclusive ? "evCalChipExcl" : ""}`}
+                  onClick={(e) => openEvent(e, ev)}
+                  title={ev.title}
+                >
+                  {/* Repeat the title where a spanning bar starts or wraps to a new week. */}
+                  {seg === "single" || seg === "start" || d.getUTCDay() === 0 || mode === "week" ? (
+                    <>
+                      {time && seg !== "mid" && seg !== "end" ? <span className="evCalChipTime">{time}</span> : null}
+                      <span className="evCalChipTitle">{ev.title}</span>
+                    </>
+                  ) : (
+                    <span className="evCalChipTitle evCalChipCont" aria-label={ev.title}>&nbsp;</span>
+                  )}
+                </button>
+              ))}
+              {hidden > 0 && (
+                <button type="button" className="evCalMore" onClick={() => viewWeekOf(d)}>
+                  {t("cal.more", { count: hidden })}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <EventPopup open={open} onClose={() => setOpen(null)} renderCard={renderCard} />
+    </div>
+  );
+}
+
+/* The clicked event's full card. Anchored to the click rather than the
+   viewport, and clamped into the visible part of the page, for the same
+   iframe reasons as EmailReg / ExternalCourseModal. */
+function EventPopup({ open, onClose, renderCard }) {
+  const boxRef = useRef(null);
+  const [placed, setPlaced] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const onKey = (e) => { if (e.key === "Escape") onClose(); };
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, [open, onClose]);
+
+  useEffect(() => {
+    if (!open) { setPlaced(null); return; }
+    const el = boxRef.current;
+    if (!el) return;
+    const h = el.offsetHeight || 420;
+    const pageW = document.documentElement.clientWidth || 1200;
+    const half = Math.min(380, pageW - 32) / 2;
+    const x = Math.min(Math.max(open.x, half + 16), pageW - half - 16);
+
+    const embedded = window.parent !== window;
+    const visTop = embedded
+      ? (window.__mb2EmbedScrollOff || 0)
+      : (window.scrollY || 0);
+    let menuH = 0;
+    if (embedded) {
+      const hd = document.querySelector(".unifiedStickyHeader");
+      const fb = document.querySelector(".filterBar");
+      if (hd && hd.style.transform) menuH += hd.offsetHeight;
+      if (fb && fb.style.transform) menuH += fb.offsetHeight;
+    }
+    const minTop = visTop + menuH + 12;
+
+    let top = open.y - h / 2;
+    if (top < minTop) top = minTop;
+    setPlaced({ top, left: x });
+  }, [open]);
+
+  if (!open) return null;
+
+  return createPortal(
+    <div className="evCalBackdrop" onClick={onClose} role="presentation">
+      <div
+        ref={boxRef}
+        className="evCalPopup"
+        style={
+          placed
+            ? { top: placed.top, left: placed.left }
+            : { top: open.y, left: "50%", visibility: "hidden" }
+        }
+        role="dialog"
+        aria-modal="true"
+        aria-label={open.ev.title}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button type="button" className="evCalPopupClose" onClick={onClose} aria-label={t("common.close")}>×</button>
+        {renderCard(open.ev)}
+      </div>
+    </div>,
+    document.body
+  );
+}
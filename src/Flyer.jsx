@@ -0,0 +1,158 @@
+import { useEffect, useState } from "react";
+import { supabase } from "./lib/supabase.js";
+import { BASE_COLORS, normalizeTheme } from "./lib/client-theme.js";
+import { downloadFlyerPdf, flyerHref, qrDataUrl } from "./lib/flyer.js";
+import { i18n } from "./lib/i18n.js";
+import "./flyer.css";
+
+const { t } = i18n;
+
+/* Print view of a catalog (?print=1, see lib/flyer.js): a Letter-size
+   sheet with the client's logo, the month(s) covered, and every entry
+   with its badges and a QR code. On screen it's a preview with Print and
+   Download PDF buttons; printed, only the sheet remains and entries
+   never split across pages. The catalogs build the sections; this only
+   lays them out. */
+export default function Flyer({
+  slug, title, period, sections, scanHint, loading, error, shown, total, fileName,
+}) {
+  const [client, setClient] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    supabase
+      .from("clients")
+      .select("name, logo_url, theme")
+      .eq("slug", slug)
+      .maybeSingle()
+      .then(({ data }) => { if (!cancelled) setClient(data || null); });
+    return () => { cancelled = true; };
+  }, [slug]);
+
+  // QR codes, by the URL they encode. Printing waits for all of them.
+  // Keyed on the URLs themselves: `sections` is rebuilt every render.
+  const urls = [...new Set(sections.flatMap((s) => s.entries.map((e) => e.url)).filter(Boolean))];
+  const urlKey = urls.join("\n");
+  const [qr, setQr] = useState({});
+  useEffect(() => {
+    let cancelled = false;
+    const wanted = urlKey ? urlKey.split("\n") : [];
+    Promise.all(wanted.map((u) => qrDataUrl(u).then((src) => [u, src], () => [u, ""])))
+      .then((pairs) => { if (!cancelled) setQr(Object.fromEntries(pairs)); });
+    return () => { cancelled = true; };
+  }, [urlKey]);
+  const qrReady = urls.every((u) => u in qr);
+
+  useEffect(() => {
+    document.title = client?.name ? `${title} | ${client.name}` : title;
+  }, [title, client]);
+
+  const [pdfBusy, setPdfBusy] = useState(false);
+  const [pdfError, setPdfError] = useState("");
+  const printedOn = t("myList.printedOn", {
+    date: new Date().toLocaleDateString(i18n.dateLocale, { month: "short", day: "numeric", year: "numeric" }),
+  });
+  const footer = `${scanHint} · ${printedOn}`;
+  const empty = !loading && !error && sections.length === 0;
+
+  const downloadPdf = async () => {
+    setPdfBusy(true);
+    setPdfError("");
+    try {
+      await downloadFlyerPdf({
+        clientName: client?.name || "",
+        logoUrl: client?.logo_url || "",
+        title,
+        period,
+        sections,
+        footer,
+        accent: normalizeTheme(client?.theme).accent_color || BASE_COLORS.accent,
+        fileName,
+      });
+    } catch (e) {
+      console.error("flyer PDF error:", e);
+      setPdfError(t("flyer.pdfFailed"));
+    } finally {
+      setPdfBusy(false);
+    }
+  };
+
+  return (
+    <div className="flyerPage">
+      <div className="flyerToolbar">
+        <a className="flyerBack" href={flyerHref(false)}>{t("flyer.back")}</a>
+        <div className="flyerActions">
+          <button
+            type="button"
+            className="flyerBtn"
+            onClick={() => window.print()}
+            disabled={loading || empty || !qrReady}
+          >
+            {t("flyer.print")}
+          </button>
+          <button
+            type="button"
+            className="flyerBtn flyerBtnPrimary"
+            onClick={downloadPdf}
+            disabled={loading || empty || pdfBusy}
+          >
+            {pdfBusy ? t("flyer.pdfBusy") : t("flyer.pdf")}
+          </button>
+        </div>
+        {pdfError && <div className="flyerNote flyerNoteError">{pdfError}</div>}
+        {!loading && total > shown && (
+          <div className="flyerNote">{t("flyer.truncated", { shown, total })}</div>
+        )}
+      </div>
+
+      <article className="flyerSheet">
+        <header className="flyerHead">
+          {client?.logo_url ? (
+            <img className="flyerLogo" src={client.logo_url} alt={client.name || ""} />
+          ) : client?.name ? (
+            <div className="flyerClient">{client.name}</div>
+          ) : null}
+          <h1 className="flyerTitle">{title}</h1>
+          {period && <p className="flyerPeriod">{period}</p>}
+        </header>
+
+        {loading && <div className="center">{t("common.loading")}</div>}
+        {!loading && error && (
+          <div className="errorBox">
+            <div className="errorTitle">{t("common.dataNotLoading")}</div>
+            <div className="errorLine"><strong>{t("common.error")}</strong> {error}</div>
+          </div>
+        )}
+        {empty && <div className="center">{t("flyer.empty")}</div>}
+
+        {!loading && !error && sections.map((section, i) => (
+          <section className="flyerSection" key={`${section.heading}:${i}`}>
+            {section.heading && <h2 className="flyerMonth">{section.heading}</h2>}
+            {section.entries.map((entry) => (
+              <div className="flyerEntry" key={entry.key}>
+                <div className="flyerEntryText">
+                  <h3 className="flyerEntryTitle">{entry.title}</h3>
+                  {entry.when && <div className="flyerWhen">{entry.when}</div>}
+                  {entry.details && <div className="flyerDetails">{entry.details}</div>}
+                  {entry.badges.length > 0 && (
+                    <div className="flyerBadges">
+                      {entry.badges.map((b) => <span className="flyerBadge" key={b}>{b}</span>)}
+                    </div>
+                  )}
+                </div>
+                {entry.url && qr[entry.url] ? (
+                  <img
+                    className="flyerQr"
+                    src={qr[entry.url]}
+                    alt={t("flyer.qrAlt", { title: entry.title })}
+                  />
+                ) : null}
+              </div>
+            ))}
+          </section>
+        ))}
+
+        <footer className="flyerFoot">{footer}</footer>
+      </article>
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+import { useMemo } from "react";
+import { highlightParts } from "./lib/search.js";
+
+/* Card text with the current search terms wrapped in <mark>. Renders the
+   plain string when there's no search, so cards look exactly as before. */
+export default function Highlight({ text, terms }) {
+  const parts = useMemo(() => highlightParts(text, terms), [text, terms]);
+  if (!terms?.length) return text ?? null;
+  return parts.map((p, i) =>
+    p.match ? <mark key={i} className="searchHit">{p.text}</mark> : p.text
+  );
+}
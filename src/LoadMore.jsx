@@ -0,0 +1,42 @@
+import { useEffect, useRef } from "react";
+import { i18n } from "./lib/i18n.js";
+
+const { t } = i18n;
+
+/* Infinite-scroll trigger under a catalog grid: asks for the next page
+   once it comes within a screen of the viewport. The observer is rebuilt
+   after every page (`shown` changes), so a page too short to push the
+   sentinel out of view still pulls in the next one. The button covers
+   keyboard users and browsers without IntersectionObserver. */
+export default function LoadMore({ onLoadMore, loading, shown, total, noun = t("loadMore.results") }) {
+  const ref = useRef(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+  onLoadMoreRef.current = onLoadMore;
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || typeof IntersectionObserver === "undefined") return;
+    const io = new IntersectionObserver(
+      (entries) => { if (entries.some((e) => e.isIntersecting)) onLoadMoreRef.current(); },
+      { rootMargin: "0px 0px 800px 0px" }
+    );
+    io.observe(el);
+    return () => io.disconnect();
+  }, [shown]);
+
+  return (
+    <div className="loadMore" ref={ref}>
+      <button
+        type="button"
+        className="loadMoreBtn"
+        onClick={() => onLoadMore()}
+        disabled={loading}
+      >
+        {loading ? t("common.loading") : t("loadMore.more", { noun })}
+      </button>
+      <div className="loadMoreCount" aria-live="polite">
+        {t("loadMore.showing", { shown, total })}
+      </div>
+    </div>
+  );
+}
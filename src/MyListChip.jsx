@@ -0,0 +1,27 @@
+import { i18n } from "./lib/i18n.js";
+
+const { t } = i18n;
+
+/* "My list" pill for the catalog filter bars: narrows the catalog to
+   what the visitor saved (lib/my-list.js). While it's on, a link leads
+   to the combined list, where it can be printed or exported. Inside the
+   /all page that's a tab of its own, so no link is passed there. */
+export default function MyListChip({ active, onChange, href = "" }) {
+  return (
+    <>
+      <button
+        type="button"
+        className={`filterMineBtn ${active ? "active" : ""}`}
+        onClick={() => onChange(!active)}
+        aria-pressed={!!active}
+        title={t("myList.chipTitle")}
+      >
+        <span className="filterMineHeart" aria-hidden="true">♥</span>
+        <span className="filterExclLabel">{t("myList.chip")}</span>
+      </button>
+      {active && href && (
+        <a className="filterMineLink" href={href}>{t("myList.open")}</a>
+      )}
+    </>
+  );
+}
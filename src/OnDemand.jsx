@@ -1,120 +1,139 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import { createPortal } from "react-dom";
+import { useUrlFilters, parseCeParam } from "./lib/url-filters.js";
+import { parseQuery } from "./lib/search.js";
+import { facetOptions, useCatalogPages, useDebouncedValue } from "./lib/catalog-query.js";
+import { DEFAULT_THEME, themeLabel, useClientTheme, useThemeVars } from "./lib/client-theme.js";
+import { monthLabel } from "./lib/date-range.js";
+import { FLYER_LIMIT, flyerFileName, flyerHref } from "./lib/flyer.js";
+import { applyPageLang, i18n, withLang } from "./lib/i18n.js";
+import { emitEmbedEvent, useEmbedConnection, useEmbedFilters } from "./lib/embed-api.js";
+import { recordClick } from "./lib/click-analytics.js";
+import { useMyList } from "./lib/my-list.js";
+import { savedAtLabel } from "./lib/offline.js";
+import { courseJsonLd, itemListJsonLd, setJsonLd } from "./lib/structured-data.js";
 import { supabase } from "./lib/supabase.js";
+import Flyer from "./Flyer.jsx";
+import Highlight from "./Highlight.jsx";
+import LoadMore from "./LoadMore.jsx";
+import MyListChip from "./MyListChip.jsx";
+import Recommendations from "./Recommendations.jsx";
+import SaveButton from "./SaveButton.jsx";
 import "./catalog-extras.css";
 import "./on-demand.css";
 
 const safe = (v) => (typeof v === "string" ? v.trim() : v == null ? "" : String(v));
 
+const { t } = i18n; // ?lang= / browser language, see lib/i18n.js
+
 // ?exclusive=1 locks the catalog to MB2 Exclusive courses (same behavior
 // as the live events catalog's exclusive mode).
 const isExclusiveMode =
   typeof window !== "undefined" &&
   new URLSearchParams(window.location.search).get("exclusive") === "1";
 const isUrl = (u) => safe(u).startsWith("http");
-const uniq = (arr) => [...new Set(arr.filter((v) => v !== null && v !== undefined && v !== ""))];
-
-export default function OnDemand({ embedded = false }) {
-  const [rows, setRows] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [loadError, setLoadError] = useState("");
-  const [query, setQuery] = useState("");
-  const [typeSelected, setTypeSelected] = useState(new Set());
-  const [ceSelected, setCeSelected] = useState(new Set());
-  const [rolesSelected, setRolesSelected] = useState(new Set());
-  const [catSelected, setCatSelected] = useState(new Set());
-  const [vendorSelected, setVendorSelected] = useState(new Set());
-  const [mb2ExclusiveOnly, setMb2ExclusiveOnly] = useState(isExclusiveMode);
-  const [sortBy, setSortBy] = useState("newest"); // newest | oldest | name | ce_desc | ce_asc
+// Filter + sort state lives in the query string (see lib/url-filters.js).
+// Course "type" shows as the Format filter, so it uses the same param.
+const COURSE_FILTERS = {
+  query:         { param: "q",             type: "string" },
+  type:          { param: "format",        type: "set" },
+  ce:            { param: "ce",            type: "set", parse: parseCeParam },
+  roles:         { param: "roles",         type: "set" },
+  category:      { param: "category",      type: "set" },
+  vendor:        { param: "vendor",        type: "set" },
+  exclusiveOnly: { param: "exclusiveOnly", type: "flag" },
+  mine:          { param: "mine",          type: "flag" }, // "My list" (lib/my-list.js)
+  sortBy:        { param: "sort",          type: "string", default: "relevance" }, // relevance | newest | oldest | name | ce_desc | ce_asc
+  print:         { param: "print",         type: "flag" },   // printable flyer (Flyer.jsx)
+};
+
+// Courses are shared by every client; the slug only picks whose branding
+// the catalog wears. /on-demand on its own is MB2's.
+const DEFAULT_SLUG = "mb2";
+
+export default function OnDemand({ embedded = false, slug = DEFAULT_SLUG }) {
+  const theme = useClientTheme(slug);
+  useThemeVars(embedded ? null : theme);
+  useEffect(applyPageLang, []);
+  const [filters, setFilter, resetFilters, setFilters] = useUrlFilters(COURSE_FILTERS);
+  const {
+    query,
+    type: typeSelected,
+    ce: ceSelected,
+    roles: rolesSelected,
+    category: catSelected,
+    vendor: vendorSelected,
+    sortBy,
+  } = filters;
+  const mb2ExclusiveOnly = isExclusiveMode || filters.exclusiveOnly;
+
+  // Same history behavior as the events catalog: typing replaces the
+  // current entry, every other filter change is a Back-able step.
+  const setQuery = (v) => setFilter("query", v, { replace: !!query });
+  const setTypeSelected = (v) => setFilter("type", v);
+  const setCeSelected = (v) => setFilter("ce", v);
+  const setRolesSelected = (v) => setFilter("roles", v);
+  const setCatSelected = (v) => setFilter("category", v);
+  const setVendorSelected = (v) => setFilter("vendor", v);
+  const setMb2ExclusiveOnly = (v) => setFilter("exclusiveOnly", v);
+  const setMine = (v) => setFilter("mine", v);
+  const setSortBy = (v) => setFilter("sortBy", v);
+  const myList = useMyList();
   const [externalCourse, setExternalCourse] = useState(null); // course pending external-link confirmation
-
+  const [openedCourse, setOpenedCourse] = useState(null); // last course opened, for "Because you opened…"
+
+  // Viewer's local date — "featured until" runs through that day.
+  const now = new Date();
+  const todayStr = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
+
+  const settledQuery = useDebouncedValue(query);
+  const searchTerms = useMemo(() => parseQuery(settledQuery), [settledQuery]);
+
+  // Courses load a page at a time from catalog_courses (supabase/
+  // catalog_search.sql), which also fills in vendor logos / default
+  // thumbnails and floats featured courses to the top.
+  const catalog = useCatalogPages("catalog_courses", {
+    p_filters: {
+      today: todayStr,
+      terms: searchTerms,
+      type: [...typeSelected],
+      ce: [...ceSelected],
+      roles: [...rolesSelected],
+      category: [...catSelected],
+      vendor: [...vendorSelected],
+      exclusive_only: mb2ExclusiveOnly,
+      saved: filters.mine ? myList.courses : undefined,
+    },
+    p_sort: sortBy,
+  }, { pageSize: filters.print ? FLYER_LIMIT : undefined });
+  const rows = catalog.rows;
+  const loading = catalog.loading && rows.length === 0;
+  const loadError = catalog.error;
+
+  // The loaded courses as an ItemList for search engines
+  // (lib/structured-data.js). A course without a link points here.
   useEffect(() => {
-    let cancelled = false;
-    async function load() {
-      setLoading(true);
-      setLoadError("");
-      try {
-        const { data, error } = await supabase
-          .from("on_demand_courses")
-          .select("*")
-          .eq("is_published", true)
-          .order("sort_order", { ascending: true })
-          .order("created_at", { ascending: false });
-        if (error) throw error;
-
-        // Live vendor lookup — courses fall back to the vendor's CURRENT
-        // logo and default thumbnail, so vendor edits show up immediately
-        // (same behavior as the events catalog).
-        let vendorByName = {};
-        try {
-          const { data: client } = await supabase
-            .from("clients").select("id").eq("slug", "mb2").maybeSingle();
-          if (client?.id) {
-            const { data: vs } = await supabase
-              .from("vendors")
-              .select("name, logo_url, default_thumb_url")
-              .eq("client_id", client.id);
-            for (const v of vs || []) {
-              if (v.name) vendorByName[v.name.toLowerCase()] = v;
-            }
-          }
-        } catch { /* vendor fallback is best-effort */ }
-
-        const enriched = (data || []).map((r) => {
-          const vinfo = vendorByName[(r.vendor || "").toLowerCase()];
-          return {
-            ...r,
-            vendor_logo_url:
-              (r.vendor_logo_url && r.vendor_logo_url.trim()) || vinfo?.logo_url || "",
-            thumbnail_url:
-              (r.thumbnail_url && r.thumbnail_url.trim()) || vinfo?.default_thumb_url || "",
-          };
-        });
-        if (!cancelled) setRows(enriched);
-      } catch (e) {
-        console.error("On-demand load error:", e);
-        if (!cancelled) {
-          setRows([]);
-          setLoadError(e?.message || "Failed to load courses.");
-        }
-      } finally {
-        if (!cancelled) setLoading(false);
-      }
-    }
-    load();
-    return () => { cancelled = true; };
-  }, []);
+    const page = `${window.location.origin}${window.location.pathname}`;
+    return setJsonLd("courses", itemListJsonLd({
+      name: t("courses.title"),
+      url: page,
+      items: rows.map((course) => courseJsonLd(course, { url: page })),
+    }));
+  }, [rows]);
 
-  const types = useMemo(
-    () => uniq(rows.map((r) => r.type)).sort((a, b) => a.localeCompare(b)),
-    [rows]
+  // Popover options with live counts; see facetOptions.
+  const { facets } = catalog;
+  const types = useMemo(() => facetOptions(facets.type, typeSelected), [facets, typeSelected]);
+  // CE Hours filter — anything over 10 comes back as a single "10+" bucket.
+  const ceHours = useMemo(
+    () => facetOptions(facets.ce, ceSelected, parseCeParam),
+    [facets, ceSelected]
   );
-  // CE Hours filter — caps at "10+". Any course with ce_hours > 10 rolls
-  // up into a single "10+" bucket instead of listing every distinct value.
-  const CE_OVER = "10+";
-  const ceHours = useMemo(() => {
-    const vals = rows.map((r) => r.ce_hours).filter((n) => typeof n === "number");
-    const lowSet = new Set();
-    let hasOver = false;
-    for (const v of vals) {
-      if (v > 10) hasOver = true;
-      else lowSet.add(v);
-    }
-    const sorted = [...lowSet].sort((a, b) => a - b);
-    if (hasOver) sorted.push(CE_OVER);
-    return sorted;
-  }, [rows]);
-  const roles = useMemo(() => {
-    const all = rows.flatMap((r) => (Array.isArray(r.roles) ? r.roles : []));
-    return uniq(all).sort((a, b) => a.localeCompare(b));
-  }, [rows]);
-  const categories = useMemo(() => {
-    const all = rows.flatMap((r) => (Array.isArray(r.categories) ? r.categories : []));
-    return uniq(all).sort((a, b) => a.localeCompare(b));
-  }, [rows]);
+  const roles = useMemo(() => facetOptions(facets.roles, rolesSelected), [facets, rolesSelected]);
+  const categories = useMemo(() => facetOptions(facets.category, catSelected), [facets, catSelected]);
   const vendorOptions = useMemo(
-    () => uniq(rows.map((r) => safe(r.vendor))).sort((a, b) => a.localeCompare(b)),
-    [rows]
+    () => facetOptions(facets.vendor, vendorSelected),
+    [facets, vendorSelected]
   );
 
   const toggle = (setFn, value) =>
@@ -124,88 +143,30 @@ export default function OnDemand({ embedded = false }) {
       return next;
     });
 
-  const clearFilters = () => {
-    setQuery("");
-    setTypeSelected(new Set());
-    setCeSelected(new Set());
-    setRolesSelected(new Set());
-    setCatSelected(new Set());
-    setVendorSelected(new Set());
-    setMb2ExclusiveOnly(isExclusiveMode);
-  };
+  // Clears filters and search; the chosen sort is left alone, as before.
+  const clearFilters = () => resetFilters(["sortBy"]);
 
-  const filtered = useMemo(() => {
-    const q = safe(query).toLowerCase();
-    const typeOn = typeSelected.size > 0;
-    const ceOn = ceSelected.size > 0;
-    const rolesOn = rolesSelected.size > 0;
-    const catOn = catSelected.size > 0;
-    const vendorOn = vendorSelected.size > 0;
-    const matched = rows.filter((r) => {
-      if (mb2ExclusiveOnly && !r.mb2_exclusive) return false;
-      if (typeOn && !typeSelected.has(r.type)) return false;
-      if (vendorOn && !vendorSelected.has(safe(r.vendor))) return false;
-      if (ceOn) {
-        if (typeof r.ce_hours !== "number") return false;
-        const exact = ceSelected.has(r.ce_hours);
-        const overTen = r.ce_hours > 10 && ceSelected.has(CE_OVER);
-        if (!exact && !overTen) return false;
-      }
-      if (rolesOn) {
-        const rRoles = Array.isArray(r.roles) ? r.roles : [];
-        if (!rRoles.some((rr) => rolesSelected.has(rr))) return false;
-      }
-      if (catOn) {
-        const rCats = Array.isArray(r.categories) ? r.categories : [];
-        if (!rCats.some((c) => catSelected.has(c))) return false;
-      }
-      if (q) {
-        const rolesHay = Array.isArray(r.roles) ? r.roles.join(" ") : "";
-        const catsHay = Array.isArray(r.categories) ? r.categories.join(" ") : "";
-        const hay = `${safe(r.title)} ${safe(r.description)} ${safe(r.type)} ${safe(r.vendor)} ${rolesHay} ${catsHay}`.toLowerCase();
-        if (!hay.includes(q)) return false;
-      }
-      return true;
-    });
+  // Inside the TI iframe, the host page can set filters and search
+  // (lib/embed-api.js).
+  useEmbedConnection(slug);
+  useEmbedFilters("on-demand", COURSE_FILTERS, filters, setFilters);
 
-    // Apply the current sort. Clone so we don't mutate the filter result.
-    const sorted = [...matched];
-    const dateVal = (r) => {
-      if (!r.release_date) return -Infinity;
-      const t = new Date(r.release_date).getTime();
-      return Number.isNaN(t) ? -Infinity : t;
-    };
-    switch (sortBy) {
-      case "newest":
-        sorted.sort((a, b) => dateVal(b) - dateVal(a));
-        break;
-      case "oldest":
-        sorted.sort((a, b) => dateVal(a) - dateVal(b));
-        break;
-      case "name":
-        sorted.sort((a, b) => safe(a.title).localeCompare(safe(b.title)));
-        break;
-      case "ce_desc":
-        sorted.sort((a, b) => (b.ce_hours ?? -1) - (a.ce_hours ?? -1));
-        break;
-      case "ce_asc":
-        sorted.sort((a, b) => (a.ce_hours ?? Infinity) - (b.ce_hours ?? Infinity));
-        break;
-      default:
-        break;
-    }
-    // Featured courses always float to the top, keeping the chosen
-    // sort order within the featured and non-featured groups. A course
-    // with a "featured until" date stops counting as featured after
-    // that date (inclusive — it stays featured through that day).
-    const now = new Date();
-    const todayStr = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
-    const isFeaturedNow = (c) =>
-      c.is_featured === true &&
-      (!c.featured_until || String(c.featured_until).slice(0, 10) >= todayStr);
-    sorted.sort((a, b) => (isFeaturedNow(b) ? 1 : 0) - (isFeaturedNow(a) ? 1 : 0));
-    return sorted;
-  }, [rows, query, typeSelected, ceSelected, rolesSelected, catSelected, vendorSelected, mb2ExclusiveOnly, sortBy]);
+  if (filters.print) {
+    return (
+      <Flyer
+        slug={slug}
+        title={theme.courses_title || t("courses.title")}
+        period={monthLabel(todayStr.slice(0, 7), i18n)}
+        sections={rows.length ? [{ heading: "", entries: rows.map(courseFlyerEntry) }] : []}
+        scanHint={t("flyer.scanCourses")}
+        loading={loading}
+        error={loadError}
+        shown={rows.length}
+        total={catalog.total}
+        fileName={flyerFileName(slug, "on-demand-courses", todayStr.slice(0, 7))}
+      />
+    );
+  }
 
   return (
     <div className={`page ${embedded ? "pageEmbedded" : ""}`}>
@@ -213,17 +174,16 @@ export default function OnDemand({ embedded = false }) {
         <header className="header">
           <div className="headerLeft">
             <div className="titleRow">
-              <h1>On Demand Courses</h1>
+              <h1>{theme.courses_title || t("courses.title")}</h1>
             </div>
             <p>
-              Access our library of on-demand continuing education courses.
-              Learn on your schedule, at your pace.
+              {theme.courses_intro || t("courses.intro")}
             </p>
           </div>
 
           <input
             className="search"
-            placeholder="Search on-demand courses…"
+            placeholder={t("courses.searchPlaceholder")}
             value={query}
             onChange={(e) => setQuery(e.target.value)}
           />
@@ -241,45 +201,81 @@ export default function OnDemand({ embedded = false }) {
         categories={categories} catSelected={catSelected} setCatSelected={setCatSelected}
         vendorOptions={vendorOptions} vendorSelected={vendorSelected} setVendorSelected={setVendorSelected}
         mb2ExclusiveOnly={mb2ExclusiveOnly} setMb2ExclusiveOnly={setMb2ExclusiveOnly}
+        mine={filters.mine} setMine={setMine}
+        myListHref={embedded ? "" : withLang(`/${slug}/my-list`)}
+        printHref={flyerHref()}
         toggle={toggle}
         clearFilters={clearFilters}
-        filteredCount={filtered.length}
+        filteredCount={catalog.total}
         showSearch={embedded}
         query={query}
         setQuery={setQuery}
-        searchPlaceholder="Search on-demand courses…"
+        searchPlaceholder={t("courses.searchPlaceholder")}
         sortBy={sortBy}
         setSortBy={setSortBy}
       />
 
       <div className="layoutTop">
         <main className="mainFull">
-          {loading && <div className="center">Loading…</div>}
+          {openedCourse && (
+            <OpenedCourseRecs
+              course={openedCourse}
+              slug={slug}
+              onExternalClick={setExternalCourse}
+              onDismiss={() => setOpenedCourse(null)}
+            />
+          )}
+
+          {loading && <div className="center">{t("common.loading")}</div>}
 
           {!loading && loadError && (
             <div className="errorBox">
-              <div className="errorTitle">Data not loading</div>
+              <div className="errorTitle">{t("common.dataNotLoading")}</div>
               <div className="errorLine">
-                <strong>Error:</strong> {loadError}
+                <strong>{t("common.error")}</strong> {loadError}
               </div>
             </div>
           )}
 
-          {!loading && !loadError && filtered.length === 0 && (
+          {!loading && !loadError && catalog.savedAt && (
+            <div className="savedNotice" role="status">{savedAtLabel(catalog.savedAt)}</div>
+          )}
+
+          {!loading && !loadError && rows.length === 0 && (
             <div className="center">
-              {query || typeSelected.size > 0 || ceSelected.size > 0
-                ? "No courses match your filters."
-                : "No on-demand courses available yet."}
+              {filters.mine && myList.courses.length === 0
+                ? t("myList.noneHere")
+                : query || filters.mine || typeSelected.size > 0 || ceSelected.size > 0
+                  ? t("courses.noneMatch")
+                  : t("courses.noneYet")}
             </div>
           )}
 
-          {!loading && !loadError && filtered.length > 0 && (
+          {!loading && !loadError && rows.length > 0 && (
             <div className="odGrid">
-              {filtered.map((c) => (
-                <OnDemandCard key={c.id} course={c} onExternalClick={setExternalCourse} />
+              {rows.map((c) => (
+                <OnDemandCard
+                  key={c.id}
+                  course={c}
+                  slug={slug}
+                  onExternalClick={setExternalCourse}
+                  onOpen={setOpenedCourse}
+                  terms={searchTerms}
+                  theme={theme}
+                />
               ))}
             </div>
           )}
+
+          {!loading && !loadError && catalog.hasMore && (
+            <LoadMore
+              onLoadMore={catalog.loadMore}
+              loading={catalog.loadingMore}
+              shown={rows.length}
+              total={catalog.total}
+              noun={t("courses.noun")}
+            />
+          )}
         </main>
       </div>
 
@@ -288,18 +284,76 @@ export default function OnDemand({ embedded = false }) {
         anchorY={externalCourse?.anchorY}
         cardTop={externalCourse?.cardTop}
         cardCenterX={externalCourse?.cardCenterX}
+        slug={slug}
         onClose={() => setExternalCourse(null)}
       />
     </div>
   );
 }
 
+// One line of the printable flyer (Flyer.jsx); the QR code opens the course.
+const courseFlyerEntry = (course) => ({
+  key: course.id,
+  title: safe(course.title),
+  when: t("courses.anytime"),
+  details: safe(course.vendor) ? t("calendar.presentedBy", { vendor: safe(course.vendor) }) : "",
+  badges: [
+    typeof course.ce_hours === "number" ? t("common.ce", { ce: course.ce_hours }) : "",
+    i18n.value("format", safe(course.type)),
+    course.mb2_exclusive ? t("common.exclusive") : "",
+  ].filter(Boolean),
+  url: isUrl(course.course_url) ? course.course_url : "",
+});
+
+/* "Because you opened …" — what's related to the course the visitor just
+   opened (Recommendations.jsx), above the grid until they close it.
+   Nothing shows when there's nothing related.
+   Live events come from this catalog's client, so a course can lead to
+   an upcoming webinar on the same topic. */
+function OpenedCourseRecs({ course, slug, onExternalClick, onDismiss }) {
+  // undefined while the client is looked up, so suggestions load once.
+  const [clientId, setClientId] = useState(undefined);
+  useEffect(() => {
+    let cancelled = false;
+    supabase
+      .from("clients")
+      .select("id")
+      .eq("slug", slug)
+      .maybeSingle()
+      .then(({ data }) => { if (!cancelled) setClientId(data?.id || null); });
+    return () => { cancelled = true; };
+  }, [slug]);
+
+  return (
+    <Recommendations
+      source={clientId === undefined ? null : { kind: "course", row: course }}
+      clientId={clientId}
+      slug={slug}
+      onExternalClick={onExternalClick}
+      className="recOpened"
+      header={
+        <>
+          <p className="recOpenedTitle">{t("recs.becauseOpened", { title: course.title })}</p>
+          <button
+            type="button"
+            className="recOpenedClose"
+            aria-label={t("common.close")}
+            onClick={onDismiss}
+          >
+            ×
+          </button>
+        </>
+      }
+    />
+  );
+}
+
 /* Confirmation popup shown before leaving for an external course.
    Hovers right above the clicked card (not viewport-centered) so it's
    always in view — including inside the TI iframe embed, where the
    iframe spans the whole catalog height and "fixed" positioning can
    push it off-screen. */
-function ExternalCourseModal({ course, anchorY, cardTop, cardCenterX, onClose }) {
+export function ExternalCourseModal({ course, anchorY, cardTop, cardCenterX, slug = "", onClose }) {
   const boxRef = useRef(null);
   const [placed, setPlaced] = useState(null);
 
@@ -348,6 +402,8 @@ function ExternalCourseModal({ course, anchorY, cardTop, cardCenterX, onClose })
 
   const proceed = () => {
     window.open(course.course_url, "_blank", "noopener");
+    recordClick({ slug, link: "external_course", courseId: course.id });
+    emitEmbedEvent("external-course-opened", { courseId: course.id, title: course.title, url: course.course_url });
     onClose();
   };
 
@@ -369,7 +425,7 @@ function ExternalCourseModal({ course, anchorY, cardTop, cardCenterX, onClose })
         style={modalStyle}
         role="alertdialog"
         aria-modal="true"
-        aria-label="Leaving MB2 Shield"
+        aria-label={t("courses.leaving")}
         onClick={(e) => e.stopPropagation()}
       >
         <div className="odExtIcon" aria-hidden="true">
@@ -378,18 +434,14 @@ function ExternalCourseModal({ course, anchorY, cardTop, cardCenterX, onClose })
             <path d="M19 13v6a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h6" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
           </svg>
         </div>
-        <h3 className="odExtTitle">You're leaving MB2 Shield</h3>
-        <p className="odExtText">
-          You are about to leave the MB2 Shield platform to go to a course on an
-          external platform. Course completion and certificates will not be
-          recorded within MB2 Shield.
-        </p>
+        <h3 className="odExtTitle">{t("courses.leavingTitle")}</h3>
+        <p className="odExtText">{t("courses.leavingText")}</p>
         <div className="odExtActions">
           <button type="button" className="odExtCancel" onClick={onClose}>
-            Cancel
+            {t("common.cancel")}
           </button>
           <button type="button" className="odExtConfirm" onClick={proceed}>
-            I understand — Go to course
+            {t("courses.leavingConfirm")}
           </button>
         </div>
       </div>
@@ -405,19 +457,19 @@ function CreditBadge({ ce, hidden = false }) {
   if (hidden) return <span aria-hidden="true" />;
   if (ce == null || Number.isNaN(ce)) {
     return (
-      <span className="odCreditFallback" aria-label="Available anytime">
+      <span className="odCreditFallback" aria-label={t("courses.anytime")}>
         <svg width="13" height="13" viewBox="0 0 24 24" fill="none" aria-hidden="true">
           <circle cx="12" cy="12" r="9" stroke="currentColor" strokeWidth="2"/>
           <path d="M12 7v5l3 2" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
         </svg>
-        <span>Available anytime</span>
+        <span>{t("courses.anytime")}</span>
       </span>
     );
   }
   return (
     <span
       className="odCredit"
-      aria-label={`${ce} CE ${ce === 1 ? "credit" : "credits"}`}
+      aria-label={t("courses.creditsAria", { count: ce })}
     >
       <svg
         className="odCreditIcon"
@@ -437,13 +489,26 @@ function CreditBadge({ ce, hidden = false }) {
         />
       </svg>
       <span className="odCreditText">
-        <strong>{ce}</strong> CE Credit{ce === 1 ? "" : "s"}
+        <strong>{ce}</strong> {t("courses.credits", { count: ce })}
       </span>
     </span>
   );
 }
 
-function OnDemandCard({ course, onExternalClick }) {
+export function OnDemandCard(props) {
+  // The whole card is a link, so the heart sits beside it rather than in
+  // it, on a layer the size of the thumbnail.
+  return (
+    <div className="odCardShell">
+      <OnDemandCardBody {...props} />
+      <div className="odSaveLayer">
+        <SaveButton kind="courses" itemKey={props.course.id} title={props.course.title} />
+      </div>
+    </div>
+  );
+}
+
+function OnDemandCardBody({ course, slug = "", onExternalClick, onOpen, terms = null, theme = DEFAULT_THEME }) {
   const thumbOk = isUrl(course.thumbnail_url);
   const canRegister = isUrl(course.course_url);
   const ce = typeof course.ce_hours === "number" ? course.ce_hours : null;
@@ -451,7 +516,7 @@ function OnDemandCard({ course, onExternalClick }) {
   const cardInner = (
     <>
       <div className={`thumb odThumb ${thumbOk ? "" : "thumbNoImg"}`}>
-        {course.mb2_exclusive ? <span className="mb2Badge">Exclusive</span> : null}
+        {course.mb2_exclusive ? <span className="mb2Badge">{t("common.exclusive")}</span> : null}
         {thumbOk ? (
           <img
             src={course.thumbnail_url}
@@ -469,24 +534,26 @@ function OnDemandCard({ course, onExternalClick }) {
         {ce != null || isUrl(course.vendor_logo_url) ? (
           <div className="topRow odVendorRow">
             <div className="metaRow">
-              {ce != null ? <span className="ceBadge">{ce} CE</span> : null}
+              {ce != null ? <span className="ceBadge">{t("common.ce", { ce })}</span> : null}
             </div>
             {isUrl(course.vendor_logo_url) ? (
               <img
                 className="vendorLogo"
                 src={course.vendor_logo_url}
-                alt="Vendor logo"
+                alt={t("card.vendorLogo")}
                 loading="lazy"
                 onError={(e) => { e.currentTarget.style.display = "none"; }}
               />
             ) : null}
           </div>
         ) : null}
-        <h3 className="title" title={course.title}>{course.title}</h3>
+        <h3 className="title" title={course.title}>
+          <Highlight text={course.title} terms={terms} />
+        </h3>
 
         {safe(course.description) ? (
           <p className="descFull" title={course.description}>
-            {course.description}
+            <Highlight text={course.description} terms={terms} />
           </p>
         ) : null}
 
@@ -500,11 +567,11 @@ function OnDemandCard({ course, onExternalClick }) {
               <CreditBadge ce={null} hidden={ce != null} />
               {canRegister ? (
                 <span className="sessionBtn odCardCta" aria-hidden="true">
-                  Go To Course →
+                  {themeLabel(theme, "course_label", i18n)} →
                 </span>
               ) : (
                 <span className="muted" style={{ fontSize: 13 }}>
-                  Course link not set
+                  {t("courses.linkNotSet")}
                 </span>
               )}
             </div>
@@ -522,9 +589,10 @@ function OnDemandCard({ course, onExternalClick }) {
         href={course.course_url}
         target="_blank"
         rel="noopener"
-        aria-label={`Open course: ${course.title}`}
+        aria-label={t("courses.open", { title: course.title })}
         onClick={(e) => {
           e.preventDefault();
+          if (typeof onOpen === "function") onOpen(course);
           // Pass the clicked card's position so the popup can hover right
           // above it. (Viewport-centered "fixed" positioning breaks inside
           // the TI iframe embed, where the iframe spans the whole catalog.)
@@ -550,7 +618,11 @@ function OnDemandCard({ course, onExternalClick }) {
       href={course.course_url}
       target="_blank"
       rel="noopener"
-      aria-label={`Open course: ${course.title}`}
+      aria-label={t("courses.open", { title: course.title })}
+      onClick={() => {
+        recordClick({ slug, link: "course", courseId: course.id });
+        if (typeof onOpen === "function") onOpen(course);
+      }}
     >
       {cardInner}
     </a>
@@ -573,6 +645,7 @@ function OdFilterBar(props) {
     categories, catSelected, setCatSelected,
     vendorOptions, vendorSelected, setVendorSelected,
     mb2ExclusiveOnly, setMb2ExclusiveOnly,
+    mine, setMine, myListHref, printHref,
     toggle, clearFilters, filteredCount,
     showSearch, query, setQuery, searchPlaceholder,
     sortBy, setSortBy,
@@ -580,21 +653,22 @@ function OdFilterBar(props) {
 
   const hasAnyFilter =
     (!isExclusiveMode && mb2ExclusiveOnly) ||
+    !!mine ||
     typeSelected.size > 0 ||
     ceSelected.size > 0 ||
     rolesSelected.size > 0 ||
     (catSelected && catSelected.size > 0) ||
     (vendorSelected && vendorSelected.size > 0);
-  const courseLabel = filteredCount === 1 ? "course" : "courses";
+  const courseLabel = t("courses.count", { count: filteredCount });
 
   return (
-    <div className="filterBar" role="toolbar" aria-label="Course filters">
+    <div className="filterBar" role="toolbar" aria-label={t("courses.filters")}>
       <div className="filterBarInner">
         {showSearch && (
           <input
             className="filterBarSearch"
             type="search"
-            placeholder={searchPlaceholder || "Search…"}
+            placeholder={searchPlaceholder || t("common.search")}
             value={query || ""}
             onChange={(e) => setQuery(e.target.value)}
           />
@@ -605,68 +679,77 @@ function OdFilterBar(props) {
             className={`filterExclBtn ${mb2ExclusiveOnly ? "active" : ""}`}
             onClick={() => setMb2ExclusiveOnly(!mb2ExclusiveOnly)}
             aria-pressed={mb2ExclusiveOnly}
-            title="Only show MB2 Exclusive courses"
+            title={t("filters.exclusiveCourses", { name: "MB2" })}
           >
             <span className="filterExclStar" aria-hidden="true">★</span>
-            <span className="filterExclLabel">MB2 Exclusive</span>
+            <span className="filterExclLabel">{t("filters.exclusive", { name: "MB2" })}</span>
           </button>
         )}
+        {setMine && (
+          <MyListChip active={mine} onChange={setMine} href={myListHref} />
+        )}
 
         <OdFilterPopover
-          label="Format"
-          options={types}
+          label={t("filters.format")}
+          options={types.options}
+          counts={types.counts}
           selected={typeSelected}
           onToggle={(v) => toggle(setTypeSelected, v)}
           onClear={() => setTypeSelected(new Set())}
+          formatOption={(o) => i18n.value("format", o)}
         />
         <OdFilterPopover
-          label="Role"
-          options={roles}
+          label={t("filters.role")}
+          options={roles.options}
+          counts={roles.counts}
           selected={rolesSelected}
           onToggle={(v) => toggle(setRolesSelected, v)}
           onClear={() => setRolesSelected(new Set())}
-          searchable={roles.length > 10}
+          searchable={roles.options.length > 10}
+          formatOption={(o) => i18n.value("role", o)}
         />
         <OdFilterPopover
-          label="Category"
-          options={categories}
+          label={t("filters.category")}
+          options={categories.options}
+          counts={categories.counts}
           selected={catSelected}
           onToggle={(v) => toggle(setCatSelected, v)}
           onClear={() => setCatSelected(new Set())}
-          searchable={categories.length > 10}
+          searchable={categories.options.length > 10}
         />
         <OdFilterPopover
-          label="Vendor"
-          options={vendorOptions || []}
+          label={t("filters.vendor")}
+          options={vendorOptions.options}
+          counts={vendorOptions.counts}
           selected={vendorSelected}
           onToggle={(v) => toggle(setVendorSelected, v)}
           onClear={() => setVendorSelected(new Set())}
           searchable
         />
         <OdFilterPopover
-          label="CE Hours"
-          options={ceHours}
+          label={t("filters.ceHours")}
+          options={ceHours.options}
+          counts={ceHours.counts}
           selected={ceSelected}
           onToggle={(v) => toggle(setCeSelected, v)}
           onClear={() => setCeSelected(new Set())}
-          formatOption={(o) => (typeof o === "string" ? o : `${o} CE`)}
+          formatOption={(o) => (typeof o === "string" ? o : t("common.ce", { ce: o }))}
         />
 
         <div className="filterBarSpacer" />
 
         {setSortBy && (
           <label className="filterBarSort">
-            <span className="filterBarSortLabel">Sort by</span>
+            <span className="filterBarSortLabel">{t("filters.sortBy")}</span>
             <select
               className="filterBarSortSelect"
-              value={sortBy || "newest"}
+              value={sortBy || "relevance"}
               onChange={(e) => setSortBy(e.target.value)}
             >
-              <option value="newest">Newest first</option>
-              <option value="oldest">Oldest first</option>
-              <option value="name">Name (A → Z)</option>
-              <option value="ce_desc">CE hours (high → low)</option>
-              <option value="ce_asc">CE hours (low → high)</option>
+              {/* Without a search, "Best match" is simply newest first. */}
+              {["relevance", "newest", "oldest", "name", "ce_desc", "ce_asc"].map((v) => (
+                <option key={v} value={v}>{t(`sort.${v}`)}</option>
+              ))}
             </select>
           </label>
         )}
@@ -675,11 +758,22 @@ function OdFilterBar(props) {
             type="button"
             className="filterBarClear"
             onClick={clearFilters}
-            title="Reset all filters"
+            title={t("filters.resetAll")}
           >
-            Clear all
+            {t("filters.clearAll")}
           </button>
         )}
+        {printHref && filteredCount > 0 && (
+          <a
+            className="filterPrintLink"
+            href={printHref}
+            target="_blank"
+            rel="noopener"
+            title={t("flyer.linkTitle")}
+          >
+            {t("flyer.link")}
+          </a>
+        )}
         <div className="filterBarCount" aria-live="polite">
           <strong>{filteredCount}</strong> {courseLabel}
         </div>
@@ -688,7 +782,7 @@ function OdFilterBar(props) {
   );
 }
 
-function OdFilterPopover({ label, options, selected, onToggle, onClear, searchable = false, formatOption }) {
+function OdFilterPopover({ label, options, selected, onToggle, onClear, searchable = false, formatOption, counts }) {
   const [open, setOpen] = useState(false);
   const [search, setSearch] = useState("");
   const ref = useRef(null);
@@ -711,8 +805,8 @@ function OdFilterPopover({ label, options, selected, onToggle, onClear, searchab
   const visibleOptions = useMemo(() => {
     if (!search) return options;
     const q = search.toLowerCase();
-    return options.filter((o) => String(o).toLowerCase().includes(q));
-  }, [options, search]);
+    return options.filter((o) => String(formatOption ? formatOption(o) : o).toLowerCase().includes(q));
+  }, [options, search, formatOption]);
 
   const count = selected.size;
   const disabled = options.length === 0;
@@ -741,7 +835,7 @@ function OdFilterPopover({ label, options, selected, onToggle, onClear, searchab
               <input
                 type="text"
                 className="filterPopSearch"
-                placeholder={`Search ${label.toLowerCase()}…`}
+                placeholder={t("filters.searchIn", { label: label.toLowerCase() })}
                 value={search}
                 onChange={(e) => setSearch(e.target.value)}
                 autoFocus
@@ -750,7 +844,7 @@ function OdFilterPopover({ label, options, selected, onToggle, onClear, searchab
           )}
           <div className="filterPopList">
             {visibleOptions.length === 0 ? (
-              <div className="filterPopEmpty">No matches</div>
+              <div className="filterPopEmpty">{t("filters.noMatches")}</div>
             ) : (
               visibleOptions.map((opt) => {
                 const key = String(opt);
@@ -764,6 +858,9 @@ function OdFilterPopover({ label, options, selected, onToggle, onClear, searchab
                       onChange={() => onToggle(opt)}
                     />
                     <span className="filterPopItemLabel">{displayLabel}</span>
+                    {counts && (
+                      <span className="filterPopItemN">{counts.get(opt) ?? 0}</span>
+                    )}
                     {isSel && <span className="filterPopItemCheck" aria-hidden="true">✓</span>}
                   </label>
                 );
@@ -777,7 +874,7 @@ function OdFilterPopover({ label, options, selected, onToggle, onClear, searchab
                 className="filterPopClearBtn"
                 onClick={() => onClear()}
               >
-                Clear {label.toLowerCase()}
+                {t("filters.clearOne", { label: label.toLowerCase() })}
               </button>
             </div>
           )}
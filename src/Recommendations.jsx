@@ -0,0 +1,143 @@
+import { useRecommendations } from "./lib/recommendations.js";
+import { dayKeyIn } from "./lib/date-range.js";
+import { i18n, withLang } from "./lib/i18n.js";
+import { recordClick } from "./lib/click-analytics.js";
+
+const { t } = i18n;
+
+const safe = (v) => (typeof v === "string" ? v.trim() : v == null ? "" : String(v));
+const isUrl = (u) => safe(u).startsWith("http");
+
+const VIEWER_TZ = (() => {
+  try { return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC"; }
+  catch { return "UTC"; }
+})();
+
+// Card date: the venue's zone for in-person events, the viewer's
+// otherwise — same rule as the event cards (pickDisplayTz in App.jsx).
+function eventDate(row) {
+  const d = row.event_date ? new Date(row.event_date) : null;
+  if (!d || isNaN(d.getTime())) return "";
+  const inPerson = ["in-person", "in person", "inperson"].includes(safe(row.format).toLowerCase());
+  return d.toLocaleDateString(i18n.dateLocale, {
+    timeZone: inPerson ? row.event_timezone || "America/Chicago" : VIEWER_TZ,
+    weekday: "short", month: "short", day: "numeric",
+  });
+}
+
+/* One suggestion: a small tile rather than a full card, so a row of six
+   fits under a card. Events open their own page; courses open like
+   their catalog card, through the "leaving" popup when external. */
+function RecTile({ kind, row, slug, onExternalClick }) {
+  const event = kind === "event";
+  const thumb = event ? row.thumb_url : row.thumbnail_url;
+  const ce = typeof row.ce_hours === "number" ? row.ce_hours : null;
+  const meta = [
+    event ? eventDate(row) : ce != null ? t("common.ce", { ce }) : "",
+    safe(row.vendor),
+  ].filter(Boolean).join(" · ");
+
+  const inner = (
+    <>
+      <div className="recTileThumb">
+        {isUrl(thumb) ? <img src={thumb} alt="" loading="lazy" /> : null}
+        <span className={`recTileKind ${event ? "recTileLive" : ""}`}>
+          {t(event ? "recs.live" : "recs.onDemand")}
+        </span>
+      </div>
+      <div className="recTileBody">
+        <div className="recTileTitle" title={row.title}>{safe(row.title) || t("events.untitled")}</div>
+        {meta && <div className="recTileMeta">{meta}</div>}
+      </div>
+    </>
+  );
+
+  if (event) {
+    const day = row.occurrence_date ? `?date=${row.occurrence_date}` : "";
+    return (
+      <a className="recTile" href={withLang(`/${slug}/events/${row.id}${day}`)}>
+        {inner}
+      </a>
+    );
+  }
+  if (!isUrl(row.course_url)) return <div className="recTile">{inner}</div>;
+  return (
+    <a
+      className="recTile"
+      href={row.course_url}
+      target="_blank"
+      rel="noopener"
+      onClick={(e) => {
+        if (!row.is_external || typeof onExternalClick !== "function") {
+          recordClick({ slug, link: "course", courseId: row.id });
+          return;
+        }
+        e.preventDefault();
+        const r = e.currentTarget.getBoundingClientRect();
+        onExternalClick({
+          course: row,
+          anchorY: e.pageY,
+          cardTop: r.top + window.scrollY,
+          cardCenterX: r.left + r.width / 2 + window.scrollX,
+        });
+      }}
+    >
+      {inner}
+    </a>
+  );
+}
+
+function RecRow({ title, items, slug, onExternalClick }) {
+  if (items.length === 0) return null;
+  return (
+    <section className="recRow">
+      <h2 className="recRowTitle">{title}</h2>
+      <div className="recRowTrack">
+        {items.map((it) => (
+          <RecTile
+            key={`${it.kind}:${it.row.id}`}
+            kind={it.kind}
+            row={it.row}
+            slug={slug}
+            onExternalClick={onExternalClick}
+          />
+        ))}
+      </div>
+    </section>
+  );
+}
+
+/* "More from {vendor}" and "You might also like" under an event or
+   course (lib/recommendations.js). Live events need the client
+   (`clientId`) and link into its catalog (`slug`); without a client only
+   courses are suggested. Renders nothing until there's something to show,
+   `header` included. */
+export default function Recommendations({
+  source, clientId = null, slug, onExternalClick, className = "", header = null,
+}) {
+  const { fromVendor, alsoLike } = useRecommendations(source, {
+    clientId,
+    today: dayKeyIn(new Date(), VIEWER_TZ),
+    tz: VIEWER_TZ,
+  });
+  if (!source || (fromVendor.length === 0 && alsoLike.length === 0)) return null;
+  const vendor = safe(source.row.vendor);
+
+  return (
+    <div className={`recs ${className}`}>
+      {header}
+      <RecRow
+        title={t("recs.moreFrom", { vendor })}
+        items={fromVendor}
+        slug={slug}
+        onExternalClick={onExternalClick}
+      />
+      <RecRow
+        title={t("recs.alsoLike")}
+        items={alsoLike}
+        slug={slug}
+        onExternalClick={onExternalClick}
+      />
+    </div>
+  );
+}
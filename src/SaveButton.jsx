@@ -0,0 +1,38 @@
+import { toggleSaved, useMyList } from "./lib/my-list.js";
+import { i18n } from "./lib/i18n.js";
+
+const { t } = i18n;
+
+/* Heart toggle that adds a card to "My list" (lib/my-list.js). It sits
+   over the card thumbnail, and its click never reaches the card under
+   it — course cards are links as a whole. */
+export default function SaveButton({ kind, itemKey, title }) {
+  const list = useMyList();
+  const saved = list[kind].includes(itemKey);
+  const label = t(saved ? "myList.unsave" : "myList.save", { title });
+
+  return (
+    <button
+      type="button"
+      className={`saveBtn ${saved ? "saved" : ""}`}
+      aria-pressed={saved}
+      aria-label={label}
+      title={label}
+      onClick={(e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        toggleSaved(kind, itemKey);
+      }}
+    >
+      <svg width="18" height="18" viewBox="0 0 24 24" aria-hidden="true">
+        <path
+          d="M12 20.5s-7.5-4.6-7.5-10.2A4.3 4.3 0 0112 7.6a4.3 4.3 0 017.5 2.7c0 5.6-7.5 10.2-7.5 10.2z"
+          fill={saved ? "currentColor" : "none"}
+          stroke="currentColor"
+          strokeWidth="2"
+          strokeLinejoin="round"
+        />
+      </svg>
+    </button>
+  );
+}
@@ -1,7 +1,11 @@
-import { useRef, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import { useParams, useSearchParams } from "react-router-dom";
-import App from "./App.jsx";
+import App, { MyList } from "./App.jsx";
 import OnDemand from "./OnDemand.jsx";
+import { withoutFilterParams } from "./lib/url-filters.js";
+import { useClientTheme, useThemeVars } from "./lib/client-theme.js";
+import { applyPageLang, i18n } from "./lib/i18n.js";
+import { useEmbedCommand, useEmbedConnection } from "./lib/embed-api.js";
 import "./catalog-extras.css";
 import "./on-demand.css";
 import "./unified-catalog.css";
@@ -18,21 +22,37 @@ import "./unified-catalog.css";
  * Query param `tab` deep-links the initial tab:
  *   ?tab=on-demand    → shows On-Demand courses first
  *   ?tab=events       → shows Live Events first
+ *   ?tab=my-list      → the visitor's saved events + courses
  * The default is "on-demand" per the product requirements.
+ *
+ * With ?print=1 (the catalogs' "Print / PDF" link, lib/flyer.js) the tab's
+ * catalog is shown on its own, as a flyer — no title bar or tabs.
+ *
+ * The client's branding (lib/client-theme.js) is applied here; the
+ * embedded catalogs only read its labels.
+ *
+ * Inside the TI iframe the host page can switch tabs with the embed API's
+ * set-tab command (lib/embed-api.js).
  */
 const DEFAULT_SLUG = "mb2";
 const DEFAULT_TAB = "events";
+const TABS = ["events", "on-demand", "my-list"];
+
+const { t } = i18n;
 
 export default function UnifiedCatalog() {
   const { slug: routeSlug } = useParams();
   const [searchParams, setSearchParams] = useSearchParams();
 
   const slug = (routeSlug || DEFAULT_SLUG).toLowerCase();
+  const theme = useClientTheme(slug);
+  useThemeVars(theme);
+  useEffect(applyPageLang, []);
   const tabParam = searchParams.get("tab");
-  const initialTab =
-    tabParam === "on-demand" || tabParam === "events" ? tabParam : DEFAULT_TAB;
+  const initialTab = TABS.includes(tabParam) ? tabParam : DEFAULT_TAB;
   const [tab, setTab] = useState(initialTab);
   const headerRef = useRef(null);
+  const printing = searchParams.get("print") === "1" && tab !== "my-list";
 
   const backToFilters = () => {
     // scrollIntoView propagates to the parent page even from inside an
@@ -42,12 +62,22 @@ export default function UnifiedCatalog() {
 
   const switchTab = (nextTab) => {
     setTab(nextTab);
-    // Keep URL in sync so hard-refresh preserves the tab.
-    const next = new URLSearchParams(searchParams);
+    // Keep URL in sync so hard-refresh preserves the tab. The other
+    // catalog's filters are dropped — they'd mean something different here.
+    const next = withoutFilterParams(searchParams);
     next.set("tab", nextTab);
     setSearchParams(next, { replace: true });
   };
 
+  useEmbedConnection(slug);
+  useEmbedCommand("set-tab", (msg) => {
+    if (TABS.includes(msg.tab) && msg.tab !== tab) switchTab(msg.tab);
+  });
+
+  if (printing) {
+    return tab === "on-demand" ? <OnDemand embedded slug={slug} /> : <App embedded slugOverride={slug} />;
+  }
+
   return (
     <div className="unifiedPage">
       {/* Sticky header block — title + tabs stick together at the top of
@@ -56,17 +86,17 @@ export default function UnifiedCatalog() {
       <div className="unifiedStickyHeader" ref={headerRef}>
         <header className="unifiedTitleBar">
           <h1 className="unifiedTitle">
-            On-demand Courses, Live Events, Webinars and State Requirements
+            {theme.unified_title || t("unified.title")}
           </h1>
         </header>
 
-        {/* Big tabs — On Demand / Live Events / CE Requirements. */}
-        <nav className="unifiedTabs" role="tablist" aria-label="Catalog type">
+        {/* Big tabs — Live Events / On Demand / My list / CE Requirements. */}
+        <nav className="unifiedTabs" role="tablist" aria-label={t("unified.tabs")}>
         <TabButton
           active={tab === "events"}
           onClick={() => switchTab("events")}
-          label="Live Events & Webinars"
-          sub="Scheduled sessions · register to attend"
+          label={t("unified.events")}
+          sub={t("unified.eventsSub")}
           icon={
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
               <rect x="3" y="4" width="18" height="16" rx="2" stroke="currentColor" strokeWidth="2"/>
@@ -77,18 +107,29 @@ export default function UnifiedCatalog() {
         <TabButton
           active={tab === "on-demand"}
           onClick={() => switchTab("on-demand")}
-          label="On Demand Courses"
-          sub="Learn anytime · self-paced"
+          label={t("unified.courses")}
+          sub={t("unified.coursesSub")}
           icon={
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
               <path d="M8 5v14l11-7z" fill="currentColor"/>
             </svg>
           }
         />
+        <TabButton
+          active={tab === "my-list"}
+          onClick={() => switchTab("my-list")}
+          label={t("unified.myList")}
+          sub={t("unified.myListSub")}
+          icon={
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
+              <path d="M12 20.5s-7.5-4.6-7.5-10.2A4.3 4.3 0 0112 7.6a4.3 4.3 0 017.5 2.7c0 5.6-7.5 10.2-7.5 10.2z" stroke="currentColor" strokeWidth="2" strokeLinejoin="round"/>
+            </svg>
+          }
+        />
         <TabLink
           href="https://learn.dentlogics.com/pages/state-requirements"
-          label="CE Requirements"
-          sub="State by state required courses for credentialing"
+          label={t("unified.requirements")}
+          sub={t("unified.requirementsSub")}
           icon={
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
               <path d="M6 2h9l5 5v13a2 2 0 01-2 2H6a2 2 0 01-2-2V4a2 2 0 012-2z" stroke="currentColor" strokeWidth="2" strokeLinejoin="round"/>
@@ -103,7 +144,9 @@ export default function UnifiedCatalog() {
           unmounted so its filter/search state doesn't linger. */}
       <div className="unifiedBody">
         {tab === "on-demand" ? (
-          <OnDemand embedded />
+          <OnDemand embedded slug={slug} />
+        ) : tab === "my-list" ? (
+          <MyList embedded slugOverride={slug} />
         ) : (
           <App embedded slugOverride={slug} />
         )}
@@ -114,7 +157,7 @@ export default function UnifiedCatalog() {
           can't work inside the auto-sized TI iframe. */}
       <div className="unifiedBackRow">
         <button type="button" className="unifiedBackBtn" onClick={backToFilters}>
-          ↑ Back to search &amp; filters
+          {t("unified.back")}
         </button>
       </div>
     </div>
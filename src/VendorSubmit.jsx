@@ -1,6 +1,8 @@
 import { useEffect, useRef, useState } from "react";
 import { useParams } from "react-router-dom";
 import { supabase } from "./lib/supabase.js";
+import { applyPageLang, i18n } from "./lib/i18n.js";
+import { eventCoords, loadGazetteer } from "./lib/geo.js";
 import "./vendor-submit.css";
 
 /* ============================================================
@@ -11,8 +13,14 @@ import "./vendor-submit.css";
    or an ON-DEMAND COURSE. Either way the submission lands as an
    UNPUBLISHED draft, stamped with the client whose link was used,
    for the MB2 Shield team to review and publish.
+
+   The form speaks the visitor's language (lib/i18n.js), but what it
+   stores — roles, format, "Open to", the notes for the team — stays
+   in English, the same values the admin and the filters expect.
    ============================================================ */
 
+const { t } = i18n;
+
 const ROLES = [
   "Assistants",
   "Hygienist",
@@ -31,14 +39,28 @@ const OPEN_TO_OPTIONS = [
   "Carabelli Club Only",
 ];
 
+// Another run of the same event ("+ Add another date"). The time zone is
+// the one picked for the first date; a blank registration link or email
+// falls back to the first date's.
+const BLANK_EXTRA_SESSION = {
+  date: "",
+  start_time: "",
+  end_time: "",
+  registration_url: "",
+  registration_email: "",
+  capacity: "",
+};
+const MAX_EXTRA_SESSIONS = 19; // submit_vendor_event_with_sessions keeps 20 in all
+
+// Labels are the `tz.<id>` messages.
 const TIMEZONES = [
-  { id: "America/New_York",    label: "Eastern (ET)" },
-  { id: "America/Chicago",     label: "Central (CT)" },
-  { id: "America/Denver",      label: "Mountain (MT)" },
-  { id: "America/Phoenix",     label: "Arizona (no DST)" },
-  { id: "America/Los_Angeles", label: "Pacific (PT)" },
-  { id: "America/Anchorage",   label: "Alaska (AKT)" },
-  { id: "Pacific/Honolulu",    label: "Hawaii (HT)" },
+  "America/New_York",
+  "America/Chicago",
+  "America/Denver",
+  "America/Phoenix",
+  "America/Los_Angeles",
+  "America/Anchorage",
+  "Pacific/Honolulu",
 ];
 
 export default function VendorSubmit() {
@@ -70,6 +92,8 @@ export default function VendorSubmit() {
     end_date: "",
     end_time: "",
     timezone: "America/Chicago",
+    capacity: "",
+    extra_sessions: [],
     format: "Webinar",
     location: "",
     discount_code: "",
@@ -86,6 +110,8 @@ export default function VendorSubmit() {
   const [error, setError] = useState("");
   const topRef = useRef(null);
 
+  useEffect(applyPageLang, []);
+
   useEffect(() => {
     supabase
       .from("on_demand_categories")
@@ -114,6 +140,16 @@ export default function VendorSubmit() {
 
   const set = (k, v) => setForm((f) => ({ ...f, [k]: v }));
 
+  const setExtra = (i, k, v) =>
+    setForm((f) => ({
+      ...f,
+      extra_sessions: f.extra_sessions.map((s, j) => (j === i ? { ...s, [k]: v } : s)),
+    }));
+  const addExtra = () =>
+    setForm((f) => ({ ...f, extra_sessions: [...f.extra_sessions, { ...BLANK_EXTRA_SESSION }] }));
+  const removeExtra = (i) =>
+    setForm((f) => ({ ...f, extra_sessions: f.extra_sessions.filter((_, j) => j !== i) }));
+
   const toggleIn = (k, value) =>
     setForm((f) => ({
       ...f,
@@ -143,14 +179,14 @@ export default function VendorSubmit() {
     }
   };
 
-  const uploadFile = async (file, label) => {
+  const uploadFile = async (file, fileKey) => {
     if (!file) return "";
     const cleanName = file.name.replace(/[^a-zA-Z0-9._-]+/g, "_").slice(-80);
     const path = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}-${cleanName}`;
     const { error: upErr } = await supabase.storage
       .from("vendor-submissions")
       .upload(path, file, { cacheControl: "31536000", upsert: false });
-    if (upErr) throw new Error(`${label} upload failed: ${upErr.message}`);
+    if (upErr) throw new Error(t("submit.err.upload", { file: t(`submit.file.${fileKey}`), message: upErr.message }));
     const { data } = supabase.storage.from("vendor-submissions").getPublicUrl(path);
     return data.publicUrl;
   };
@@ -166,32 +202,40 @@ export default function VendorSubmit() {
     const hasUrl = /^https?:\/\//i.test(form.course_url.trim());
     const hasRegEmail = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(form.reg_email.trim());
 
-    if (!form.vendor.trim()) return setError("Please enter your company name.");
+    if (!form.vendor.trim()) return setError(t("submit.err.vendor"));
     if (!form.contact_first.trim() || !form.contact_last.trim())
-      return setError("Please enter your first and last name.");
+      return setError(t("submit.err.name"));
     if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(form.contact_email.trim()))
-      return setError("Please enter a valid email address.");
+      return setError(t("submit.err.email"));
     if (!form.title.trim())
-      return setError(isEvent ? "Please enter the event title." : "Please enter the course title.");
-    if (!form.description.trim()) return setError("Please enter a description.");
+      return setError(t(isEvent ? "submit.err.eventTitle" : "submit.err.courseTitle"));
+    if (!form.description.trim()) return setError(t("submit.err.description"));
     if (isEvent) {
-      if (!form.start_date) return setError("Please enter the event date.");
+      if (!form.start_date) return setError(t("submit.err.eventDate"));
       if (!hasUrl && !hasRegEmail)
-        return setError("Please provide a registration link (starting with https://) or a registration email.");
+        return setError(t("submit.err.registration"));
       if (form.course_url.trim() && !hasUrl)
-        return setError("Please enter the full registration link, starting with https://");
+        return setError(t("submit.err.regLink"));
+      for (const [i, s] of form.extra_sessions.entries()) {
+        const n = i + 2;
+        if (!s.date) return setError(t("submit.err.extraDate", { n }));
+        if (s.registration_url.trim() && !/^https?:\/\//i.test(s.registration_url.trim()))
+          return setError(t("submit.err.extraLink", { n }));
+        if (s.start_time && s.end_time && s.end_time <= s.start_time)
+          return setError(t("submit.err.extraTimes", { n }));
+      }
     } else {
       if (!hasUrl)
-        return setError("Please enter the full course link, starting with https://");
+        return setError(t("submit.err.courseLink"));
     }
-    if (!flyerFile) return setError("Please attach your flyer (PDF).");
+    if (!flyerFile) return setError(t("submit.err.flyer"));
 
     setSubmitting(true);
     try {
       const [flyerUrl, logoUrl, thumbUrl] = [
-        await uploadFile(flyerFile, "Flyer"),
-        await uploadFile(logoFile, "Logo"),
-        await uploadFile(thumbFile, "Thumbnail"),
+        await uploadFile(flyerFile, "flyer"),
+        await uploadFile(logoFile, "logo"),
+        await uploadFile(thumbFile, "thumb"),
       ];
 
       let description = form.description.trim();
@@ -228,7 +272,28 @@ export default function VendorSubmit() {
 
       let rpcName, payload;
       if (isEvent) {
-        rpcName = "submit_vendor_event";
+        // Every date becomes its own session; the first one also fills the
+        // single-date fields the event itself is created from.
+        const sessions = [
+          {
+            date: form.start_date,
+            end_date: form.end_date,
+            start_time: form.start_time,
+            end_time: form.end_time,
+            registration_url: form.course_url.trim(),
+            registration_email: form.reg_email.trim(),
+            capacity: form.capacity,
+          },
+          ...form.extra_sessions.map((s) => ({
+            date: s.date,
+            start_time: s.start_time,
+            end_time: s.end_time,
+            registration_url: s.registration_url.trim() || form.course_url.trim(),
+            registration_email: s.registration_email.trim() || form.reg_email.trim(),
+            capacity: s.capacity,
+          })),
+        ];
+        rpcName = "submit_vendor_event_with_sessions";
         payload = {
           ...common,
           category: form.categories[0] || "",
@@ -243,6 +308,12 @@ export default function VendorSubmit() {
           registration_email: form.reg_email.trim(),
           discount_code: form.discount_code.trim(),
           discount_description: form.discount_description.trim(),
+          sessions,
+          // For distance search; blank if the ZIP table didn't load.
+          ...eventCoords(
+            { format: form.format, location: form.location },
+            await loadGazetteer()
+          ),
         };
       } else {
         rpcName = "submit_vendor_course";
@@ -255,11 +326,11 @@ export default function VendorSubmit() {
 
       const { data, error: rpcErr } = await supabase.rpc(rpcName, { p: payload });
       if (rpcErr) throw rpcErr;
-      if (!data) throw new Error("Submission failed — please try again.");
+      if (!data) throw new Error(t("submit.err.failed"));
       setDone(true);
       topRef.current?.scrollIntoView({ behavior: "smooth" });
     } catch (err) {
-      setError(err?.message || "Something went wrong — please try again.");
+      setError(err?.message || t("submit.err.generic"));
     } finally {
       setSubmitting(false);
     }
@@ -269,7 +340,7 @@ export default function VendorSubmit() {
     return (
       <div className="vsPage" ref={topRef}>
         <div className="vsCard vsThanks">
-          <p>Loading…</p>
+          <p>{t("common.loading")}</p>
         </div>
       </div>
     );
@@ -279,35 +350,31 @@ export default function VendorSubmit() {
     return (
       <div className="vsPage" ref={topRef}>
         <div className="vsCard vsThanks">
-          <h1>This link isn't valid</h1>
-          <p>
-            This submission link doesn't match an active catalog.
-            Please double-check the link you were given, or contact the
-            team that sent it to you for an updated one.
-          </p>
+          <h1>{t("submit.invalidTitle")}</h1>
+          <p>{t("submit.invalidText")}</p>
         </div>
       </div>
     );
   }
 
   if (done) {
+    // The address is bold, wherever the language puts it in the sentence.
+    const [beforeEmail, afterEmail = ""] =
+      t(kind === "event" ? "submit.thanksEvent" : "submit.thanksCourse").split("{email}");
     return (
       <div className="vsPage" ref={topRef}>
         <div className="vsCard vsThanks">
           <div className="vsThanksIcon" aria-hidden="true">✓</div>
-          <h1>Thank you!</h1>
+          <h1>{t("submit.thanksTitle")}</h1>
           <p>
-            Your {kind === "event" ? "event" : "course"} has been submitted to
-            the MB2 Shield education team. We'll review it and reach out to{" "}
-            <strong>{form.contact_email}</strong> if we have any questions.
-            Once approved, it will appear on the catalog.
+            {beforeEmail}<strong>{form.contact_email}</strong>{afterEmail}
           </p>
           <button
             type="button"
             className="vsPrimaryBtn"
             onClick={() => window.location.reload()}
           >
-            Submit another
+            {t("submit.another")}
           </button>
         </div>
       </div>
@@ -325,22 +392,17 @@ export default function VendorSubmit() {
             <img
               className="vsBrandLogo"
               src={client.logo_url}
-              alt={`${client.name} logo`}
+              alt={t("submit.logoAlt", { name: client.name })}
             />
           )}
-          <span className="vsBrandTag">{client.name} · MB2 Shield Education</span>
-          <h1>Submit a CE Event or Course</h1>
-          <p>
-            Partner with {client.name} to feature your live CE event or
-            on-demand course on the MB2 Shield catalog. Fill out the details
-            below — our education team reviews every submission before it's
-            published.
-          </p>
+          <span className="vsBrandTag">{t("submit.brandTag", { name: client.name })}</span>
+          <h1>{t("submit.title")}</h1>
+          <p>{t("submit.intro", { name: client.name })}</p>
         </div>
 
         <form onSubmit={submit} noValidate>
-          <h2 className="vsSectionTitle">What are you submitting?</h2>
-          <div className="vsKindRow" role="radiogroup" aria-label="Submission type">
+          <h2 className="vsSectionTitle">{t("submit.whatSection")}</h2>
+          <div className="vsKindRow" role="radiogroup" aria-label={t("submit.kind")}>
             <button
               type="button"
               role="radio"
@@ -348,8 +410,8 @@ export default function VendorSubmit() {
               className={`vsKind ${isEvent ? "on" : ""}`}
               onClick={() => switchKind("event")}
             >
-              <strong>Live event</strong>
-              <span>Webinar, in-person, or hybrid on a specific date</span>
+              <strong>{t("submit.kindEvent")}</strong>
+              <span>{t("submit.kindEventSub")}</span>
             </button>
             <button
               type="button"
@@ -358,52 +420,52 @@ export default function VendorSubmit() {
               className={`vsKind ${!isEvent ? "on" : ""}`}
               onClick={() => switchKind("course")}
             >
-              <strong>On-demand course</strong>
-              <span>Recorded content available anytime</span>
+              <strong>{t("submit.kindCourse")}</strong>
+              <span>{t("submit.kindCourseSub")}</span>
             </button>
           </div>
 
-          <h2 className="vsSectionTitle">Your information</h2>
+          <h2 className="vsSectionTitle">{t("submit.yourInfo")}</h2>
           <div className="vsRow">
             <label className="vsField">
-              <span>Company / vendor name *</span>
+              <span>{t("submit.vendor")}</span>
               <input value={form.vendor} onChange={(e) => set("vendor", e.target.value)} />
             </label>
           </div>
           <div className="vsRow vsRow2">
             <label className="vsField">
-              <span>First name *</span>
+              <span>{t("submit.firstName")}</span>
               <input value={form.contact_first} onChange={(e) => set("contact_first", e.target.value)} />
             </label>
             <label className="vsField">
-              <span>Last name *</span>
+              <span>{t("submit.lastName")}</span>
               <input value={form.contact_last} onChange={(e) => set("contact_last", e.target.value)} />
             </label>
           </div>
           <div className="vsRow vsRow2">
             <label className="vsField">
-              <span>Email *</span>
-              <input type="email" placeholder="you@company.com" value={form.contact_email} onChange={(e) => set("contact_email", e.target.value)} />
+              <span>{t("submit.email")}</span>
+              <input type="email" placeholder={t("submit.emailPlaceholder")} value={form.contact_email} onChange={(e) => set("contact_email", e.target.value)} />
             </label>
             <label className="vsField">
-              <span>Phone</span>
+              <span>{t("submit.phone")}</span>
               <input type="tel" value={form.phone} onChange={(e) => set("phone", e.target.value)} />
             </label>
           </div>
 
-          <h2 className="vsSectionTitle">{isEvent ? "Event details" : "Course details"}</h2>
+          <h2 className="vsSectionTitle">{t(isEvent ? "submit.eventDetails" : "submit.courseDetails")}</h2>
           <div className="vsRow">
             <label className="vsField">
-              <span>{isEvent ? "Event title *" : "Course title *"}</span>
+              <span>{t(isEvent ? "submit.eventTitle" : "submit.courseTitle")}</span>
               <input value={form.title} onChange={(e) => set("title", e.target.value)} />
             </label>
           </div>
           <div className="vsRow">
             <label className="vsField">
-              <span>Description *</span>
+              <span>{t("submit.description")}</span>
               <textarea
                 rows={5}
-                placeholder="What will attendees learn? 2–4 sentences works best."
+                placeholder={t("submit.descriptionPlaceholder")}
                 value={form.description}
                 onChange={(e) => set("description", e.target.value)}
               />
@@ -411,20 +473,20 @@ export default function VendorSubmit() {
           </div>
           <div className="vsRow vsRow2">
             <label className="vsField">
-              <span>Speaker / presenter &amp; credentials</span>
-              <input placeholder="e.g. Jane Smith, DDS" value={form.speaker} onChange={(e) => set("speaker", e.target.value)} />
+              <span>{t("submit.speaker")}</span>
+              <input placeholder={t("submit.speakerPlaceholder")} value={form.speaker} onChange={(e) => set("speaker", e.target.value)} />
             </label>
             <label className="vsField">
-              <span>CE credits</span>
-              <input type="number" step="0.25" min="0" placeholder="Leave blank if no CE" value={form.ce_hours} onChange={(e) => set("ce_hours", e.target.value)} />
+              <span>{t("submit.ce")}</span>
+              <input type="number" step="0.25" min="0" placeholder={t("submit.cePlaceholder")} value={form.ce_hours} onChange={(e) => set("ce_hours", e.target.value)} />
             </label>
           </div>
           <div className="vsRow">
             <label className="vsField">
-              <span>This {isEvent ? "event" : "course"} is open to *</span>
+              <span>{t(isEvent ? "submit.openToEvent" : "submit.openToCourse")}</span>
               <select value={form.open_to} onChange={(e) => set("open_to", e.target.value)}>
                 {OPEN_TO_OPTIONS.map((o) => (
-                  <option key={o} value={o}>{o}</option>
+                  <option key={o} value={o}>{i18n.value("openTo", o)}</option>
                 ))}
               </select>
             </label>
@@ -434,75 +496,128 @@ export default function VendorSubmit() {
             <>
               <div className="vsRow vsRow2">
                 <label className="vsField">
-                  <span>Event date *</span>
+                  <span>{t("submit.eventDate")}</span>
                   <input type="date" value={form.start_date} onChange={(e) => set("start_date", e.target.value)} />
                 </label>
                 <label className="vsField">
-                  <span>Start time</span>
+                  <span>{t("submit.startTime")}</span>
                   <input type="time" value={form.start_time} onChange={(e) => set("start_time", e.target.value)} />
                 </label>
               </div>
               <div className="vsRow vsRow2">
                 <label className="vsField">
-                  <span>Time zone</span>
+                  <span>{t("submit.timezone")}</span>
                   <select value={form.timezone} onChange={(e) => set("timezone", e.target.value)}>
-                    {TIMEZONES.map((t) => (
-                      <option key={t.id} value={t.id}>{t.label}</option>
+                    {TIMEZONES.map((tz) => (
+                      <option key={tz} value={tz}>{t(`tz.${tz}`)}</option>
                     ))}
                   </select>
                 </label>
                 <label className="vsField">
-                  <span>Format</span>
+                  <span>{t("submit.format")}</span>
                   <select value={form.format} onChange={(e) => set("format", e.target.value)}>
                     {FORMATS.map((f) => (
-                      <option key={f} value={f}>{f}</option>
+                      <option key={f} value={f}>{i18n.value("format", f)}</option>
                     ))}
                   </select>
                 </label>
               </div>
               <div className="vsRow vsRow2">
                 <label className="vsField">
-                  <span>End date <em>(multi-day events)</em></span>
+                  <span>{t("submit.endDate")} <em>{t("submit.multiDay")}</em></span>
                   <input type="date" min={form.start_date || undefined} value={form.end_date} onChange={(e) => set("end_date", e.target.value)} />
                 </label>
                 <label className="vsField">
-                  <span>End time</span>
+                  <span>{t("submit.endTime")}</span>
                   <input type="time" value={form.end_time} onChange={(e) => set("end_time", e.target.value)} />
                 </label>
               </div>
               {needsLocation && (
                 <div className="vsRow">
                   <label className="vsField">
-                    <span>Location <em>(venue, city, state)</em></span>
-                    <input placeholder="e.g. Omni Hotel, Dallas, TX" value={form.location} onChange={(e) => set("location", e.target.value)} />
+                    <span>{t("submit.location")} <em>{t("submit.locationHint")}</em></span>
+                    <input placeholder={t("submit.locationPlaceholder")} value={form.location} onChange={(e) => set("location", e.target.value)} />
                   </label>
                 </div>
               )}
               <div className="vsRow vsRow2">
                 <label className="vsField">
-                  <span>Registration link *</span>
+                  <span>{t("submit.regLink")}</span>
                   <input type="url" placeholder="https://…" value={form.course_url} onChange={(e) => set("course_url", e.target.value)} />
                 </label>
                 <label className="vsField">
-                  <span>…or registration email</span>
+                  <span>{t("submit.regEmail")}</span>
                   <input type="email" placeholder="events@company.com" value={form.reg_email} onChange={(e) => set("reg_email", e.target.value)} />
                 </label>
               </div>
               <div className="vsRow vsRow2">
                 <label className="vsField">
-                  <span>Cost to attendees</span>
-                  <input placeholder='e.g. FREE or $99' value={form.cost} onChange={(e) => set("cost", e.target.value)} />
+                  <span>{t("submit.seats")} <em>{t("submit.optional")}</em></span>
+                  <input type="number" min="1" step="1" placeholder={t("submit.seatsPlaceholder")} value={form.capacity} onChange={(e) => set("capacity", e.target.value)} />
+                </label>
+              </div>
+
+              {/* Same event, more dates — each one becomes its own session. */}
+              {form.extra_sessions.map((s, i) => (
+                <div className="vsSession" key={i}>
+                  <div className="vsSessionHead">
+                    <span>{t("submit.dateN", { n: i + 2 })}</span>
+                    <button type="button" className="vsSessionRemove" onClick={() => removeExtra(i)}>
+                      {t("submit.remove")}
+                    </button>
+                  </div>
+                  <div className="vsRow vsRow2">
+                    <label className="vsField">
+                      <span>{t("submit.date")}</span>
+                      <input type="date" value={s.date} onChange={(e) => setExtra(i, "date", e.target.value)} />
+                    </label>
+                    <label className="vsField">
+                      <span>{t("submit.seats")} <em>{t("submit.optional")}</em></span>
+                      <input type="number" min="1" step="1" value={s.capacity} onChange={(e) => setExtra(i, "capacity", e.target.value)} />
+                    </label>
+                  </div>
+                  <div className="vsRow vsRow2">
+                    <label className="vsField">
+                      <span>{t("submit.startTime")}</span>
+                      <input type="time" value={s.start_time} onChange={(e) => setExtra(i, "start_time", e.target.value)} />
+                    </label>
+                    <label className="vsField">
+                      <span>{t("submit.endTime")}</span>
+                      <input type="time" value={s.end_time} onChange={(e) => setExtra(i, "end_time", e.target.value)} />
+                    </label>
+                  </div>
+                  <div className="vsRow vsRow2">
+                    <label className="vsField">
+                      <span>{t("submit.regLinkOther")} <em>{t("submit.ifDifferent")}</em></span>
+                      <input type="url" placeholder="https://…" value={s.registration_url} onChange={(e) => setExtra(i, "registration_url", e.target.value)} />
+                    </label>
+                    <label className="vsField">
+                      <span>{t("submit.regEmail")}</span>
+                      <input type="email" placeholder="events@company.com" value={s.registration_email} onChange={(e) => setExtra(i, "registration_email", e.target.value)} />
+                    </label>
+                  </div>
+                </div>
+              ))}
+              {form.extra_sessions.length < MAX_EXTRA_SESSIONS && (
+                <button type="button" className="vsAddSession" onClick={addExtra}>
+                  {t("submit.addDate")}
+                </button>
+              )}
+              <div className="vsRow vsRow2">
+                <label className="vsField">
+                  <span>{t("submit.cost")}</span>
+                  <input placeholder={t("submit.costPlaceholder")} value={form.cost} onChange={(e) => set("cost", e.target.value)} />
                 </label>
                 <label className="vsField">
-                  <span>Discount code <em>(optional)</em></span>
-                  <input placeholder="e.g. MB2SAVE20" value={form.discount_code} onChange={(e) => set("discount_code", e.target.value)} />
+                  <span>{t("submit.discountCode")} <em>{t("submit.optional")}</em></span>
+                  <input placeholder={t("submit.discountPlaceholder")} value={form.discount_code} onChange={(e) => set("discount_code", e.target.value)} />
                 </label>
               </div>
               {form.discount_code.trim() && (
                 <div className="vsRow">
                   <label className="vsField">
-                    <span>What does the discount give?</span>
-                    <input placeholder="e.g. 20% off registration for MB2 offices" value={form.discount_description} onChange={(e) => set("discount_description", e.target.value)} />
+                    <span>{t("submit.discountWhat")}</span>
+                    <input placeholder={t("submit.discountWhatPlaceholder")} value={form.discount_description} onChange={(e) => set("discount_description", e.target.value)} />
                   </label>
                 </div>
               )}
@@ -513,17 +628,17 @@ export default function VendorSubmit() {
             <>
               <div className="vsRow vsRow2">
                 <label className="vsField">
-                  <span>Cost to attendees</span>
-                  <input placeholder='e.g. FREE or $99' value={form.cost} onChange={(e) => set("cost", e.target.value)} />
+                  <span>{t("submit.cost")}</span>
+                  <input placeholder={t("submit.costPlaceholder")} value={form.cost} onChange={(e) => set("cost", e.target.value)} />
                 </label>
                 <label className="vsField">
-                  <span>Ideal post date</span>
+                  <span>{t("submit.idealDate")}</span>
                   <input type="date" value={form.ideal_date} onChange={(e) => set("ideal_date", e.target.value)} />
                 </label>
               </div>
               <div className="vsRow">
                 <label className="vsField">
-                  <span>Course / registration link *</span>
+                  <span>{t("submit.courseLink")}</span>
                   <input type="url" placeholder="https://…" value={form.course_url} onChange={(e) => set("course_url", e.target.value)} />
                 </label>
               </div>
@@ -532,17 +647,17 @@ export default function VendorSubmit() {
 
           <div className="vsRow">
             <label className="vsField">
-              <span>Important highlights or promo codes</span>
-              <textarea rows={2} placeholder="Anything the MB2 team should know or feature." value={form.highlights} onChange={(e) => set("highlights", e.target.value)} />
+              <span>{t("submit.highlights")}</span>
+              <textarea rows={2} placeholder={t("submit.highlightsPlaceholder")} value={form.highlights} onChange={(e) => set("highlights", e.target.value)} />
             </label>
           </div>
 
-          <h2 className="vsSectionTitle">Who is this for?</h2>
+          <h2 className="vsSectionTitle">{t("submit.whoFor")}</h2>
           <div className="vsChecks">
             {ROLES.map((r) => (
               <label key={r} className={`vsCheck ${form.roles.includes(r) ? "on" : ""}`}>
                 <input type="checkbox" checked={form.roles.includes(r)} onChange={() => toggleIn("roles", r)} />
-                {r}
+                {i18n.value("role", r)}
               </label>
             ))}
           </div>
@@ -550,7 +665,7 @@ export default function VendorSubmit() {
           {categories.length > 0 && (
             <>
               <h2 className="vsSectionTitle">
-                {isEvent ? "Event category (pick one)" : "Course categories"}
+                {t(isEvent ? "submit.eventCategory" : "submit.courseCategories")}
               </h2>
               <div className="vsChecks">
                 {categories.map((c) => (
@@ -567,20 +682,20 @@ export default function VendorSubmit() {
             </>
           )}
 
-          <h2 className="vsSectionTitle">Files</h2>
+          <h2 className="vsSectionTitle">{t("submit.files")}</h2>
           <div className="vsRow">
             <label className="vsField">
-              <span>{isEvent ? "Event flyer (PDF) *" : "Course flyer (PDF) *"}</span>
+              <span>{t(isEvent ? "submit.eventFlyer" : "submit.courseFlyer")}</span>
               <input type="file" accept="application/pdf" onChange={(e) => setFlyerFile(e.target.files?.[0] || null)} />
             </label>
           </div>
           <div className="vsRow vsRow2">
             <label className="vsField">
-              <span>High-resolution company logo</span>
+              <span>{t("submit.logo")}</span>
               <input type="file" accept="image/*" onChange={(e) => setLogoFile(e.target.files?.[0] || null)} />
             </label>
             <label className="vsField">
-              <span>Catalog thumbnail image <em>(780 × 340 recommended)</em></span>
+              <span>{t("submit.thumb")} <em>{t("submit.thumbHint")}</em></span>
               <input type="file" accept="image/*" onChange={(e) => setThumbFile(e.target.files?.[0] || null)} />
             </label>
           </div>
@@ -594,16 +709,13 @@ export default function VendorSubmit() {
           {error && <p className="vsError">{error}</p>}
 
           <button type="submit" className="vsPrimaryBtn vsSubmit" disabled={submitting}>
-            {submitting
-              ? "Submitting…"
+            {t(submitting
+              ? "submit.submitting"
               : isEvent
-                ? "Submit event for review"
-                : "Submit course for review"}
+                ? "submit.submitEvent"
+                : "submit.submitCourse")}
           </button>
-          <p className="vsFinePrint">
-            Submissions are reviewed by the MB2 Shield education team before
-            appearing on the catalog.
-          </p>
+          <p className="vsFinePrint">{t("submit.finePrint")}</p>
         </form>
       </div>
     </div>
@@ -10,6 +10,8 @@ import Clients from "./Clients.jsx";
 import OnDemandList from "./OnDemandList.jsx";
 import OnDemandForm from "./OnDemandForm.jsx";
 import OnDemandImport from "./OnDemandImport.jsx";
+import ClickReport from "./ClickReport.jsx";
+import PartnerCatalogs from "./PartnerCatalogs.jsx";
 import "./admin.css";
 
 /* ============================================================
@@ -207,10 +209,12 @@ function AdminShell() {
           <Route path="vendors" element={<Vendors />} />
           <Route path="import" element={<ImportCsv />} />
           {isSuperAdmin && <Route path="clients" element={<Clients />} />}
+          {isSuperAdmin && <Route path="partners" element={<PartnerCatalogs />} />}
           <Route path="on-demand" element={<OnDemandList />} />
           {isSuperAdmin && <Route path="on-demand/import" element={<OnDemandImport />} />}
           {isSuperAdmin && <Route path="on-demand/new" element={<OnDemandForm mode="new" />} />}
           <Route path="on-demand/:id" element={<OnDemandForm mode="edit" />} />
+          <Route path="clicks" element={<ClickReport />} />
           <Route path="*" element={<Navigate to="/admin" replace />} />
         </Routes>
       </main>
@@ -300,7 +304,9 @@ function Nav({ email }) {
         <NavLink to="/admin" end>Live Events</NavLink>
         <NavLink to="/admin/on-demand">On Demand</NavLink>
         <NavLink to="/admin/vendors">Vendors</NavLink>
+        <NavLink to="/admin/clicks">Clicks</NavLink>
         {isSuperAdmin && <NavLink to="/admin/clients">Clients</NavLink>}
+        {isSuperAdmin && <NavLink to="/admin/partners">Partners</NavLink>}
         <ViewCatalogMenu currentClient={currentClient} isSuperAdmin={isSuperAdmin} />
       </nav>
 
@@ -0,0 +1,297 @@
+import { useEffect, useMemo, useState } from "react";
+import Papa from "papaparse";
+import { supabase } from "../lib/supabase.js";
+import { useClient } from "./AdminApp.jsx";
+
+/**
+ * Clicks page — which events and courses the current client's visitors
+ * clicked through to register for, from registration_click_report()
+ * (supabase/registration_clicks.sql). Four breakdowns (event / course,
+ * vendor, category, week) over a chosen period, each downloadable as
+ * CSV, plus a CSV of every click with where it happened.
+ *
+ * Clicks are anonymous (lib/click-analytics.js): these are counts, not
+ * people.
+ */
+const RANGES = [
+  { id: "30",  label: "30 days",  days: 30 },
+  { id: "90",  label: "90 days",  days: 90 },
+  { id: "365", label: "12 months", days: 365 },
+  { id: "all", label: "All time", days: null },
+];
+
+const VIEWS = [
+  { id: "item",     label: "By event / course" },
+  { id: "vendor",   label: "By vendor" },
+  { id: "category", label: "By category" },
+  { id: "week",     label: "By week" },
+];
+
+const LINK_LABELS = {
+  session: "Session register",
+  in_person: "In-person register",
+  email: "Email registration",
+  course: "Course link",
+  external_course: "External course",
+};
+
+const TZ = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+// "YYYY-MM-DD" for a local date.
+const dayKey = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+const weekLabel = (key) =>
+  new Date(`${key}T00:00:00`).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+
+function downloadCsv(rows, fileName) {
+  const blob = new Blob([Papa.unparse(rows)], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+export default function ClickReport() {
+  const { currentClient, currentClientId } = useClient();
+  const [range, setRange] = useState("90");
+  const [view, setView] = useState("item");
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [exporting, setExporting] = useState(false);
+
+  const start = useMemo(() => {
+    const days = RANGES.find((r) => r.id === range)?.days;
+    if (!days) return null;
+    const d = new Date();
+    d.setDate(d.getDate() - days + 1);
+    return dayKey(d);
+  }, [range]);
+
+  useEffect(() => {
+    if (!currentClientId) return;
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    supabase
+      .rpc("registration_click_report", {
+        p_client_id: currentClientId,
+        p_start: start,
+        p_end: dayKey(new Date()),
+        p_tz: TZ,
+      })
+      .then(({ data, error }) => {
+        if (cancelled) return;
+        if (error) { setError(error.message); setReport(null); }
+        else setReport(data);
+        setLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [currentClientId, start]);
+
+  const stats = useMemo(() => {
+    const items = report?.by_item || [];
+    const weeks = report?.by_week || [];
+    const sum = (list) => list.reduce((s, r) => s + r.clicks, 0);
+    const busiest = weeks.reduce((best, w) => (!best || w.clicks > best.clicks ? w : best), null);
+    return {
+      total: report?.total || 0,
+      events: sum(items.filter((r) => r.kind === "event")),
+      courses: sum(items.filter((r) => r.kind === "course")),
+      busiest: busiest ? weekLabel(busiest.week) : "—",
+    };
+  }, [report]);
+
+  // The current breakdown as table rows; the CSV is the same columns.
+  const table = useMemo(() => {
+    if (!report) return { columns: [], rows: [] };
+    if (view === "vendor") {
+      return {
+        columns: ["Vendor", "Clicks"],
+        rows: report.by_vendor.map((r) => [r.vendor || "(no vendor)", r.clicks]),
+      };
+    }
+    if (view === "category") {
+      return {
+        columns: ["Category", "Clicks"],
+        rows: report.by_category.map((r) => [r.category || "(no category)", r.clicks]),
+      };
+    }
+    if (view === "week") {
+      return {
+        columns: ["Week of", "Clicks"],
+        rows: report.by_week.map((r) => [r.week, r.clicks]),
+      };
+    }
+    return {
+      columns: ["Title", "Type", "Vendor", "Clicks"],
+      rows: report.by_item.map((r) => [
+        r.title || "(untitled)",
+        r.kind === "event" ? "Live event" : "On-demand course",
+        r.vendor,
+        r.clicks,
+      ]),
+    };
+  }, [report, view]);
+
+  const fileBase = `${currentClient?.slug || "client"}-clicks-${start || "all-time"}-to-${dayKey(new Date())}`;
+
+  const exportView = () => {
+    downloadCsv([table.columns, ...table.rows], `${fileBase}-by-${view}.csv`);
+  };
+
+  // Every click in the period, 1,000 rows per request (the API's cap).
+  const exportAll = async () => {
+    setExporting(true);
+    setError("");
+    try {
+      const rows = [];
+      for (let from = 0; ; from += 1000) {
+        let q = supabase
+          .from("registration_clicks")
+          .select("clicked_at, kind, title, vendor, categories, occurrence_date, link, tab, referrer")
+          .eq("client_id", currentClientId)
+          .order("clicked_at")
+          .range(from, from + 999);
+        if (start) q = q.gte("clicked_at", new Date(`${start}T00:00:00`).toISOString());
+        const { data, error } = await q;
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < 1000) break;
+      }
+      downloadCsv(
+        rows.map((r) => ({
+          "Clicked at": r.clicked_at,
+          Type: r.kind === "event" ? "Live event" : "On-demand course",
+          Title: r.title,
+          Date: r.occurrence_date || "",
+          Vendor: r.vendor,
+          Categories: (r.categories || []).join("; "),
+          Link: LINK_LABELS[r.link] || r.link,
+          "Clicked from": r.tab,
+          "Embedded on": r.referrer || "",
+        })),
+        `${fileBase}.csv`
+      );
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const max = Math.max(1, ...table.rows.map((r) => r[r.length - 1]));
+
+  return (
+    <section className="vdrPage">
+      <header className="elHero">
+        <div className="elHeroTop">
+          <div>
+            <p className="elKicker">Reporting</p>
+            <h1 className="elH1">Registration clicks</h1>
+            <p className="elHeroLead">
+              How often visitors to {currentClient?.name || "this client"}'s catalogs clicked a register
+              button, an email registration or a course link. Anonymous counts — a visitor who clicks twice
+              counts twice.
+            </p>
+          </div>
+          <button className="elPrimaryBtn" onClick={exportAll} disabled={exporting || loading || !stats.total}>
+            {exporting ? "Exporting…" : "Download all clicks (CSV)"}
+          </button>
+        </div>
+
+        <div className="elStats ckStats">
+          <Stat label="Clicks"            value={stats.total}   tone="neutral" />
+          <Stat label="Live events"       value={stats.events}  tone="accent" />
+          <Stat label="On-demand courses" value={stats.courses} tone="blue" />
+          <Stat label="Busiest week"      value={stats.busiest} tone="green" />
+        </div>
+      </header>
+
+      <div className="elToolbar">
+        <div className="elFilterPills" role="tablist" aria-label="Period">
+          {RANGES.map((r) => (
+            <Pill key={r.id} id={r.id} label={r.label} active={range} onSelect={setRange} />
+          ))}
+        </div>
+        <div className="elFilterPills" role="tablist" aria-label="Breakdown">
+          {VIEWS.map((v) => (
+            <Pill key={v.id} id={v.id} label={v.label} active={view} onSelect={setView} />
+          ))}
+        </div>
+        <button className="ghostBtn ckExport" onClick={exportView} disabled={loading || !table.rows.length}>
+          Export CSV
+        </button>
+      </div>
+
+      {error && <div className="evErrorBanner">{error}</div>}
+
+      {loading ? (
+        <div className="formLoading"><div className="spinner" /> Loading clicks…</div>
+      ) : !report || table.rows.length === 0 ? (
+        <div className="elEmpty">
+          <div className="elEmptyArt">📊</div>
+          <h3>No clicks yet</h3>
+          <p>
+            {range === "all"
+              ? "Clicks show up here once visitors start registering from the catalog."
+              : "Nothing in this period — try a longer one."}
+          </p>
+        </div>
+      ) : (
+        <div className="tableWrap">
+          <table className="adminTable ckTable">
+            <thead>
+              <tr>{table.columns.map((c) => <th key={c}>{c}</th>)}</tr>
+            </thead>
+            <tbody>
+              {table.rows.map((row, i) => (
+                <tr key={i}>
+                  {row.slice(0, -1).map((cell, j) => (
+                    <td key={j}>{view === "week" && j === 0 ? weekLabel(cell) : cell}</td>
+                  ))}
+                  <td className="ckCount">
+                    <span className="ckBar" style={{ width: `${(row[row.length - 1] / max) * 100}%` }} />
+                    <span>{row[row.length - 1]}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {view === "category" && (
+            <p className="muted ckNote">
+              A course in several categories counts once in each, so these add up to more than the total.
+            </p>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+function Pill({ id, label, active, onSelect }) {
+  return (
+    <button
+      role="tab"
+      aria-selected={active === id}
+      className={`elFilterPill ${active === id ? "active" : ""}`}
+      onClick={() => onSelect(id)}
+    >
+      {label}
+    </button>
+  );
+}
+
+function Stat({ label, value, tone }) {
+  return (
+    <div className={`elStat elStat-${tone}`}>
+      <div className="elStatValue">{value}</div>
+      <div className="elStatLabel">{label}</div>
+    </div>
+  );
+}
@@ -1,6 +1,15 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import { supabase } from "../lib/supabase.js";
 import { useClient } from "./AdminApp.jsx";
+import {
+  BASE_COLORS,
+  DEFAULT_THEME,
+  FONT_CHOICES,
+  RADIUS_RANGE,
+  normalizeTheme,
+  themeForSave,
+  themeVars,
+} from "../lib/client-theme.js";
 
 /**
  * /admin/clients — super admin only.
@@ -21,7 +30,7 @@ export default function Clients() {
     setLoading(true); setError("");
     const { data, error } = await supabase
       .from("clients")
-      .select("id, name, slug, logo_url, updated_at, portal_token, portal_last_used_at")
+      .select("id, name, slug, logo_url, theme, embed_origins, updated_at, portal_token, portal_last_used_at")
       .order("name");
     if (error) { setError(error.message); setLoading(false); return; }
     setRows(data || []);
@@ -248,15 +257,31 @@ function Stat({ label, value, tone }) {
   );
 }
 
+/* The embed allowlist as typed (one per line, commas work too) → the
+   origins clients.embed_origins stores. `bad` is the first entry that
+   isn't an http(s) address. */
+function parseOrigins(text) {
+  const list = [];
+  for (const entry of text.split(/[\s,]+/).filter(Boolean)) {
+    let url;
+    try { url = new URL(/^[a-z]+:\/\//i.test(entry) ? entry : `https://${entry}`); }
+    catch { return { list, bad: entry }; }
+    if (!/^https?:$/.test(url.protocol)) return { list, bad: entry };
+    if (!list.includes(url.origin)) list.push(url.origin);
+  }
+  return { list, bad: "" };
+}
+
 /* ============================================================
    Add / edit modal — now with a Team tab for managing access
 ============================================================ */
 function ClientModal({ mode = "add", client, openTab, eventCount = 0, onClose, onSaved, onDelete }) {
   const isEdit = mode === "edit" && client;
-  const [tab, setTab] = useState(openTab || "details"); // 'details' | 'team' | 'portal'
+  const [tab, setTab] = useState(openTab || "details"); // 'details' | 'branding' | 'team' | 'portal'
   const [name, setName] = useState(isEdit ? client.name : "");
   const [slug, setSlug] = useState(isEdit ? client.slug : "");
   const [logoUrl, setLogoUrl] = useState(isEdit ? (client.logo_url || "") : "");
+  const [embedOrigins, setEmbedOrigins] = useState(isEdit ? (client.embed_origins || []).join("\n") : "");
   const [saving, setSaving] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState("");
@@ -292,13 +317,15 @@ function ClientModal({ mode = "add", client, openTab, eventCount = 0, onClose, o
     if (!name.trim() || !slug.trim()) { setError("Name and slug are required."); return; }
     const clean = slug.toLowerCase().replace(/[^a-z0-9-]/g, "").replace(/^-|-$/g, "");
     if (!clean) { setError("Slug must contain at least one letter or number."); return; }
+    const origins = parseOrigins(embedOrigins);
+    if (origins.bad) { setError(`"${origins.bad}" isn't a web address — use e.g. https://learn.example.com`); return; }
     setSaving(true);
     try {
       let result;
       if (isEdit) {
         const { data, error } = await supabase
           .from("clients")
-          .update({ name: name.trim(), slug: clean, logo_url: logoUrl.trim() || null })
+          .update({ name: name.trim(), slug: clean, logo_url: logoUrl.trim() || null, embed_origins: origins.list })
           .eq("id", client.id)
           .select()
           .single();
@@ -307,7 +334,7 @@ function ClientModal({ mode = "add", client, openTab, eventCount = 0, onClose, o
       } else {
         const { data, error } = await supabase
           .from("clients")
-          .insert({ name: name.trim(), slug: clean, logo_url: logoUrl.trim() || null })
+          .insert({ name: name.trim(), slug: clean, logo_url: logoUrl.trim() || null, embed_origins: origins.list })
           .select()
           .single();
         if (error) throw error;
@@ -320,7 +347,10 @@ function ClientModal({ mode = "add", client, openTab, eventCount = 0, onClose, o
 
   return (
     <div className="modalBackdrop" onClick={onClose}>
-      <div className="modal vdrModal clientModalWide" onClick={(e) => e.stopPropagation()}>
+      <div
+        className={`modal vdrModal clientModalWide ${tab === "branding" ? "clientModalBranding" : ""}`}
+        onClick={(e) => e.stopPropagation()}
+      >
         <div className="modalHeader">
           <h3>{isEdit ? "Edit client" : "Add client"}</h3>
           <button className="modalClose" onClick={onClose} aria-label="Close">×</button>
@@ -338,6 +368,19 @@ function ClientModal({ mode = "add", client, openTab, eventCount = 0, onClose, o
               </svg>
               Details
             </button>
+            <button
+              type="button"
+              className={`clientModalTab ${tab === "branding" ? "active" : ""}`}
+              onClick={() => setTab("branding")}
+            >
+              <svg viewBox="0 0 24 24" width="14" height="14" aria-hidden="true" style={{ marginRight: 6, verticalAlign: "-2px" }}>
+                <path d="M12 3a9 9 0 1 0 0 18c1.1 0 1.7-.9 1.2-1.9-.5-1-.1-2.1 1-2.1H17a4 4 0 0 0 4-4c0-5.5-4-10-9-10z" fill="none" stroke="currentColor" strokeWidth="2" strokeLinejoin="round"/>
+                <circle cx="7.5" cy="11" r="1.3" fill="currentColor"/>
+                <circle cx="10.5" cy="7" r="1.3" fill="currentColor"/>
+                <circle cx="15" cy="7.5" r="1.3" fill="currentColor"/>
+              </svg>
+              Branding
+            </button>
             <button
               type="button"
               className={`clientModalTab ${tab === "team" ? "active" : ""}`}
@@ -417,6 +460,21 @@ function ClientModal({ mode = "add", client, openTab, eventCount = 0, onClose, o
               </span>
             </label>
 
+            <label className="field">
+              <span>Sites allowed to control the embed</span>
+              <textarea
+                rows={2}
+                value={embedOrigins}
+                onChange={(e) => setEmbedOrigins(e.target.value)}
+                placeholder="https://learn.example.com"
+                spellCheck={false}
+              />
+              <span className="muted" style={{ fontSize: 11, marginTop: 4 }}>
+                One per line. Pages on these sites can set filters and follow clicks in the catalog
+                iframe through <code>/embed.js</code>. Leave blank to turn that off.
+              </span>
+            </label>
+
             {error && <p className="errMsg">{error}</p>}
 
             <div className="formActions clientFormActions">
@@ -444,6 +502,8 @@ function ClientModal({ mode = "add", client, openTab, eventCount = 0, onClose, o
               </div>
             </div>
           </form>
+        ) : tab === "branding" ? (
+          <BrandingPanel client={client} onClose={onClose} onSaved={onSaved} />
         ) : tab === "portal" ? (
           <PortalPanel client={client} onClose={onClose} />
         ) : (
@@ -454,6 +514,242 @@ function ClientModal({ mode = "add", client, openTab, eventCount = 0, onClose, o
   );
 }
 
+/* ============================================================
+   Branding tab — the client's colors, font, card corners, button
+   labels and header copy (clients.theme, see lib/client-theme.js),
+   with a sample card that updates as you type.
+============================================================ */
+const THEME_TEXT_FIELDS = [
+  { key: "register_label", label: "Register button", placeholder: DEFAULT_THEME.register_label },
+  { key: "watch_label",    label: "Recording button", placeholder: DEFAULT_THEME.watch_label },
+  { key: "course_label",   label: "On-demand button", placeholder: DEFAULT_THEME.course_label },
+];
+const THEME_HEADER_FIELDS = [
+  { key: "events_title",  label: "Events title",     placeholder: "Upcoming Events" },
+  { key: "events_intro",  label: "Events intro",     placeholder: "Browse upcoming events, register instantly…", long: true },
+  { key: "courses_title", label: "On-demand title",  placeholder: "On Demand Courses" },
+  { key: "courses_intro", label: "On-demand intro",  placeholder: "Access our library of on-demand continuing education courses…", long: true },
+  { key: "unified_title", label: "/all page title",  placeholder: "On-demand Courses, Live Events, Webinars and State Requirements" },
+];
+
+function BrandingPanel({ client, onClose, onSaved }) {
+  // Raw form values; normalizeTheme() fills blanks back in for the
+  // preview and the save.
+  const [draft, setDraft] = useState(() => normalizeTheme(client.theme));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const set = (key, value) => setDraft((d) => ({ ...d, [key]: value }));
+
+  const theme = normalizeTheme(draft);
+  // The preview sits inside the admin, which has no catalog defaults of
+  // its own — so it always gets both colors.
+  const previewVars = themeVars({
+    ...theme,
+    primary_color: theme.primary_color || BASE_COLORS.primary,
+    accent_color: theme.accent_color || BASE_COLORS.accent,
+  });
+
+  const save = async () => {
+    setSaving(true);
+    setError("");
+    try {
+      const { data, error } = await supabase
+        .from("clients")
+        .update({ theme: themeForSave(draft) })
+        .eq("id", client.id)
+        .select()
+        .single();
+      if (error) throw error;
+      onSaved(data);
+    } catch (err) { setError(err.message); }
+    finally { setSaving(false); }
+  };
+
+  return (
+    <div className="modalBody brandPanel">
+      <div className="brandForm">
+        <div className="brandColors">
+          <ColorField
+            label="Primary color"
+            hint="Date sticker, Today badge"
+            value={draft.primary_color}
+            fallback={BASE_COLORS.primary}
+            onChange={(v) => set("primary_color", v)}
+          />
+          <ColorField
+            label="Accent color"
+            hint="Buttons, filters, tabs"
+            value={draft.accent_color}
+            fallback={BASE_COLORS.accent}
+            onChange={(v) => set("accent_color", v)}
+          />
+        </div>
+
+        <label className="field">
+          <span>Font</span>
+          <select value={draft.font_family} onChange={(e) => set("font_family", e.target.value)}>
+            {FONT_CHOICES.map((f) => <option key={f.label} value={f.value}>{f.label}</option>)}
+          </select>
+        </label>
+
+        <label className="field">
+          <span>
+            Card corners · {theme.card_radius == null ? "default" : `${theme.card_radius}px`}
+            {theme.card_radius != null && (
+              <button type="button" className="brandReset" onClick={() => set("card_radius", null)}>Reset</button>
+            )}
+          </span>
+          <input
+            type="range"
+            min={RADIUS_RANGE.min}
+            max={RADIUS_RANGE.max}
+            value={theme.card_radius ?? 18}
+            onChange={(e) => set("card_radius", Number(e.target.value))}
+          />
+        </label>
+
+        <label className="brandCheck">
+          <input
+            type="checkbox"
+            checked={draft.show_calendar_block}
+            onChange={(e) => set("show_calendar_block", e.target.checked)}
+          />
+          Show the date sticker on event cards
+        </label>
+
+        <div className="brandGroupTitle">Button labels</div>
+        <div className="brandLabels">
+          {THEME_TEXT_FIELDS.map((f) => (
+            <label key={f.key} className="field">
+              <span>{f.label}</span>
+              <input
+                value={draft[f.key]}
+                maxLength={40}
+                placeholder={f.placeholder}
+                onChange={(e) => set(f.key, e.target.value)}
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className="brandGroupTitle">Header copy</div>
+        <p className="muted brandHint">Leave blank to keep the standard wording.</p>
+        {THEME_HEADER_FIELDS.map((f) => (
+          <label key={f.key} className="field">
+            <span>{f.label}</span>
+            {f.long ? (
+              <textarea
+                rows={2}
+                value={draft[f.key]}
+                maxLength={300}
+                placeholder={f.placeholder}
+                onChange={(e) => set(f.key, e.target.value)}
+              />
+            ) : (
+              <input
+                value={draft[f.key]}
+                maxLength={120}
+                placeholder={f.placeholder}
+                onChange={(e) => set(f.key, e.target.value)}
+              />
+            )}
+          </label>
+        ))}
+      </div>
+
+      <div className="brandPreviewCol">
+        <div className="brandGroupTitle">Preview</div>
+        <BrandPreview theme={theme} style={previewVars} />
+      </div>
+
+      {error && <p className="errMsg brandError">{error}</p>}
+
+      <div className="formActions brandActions">
+        <div style={{ marginLeft: "auto", display: "flex", gap: 8 }}>
+          <button type="button" className="ghostBtn" onClick={onClose}>Cancel</button>
+          <button type="button" className="primaryBtn" onClick={save} disabled={saving}>
+            {saving ? "Saving…" : "Save branding"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* Color picker + hex box. Empty = the catalog default. */
+function ColorField({ label, hint, value, fallback, onChange }) {
+  return (
+    <label className="field brandColor">
+      <span>
+        {label}
+        {value && <button type="button" className="brandReset" onClick={() => onChange("")}>Reset</button>}
+      </span>
+      <div className="brandColorRow">
+        <input
+          type="color"
+          value={/^#[0-9a-f]{6}$/i.test(value) ? value : fallback}
+          onChange={(e) => onChange(e.target.value)}
+        />
+        <input
+          type="text"
+          value={value}
+          placeholder={fallback}
+          maxLength={7}
+          spellCheck={false}
+          onChange={(e) => onChange(e.target.value.trim())}
+        />
+      </div>
+      <span className="muted brandHint">{hint}</span>
+    </label>
+  );
+}
+
+/* A stripped-down catalog header, filter row and event card drawn with
+   the theme's custom properties — not the real catalog components, so
+   it can't drift into the admin's own styles. */
+function BrandPreview({ theme, style }) {
+  return (
+    <div className="brandPreview" style={style}>
+      <div className="brandPreviewHeader">
+        <div className="brandPreviewTitle">{theme.events_title || "Upcoming Events"}</div>
+        <div className="brandPreviewIntro">
+          {theme.events_intro || "Browse upcoming events, register instantly, and filter by category, vendor, CE hours, format, or role."}
+        </div>
+      </div>
+      <div className="brandPreviewChips">
+        <span className="brandPreviewChip active">Format · 1</span>
+        <span className="brandPreviewChip">Category</span>
+        <span className="brandPreviewChip">CE Hours</span>
+      </div>
+      <article className="brandPreviewCard">
+        <div className="brandPreviewThumb">
+          {theme.show_calendar_block && (
+            <div className="brandPreviewCal">
+              <div className="brandPreviewCalMonth">MAR</div>
+              <div className="brandPreviewCalDay">14</div>
+            </div>
+          )}
+        </div>
+        <div className="brandPreviewBody">
+          <div className="brandPreviewMeta">
+            <span className="brandPreviewBadge">2 CE</span>
+            <span className="brandPreviewBadge">Webinar</span>
+          </div>
+          <div className="brandPreviewCardTitle">Digital Workflows in Restorative Dentistry</div>
+          <div className="brandPreviewSession">
+            <span>Thu, Mar 14 · 7:00 PM CT</span>
+            <span className="brandPreviewBtn">{theme.register_label} →</span>
+          </div>
+          <div className="brandPreviewSession">
+            <span>On demand</span>
+            <span className="brandPreviewBtn">{theme.course_label} →</span>
+          </div>
+        </div>
+      </article>
+    </div>
+  );
+}
+
 /* ============================================================
    Portal panel — show + regenerate the client's portal URL
 ============================================================ */
@@ -1,9 +1,25 @@
 import { useEffect, useMemo, useRef, useState } from "react";
-import { Link, useNavigate, useParams } from "react-router-dom";
+import { Link, useNavigate, useParams, useSearchParams } from "react-router-dom";
 import { supabase } from "../lib/supabase.js";
 import { AddVendorModal } from "./Vendors.jsx";
 import { useClient } from "./AdminApp.jsx";
 import TagSelect from "./TagSelect.jsx";
+import { eventCoords, geocodeLocation, isInPersonFormat, loadGazetteer } from "../lib/geo.js";
+import { EVENT_WITH_SESSIONS, orderSessions, sessionRowsFor } from "../lib/event-sessions.js";
+import {
+  WEEKDAYS,
+  addDays,
+  daysBetween,
+  describeRule,
+  expandRow,
+  firstDayOf,
+  formatRule,
+  isOccurrence,
+  occurrenceDays,
+  parseRule,
+  shiftTimestamp,
+  weekdayCode,
+} from "../lib/recurrence.js";
 import {
   fetchCategoryNames,
   saveCategoryName,
@@ -28,22 +44,52 @@ const BLANK = {
   format: "Webinar",
   roles: [],
   location: "",
+  location_lat: null,           // set on save from `location` (lib/geo.js)
+  location_lng: null,
   in_person_registration_url: "",
   in_person_registration_email: "",
-  session1_label: "",
-  session1_url: "",
-  session1_email: "",
-  session2_label: "",
-  session2_url: "",
-  session2_email: "",
+  sessions: [],                 // see BLANK_SESSION; [0] runs on the schedule above
+  recurrence_rule: "",          // RRULE text (lib/recurrence.js); "" = one-off
+  recurrence_exdates: [],       // yyyy-MM-dd dates the rule skips
   discount_code: "",
   discount_description: "",
+  recording_url: "",
   mb2_exclusive: false,
   is_published: false,
 };
 
+// One row of the session editor (event_sessions). Session 1 takes its
+// date, times and timezone from the Schedule block, so only the extra
+// sessions use the *_part fields here.
+const BLANK_SESSION = {
+  id: null,                     // uuid; assigned when the row is added
+  date_part: "",                // yyyy-MM-dd
+  time_part: "",                // HH:mm start (optional)
+  end_time_part: "",            // HH:mm end   (optional, same day)
+  timezone: "America/Chicago",
+  label: "",
+  registration_url: "",
+  registration_email: "",
+  capacity: "",
+};
+
+// The old two-slot columns. Still on the table (event_sessions.sql keeps
+// them for rollback), but the form neither shows nor writes them.
+const LEGACY_SESSION_KEYS = [
+  "session1_label", "session1_url", "session1_email",
+  "session2_label", "session2_url", "session2_email",
+];
+
 const FORMATS = ["Webinar", "In-Person", "Hybrid", "Online"];
 
+// What a save applies to when the form was opened on one date of a
+// repeating event (/admin/events/:id?occurrence=yyyy-MM-dd).
+const OCCURRENCE_SCOPES = [
+  { id: "this",   label: "This date only" },
+  { id: "future", label: "This and later dates" },
+  { id: "all",    label: "Every date" },
+];
+
 const pad = (n) => String(n).padStart(2, "0");
 
 // US timezones — IANA names plus short labels for display
@@ -123,14 +169,100 @@ const splitTimestamp = (iso, ianaTz) => {
   };
 };
 
+// events row (selected with EVENT_WITH_SESSIONS) → form state.
+const rowToForm = (data) => {
+  const tz = data.event_timezone || "America/Chicago";
+  const { date, time } = splitTimestamp(data.event_date, tz);
+  const end = splitTimestamp(data.event_end_date, tz);
+  const sessions = orderSessions(data.sessions).map((row) => {
+    const stz = row.timezone || tz;
+    const start = splitTimestamp(row.starts_at, stz);
+    return {
+      ...BLANK_SESSION,
+      id: row.id,
+      date_part: start.date,
+      time_part: start.time,
+      end_time_part: splitTimestamp(row.ends_at, stz).time,
+      timezone: stz,
+      label: row.label || "",
+      registration_url: row.registration_url || "",
+      registration_email: row.registration_email || "",
+      capacity: row.capacity == null ? "" : String(row.capacity),
+    };
+  });
+  const next = {
+    ...BLANK,
+    ...data,
+    event_date_part: date,
+    event_time_part: time,
+    event_end_date_part: end.date,
+    event_end_time_part: end.time,
+    event_timezone: tz,
+    roles: Array.isArray(data.roles) ? data.roles : [],
+    sessions,
+    recurrence_rule: data.recurrence_rule || "",
+    recurrence_exdates: Array.isArray(data.recurrence_exdates) ? data.recurrence_exdates : [],
+  };
+  delete next.event_date;
+  delete next.event_end_date;
+  delete next.occurrence_date;
+  for (const k of LEGACY_SESSION_KEYS) delete next[k];
+  return next;
+};
+
+// Session editor → event_sessions rows. Session 1 mirrors the event's own
+// start / end / timezone (already combined into `event`). Extra sessions
+// with nothing filled in are dropped. Throws a readable message when a
+// session can't be saved as entered.
+const sessionRowsFromForm = (sessions, event, eventId) => {
+  const list = sessions.length ? sessions : [BLANK_SESSION];
+  const rows = [];
+  list.forEach((s, i) => {
+    const trim = (v) => (typeof v === "string" ? v.trim() : "");
+    const first = i === 0;
+    if (!first && !s.date_part && !trim(s.label) && !trim(s.registration_url) && !trim(s.registration_email)) return;
+    const n = `Session ${i + 1}`;
+    const tz = first ? event.event_timezone : s.timezone || event.event_timezone;
+    const startsAt = first ? event.event_date : combineDateTime(s.date_part, s.time_part, tz);
+    const endsAt = first
+      ? event.event_end_date
+      : s.date_part && s.end_time_part ? combineDateTime(s.date_part, s.end_time_part, tz) : null;
+    if (!first && !startsAt && !trim(s.label)) throw new Error(`${n} needs a date.`);
+    if (!first && startsAt && endsAt && endsAt <= startsAt) throw new Error(`${n} ends before it starts.`);
+    const cap = trim(String(s.capacity ?? ""));
+    if (cap && !/^[1-9]\d*$/.test(cap)) throw new Error(`${n}: seats must be a whole number.`);
+    rows.push({
+      id: s.id || crypto.randomUUID(),
+      event_id: eventId,
+      position: rows.length,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      timezone: tz,
+      label: trim(s.label) || null,
+      registration_url: trim(s.registration_url) || null,
+      registration_email: trim(s.registration_email) || null,
+      capacity: cap ? Number(cap) : null,
+    });
+  });
+  return rows;
+};
+
+// Upsert the editor's sessions by id, then drop the ones it no longer has.
+async function saveSessions(eventId, rows) {
+  const { error } = await supabase.from("event_sessions").upsert(rows);
+  if (error) throw error;
+  const { error: delErr } = await supabase
+    .from("event_sessions")
+    .delete()
+    .eq("event_id", eventId)
+    .not("id", "in", `(${rows.map((r) => r.id).join(",")})`);
+  if (delErr) throw delErr;
+}
+
 const formatDate = (d) =>
   d.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" });
 
 const isUrl = (u) => typeof u === "string" && u.trim().startsWith("http");
-const isInPersonFormat = (f) => {
-  const s = (f || "").toLowerCase();
-  return s === "in-person" || s === "in person" || s === "inperson" || s === "hybrid";
-};
 
 /* =====================================================================
    MAIN FORM
@@ -138,6 +270,8 @@ const isInPersonFormat = (f) => {
 export default function EventForm({ mode }) {
   const { id } = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const occurrenceParam = searchParams.get("occurrence") || "";
   const { currentClientId, currentClient } = useClient();
   const exclusiveLabel = currentClient?.name
     ? `${currentClient.name} Exclusive`
@@ -151,6 +285,21 @@ export default function EventForm({ mode }) {
   const [justSaved, setJustSaved] = useState(false);
   const thumbInput = useRef(null);
 
+  // Opened on one date of a repeating event: the series row as stored, the
+  // date, and what Save applies to. The form itself shows that date.
+  const [series, setSeries] = useState(null);
+  const [scope, setScope] = useState("this");
+  const occurrence = series ? occurrenceParam : "";
+
+  // events row → form, moved to the requested date when there is one.
+  const showRow = (data) => {
+    const onDate = mode === "edit" && isOccurrence(data, occurrenceParam);
+    setSeries(onDate ? data : null);
+    const next = rowToForm(onDate ? expandRow(data, occurrenceParam) : data);
+    setForm(next);
+    setOriginal(next);
+  };
+
   // Autocomplete suggestions pulled from this client's existing events
   const [categorySuggestions, setCategorySuggestions] = useState([]);
   const [roleSuggestions, setRoleSuggestions] = useState([]);
@@ -210,32 +359,14 @@ export default function EventForm({ mode }) {
     let cancelled = false;
     (async () => {
       const { data, error } = await supabase
-        .from("events").select("*").eq("id", id).single();
+        .from("events").select(EVENT_WITH_SESSIONS).eq("id", id).single();
       if (cancelled) return;
       if (error) setError(error.message);
-      else if (data) {
-        const tz = data.event_timezone || "America/Chicago";
-        const { date, time } = splitTimestamp(data.event_date, tz);
-        const end = splitTimestamp(data.event_end_date, tz);
-        const next = {
-          ...BLANK,
-          ...data,
-          event_date_part: date,
-          event_time_part: time,
-          event_end_date_part: end.date,
-          event_end_time_part: end.time,
-          event_timezone: tz,
-          roles: Array.isArray(data.roles) ? data.roles : [],
-        };
-        delete next.event_date;
-        delete next.event_end_date;
-        setForm(next);
-        setOriginal(next);
-      }
+      else if (data) showRow(data);
       setLoading(false);
     })();
     return () => { cancelled = true; };
-  }, [mode, id]);
+  }, [mode, id, occurrenceParam]);
 
   const set = (k, v) => setForm((f) => ({ ...f, [k]: v }));
 
@@ -243,6 +374,17 @@ export default function EventForm({ mode }) {
     return JSON.stringify(form) !== JSON.stringify(original);
   }, [form, original]);
 
+  // ZIP / city table for the Location hint and for placing the event on
+  // save. Only fetched once the format needs a location.
+  const [gazetteer, setGazetteer] = useState(null);
+  const needsLocation = isInPersonFormat(form.format);
+  useEffect(() => {
+    if (!needsLocation || gazetteer) return;
+    let cancelled = false;
+    loadGazetteer().then((g) => { if (!cancelled) setGazetteer(g); });
+    return () => { cancelled = true; };
+  }, [needsLocation, gazetteer]);
+
   // Save with Cmd+S
   useEffect(() => {
     const onKey = (e) => {
@@ -296,11 +438,28 @@ export default function EventForm({ mode }) {
       event_time_part,
       event_end_date_part,
       event_end_time_part,
+      sessions,
       ...rest
     } = form;
     const tz = form.event_timezone || "America/Chicago";
+
+    // Coordinates for the catalog's distance search. Re-placed on every
+    // save so edits to the location text are picked up. If the ZIP table
+    // can't be loaded, keep what we had unless the location changed.
+    let coords = { location_lat: null, location_lng: null };
+    const locationText = (form.location || "").trim();
+    if (isInPersonFormat(form.format) && locationText) {
+      const gaz = gazetteer || (await loadGazetteer());
+      if (gaz) {
+        coords = eventCoords(form, gaz);
+      } else if (locationText === (original.location || "").trim()) {
+        coords = { location_lat: form.location_lat ?? null, location_lng: form.location_lng ?? null };
+      }
+    }
+
     const payload = {
       ...rest,
+      ...coords,
       ce_hours: form.ce_hours === "" || form.ce_hours == null ? null : Number(form.ce_hours),
       event_date: combineDateTime(event_date_part, event_time_part, tz),
       event_end_date: event_end_date_part
@@ -308,9 +467,17 @@ export default function EventForm({ mode }) {
         : null,
       event_timezone: tz,
       roles: form.roles,
+      recurrence_rule: form.recurrence_rule || null,
+      recurrence_exdates: form.recurrence_exdates || [],
       client_id: currentClientId,
     };
     try {
+      // Check the sessions before writing anything.
+      sessionRowsFromForm(sessions, payload, id || "");
+      if (payload.recurrence_rule && !payload.event_date) {
+        throw new Error("A repeating event needs a start date.");
+      }
+
       // Auto-provision the vendor row if the typed name doesn't match an
       // existing vendor for this client. This handles the case where the
       // admin typed a new vendor name in the combobox without explicitly
@@ -343,35 +510,46 @@ export default function EventForm({ mode }) {
         }
       }
 
+      // "This and later dates" from the first date is the whole series.
+      const applyTo = occurrence && !(scope === "future" && occurrence === firstDayOf(series))
+        ? scope
+        : "all";
+
       if (mode === "new") {
         const { data, error } = await supabase
           .from("events").insert(payload).select().single();
         if (error) throw error;
+        await saveSessions(data.id, sessionRowsFromForm(sessions, payload, data.id));
         // Navigate into the new event's edit page so the user keeps editing it
         navigate(`/admin/events/${data.id}`, { replace: true });
+      } else if (occurrence && applyTo !== "all") {
+        const newId = await splitSeries(payload, sessions, applyTo);
+        navigate(`/admin/events/${newId}`, { replace: true });
       } else {
-        const { data, error } = await supabase
-          .from("events").update(payload).eq("id", id).select().single();
+        // Opened on a later date: the form shows that date, so move the
+        // edits back onto the series' first date before saving.
+        const back = occurrence ? -daysBetween(firstDayOf(series), occurrence) : 0;
+        const rows = sessionRowsFromForm(sessions, payload, id).map((r) => ({
+          ...r,
+          starts_at: shiftTimestamp(r.starts_at, r.timezone, back),
+          ends_at: shiftTimestamp(r.ends_at, r.timezone, back),
+        }));
+        const { error } = await supabase
+          .from("events")
+          .update({
+            ...payload,
+            event_date: shiftTimestamp(payload.event_date, tz, back),
+            event_end_date: shiftTimestamp(payload.event_end_date, tz, back),
+          })
+          .eq("id", id);
         if (error) throw error;
+        await saveSessions(id, rows);
+        const { data, error: reloadErr } = await supabase
+          .from("events").select(EVENT_WITH_SESSIONS).eq("id", id).single();
+        if (reloadErr) throw reloadErr;
         // Stay on page. Sync `original` so the form is no longer dirty,
         // and pop a transient "Saved" badge.
-        const dtz = data.event_timezone || "America/Chicago";
-        const { date, time } = splitTimestamp(data.event_date, dtz);
-        const end = splitTimestamp(data.event_end_date, dtz);
-        const next = {
-          ...BLANK,
-          ...data,
-          event_date_part: date,
-          event_time_part: time,
-          event_end_date_part: end.date,
-          event_end_time_part: end.time,
-          event_timezone: dtz,
-          roles: Array.isArray(data.roles) ? data.roles : [],
-        };
-        delete next.event_date;
-        delete next.event_end_date;
-        setForm(next);
-        setOriginal(next);
+        showRow(data);
         setJustSaved(true);
         setTimeout(() => setJustSaved(false), 2500);
       }
@@ -382,9 +560,89 @@ export default function EventForm({ mode }) {
     }
   };
 
+  // Save one date ("this") or the rest of the series ("future") as a new
+  // event, and take it out of the series. Returns the new event's id.
+  const splitSeries = async (payload, sessions, applyTo) => {
+    const {
+      id: _id, created_at, updated_at, created_by, last_published_at, unpublished_at,
+      ...fields
+    } = payload;
+    const seriesRule = parseRule(series.recurrence_rule);
+    const seriesExdates = series.recurrence_exdates || [];
+
+    let copy;
+    let seriesUpdate;
+    if (applyTo === "this") {
+      copy = {
+        ...fields,
+        recurrence_rule: null,
+        recurrence_exdates: [],
+        recurrence_parent_id: id,
+        recurrence_date: occurrence,
+      };
+      seriesUpdate = { recurrence_exdates: [...new Set([...seriesExdates, occurrence])].sort() };
+    } else {
+      // COUNT keeps counting from the original first date, so the new
+      // series only gets what's left of it.
+      const before = occurrenceDays(firstDayOf(series), seriesRule, { to: addDays(occurrence, -1) }).length;
+      const rule = parseRule(fields.recurrence_rule);
+      copy = {
+        ...fields,
+        recurrence_rule: rule
+          ? formatRule({ ...rule, count: rule.count ? Math.max(rule.count - before, 1) : null })
+          : null,
+        recurrence_exdates: (fields.recurrence_exdates || []).filter((d) => d > occurrence),
+        recurrence_parent_id: id,
+        recurrence_date: null,
+      };
+      seriesUpdate = {
+        recurrence_rule: formatRule({ ...seriesRule, count: null, until: addDays(occurrence, -1) }),
+        recurrence_exdates: seriesExdates.filter((d) => d < occurrence),
+      };
+    }
+
+    const { data, error } = await supabase.from("events").insert(copy).select().single();
+    if (error) throw error;
+    // Separate writes, not one transaction: if the rest fails, take the
+    // copy back out (its sessions go with it) — otherwise the series
+    // still lists the date too, and a retry would add a third copy.
+    try {
+      await saveSessions(
+        data.id,
+        sessionRowsFromForm(sessions.map((s) => ({ ...s, id: null })), payload, data.id)
+      );
+      const { error: seriesErr } = await supabase.from("events").update(seriesUpdate).eq("id", id);
+      if (seriesErr) throw seriesErr;
+    } catch (err) {
+      const { error: undoErr } = await supabase.from("events").delete().eq("id", data.id);
+      if (undoErr) {
+        console.error("Split undo failed:", undoErr);
+        throw new Error(
+          `${err.message} — and the new copy of "${copy.title}" couldn't be removed; delete it from the events list before trying again.`
+        );
+      }
+      throw err;
+    }
+    return data.id;
+  };
+
+  // Drop the date the form was opened on from its series.
+  const skipOccurrence = async () => {
+    if (!occurrence) return;
+    if (!confirm(`Skip "${form.title}" on ${formatDate(new Date(`${occurrence}T12:00:00`))}? The other dates stay.`)) return;
+    const exdates = [...new Set([...(series.recurrence_exdates || []), occurrence])].sort();
+    const { error } = await supabase
+      .from("events")
+      .update({ recurrence_exdates: exdates })
+      .eq("id", id);
+    if (error) return alert("Failed: " + error.message);
+    navigate("/admin");
+  };
+
   const remove = async () => {
     if (mode !== "edit") return;
-    if (!confirm(`Delete "${form.title}"? This cannot be undone.`)) return;
+    const what = form.recurrence_rule ? `"${form.title}" and every date it repeats on` : `"${form.title}"`;
+    if (!confirm(`Delete ${what}? This cannot be undone.`)) return;
     const { error } = await supabase.from("events").delete().eq("id", id);
     if (error) return alert("Delete failed: " + error.message);
     navigate("/admin");
@@ -412,26 +670,32 @@ export default function EventForm({ mode }) {
       format: form.format || null,
       roles: form.roles || [],
       location: form.location || null,
+      location_lat: form.location_lat ?? null,
+      location_lng: form.location_lng ?? null,
       in_person_registration_url: form.in_person_registration_url || null,
-      session1_label: form.session1_label || null,
-      session1_url: form.session1_url || null,
-      session2_label: form.session2_label || null,
-      session2_url: form.session2_url || null,
       in_person_registration_email: form.in_person_registration_email || null,
-      session1_email: form.session1_email || null,
-      session2_email: form.session2_email || null,
       discount_code: form.discount_code || null,
       discount_description: form.discount_description || null,
       mb2_exclusive: !!form.mb2_exclusive,
       is_published: false,         // safer default
       client_id: currentClientId,
     };
+    let sessionRows;
+    try {
+      sessionRows = sessionRowsFromForm(form.sessions, payload, "");
+    } catch (err) {
+      return alert("Duplicate failed: " + err.message);
+    }
     const { data, error } = await supabase
       .from("events")
       .insert(payload)
       .select()
       .single();
     if (error) return alert("Duplicate failed: " + error.message);
+    const { error: sessErr } = await supabase
+      .from("event_sessions")
+      .insert(sessionRowsFor(data.id, sessionRows));
+    if (sessErr) alert("The copy was created, but its sessions weren't: " + sessErr.message);
     navigate(`/admin/events/${data.id}`);
   };
 
@@ -440,6 +704,12 @@ export default function EventForm({ mode }) {
   }
 
   const showInPerson = isInPersonFormat(form.format);
+  const locationGeo = showInPerson ? geocodeLocation(form.location, gazetteer) : null;
+  const locationHint = !gazetteer || !(form.location || "").trim()
+    ? "Include a ZIP code (or City, ST) so visitors can find this event by distance."
+    : locationGeo
+      ? `Distance search will place this at ${locationGeo.zip ? `ZIP ${locationGeo.zip}` : "the city center"}.`
+      : "Couldn't place this location — add a ZIP code or City, ST so it shows up in distance search.";
 
   return (
     <div className="evForm">
@@ -494,6 +764,41 @@ export default function EventForm({ mode }) {
 
       {error && <div className="evErrorBanner">{error}</div>}
 
+      {occurrence && (
+        <div className="evOccurrenceBar" role="note">
+          <div>
+            <strong>Repeating event.</strong> You&apos;re editing{" "}
+            {formatDate(new Date(`${occurrence}T12:00:00`))} —{" "}
+            {describeRule(parseRule(series.recurrence_rule), firstDayOf(series)).replace(/^./, (c) => c.toLowerCase())}.
+          </div>
+          <div className="evOccurrenceScope" role="radiogroup" aria-label="Save changes to">
+            <span className="evOccurrenceScopeLabel">Save changes to</span>
+            {OCCURRENCE_SCOPES.map((o) => (
+              <label key={o.id}>
+                <input
+                  type="radio"
+                  name="occurrenceScope"
+                  checked={scope === o.id}
+                  onChange={() => setScope(o.id)}
+                />
+                {o.label}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {!occurrence && form.recurrence_parent_id && (
+        <div className="evOccurrenceBar" role="note">
+          <div>
+            {form.recurrence_date
+              ? `Changed on its own from the ${formatDate(new Date(`${form.recurrence_date}T12:00:00`))} date of a repeating event.`
+              : "Carries on from an earlier repeating event."}{" "}
+            <Link to={`/admin/events/${form.recurrence_parent_id}`}>Open the original series</Link>
+          </div>
+        </div>
+      )}
+
       {(form.submission_contact || form.submission_pdf_url || form.submission_notes) && (
         <div
           role="note"
@@ -543,6 +848,12 @@ export default function EventForm({ mode }) {
             {/* When — scheduling info on its own row */}
             <ScheduleBlock form={form} set={set} />
 
+            {occurrence && scope === "this" ? (
+              <p className="evHint">This date will be saved as its own event; the series skips it.</p>
+            ) : (
+              <RepeatBlock form={form} set={set} />
+            )}
+
 
             {/* Details — pricing + accreditation on a second, looser row */}
             <div className="row2">
@@ -644,27 +955,17 @@ export default function EventForm({ mode }) {
             />
           </Section>
 
-          <Section title="Online registration" subtitle="Where attendees register. Time is taken from the Time field above.">
-            <RegistrationInput
-              urlValue={form.session1_url ?? ""}
-              emailValue={form.session1_email ?? ""}
-              onUrl={(v) => set("session1_url", v)}
-              onEmail={(v) => set("session1_email", v)}
-            />
-
-            <SecondTimeSlot
-              label={form.session2_label}
-              url={form.session2_url}
-              email={form.session2_email}
-              onLabel={(v) => set("session2_label", v)}
-              onUrl={(v) => set("session2_url", v)}
-              onEmail={(v) => set("session2_email", v)}
+          <Section title="Sessions" subtitle="Each time this event runs, with where to register for it. Session 1 is the schedule above.">
+            <SessionsEditor
+              sessions={form.sessions}
+              eventTz={form.event_timezone}
+              onChange={(v) => set("sessions", v)}
             />
           </Section>
 
           {showInPerson && (
             <Section title="In-person details" subtitle="Where it's happening and how to register.">
-              <Field label="Location">
+              <Field label="Location" hint={locationHint}>
                 <input
                   value={form.location ?? ""}
                   onChange={(e) => set("location", e.target.value)}
@@ -681,12 +982,36 @@ export default function EventForm({ mode }) {
             </Section>
           )}
 
+          <Section title="Recording" subtitle="Shown on the past-events archive once this event is over.">
+            <Field label="Recording URL" hint="Optional. Leave blank if there's no replay.">
+              <input
+                type="url"
+                value={form.recording_url ?? ""}
+                onChange={(e) => set("recording_url", e.target.value)}
+                placeholder="https://"
+              />
+            </Field>
+          </Section>
+
           {mode === "edit" && (
             <Section title="Danger zone" subtitle="Permanent actions." tone="danger">
+              {occurrence && (
+                <div className="dangerRow">
+                  <div>
+                    <strong>Skip this date</strong>
+                    <p className="muted">Takes this date out of the series. The other dates stay.</p>
+                  </div>
+                  <button type="button" className="ghostBtn danger" onClick={skipOccurrence}>
+                    Skip date
+                  </button>
+                </div>
+              )}
               <div className="dangerRow">
                 <div>
                   <strong>Delete this event</strong>
-                  <p className="muted">Removes it from the database. Cannot be undone.</p>
+                  <p className="muted">
+                    Removes it from the database{form.recurrence_rule ? ", with every date it repeats on" : ""}. Cannot be undone.
+                  </p>
                 </div>
                 <button type="button" className="ghostBtn danger" onClick={remove}>
                   Delete event
@@ -919,6 +1244,198 @@ function ScheduleBlock({ form, set }) {
   );
 }
 
+/* =====================================================================
+   REPEAT — weekly / monthly rule under the schedule. The start date is
+   the first date; the rule picks the ones after it. Stored as RRULE text
+   (lib/recurrence.js) plus a list of skipped dates.
+===================================================================== */
+const ORDINAL_WORDS = { 1: "1st", 2: "2nd", 3: "3rd", 4: "4th", 5: "5th", [-1]: "last" };
+const DAY_SHORT = { MO: "Mon", TU: "Tue", WE: "Wed", TH: "Thu", FR: "Fri", SA: "Sat", SU: "Sun" };
+
+function RepeatBlock({ form, set }) {
+  const rule = parseRule(form.recurrence_rule);
+  const first = form.event_date_part;
+  const exdates = Array.isArray(form.recurrence_exdates) ? form.recurrence_exdates : [];
+  const [skipDraft, setSkipDraft] = useState("");
+
+  const setRule = (next) => set("recurrence_rule", next ? formatRule(next) : "");
+  const patch = (p) => setRule({ ...rule, ...p });
+
+  // Monthly choices that fit the start date: "day 10", "the 2nd Tuesday",
+  // and "the last Tuesday" when it's the last one of its month.
+  const monthly = useMemo(() => {
+    if (!first) return [];
+    const code = weekdayCode(first);
+    const dom = Number(first.slice(8));
+    const nth = Math.ceil(dom / 7);
+    const opts = [
+      { id: "day", label: `On day ${dom}`, byDay: [] },
+      { id: "nth", label: `On the ${ORDINAL_WORDS[nth]} ${DAY_SHORT[code]}`, byDay: [{ n: nth, day: code }] },
+    ];
+    if (addDays(first, 7).slice(5, 7) !== first.slice(5, 7)) {
+      opts.push({ id: "last", label: `On the last ${DAY_SHORT[code]}`, byDay: [{ n: -1, day: code }] });
+    }
+    return opts;
+  }, [first]);
+  const monthlyChoice = !rule || rule.freq !== "MONTHLY" || !rule.byDay.length
+    ? "day"
+    : rule.byDay[0].n === -1 ? "last" : "nth";
+
+  const changeFreq = (freq) => {
+    if (!freq) { set("recurrence_rule", ""); set("recurrence_exdates", []); return; }
+    setRule({
+      freq,
+      interval: rule?.interval || 1,
+      byDay: freq === "WEEKLY" && first ? [{ n: 0, day: weekdayCode(first) }] : [],
+      byMonthDay: null,
+      until: rule?.until || null,
+      count: rule?.count || null,
+    });
+  };
+
+  const toggleDay = (code) => {
+    const on = rule.byDay.some((b) => b.day === code);
+    const next = on ? rule.byDay.filter((b) => b.day !== code) : [...rule.byDay, { n: 0, day: code }];
+    if (next.length === 0) return; // at least one weekday
+    patch({ byDay: next.sort((a, b) => WEEKDAYS.indexOf(a.day) - WEEKDAYS.indexOf(b.day)) });
+  };
+
+  const ends = rule?.until ? "until" : rule?.count ? "count" : "never";
+  const changeEnds = (v) => {
+    if (v === "until") patch({ until: first ? addDays(first, 90) : null, count: null });
+    else if (v === "count") patch({ until: null, count: 10 });
+    else patch({ until: null, count: null });
+  };
+
+  const addSkip = () => {
+    if (!skipDraft || exdates.includes(skipDraft)) return;
+    set("recurrence_exdates", [...exdates, skipDraft].sort());
+    setSkipDraft("");
+  };
+  const removeSkip = (day) => set("recurrence_exdates", exdates.filter((d) => d !== day));
+
+  const upcoming = rule && first ? occurrenceDays(first, rule, { exdates, limit: 4 }) : [];
+  const fmtDay = (day) => formatDate(new Date(`${day}T12:00:00`));
+
+  return (
+    <div className="evRepeat">
+      <div className="evRepeatRow">
+        <Field label="Repeats">
+          <select
+            value={rule?.freq || ""}
+            onChange={(e) => changeFreq(e.target.value)}
+            disabled={!first}
+          >
+            <option value="">Doesn&apos;t repeat</option>
+            <option value="WEEKLY">Weekly</option>
+            <option value="MONTHLY">Monthly</option>
+          </select>
+        </Field>
+        {rule && (
+          <Field label="Every">
+            <div className="evRepeatEvery">
+              <input
+                type="number" min="1" max="12"
+                value={rule.interval}
+                onChange={(e) => patch({ interval: Math.min(12, Math.max(1, parseInt(e.target.value, 10) || 1)) })}
+              />
+              <span>{rule.freq === "WEEKLY" ? "week(s)" : "month(s)"}</span>
+            </div>
+          </Field>
+        )}
+        {rule?.freq === "MONTHLY" && (
+          <Field label="On">
+            <select
+              value={monthlyChoice}
+              onChange={(e) => {
+                const opt = monthly.find((o) => o.id === e.target.value);
+                if (opt) patch({ byDay: opt.byDay, byMonthDay: null });
+              }}
+            >
+              {monthly.map((o) => <option key={o.id} value={o.id}>{o.label}</option>)}
+            </select>
+          </Field>
+        )}
+      </div>
+
+      {!first && <p className="evHint">Set a start date to make this event repeat.</p>}
+
+      {rule?.freq === "WEEKLY" && (
+        <div className="evRepeatDays" role="group" aria-label="Repeat on">
+          {WEEKDAYS.map((code) => (
+            <button
+              key={code}
+              type="button"
+              className={`evRepeatDay ${rule.byDay.some((b) => b.day === code) ? "on" : ""}`}
+              aria-pressed={rule.byDay.some((b) => b.day === code)}
+              onClick={() => toggleDay(code)}
+            >
+              {DAY_SHORT[code]}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {rule && (
+        <div className="evRepeatRow">
+          <Field label="Ends">
+            <select value={ends} onChange={(e) => changeEnds(e.target.value)}>
+              <option value="never">Never</option>
+              <option value="until">On a date</option>
+              <option value="count">After a number of dates</option>
+            </select>
+          </Field>
+          {ends === "until" && (
+            <Field label="Last date">
+              <input
+                type="date"
+                value={rule.until || ""}
+                min={first || undefined}
+                onChange={(e) => patch({ until: e.target.value || null })}
+              />
+            </Field>
+          )}
+          {ends === "count" && (
+            <Field label="Dates in total">
+              <input
+                type="number" min="1" max="500"
+                value={rule.count || ""}
+                onChange={(e) => patch({ count: Math.min(500, Math.max(1, parseInt(e.target.value, 10) || 1)) })}
+              />
+            </Field>
+          )}
+        </div>
+      )}
+
+      {rule && (
+        <div className="evRepeatSkips">
+          <span className="evRepeatSkipsLabel">Skipped dates</span>
+          {exdates.map((day) => (
+            <span key={day} className="evRepeatSkip">
+              {fmtDay(day)}
+              <button type="button" onClick={() => removeSkip(day)} aria-label={`Stop skipping ${day}`}>×</button>
+            </span>
+          ))}
+          <input
+            type="date"
+            value={skipDraft}
+            min={first || undefined}
+            onChange={(e) => setSkipDraft(e.target.value)}
+          />
+          <button type="button" className="ghostBtn" onClick={addSkip} disabled={!skipDraft}>Skip</button>
+        </div>
+      )}
+
+      {rule && first && (
+        <p className="evRepeatSummary">
+          {describeRule(rule, first)}.
+          {upcoming.length > 0 && ` ${upcoming.map(fmtDay).join(" · ")}${upcoming.length === 4 ? " …" : ""}`}
+        </p>
+      )}
+    </div>
+  );
+}
+
 /* =====================================================================
    REGISTRATION INPUT — paired URL + email fields with a small "or"
    divider. URL takes precedence at display time. Lets admins set
@@ -1287,88 +1804,107 @@ function ThumbnailDropZone({ url, uploading, onUpload, onClear, onUrlChange, fil
   );
 }
 
-function SessionRow({ n, label, url, onLabel, onUrl, hideLabel = false }) {
-  return (
-    <div className="evSessionRow" style={hideLabel ? { gridTemplateColumns: "32px 1fr" } : undefined}>
-      <span className="evSessionN">{n}</span>
-      {!hideLabel && (
-        <input
-          className="evSessionLabel"
-          value={label ?? ""}
-          onChange={(e) => onLabel(e.target.value)}
-          placeholder=""
-        />
-      )}
-      <input
-        className="evSessionUrl"
-        value={url ?? ""}
-        onChange={(e) => onUrl(e.target.value)}
-        placeholder=""
-      />
-    </div>
-  );
-}
-
 /* =====================================================================
-   SECOND TIME SLOT — collapsed by default, expands into a clear
-   "additional session" block with explicit Time + Registration URL
-   fields so it's obvious what each input does.
+   SESSIONS EDITOR — one card per run of the event. Session 1 runs on the
+   Schedule block above; every extra session gets its own date, times and
+   timezone. Each has its own registration link or email and an optional
+   seat cap.
 ===================================================================== */
-function SecondTimeSlot({ label, url, email, onLabel, onUrl, onEmail }) {
-  const hasValue = !!(label || url || email);
-  const [expanded, setExpanded] = useState(hasValue);
+function SessionsEditor({ sessions, eventTz, onChange }) {
+  const list = sessions.length ? sessions : [BLANK_SESSION];
+  const update = (i, k, v) =>
+    onChange(list.map((s, j) => (j === i ? { ...s, [k]: v } : s)));
+  const remove = (i) => onChange(list.filter((_, j) => j !== i));
+  const add = () =>
+    onChange([
+      ...list,
+      { ...BLANK_SESSION, id: crypto.randomUUID(), timezone: eventTz || "America/Chicago" },
+    ]);
 
-  useEffect(() => {
-    if (hasValue) setExpanded(true);
-  }, [hasValue]);
+  return (
+    <div className="evSessions">
+      {list.map((s, i) => (
+        <div className="evSessionCard" key={s.id || `session-${i}`}>
+          <div className="evSessionCardHeader">
+            <span className="evSessionN">{i + 1}</span>
+            <span className="evSessionCardTitle">
+              {i === 0 ? "Runs on the schedule above" : `Session ${i + 1}`}
+            </span>
+            {i > 0 && (
+              <button type="button" className="evSessionRemove" onClick={() => remove(i)}>
+                Remove
+              </button>
+            )}
+          </div>
 
-  if (!expanded) {
-    return (
-      <button
-        type="button"
-        className="evSecondSlotAdd"
-        onClick={() => setExpanded(true)}
-      >
-        + Add another time slot
-      </button>
-    );
-  }
+          {i > 0 && (
+            <div className="evSessionWhen">
+              <Field label="Date">
+                <input
+                  type="date"
+                  value={s.date_part}
+                  onChange={(e) => update(i, "date_part", e.target.value)}
+                />
+              </Field>
+              <Field label="Starts" hint="Optional">
+                <input
+                  type="time"
+                  value={s.time_part}
+                  onChange={(e) => update(i, "time_part", e.target.value)}
+                  disabled={!s.date_part}
+                />
+              </Field>
+              <Field label="Ends" hint="Optional">
+                <input
+                  type="time"
+                  value={s.end_time_part}
+                  onChange={(e) => update(i, "end_time_part", e.target.value)}
+                  disabled={!s.date_part}
+                />
+              </Field>
+              <Field label="Timezone">
+                <select
+                  value={s.timezone || "America/Chicago"}
+                  onChange={(e) => update(i, "timezone", e.target.value)}
+                >
+                  {US_TIMEZONES.map((tz) => (
+                    <option key={tz.id} value={tz.id}>{tz.label}</option>
+                  ))}
+                </select>
+              </Field>
+            </div>
+          )}
 
-  return (
-    <div className="evSecondSlot">
-      <div className="evSecondSlotHeader">
-        <span className="evSecondSlotTitle">Additional time slot</span>
-        <button
-          type="button"
-          className="evSecondSlotRemove"
-          onClick={() => {
-            onLabel("");
-            onUrl("");
-            onEmail && onEmail("");
-            setExpanded(false);
-          }}
-        >
-          Remove
-        </button>
-      </div>
-      <Field label="Time for this session">
-        <input
-          value={label ?? ""}
-          onChange={(e) => onLabel(e.target.value)}
-          placeholder=""
-        />
-      </Field>
-      <RegistrationInput
-        label="Registration"
-        urlValue={url ?? ""}
-        emailValue={email ?? ""}
-        onUrl={onUrl}
-        onEmail={onEmail || (() => {})}
-      />
-      <p className="muted" style={{ fontSize: 12, marginTop: 4 }}>
-        Only fill this in if the same event runs at a second time with its own
-        registration link or contact email.
-      </p>
+          <RegistrationInput
+            urlValue={s.registration_url}
+            emailValue={s.registration_email}
+            onUrl={(v) => update(i, "registration_url", v)}
+            onEmail={(v) => update(i, "registration_email", v)}
+          />
+
+          <div className="evSessionExtras">
+            <Field label="Seats" hint="Optional. Shown on the card as “50 seats”.">
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={s.capacity}
+                onChange={(e) => update(i, "capacity", e.target.value)}
+              />
+            </Field>
+            <Field label="Label" hint="Optional. Shown instead of the date and time.">
+              <input
+                value={s.label}
+                onChange={(e) => update(i, "label", e.target.value)}
+              />
+            </Field>
+          </div>
+        </div>
+      ))}
+
+      <button type="button" className="evSessionAdd" onClick={add}>
+        + Add another session
+      </button>
     </div>
   );
 }
@@ -1565,21 +2101,22 @@ function PreviewCard({ form, exclusiveLabel = "Exclusive" }) {
             <span className="muted">Ideal for</span> {form.roles.join(", ")}
           </div>
         )}
-        {inPerson && (form.location || form.session1_label) && (
+        {inPerson && (form.location || form.sessions[0]?.label) && (
           <div className="previewInPerson">
-            {form.session1_label && <div><strong>Time</strong> {form.session1_label}</div>}
+            {form.sessions[0]?.label && <div><strong>Time</strong> {form.sessions[0].label}</div>}
             {form.location && <div><strong>Location</strong> {form.location}</div>}
           </div>
         )}
         {(() => {
           const trim = (v) => (typeof v === "string" ? v.trim() : "");
           const links = [];
-          if (isUrl(form.session1_url)) {
-            links.push({ url: form.session1_url, label: trim(form.session1_label) || "Session 1" });
-          }
-          if (isUrl(form.session2_url)) {
-            links.push({ url: form.session2_url, label: trim(form.session2_label) || "Session 2" });
-          }
+          form.sessions.forEach((s, i) => {
+            if (!isUrl(s.registration_url)) return;
+            const when = i > 0 && s.date_part
+              ? formatDate(new Date(`${s.date_part}T12:00`)) + (s.time_part ? ` · ${s.time_part}` : "")
+              : "";
+            links.push({ url: s.registration_url, label: trim(s.label) || when || `Session ${i + 1}` });
+          });
           if (isUrl(form.in_person_registration_url)) {
             links.push({ url: form.in_person_registration_url, label: "In-person registration" });
           }
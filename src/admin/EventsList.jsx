@@ -2,6 +2,8 @@ import { useEffect, useMemo, useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { supabase } from "../lib/supabase.js";
 import { useClient } from "./AdminApp.jsx";
+import { sessionRowsFor } from "../lib/event-sessions.js";
+import { addDays, expandRow, firstDayOf, occurrenceDays, parseRule } from "../lib/recurrence.js";
 import "./on-demand-admin.css";
 
 const TIME_FILTERS = [
@@ -35,6 +37,31 @@ const dateStatus = (iso) => {
   return { kind: "upcoming", label: "Upcoming" };
 };
 
+// Repeating events get one row per date, this far either side of today.
+const REPEAT_WINDOW_DAYS = 366;
+
+const todayKey = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+// An events row → the rows the table shows: itself, or one per date of a
+// repeating event (each carrying `occurrence_date`). A series with no
+// dates in the window still gets one row so it can be found and edited.
+const listRows = (r, today) => {
+  const rule = parseRule(r.recurrence_rule);
+  if (!rule) return [r];
+  const days = occurrenceDays(firstDayOf(r), rule, {
+    exdates: r.recurrence_exdates || [],
+    from: addDays(today, -REPEAT_WINDOW_DAYS),
+    to: addDays(today, REPEAT_WINDOW_DAYS),
+  });
+  return days.length ? days.map((day) => expandRow(r, day)) : [r];
+};
+
+const editPath = (r) =>
+  `/admin/events/${r.id}${r.occurrence_date ? `?occurrence=${r.occurrence_date}` : ""}`;
+
 const fmtDate = (iso) => {
   const d = new Date(iso);
   if (!iso || isNaN(d.getTime())) return "—";
@@ -148,15 +175,33 @@ export default function EventsList() {
   };
 
   const remove = async (row) => {
-    if (!confirm(`Delete "${row.title}"? This cannot be undone.`)) return;
+    const what = row.recurrence_rule ? `"${row.title}" and every date it repeats on` : `"${row.title}"`;
+    if (!confirm(`Delete ${what}? This cannot be undone.`)) return;
     const { error } = await supabase.from("events").delete().eq("id", row.id);
     if (error) return alert("Failed: " + error.message);
     setRows((prev) => prev.filter((r) => r.id !== row.id));
   };
 
+  // One date of a repeating event → add it to the series' skipped dates.
+  const skipDate = async (row) => {
+    if (!confirm(`Skip "${row.title}" on ${fmtDate(row.event_date)}? The other dates stay.`)) return;
+    const exdates = [...new Set([...(row.recurrence_exdates || []), row.occurrence_date])].sort();
+    const { error } = await supabase
+      .from("events")
+      .update({ recurrence_exdates: exdates })
+      .eq("id", row.id);
+    if (error) return alert("Failed: " + error.message);
+    setRows((prev) => prev.map((r) => (r.id === row.id ? { ...r, recurrence_exdates: exdates } : r)));
+  };
+
   const duplicate = async (row) => {
-    // Strip server-managed fields so we can re-insert a clean copy
-    const { id, created_at, updated_at, created_by, ...rest } = row;
+    // Strip server-managed fields so we can re-insert a clean copy. A copy
+    // of one date of a series is a new series starting on that date.
+    const {
+      id, created_at, updated_at, created_by,
+      occurrence_date, recurrence_parent_id, recurrence_date,
+      ...rest
+    } = row;
     const copy = {
       ...rest,
       title: `${row.title} (copy)`,
@@ -168,14 +213,29 @@ export default function EventsList() {
       .select()
       .single();
     if (error) return alert("Duplicate failed: " + error.message);
+    const { data: sessions } = await supabase
+      .from("event_sessions")
+      .select("*")
+      .eq("event_id", row.id);
+    if (sessions?.length) {
+      const { error: sessErr } = await supabase
+        .from("event_sessions")
+        .insert(sessionRowsFor(data.id, sessions));
+      if (sessErr) alert("The copy was created, but its sessions weren't: " + sessErr.message);
+    }
     // Drop straight into the edit form so the user can tweak the date
     navigate(`/admin/events/${data.id}`);
   };
 
+  const listed = useMemo(() => {
+    const today = todayKey();
+    return rows.flatMap((r) => listRows(r, today));
+  }, [rows]);
+
   // Counts that drive both the stats hero and the filter pill badges
   const counts = useMemo(() => {
-    const c = { all: rows.length, upcoming: 0, past: 0, published: 0, drafts: 0, mb2: 0, thisWeek: 0 };
-    for (const r of rows) {
+    const c = { all: listed.length, upcoming: 0, past: 0, published: 0, drafts: 0, mb2: 0, thisWeek: 0 };
+    for (const r of listed) {
       const s = dateStatus(r.event_date);
       if (s.kind === "upcoming" || s.kind === "today" || s.kind === "soon") c.upcoming++;
       if (s.kind === "soon" || s.kind === "today") c.thisWeek++;
@@ -185,11 +245,11 @@ export default function EventsList() {
       if (r.mb2_exclusive) c.mb2++;
     }
     return c;
-  }, [rows]);
+  }, [listed]);
 
   const visible = useMemo(() => {
     const q = query.trim().toLowerCase();
-    return rows
+    return listed
       // Time
       .filter((r) => {
         const k = dateStatus(r.event_date).kind;
@@ -210,7 +270,7 @@ export default function EventsList() {
         if (!q) return true;
         return `${r.title} ${r.vendor ?? ""} ${r.category ?? ""}`.toLowerCase().includes(q);
       });
-  }, [rows, query, timeFilter, statusFilter, exclusiveOnly]);
+  }, [listed, query, timeFilter, statusFilter, exclusiveOnly]);
 
   return (
     <section className="elPage">
@@ -363,17 +423,20 @@ export default function EventsList() {
           {visible.map((r) => {
             const status = dateStatus(r.event_date);
             return (
-              <article key={r.id} className="elRow">
+              <article key={r.occurrence_date ? `${r.id}:${r.occurrence_date}` : r.id} className="elRow">
                 <div className="elColTitle">
-                  <Link to={`/admin/events/${r.id}`} className="elThumb">
+                  <Link to={editPath(r)} className="elThumb">
                     {r._effective_thumb_url
                       ? <img src={r._effective_thumb_url} alt="" loading="lazy" />
                       : <span className="elThumbPh" />}
                   </Link>
                   <div className="elTitleWrap">
-                    <Link to={`/admin/events/${r.id}`} className="elTitleLink">{r.title}</Link>
+                    <Link to={editPath(r)} className="elTitleLink">{r.title}</Link>
                     <div className="elTitleMeta">
                       <span className={`elStatusBadge elStatus-${status.kind}`}>{status.label}</span>
+                      {r.recurrence_rule && (
+                        <span className="elRepeatChip" title="Repeating event — edit this date or the whole series">↻ Repeats</span>
+                      )}
                       {r.category && <span className="elCategory">{r.category}</span>}
                       {r.ce_hours != null && r.ce_hours !== "" && (
                         <span className="elCeChip">{r.ce_hours} CE</span>
@@ -418,7 +481,7 @@ export default function EventsList() {
 
                 <div className="elColActions">
                   <Link
-                    to={`/admin/events/${r.id}`}
+                    to={editPath(r)}
                     className="elIconBtn"
                     title="Edit"
                     aria-label="Edit event"
@@ -439,6 +502,20 @@ export default function EventsList() {
                       <path d="M5 15V6a2 2 0 0 1 2-2h9" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
                     </svg>
                   </button>
+                  {r.occurrence_date && (
+                    <button
+                      type="button"
+                      className="elIconBtn"
+                      onClick={() => skipDate(r)}
+                      title="Skip this date (the other dates stay)"
+                      aria-label="Skip this date"
+                    >
+                      <svg viewBox="0 0 24 24" width="16" height="16">
+                        <rect x="4" y="5" width="16" height="15" rx="2" fill="none" stroke="currentColor" strokeWidth="2"/>
+                        <path d="M4 10h16M9 14l6 4M15 14l-6 4" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                      </svg>
+                    </button>
+                  )}
                   <button
                     type="button"
                     className="elIconBtn elIconBtnDanger"
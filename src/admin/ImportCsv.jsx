@@ -4,6 +4,8 @@ import * as XLSX from "xlsx";
 import { useNavigate } from "react-router-dom";
 import { supabase } from "../lib/supabase.js";
 import { csvRowToEvent } from "../lib/normalize-csv.js";
+import { sessionRowsFor } from "../lib/event-sessions.js";
+import { eventCoords, loadGazetteer } from "../lib/geo.js";
 import { useClient } from "./AdminApp.jsx";
 
 const isXlsxName = (name) => /\.(xlsx|xlsm|xls)$/i.test(name || "");
@@ -145,19 +147,54 @@ export default function ImportCsv() {
     setImporting(true);
     setDoneCount(0);
     const batchSize = 50;
+    let imported = 0;
     try {
+      // For distance search; null (table not loaded) leaves them blank.
+      const gazetteer = await loadGazetteer();
       for (let i = 0; i < toImport.length; i += batchSize) {
-        const slice = toImport
-          .slice(i, i + batchSize)
-          .map((p) => ({ ...p.ready, client_id: currentClientId }));
+        const batch = toImport.slice(i, i + batchSize);
+        // Ids are made here, so each event's sessions point at it without
+        // relying on the order rows come back in.
+        const slice = batch.map(({ ready: { sessions, ...ev } }) => ({
+          ...ev,
+          ...eventCoords(ev, gazetteer),
+          id: crypto.randomUUID(),
+          client_id: currentClientId,
+        }));
         const { error } = await supabase.from("events").insert(slice);
         if (error) throw error;
-        setDoneCount(i + slice.length);
+        const sessionRows = slice.flatMap((ev, j) => sessionRowsFor(ev.id, batch[j].ready.sessions));
+        if (sessionRows.length > 0) {
+          const { error: sessErr } = await supabase.from("event_sessions").insert(sessionRows);
+          if (sessErr) {
+            // Don't leave this batch's events behind without their dates.
+            const { error: undoErr } = await supabase
+              .from("events")
+              .delete()
+              .in("id", slice.map((ev) => ev.id));
+            if (undoErr) {
+              console.error("Import undo failed:", undoErr);
+              throw new Error(
+                `${sessErr.message} — and ${slice.length} events from this batch were left without their dates. ` +
+                  "Delete them on the Events page before importing again."
+              );
+            }
+            throw sessErr;
+          }
+        }
+        imported += slice.length;
+        setDoneCount(imported);
       }
       alert(`Imported ${toImport.length} events as drafts. Review them on the Events page.`);
       navigate("/admin");
     } catch (e) {
-      setError(e.message);
+      // Earlier batches are in; "Skip duplicates" passes over them next time.
+      setError(
+        imported > 0
+          ? `${e.message} — ${imported} of ${toImport.length} events were imported before this. ` +
+              "Choose the file again with \"Skip duplicates\" on to import the rest."
+          : e.message
+      );
     } finally {
       setImporting(false);
     }
@@ -280,6 +317,7 @@ export default function ImportCsv() {
                 <ColRefRow field="Location"      aliases={["Location", "Venue", "Address"]} />
                 <ColRefRow field="Session 1"     aliases={["Time of the event", "Registration Link", "Link"]} />
                 <ColRefRow field="Session 2"     aliases={["2nd time of the Event", "Second Registration Link"]} />
+                <ColRefRow field="Session 3, 4…" aliases={["Time 3", "Registration Link 3"]} />
                 <ColRefRow field="In-person link" aliases={["In-Person Registration Link"]} />
                 <ColRefRow field="MB2 Exclusive" aliases={["MB2 Exclusive"]} note="Auto-detected from titles containing 'Exclusive' too" />
               </div>
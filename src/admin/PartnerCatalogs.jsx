@@ -0,0 +1,303 @@
+import { useEffect, useState } from "react";
+import { supabase } from "../lib/supabase.js";
+import { useClient } from "./AdminApp.jsx";
+
+/**
+ * /admin/partners — super admin only.
+ * Partner catalogs (supabase/catalog_aggregates.sql): public pages at
+ * /partners/:slug listing several clients' events together. Each one
+ * picks its source clients, in order — when an event is syndicated to
+ * more than one of them, the first client's copy is the one shown.
+ */
+export default function PartnerCatalogs() {
+  const { isSuperAdmin, clients } = useClient();
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [modal, setModal] = useState(null); // { mode: 'add' } | { mode: 'edit', row }
+
+  const load = async () => {
+    setLoading(true); setError("");
+    const { data, error } = await supabase
+      .from("catalog_aggregates")
+      .select("id, slug, name, intro, client_ids, is_published")
+      .order("name");
+    if (error) setError(error.message);
+    else setRows(data || []);
+    setLoading(false);
+  };
+
+  useEffect(() => { load(); }, []);
+
+  const clientName = (id) => clients.find((c) => c.id === id)?.name || "(deleted client)";
+
+  const togglePublish = async (row) => {
+    const next = !row.is_published;
+    setRows((prev) => prev.map((r) => (r.id === row.id ? { ...r, is_published: next } : r)));
+    const { error } = await supabase
+      .from("catalog_aggregates")
+      .update({ is_published: next })
+      .eq("id", row.id);
+    if (error) {
+      alert("Failed: " + error.message);
+      setRows((prev) => prev.map((r) => (r.id === row.id ? { ...r, is_published: row.is_published } : r)));
+    }
+  };
+
+  const remove = async (row) => {
+    if (!confirm(`Delete partner catalog "${row.name}"?\n\n/partners/${row.slug} will stop working. The clients' events are not affected.`)) return;
+    const { error } = await supabase.from("catalog_aggregates").delete().eq("id", row.id);
+    if (error) return alert("Failed: " + error.message);
+    setRows((prev) => prev.filter((r) => r.id !== row.id));
+    setModal(null);
+  };
+
+  if (!isSuperAdmin) {
+    return (
+      <div className="adminCard" style={{ maxWidth: 480, margin: "80px auto" }}>
+        <h2>Super admin only</h2>
+        <p>Partner catalogs are managed by super admins.</p>
+      </div>
+    );
+  }
+
+  return (
+    <section className="vdrPage">
+      <header className="elHero">
+        <div className="elHeroTop">
+          <div>
+            <p className="elKicker">Platform</p>
+            <h1 className="elH1">Partner catalogs</h1>
+            <p className="elHeroLead">
+              One public events page drawing from several clients. Only events that aren't Exclusive are
+              listed, each card names its client, and an event syndicated to more than one of them shows once.
+            </p>
+          </div>
+          <button className="elPrimaryBtn" onClick={() => setModal({ mode: "add" })}>
+            <span className="elPlus">+</span> Add partner catalog
+          </button>
+        </div>
+      </header>
+
+      {error && <div className="evErrorBanner">{error}</div>}
+
+      {loading ? (
+        <div className="formLoading"><div className="spinner" /> Loading partner catalogs…</div>
+      ) : rows.length === 0 ? (
+        <div className="elEmpty">
+          <div className="elEmptyArt">🤝</div>
+          <h3>No partner catalogs yet</h3>
+          <p>Add one to list several clients' events on a single page.</p>
+          <div className="elEmptyActions">
+            <button className="primaryBtn" onClick={() => setModal({ mode: "add" })}>+ Add partner catalog</button>
+          </div>
+        </div>
+      ) : (
+        <div className="tableWrap">
+          <table className="adminTable pcTable">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Address</th>
+                <th>Clients</th>
+                <th>Published</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.id}>
+                  <td><strong>{r.name}</strong></td>
+                  <td>
+                    <a href={`/partners/${r.slug}`} target="_blank" rel="noopener">/partners/{r.slug}</a>
+                  </td>
+                  <td className="pcClients">
+                    {r.client_ids.length ? r.client_ids.map(clientName).join(", ") : <span className="muted">None yet</span>}
+                  </td>
+                  <td>
+                    <label className="switch" title={r.is_published ? "Click to unpublish" : "Click to publish"}>
+                      <input type="checkbox" checked={!!r.is_published} onChange={() => togglePublish(r)} />
+                      <span className="switchSlider" />
+                    </label>
+                  </td>
+                  <td className="pcActions">
+                    <button className="ghostBtn" onClick={() => setModal({ mode: "edit", row: r })}>Edit</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {modal && (
+        <PartnerModal
+          row={modal.mode === "edit" ? modal.row : null}
+          clients={clients}
+          onClose={() => setModal(null)}
+          onDelete={modal.mode === "edit" ? () => remove(modal.row) : null}
+          onSaved={(saved) => {
+            setRows((prev) =>
+              [...prev.filter((r) => r.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name))
+            );
+            setModal(null);
+          }}
+        />
+      )}
+    </section>
+  );
+}
+
+/* ============================================================
+   Add / edit modal
+============================================================ */
+function PartnerModal({ row, clients, onClose, onSaved, onDelete }) {
+  const isEdit = !!row;
+  const [name, setName] = useState(row?.name || "");
+  const [slug, setSlug] = useState(row?.slug || "");
+  const [slugTouched, setSlugTouched] = useState(isEdit);
+  const [intro, setIntro] = useState(row?.intro || "");
+  const [clientIds, setClientIds] = useState(row?.client_ids || []);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  // Auto-derive slug from name in add mode (until the user types one)
+  useEffect(() => {
+    if (slugTouched) return;
+    setSlug(name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, ""));
+  }, [name, slugTouched]);
+
+  const byId = new Map(clients.map((c) => [c.id, c]));
+  const available = clients.filter((c) => !clientIds.includes(c.id));
+
+  const move = (i, delta) =>
+    setClientIds((prev) => {
+      const next = [...prev];
+      const j = i + delta;
+      if (j < 0 || j >= next.length) return prev;
+      [next[i], next[j]] = [next[j], next[i]];
+      return next;
+    });
+
+  const save = async (e) => {
+    e.preventDefault();
+    setError("");
+    const clean = slug.toLowerCase().replace(/[^a-z0-9-]+/g, "-").replace(/-+/g, "-").replace(/^-|-$/g, "");
+    if (!name.trim() || !clean) { setError("Name and slug are required."); return; }
+    if (clientIds.length < 2) { setError("Pick at least two clients — one client already has its own catalog."); return; }
+    setSaving(true);
+    const fields = {
+      name: name.trim(),
+      slug: clean,
+      intro: intro.trim(),
+      client_ids: clientIds,
+    };
+    const { data, error } = isEdit
+      ? await supabase.from("catalog_aggregates").update(fields).eq("id", row.id).select().single()
+      : await supabase.from("catalog_aggregates").insert(fields).select().single();
+    setSaving(false);
+    if (error) {
+      setError(error.code === "23505" ? `/partners/${clean} is already taken — pick another slug.` : error.message);
+      return;
+    }
+    onSaved(data);
+  };
+
+  return (
+    <div className="modalBackdrop" onClick={onClose}>
+      <div className="modal vdrModal" onClick={(e) => e.stopPropagation()}>
+        <div className="modalHeader">
+          <h3>{isEdit ? "Edit partner catalog" : "Add partner catalog"}</h3>
+          <button className="modalClose" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        <form onSubmit={save} className="modalBody">
+          <label className="field">
+            <span>Page heading *</span>
+            <input
+              autoFocus={!isEdit}
+              required
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Partner Events"
+            />
+          </label>
+
+          <label className="field">
+            <span>Slug *</span>
+            <input
+              required
+              value={slug}
+              onChange={(e) => { setSlug(e.target.value); setSlugTouched(true); }}
+              placeholder="partner-events"
+              spellCheck={false}
+            />
+            <span className="muted" style={{ fontSize: 11, marginTop: 4 }}>
+              URL: <code>/partners/{slug || "..."}</code>
+            </span>
+          </label>
+
+          <label className="field">
+            <span>Intro</span>
+            <textarea
+              rows={2}
+              value={intro}
+              onChange={(e) => setIntro(e.target.value)}
+              placeholder="Leave blank for the standard intro"
+            />
+          </label>
+
+          <div className="field">
+            <span>Clients *</span>
+            {clientIds.length > 0 && (
+              <ol className="pcClientList">
+                {clientIds.map((id, i) => (
+                  <li key={id}>
+                    <span className="pcClientName">{byId.get(id)?.name || "(deleted client)"}</span>
+                    <button type="button" className="pcMove" onClick={() => move(i, -1)} disabled={i === 0} aria-label="Move up">↑</button>
+                    <button type="button" className="pcMove" onClick={() => move(i, 1)} disabled={i === clientIds.length - 1} aria-label="Move down">↓</button>
+                    <button
+                      type="button"
+                      className="pcMove"
+                      onClick={() => setClientIds((prev) => prev.filter((x) => x !== id))}
+                      aria-label="Remove"
+                    >×</button>
+                  </li>
+                ))}
+              </ol>
+            )}
+            {available.length > 0 && (
+              <select
+                value=""
+                onChange={(e) => e.target.value && setClientIds((prev) => [...prev, e.target.value])}
+              >
+                <option value="">Add a client…</option>
+                {available.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </select>
+            )}
+            <span className="muted" style={{ fontSize: 11, marginTop: 4 }}>
+              When the same event (same title and start time) is in more than one of these, the copy from the
+              client highest in the list is shown.
+            </span>
+          </div>
+
+          {error && <p className="errMsg">{error}</p>}
+
+          <div className="formActions clientFormActions">
+            {onDelete && (
+              <button type="button" className="ghostBtn danger clientDeleteBtn" onClick={onDelete}>
+                Delete partner catalog
+              </button>
+            )}
+            <div style={{ marginLeft: "auto", display: "flex", gap: 8 }}>
+              <button type="button" className="ghostBtn" onClick={onClose}>Cancel</button>
+              <button type="submit" className="primaryBtn" disabled={saving}>
+                {saving ? "Saving…" : (isEdit ? "Save changes" : "Add partner catalog")}
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -13,9 +13,16 @@
       the same distance, so they appear stuck to the top of the
       window — real "sticky" behavior across the iframe boundary.
 
+   Both follow the client's embed allowlist (lib/embed-api.js):
+   once the host page is known to be allowed, heights go to its
+   origin only, and scroll positions are taken only from it. A
+   client with no allowlist keeps the old "*" behavior.
+
    Does nothing when the app runs standalone (not framed).
    ============================================================ */
 
+import { embedTargetOrigin, fromHost } from "./lib/embed-api.js";
+
 export function initEmbedAutoHeight() {
   if (window.parent === window) return; // not embedded — nothing to do
 
@@ -30,14 +37,14 @@ export function initEmbedAutoHeight() {
     const h = measure();
     if (h > 0 && Math.abs(h - last) > 2) {
       last = h;
-      window.parent.postMessage({ type: "mb2-embed-height", height: h }, "*");
+      window.parent.postMessage({ type: "mb2-embed-height", height: h }, embedTargetOrigin());
     }
   };
   const sendAlways = () => {
     const h = measure();
     if (h > 0) {
       last = h;
-      window.parent.postMessage({ type: "mb2-embed-height", height: h }, "*");
+      window.parent.postMessage({ type: "mb2-embed-height", height: h }, embedTargetOrigin());
     }
   };
 
@@ -57,6 +64,7 @@ export function initEmbedAutoHeight() {
   window.addEventListener("message", (e) => {
     const d = e.data || {};
     if (d.type !== "mb2-embed-scroll" || typeof d.top !== "number") return;
+    if (!fromHost(e, { legacy: true })) return;
 
     // Remember how far the visitor has scrolled past the top of the
     // catalog — popups use this to position themselves within the
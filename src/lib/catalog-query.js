@@ -0,0 +1,151 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { supabase } from "./supabase.js";
+import { onNetworkBack } from "./offline.js";
+import { mergeCatalogPage } from "./catalog-rows.js";
+
+/**
+ * Paged catalog loading through the Postgres RPCs in
+ * supabase/catalog_search.sql. Used by:
+ *   - App.jsx       (catalog_events)
+ *   - OnDemand.jsx  (catalog_courses)
+ *
+ * Filtering, search ranking and sorting all happen in the database; the
+ * browser only ever holds the pages it has scrolled through. Every
+ * response also carries the total match count and the facet counts for
+ * the filter popovers, so those stay exact even though most rows were
+ * never downloaded.
+ *
+ * The service worker (lib/offline.js) answers at once with the last
+ * results it saved for the same arguments; older ones come back with
+ * `savedAt` set, and the first page loads again as soon as fresh results
+ * are in.
+ */
+
+export const PAGE_SIZE = 24;
+
+const EMPTY = { rows: [], fetched: 0, total: 0, facets: {}, savedAt: "", loading: true, loadingMore: false, error: "" };
+
+/**
+ * Load a catalog RPC page by page. Changing `args` starts over from the
+ * first page; responses for outdated args are dropped, so fast typing or
+ * filter clicks can't paint stale results.
+ * @param {string} rpc  function name, e.g. "catalog_events"
+ * @param {Record<string, any> | null} args  RPC arguments minus p_offset / p_limit; null = wait
+ * @param {{ pageSize?: number }} [opts]
+ * @returns {{ rows:any[], fetched:number, total:number, facets:Record<string,{value:string,count:number}[]>,
+ *   savedAt:string, loading:boolean, loadingMore:boolean, error:string, hasMore:boolean,
+ *   loadMore:() => void }}  `savedAt` is when saved offline results were fetched ("" = live)
+ */
+export function useCatalogPages(rpc, args, { pageSize = PAGE_SIZE } = {}) {
+  // Args are compared by value; callers can rebuild the object every render.
+  const key = args ? JSON.stringify(args) : "";
+  const [state, setState] = useState(EMPTY);
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  const generation = useRef(0);
+  // Bumped to load the first page again once saved results can be replaced.
+  const [retry, setRetry] = useState(0);
+
+  const fetchPage = useCallback(async (offset) => {
+    const { data, error } = await supabase.rpc(rpc, {
+      ...JSON.parse(key),
+      p_offset: offset,
+      p_limit: pageSize,
+    });
+    if (error) throw error;
+    return {
+      rows: Array.isArray(data?.rows) ? data.rows : [],
+      total: Number(data?.total) || 0,
+      facets: data?.facets || {},
+      savedAt: typeof data?.saved_at === "string" ? data.saved_at : "",
+    };
+  }, [rpc, key, pageSize]);
+
+  useEffect(() => {
+    if (!key) return;
+    const gen = ++generation.current;
+    // Keep showing the previous results until the new ones arrive.
+    setState((s) => ({ ...s, loading: true, loadingMore: false, error: "" }));
+    fetchPage(0)
+      .then((page) => {
+        if (generation.current !== gen) return;
+        setState({ ...page, fetched: page.rows.length, loading: false, loadingMore: false, error: "" });
+      })
+      .catch((e) => {
+        if (generation.current !== gen) return;
+        console.error(`${rpc} load error:`, e);
+        setState({ ...EMPTY, loading: false, error: e?.message || "Failed to load data." });
+      });
+  }, [rpc, key, fetchPage, retry]);
+
+  useEffect(() => {
+    if (!state.savedAt) return undefined;
+    return onNetworkBack(rpc, () => setRetry((n) => n + 1));
+  }, [rpc, state.savedAt]);
+
+  const loadMore = useCallback(() => {
+    const s = stateRef.current;
+    if (!key || s.loading || s.loadingMore || s.error || s.fetched >= s.total) return;
+    const gen = generation.current;
+    setState((prev) => ({ ...prev, loadingMore: true }));
+    fetchPage(s.fetched)
+      .then((page) => {
+        if (generation.current !== gen) return;
+        setState((prev) => ({
+          ...prev,
+          ...mergeCatalogPage(prev, page),
+          facets: page.facets,
+          loadingMore: false,
+        }));
+      })
+      .catch((e) => {
+        // Keep what's already on screen; the "Show more" button retries.
+        if (generation.current !== gen) return;
+        console.error(`${rpc} load error:`, e);
+        setState((prev) => ({ ...prev, loadingMore: false }));
+      });
+  }, [rpc, key, fetchPage]);
+
+  return { ...state, hasMore: state.fetched < state.total, loadMore };
+}
+
+/**
+ * `value`, but only once it has stopped changing for `ms` — so the search
+ * box queries the database when typing pauses, not on every keystroke.
+ */
+export function useDebouncedValue(value, ms = 250) {
+  const [settled, setSettled] = useState(value);
+  useEffect(() => {
+    if (value === settled) return;
+    const t = setTimeout(() => setSettled(value), value ? ms : 0);
+    return () => clearTimeout(t);
+  }, [value, settled, ms]);
+  return settled;
+}
+
+// Numbers (CE hours) in order, then text A → Z ("10+" sorts last).
+const byOption = (a, b) => {
+  const an = typeof a === "number";
+  const bn = typeof b === "number";
+  if (an && bn) return a - b;
+  if (an !== bn) return an ? -1 : 1;
+  return String(a).localeCompare(String(b));
+};
+
+/**
+ * Popover options + counts from one RPC facet. Selected values always stay
+ * listed (at 0 if nothing matches any more) so they can be unticked.
+ * @param {{value:string, count:number}[] | undefined} facet
+ * @param {Set<any>} selected
+ * @param {(v:string) => any} [parse]  e.g. parseCeParam for CE hours
+ * @returns {{ options:any[], counts:Map<any, number> }}
+ */
+export function facetOptions(facet, selected, parse = (v) => v) {
+  const counts = new Map();
+  for (const f of facet || []) {
+    if (f?.value == null || f.value === "") continue;
+    counts.set(parse(String(f.value)), Number(f.count) || 0);
+  }
+  for (const v of selected || []) if (!counts.has(v)) counts.set(v, 0);
+  return { options: [...counts.keys()].sort(byOption), counts };
+}
@@ -0,0 +1,34 @@
+/**
+ * Catalog rows across pages — kept apart from catalog-query.js so it has
+ * no React or Supabase in it. Used by:
+ *   - catalog-query.js  (useCatalogPages' "load more" merge)
+ *   - App.jsx           (fromDb's card key)
+ *   - scripts/check-catalog-paging.mjs
+ */
+
+/**
+ * One key per card: a repeating event comes back once per date, every
+ * date with the event's id, so the date is part of the key.
+ * @param {{ id:any, occurrence_date?:string }} row
+ */
+export const catalogRowKey = (row) => (row.occurrence_date ? `${row.id}:${row.occurrence_date}` : row.id);
+
+/**
+ * Add the next page to what's shown. A row can shift across a page
+ * boundary if the catalog changed in between; it isn't shown twice.
+ * `fetched` counts the rows the server sent, duplicates included — it's
+ * the offset of the page after this one.
+ * @param {{ rows:object[], fetched:number }} prev
+ * @param {{ rows:object[], total:number }} page
+ * @returns {{ rows:object[], fetched:number, total:number }}
+ */
+export function mergeCatalogPage(prev, page) {
+  const seen = new Set(prev.rows.map(catalogRowKey));
+  const fetched = prev.fetched + page.rows.length;
+  return {
+    rows: [...prev.rows, ...page.rows.filter((r) => !seen.has(catalogRowKey(r)))],
+    fetched,
+    // An empty page means the list got shorter; stop asking for more.
+    total: page.rows.length === 0 ? fetched : page.total,
+  };
+}
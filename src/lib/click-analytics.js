@@ -0,0 +1,57 @@
+import { supabase } from "./supabase.js";
+import { embedReferrer } from "./embed-api.js";
+
+/**
+ * Anonymous registration-click counts, for Admin → Clicks
+ * (admin/ClickReport.jsx). Used by:
+ *   - App.jsx              (session / in-person register links, email
+ *                           registration popups)
+ *   - OnDemand.jsx         (course links and the external-course confirm)
+ *   - Recommendations.jsx  (course tiles)
+ *
+ * Each click is one call to record_registration_click()
+ * (supabase/registration_clicks.sql), which looks the item up itself —
+ * the browser only says which one, where on the page, and which site
+ * embeds the catalog. Nothing identifies the visitor. Fire-and-forget:
+ * the link opens whether or not the row is written.
+ */
+
+// Which part of the catalog the click came from.
+function clickTab() {
+  const path = window.location.pathname;
+  const tab = new URLSearchParams(window.location.search).get("tab");
+  if (/\/events\/[^/]+$/.test(path)) return "event-page";
+  if (path.endsWith("/my-list") || tab === "my-list") return "my-list";
+  if (path === "/on-demand" || tab === "on-demand") return "on-demand";
+  return "events";
+}
+
+// A double click on a register button is one visitor, once.
+const recent = new Map();
+
+/**
+ * @param {{ slug:string, link:"session"|"in_person"|"email"|"course"|"external_course",
+ *   eventId?:string, occurrenceDate?:string, courseId?:string }} click
+ */
+export function recordClick({ slug, link, eventId, occurrenceDate = "", courseId }) {
+  if (!slug || !(eventId || courseId)) return;
+  const key = `${link}:${eventId || courseId}:${occurrenceDate}`;
+  const now = Date.now();
+  if (now - (recent.get(key) || 0) < 2000) return;
+  recent.set(key, now);
+
+  supabase
+    .rpc("record_registration_click", {
+      p: {
+        slug,
+        kind: eventId ? "event" : "course",
+        event_id: eventId || undefined,
+        occurrence_date: occurrenceDate || undefined,
+        course_id: courseId || undefined,
+        link,
+        tab: clickTab(),
+        referrer: embedReferrer() || undefined,
+      },
+    })
+    .then(({ error }) => { if (error) console.warn("click record error:", error.message); });
+}
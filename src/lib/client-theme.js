@@ -0,0 +1,205 @@
+import { useEffect, useState } from "react";
+import { supabase } from "./supabase.js";
+
+/**
+ * Per-client branding for the public catalogs. Used by:
+ *   - App.jsx                (events catalog + single event page)
+ *   - OnDemand.jsx           (on-demand catalog)
+ *   - UnifiedCatalog.jsx     (/all page: title, tabs)
+ *   - admin/Clients.jsx      (Branding tab + live preview)
+ *
+ * Settings live in clients.theme (supabase/client_theme.sql). Colors,
+ * font and corner radius become CSS custom properties on <html>, which
+ * the catalog stylesheets already read (--primary, --accent, …) — so a
+ * client that never set anything renders exactly as before. Labels,
+ * header copy and the date sticker switch are read by the components.
+ */
+
+export const DEFAULT_THEME = {
+  primary_color: "",
+  accent_color: "",
+  font_family: "",
+  card_radius: null,
+  register_label: "Register",
+  watch_label: "Watch",
+  course_label: "Go To Course",
+  events_title: "",
+  events_intro: "",
+  courses_title: "",
+  courses_intro: "",
+  unified_title: "",
+  show_calendar_block: true,
+};
+
+// The stylesheet defaults, for color pickers that need a starting value.
+export const BASE_COLORS = { primary: "#f97316", accent: "#1dbfc9" };
+
+// Fonts every visitor already has — the catalog runs inside the TI
+// iframe, so there's nowhere to load a web font from.
+export const FONT_CHOICES = [
+  { label: "Default (Inter / system)", value: "" },
+  { label: "System UI", value: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif' },
+  { label: "Helvetica / Arial", value: "Helvetica, Arial, sans-serif" },
+  { label: "Verdana", value: "Verdana, Geneva, sans-serif" },
+  { label: "Trebuchet", value: '"Trebuchet MS", Tahoma, sans-serif' },
+  { label: "Georgia (serif)", value: 'Georgia, "Times New Roman", serif' },
+];
+
+export const RADIUS_RANGE = { min: 0, max: 32 };
+
+const HEX_RE = /^#[0-9a-f]{6}$/i;
+const TEXT_LIMIT = 300;
+
+const str = (v, max = TEXT_LIMIT) => (typeof v === "string" ? v.trim().slice(0, max) : "");
+
+/**
+ * A clients.theme value with every key present and anything malformed
+ * dropped back to its default.
+ * @param {any} raw
+ * @returns {typeof DEFAULT_THEME}
+ */
+export function normalizeTheme(raw) {
+  const t = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const radius = Number(t.card_radius);
+  const hasRadius = t.card_radius !== null && t.card_radius !== "" && Number.isFinite(radius);
+  return {
+    primary_color: HEX_RE.test(t.primary_color || "") ? t.primary_color.toLowerCase() : "",
+    accent_color: HEX_RE.test(t.accent_color || "") ? t.accent_color.toLowerCase() : "",
+    // Only the stacks offered in the admin, so stored values can't smuggle
+    // anything else into a style attribute.
+    font_family: FONT_CHOICES.some((f) => f.value === t.font_family) ? t.font_family : "",
+    card_radius: hasRadius
+      ? Math.round(Math.min(RADIUS_RANGE.max, Math.max(RADIUS_RANGE.min, radius)))
+      : null,
+    register_label: str(t.register_label, 40) || DEFAULT_THEME.register_label,
+    watch_label: str(t.watch_label, 40) || DEFAULT_THEME.watch_label,
+    course_label: str(t.course_label, 40) || DEFAULT_THEME.course_label,
+    events_title: str(t.events_title, 120),
+    events_intro: str(t.events_intro),
+    courses_title: str(t.courses_title, 120),
+    courses_intro: str(t.courses_intro),
+    unified_title: str(t.unified_title, 120),
+    show_calendar_block: t.show_calendar_block !== false,
+  };
+}
+
+/**
+ * The smallest jsonb to store: keys still at their default are left out,
+ * so later changes to a default reach clients that never touched it.
+ * @param {typeof DEFAULT_THEME} theme
+ */
+export function themeForSave(theme) {
+  const t = normalizeTheme(theme);
+  const out = {};
+  for (const [k, v] of Object.entries(t)) {
+    if (v !== DEFAULT_THEME[k]) out[k] = v;
+  }
+  return out;
+}
+
+// Blend a #rrggbb color toward another by `amount` (0–1).
+function mix(hex, toward, amount) {
+  const a = hex.slice(1).match(/../g).map((h) => parseInt(h, 16));
+  const b = toward.slice(1).match(/../g).map((h) => parseInt(h, 16));
+  return "#" + a
+    .map((c, i) => Math.round(c + (b[i] - c) * amount).toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * CSS custom properties for a theme. Only what the client changed is
+ * returned; everything else falls through to the stylesheet defaults.
+ * Works as a React `style` object too (the admin preview uses it that way).
+ * @param {typeof DEFAULT_THEME} theme
+ * @returns {Record<string, string>}
+ */
+export function themeVars(theme) {
+  const t = normalizeTheme(theme);
+  const vars = {};
+  if (t.primary_color) {
+    vars["--primary"] = t.primary_color;
+    vars["--primaryDark"] = mix(t.primary_color, "#000000", 0.12);
+    vars["--primarySoft"] = mix(t.primary_color, "#ffffff", 0.92);
+  }
+  if (t.accent_color) {
+    vars["--accent"] = t.accent_color;
+    vars["--accentDark"] = mix(t.accent_color, "#000000", 0.25);
+    vars["--accentLight"] = mix(t.accent_color, "#ffffff", 0.35);
+    vars["--accentSoft"] = mix(t.accent_color, "#ffffff", 0.93);
+    vars["--accentInk"] = mix(t.accent_color, "#000000", 0.45);
+  }
+  if (t.font_family) vars["--catalogFont"] = t.font_family;
+  if (t.card_radius != null) vars["--cardRadius"] = `${t.card_radius}px`;
+  return vars;
+}
+
+/**
+ * Put a theme's custom properties on <html> while the calling component
+ * is mounted. On <html> rather than the page wrapper so the portaled
+ * menus and popups (Add to calendar, Register by email) pick them up.
+ * Pass null to apply nothing — embedded catalogs leave it to their host.
+ * @param {typeof DEFAULT_THEME | null} theme
+ */
+export function useThemeVars(theme) {
+  const key = theme ? JSON.stringify(themeVars(theme)) : "";
+  useEffect(() => {
+    if (!key) return;
+    const vars = JSON.parse(key);
+    const root = document.documentElement.style;
+    for (const [name, value] of Object.entries(vars)) root.setProperty(name, value);
+    return () => {
+      for (const name of Object.keys(vars)) root.removeProperty(name);
+    };
+  }, [key]);
+}
+
+/**
+ * A button label (register_label, watch_label, course_label): the
+ * client's own wording, or the visitor's language while it's still the
+ * default (the `label.*` messages in src/locales/).
+ * @param {typeof DEFAULT_THEME} theme
+ * @param {string} key
+ * @param {ReturnType<import("./i18n.js").translator>} tr
+ */
+export const themeLabel = (theme, key, tr) =>
+  theme[key] !== DEFAULT_THEME[key] ? theme[key] : tr.t(`label.${key}`);
+
+const themeRequests = new Map();
+
+/**
+ * A client's theme by slug, fetched once per page (the /all page and the
+ * catalog inside it share the request). Unknown slugs and errors resolve
+ * to the defaults.
+ * @param {string} slug
+ * @returns {Promise<typeof DEFAULT_THEME>}
+ */
+export function loadClientTheme(slug) {
+  const key = (slug || "").toLowerCase();
+  if (!themeRequests.has(key)) {
+    themeRequests.set(key, (async () => {
+      const { data, error } = await supabase
+        .from("clients")
+        .select("theme")
+        .eq("slug", key)
+        .maybeSingle();
+      if (error) themeRequests.delete(key);
+      return normalizeTheme(data?.theme);
+    })());
+  }
+  return themeRequests.get(key);
+}
+
+/**
+ * React wrapper around loadClientTheme. Defaults until the row arrives.
+ * @param {string} slug
+ * @returns {typeof DEFAULT_THEME}
+ */
+export function useClientTheme(slug) {
+  const [theme, setTheme] = useState(DEFAULT_THEME);
+  useEffect(() => {
+    let cancelled = false;
+    loadClientTheme(slug).then((t) => { if (!cancelled) setTheme(t); });
+    return () => { cancelled = true; };
+  }, [slug]);
+  return theme;
+}
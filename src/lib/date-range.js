@@ -0,0 +1,149 @@
+import { EN } from "./i18n.js";
+
+/**
+ * Date filter for the live events catalog. Used by:
+ *   - App.jsx            (Date popover in the FilterBar)
+ *   - EventsCalendar.jsx (dayKeyIn, for placing events on the grid)
+ *   - Recommendations.jsx (dayKeyIn, the viewer's today for the RPCs)
+ *   - OnDemand.jsx       (monthLabel, the printable flyer's heading)
+ *
+ * The filter is one query-string value (`?dates=`):
+ *   today | week | next30          rolling presets, relative to the viewer's today
+ *   2026-11                        a calendar month
+ *   2026-11-01..2026-11-15         a custom range; either end may be empty
+ *
+ * Everything is compared as calendar days ("YYYY-MM-DD" strings, which
+ * sort correctly). The window is sent to catalog_events (supabase/
+ * catalog_search.sql), where an event covers every day from its start to
+ * its end in its display timezone, so a multi-day course matches any
+ * window it overlaps — a Mon–Fri course shows up under "Today" on Wednesday.
+ *
+ * Labels take an optional translator (lib/i18n.js) and default to English.
+ */
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_RE = /^\d{4}-\d{2}$/;
+
+export const DATE_PRESETS = ["today", "week", "next30"];
+
+/** A preset's label, e.g. "This week" (the `date.<preset>` message). */
+export const presetLabel = (preset, tr = EN) => tr.t(`date.${preset}`);
+
+/**
+ * Calendar-day key of an instant as seen in `tz`.
+ * @param {Date} date
+ * @param {string} tz  IANA zone
+ * @returns {string} "YYYY-MM-DD"
+ */
+export function dayKeyIn(date, tz) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    year: "numeric", month: "2-digit", day: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type)?.value || "";
+  return `${get("year")}-${get("month")}-${get("day")}`;
+}
+
+const localKey = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+const addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+
+const validDay = (s) => {
+  if (!DAY_RE.test(s)) return false;
+  const [y, m, d] = s.split("-").map(Number);
+  const dt = new Date(y, m - 1, d);
+  return dt.getMonth() === m - 1 && dt.getDate() === d;
+};
+
+const validMonth = (s) => MONTH_RE.test(s) && Number(s.slice(5)) >= 1 && Number(s.slice(5)) <= 12;
+
+/**
+ * Split a custom range value into its ends.
+ * @returns {{from:string, to:string} | null}
+ */
+export function parseRange(value) {
+  const v = String(value || "");
+  if (!v.includes("..")) return null;
+  const [from, to] = v.split("..");
+  const okFrom = !from || validDay(from);
+  const okTo = !to || validDay(to);
+  if (!okFrom || !okTo || (!from && !to)) return null;
+  return { from: from || "", to: to || "" };
+}
+
+/** Build a custom range value; returns "" when both ends are empty. */
+export const rangeValue = (from, to) => (from || to ? `${from || ""}..${to || ""}` : "");
+
+/**
+ * The inclusive day window a filter value selects. `start`/`end` may be
+ * "" for an open-ended custom range.
+ * @param {string} value
+ * @param {Date} [now]
+ * @returns {{start:string, end:string} | null}  null = no (valid) filter
+ */
+export function dateWindow(value, now = new Date()) {
+  const v = String(value || "");
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  switch (v) {
+    case "":
+      return null;
+    case "today":
+      return { start: localKey(today), end: localKey(today) };
+    case "week": {
+      // Sunday–Saturday, matching the calendar layout.
+      const sunday = addDays(today, -today.getDay());
+      return { start: localKey(sunday), end: localKey(addDays(sunday, 6)) };
+    }
+    case "next30":
+      return { start: localKey(today), end: localKey(addDays(today, 30)) };
+    default:
+      break;
+  }
+  if (validMonth(v)) {
+    const [y, m] = v.split("-").map(Number);
+    return { start: `${v}-01`, end: localKey(new Date(y, m, 0)) };
+  }
+  const range = parseRange(v);
+  if (!range) return null;
+  // Accept a backwards range rather than showing nothing.
+  const { from, to } = range;
+  if (from && to && from > to) return { start: to, end: from };
+  return { start: from, end: to };
+}
+
+const fmtDay = (key, withYear, tr) => {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString(tr.dateLocale, {
+    month: "short", day: "numeric", ...(withYear ? { year: "numeric" } : {}),
+  });
+};
+
+/** "November 2026" for a "2026-11" month value. */
+export function monthLabel(month, tr = EN) {
+  const [y, m] = month.split("-").map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString(tr.dateLocale, { month: "long", year: "numeric" });
+}
+
+/**
+ * Short label for the filter button, e.g. "This week", "Nov 2026",
+ * "Nov 3 – Nov 9", "From Nov 3". "" when no filter is set.
+ */
+export function dateFilterLabel(value, tr = EN) {
+  const v = String(value || "");
+  if (DATE_PRESETS.includes(v)) return presetLabel(v, tr);
+  if (validMonth(v)) {
+    const [y, m] = v.split("-").map(Number);
+    return new Date(y, m - 1, 1).toLocaleDateString(tr.dateLocale, { month: "short", year: "numeric" });
+  }
+  const range = parseRange(v);
+  if (!range) return "";
+  const thisYear = String(new Date().getFullYear());
+  const withYear = (k) => k && k.slice(0, 4) !== thisYear;
+  const { from, to } = range.from && range.to && range.from > range.to
+    ? { from: range.to, to: range.from }
+    : range;
+  if (from && to) return `${fmtDay(from, withYear(from), tr)} – ${fmtDay(to, withYear(to), tr)}`;
+  if (from) return tr.t("date.fromDay", { day: fmtDay(from, withYear(from), tr) });
+  return tr.t("date.untilDay", { day: fmtDay(to, withYear(to), tr) });
+}
@@ -0,0 +1,228 @@
+import { useEffect, useRef } from "react";
+import { supabase } from "./supabase.js";
+
+/**
+ * Control API for the embedded catalog: a versioned postMessage protocol
+ * between the catalog in its iframe and the page hosting it. Used by:
+ *   - embedAutoHeight.js   (height out, scroll in — same origin rules)
+ *   - UnifiedCatalog.jsx   (set-tab)
+ *   - App.jsx              (set-filters, set-search, scroll-to-event;
+ *                           filters-changed, registration-clicked)
+ *   - OnDemand.jsx         (set-filters, set-search; filters-changed,
+ *                           external-course-opened)
+ *   - click-analytics.js   (the host's origin, via embedReferrer)
+ * The host page's side is public/embed.js; README "Embed API" has the
+ * full message list.
+ *
+ * Every message is { type: "mb2-embed-<name>", version: 1, ...fields }.
+ * Messages with another version are ignored, so the host script and the
+ * catalog can be upgraded separately.
+ *
+ * Only the origins in the client's clients.embed_origins
+ * (supabase/embed_origins.sql) may send commands, and events are posted
+ * to the host's own origin, never "*". A client without a list keeps the
+ * old embed: auto-height and the pinned menu work anywhere, the API is off.
+ */
+
+export const EMBED_API_VERSION = 1;
+
+const PREFIX = "mb2-embed-";
+// "hello" is the host script asking for `ready` again, in case it
+// attached after the catalog announced itself.
+const COMMANDS = new Set(["hello", "set-filters", "set-search", "set-tab", "scroll-to-event"]);
+
+const framed = typeof window !== "undefined" && window.parent !== window;
+
+let slugLoaded = "";
+let allowed = null; // Set of origins once loaded; empty = API off
+let hostOrigin = ""; // the parent page's origin, once it's known to be allowed
+const handlers = new Map(); // command → Set of callbacks
+// Last filters-changed per catalog, repeated after every `ready` so the
+// host always learns the current state.
+const lastState = new Map();
+
+// The parent page's origin as the browser reports it. Firefox has no
+// ancestorOrigins; the referrer carries at least the origin by default.
+function parentOrigin() {
+  const ancestors = window.location.ancestorOrigins;
+  if (ancestors && ancestors.length) return ancestors[0];
+  try {
+    return document.referrer ? new URL(document.referrer).origin : "";
+  } catch {
+    return "";
+  }
+}
+
+/** The embedding page's origin (no path), or "" when not framed. */
+export const embedReferrer = () => (framed ? parentOrigin() : "");
+
+const normalizeOrigin = (v) => {
+  try {
+    const u = new URL(String(v).trim());
+    return /^https?:$/.test(u.protocol) ? u.origin : "";
+  } catch {
+    return "";
+  }
+};
+
+function post(name, fields) {
+  window.parent.postMessage({ type: PREFIX + name, version: EMBED_API_VERSION, ...fields }, hostOrigin);
+}
+
+function announce() {
+  post("ready", { slug: slugLoaded, path: window.location.pathname });
+  for (const fields of lastState.values()) post("filters-changed", fields);
+}
+
+function setHost(origin) {
+  if (hostOrigin || !origin) return;
+  hostOrigin = origin;
+  announce();
+}
+
+/**
+ * Whether a message claiming to come from the host page may be acted on.
+ * `legacy` messages (the scroll stream) are also taken from any parent
+ * while the client has no allowlist, as they always were.
+ * @param {MessageEvent} e
+ * @param {{ legacy?: boolean }} [opts]
+ */
+export function fromHost(e, { legacy = false } = {}) {
+  if (e.source !== window.parent) return false;
+  if (allowed && allowed.has(e.origin)) return true;
+  return legacy && (!allowed || allowed.size === 0);
+}
+
+/** Where auto-height messages go: the host once it's known, else "*". */
+export const embedTargetOrigin = () => hostOrigin || "*";
+
+function onMessage(e) {
+  const d = e.data;
+  if (!d || typeof d.type !== "string" || !d.type.startsWith(PREFIX)) return;
+  const name = d.type.slice(PREFIX.length);
+  if (!COMMANDS.has(name) || !fromHost(e)) return;
+  if (d.version !== EMBED_API_VERSION) {
+    console.warn(`[embed] ignoring ${d.type} v${d.version}; this catalog speaks v${EMBED_API_VERSION}`);
+    return;
+  }
+  // A host whose origin wasn't readable up front introduces itself here.
+  if (!hostOrigin) setHost(e.origin);
+  else if (name === "hello") announce();
+  for (const fn of handlers.get(name) || []) fn(d);
+}
+
+/**
+ * Load the client's allowlist and, when the host page is on it, announce
+ * the catalog with a `ready` event. Once per page; a no-op unframed.
+ * @param {string} slug
+ */
+export async function connectEmbed(slug) {
+  if (!framed || !slug || slugLoaded) return;
+  slugLoaded = slug;
+  window.addEventListener("message", onMessage);
+  const { data, error } = await supabase
+    .from("clients")
+    .select("embed_origins")
+    .eq("slug", slug)
+    .maybeSingle();
+  if (error) console.error("embed origins load error:", error);
+  allowed = new Set((data?.embed_origins || []).map(normalizeOrigin).filter(Boolean));
+  const origin = parentOrigin();
+  if (allowed.has(origin)) setHost(origin);
+}
+
+/** React wrapper around connectEmbed, for the catalog pages. */
+export function useEmbedConnection(slug) {
+  useEffect(() => { connectEmbed(slug); }, [slug]);
+}
+
+/**
+ * Tell the host page something happened. Dropped unless the host is
+ * allowed, so there's nothing to check before calling.
+ * @param {"filters-changed"|"registration-clicked"|"external-course-opened"} name
+ * @param {Record<string, any>} fields
+ */
+export function emitEmbedEvent(name, fields) {
+  if (!framed) return;
+  if (name === "filters-changed") lastState.set(fields.catalog, fields);
+  if (hostOrigin) post(name, fields);
+}
+
+/**
+ * Run `handler(message)` for a command from the host page while the
+ * calling component is mounted.
+ * @param {"set-filters"|"set-search"|"set-tab"|"scroll-to-event"} name
+ * @param {(msg:object) => void} handler
+ */
+export function useEmbedCommand(name, handler) {
+  const ref = useRef(handler);
+  ref.current = handler;
+  useEffect(() => {
+    if (!framed) return undefined;
+    const fn = (msg) => ref.current(msg);
+    if (!handlers.has(name)) handlers.set(name, new Set());
+    handlers.get(name).add(fn);
+    return () => handlers.get(name).delete(fn);
+  }, [name]);
+}
+
+// Filters as the host sees them: keyed by their URL param (the names the
+// catalog links and calendar feed use), only what's set. The print view
+// isn't a filter.
+function filtersOut(schema, values) {
+  const out = {};
+  for (const [name, field] of Object.entries(schema)) {
+    if (name === "print") continue;
+    const v = values[name];
+    if (field.type === "set") {
+      if (v.size) out[field.param] = [...v];
+    } else if (field.type === "flag") {
+      if (v) out[field.param] = true;
+    } else if (v !== "" && v !== field.default) {
+      out[field.param] = v;
+    }
+  }
+  return out;
+}
+
+// A set-filters payload as field values for useUrlFilters' setFields.
+// `replace` clears whatever the payload leaves out.
+function filtersIn(schema, filters, replace) {
+  const out = {};
+  for (const [name, field] of Object.entries(schema)) {
+    if (name === "print") continue;
+    const has = Object.prototype.hasOwnProperty.call(filters, field.param);
+    if (!has && !replace) continue;
+    const v = has ? filters[field.param] : null;
+    if (field.type === "set") out[name] = (Array.isArray(v) ? v : v == null || v === "" ? [] : [v]).map(String);
+    else if (field.type === "flag") out[name] = v === true || v === 1 || v === "1";
+    else out[name] = v == null ? "" : String(v);
+  }
+  return out;
+}
+
+/**
+ * The filter side of the API for a catalog: takes set-filters and
+ * set-search, and reports every change as filters-changed.
+ * @param {"events"|"on-demand"} catalog
+ * @param {object} schema  the catalog's useUrlFilters schema
+ * @param {object} values  its current values
+ * @param {(values:object, opts?:{replace?:boolean}) => void} setFields
+ */
+export function useEmbedFilters(catalog, schema, values, setFields) {
+  // Keyed on the filters themselves: other params (tab, lang) changing
+  // isn't news to the host.
+  const state = JSON.stringify(filtersOut(schema, values));
+  useEffect(() => {
+    emitEmbedEvent("filters-changed", { catalog, filters: JSON.parse(state) });
+  }, [catalog, state]);
+
+  useEmbedCommand("set-filters", (msg) => {
+    if (!msg.filters || typeof msg.filters !== "object") return;
+    setFields(filtersIn(schema, msg.filters, !!msg.replace));
+  });
+  useEmbedCommand("set-search", (msg) => {
+    if (typeof msg.query !== "string" || !schema.query) return;
+    setFields({ query: msg.query.slice(0, 200) }, { replace: true });
+  });
+}
@@ -0,0 +1,53 @@
+/**
+ * Sessions — the individual runs of a live event (supabase/event_sessions.sql).
+ * Used by:
+ *   - App.jsx               (cards + event page, via fromDb())
+ *   - lib/ics.js            (one calendar entry per session)
+ *   - admin/EventForm.jsx   (session editor)
+ *   - admin/EventsList.jsx  (duplicate copies the sessions)
+ *   - admin/ImportCsv.jsx   (time slots from the sheet)
+ *   - netlify/functions     (calendar feed, link previews)
+ *
+ * Session 0 is the event's own date: its start / end / timezone mirror
+ * event_date / event_end_date / event_timezone on the events row, which
+ * the admin form keeps in step.
+ */
+
+// PostgREST select for an event row with its sessions embedded as `sessions`.
+export const EVENT_WITH_SESSIONS = "*, sessions:event_sessions(*)";
+
+/**
+ * Session rows in display order.
+ * @param {object[] | null | undefined} rows  event_sessions rows
+ * @returns {object[]}
+ */
+export function orderSessions(rows) {
+  return (Array.isArray(rows) ? rows : [])
+    .filter(Boolean)
+    .slice()
+    .sort((a, b) =>
+      (a.position ?? 0) - (b.position ?? 0) ||
+      String(a.starts_at || "").localeCompare(String(b.starts_at || ""))
+    );
+}
+
+/**
+ * Copies of `sessions` ready to insert under `eventId` — ids and audit
+ * columns dropped, positions renumbered from 0.
+ * @param {string} eventId
+ * @param {object[]} sessions  event_sessions rows (or the same shape)
+ * @returns {object[]}
+ */
+export function sessionRowsFor(eventId, sessions) {
+  return orderSessions(sessions).map((s, i) => ({
+    event_id: eventId,
+    position: i,
+    starts_at: s.starts_at || null,
+    ends_at: s.ends_at || null,
+    timezone: s.timezone || "America/Chicago",
+    label: s.label || null,
+    registration_url: s.registration_url || null,
+    registration_email: s.registration_email || null,
+    capacity: s.capacity ?? null,
+  }));
+}
@@ -0,0 +1,229 @@
+/**
+ * Printable flyer of a catalog's current results, for the break-room
+ * wall. Used by:
+ *   - Flyer.jsx     (the print view, and its PDF button)
+ *   - App.jsx       (live events: the "Print / PDF" link and the entries)
+ *   - OnDemand.jsx  (on-demand courses: same)
+ *
+ * A flyer is the catalog page itself with ?print=1: the catalogs keep
+ * their filters in the query string, so it lists exactly what the
+ * visitor was looking at. The link opens it in a new tab — printing from
+ * inside the TI iframe would take the host page along.
+ *
+ * Entries carry a QR code of their registration link. The QR encoder
+ * (qrcode) and the PDF writer (jsPDF) are loaded on first use, so the
+ * catalogs don't download them.
+ */
+
+// One request's worth; a flyer longer than this isn't going on a wall.
+export const FLYER_LIMIT = 300;
+
+/**
+ * The current catalog URL with the flyer switched on (or off).
+ * @param {boolean} [on]
+ * @returns {string}
+ */
+export function flyerHref(on = true) {
+  const params = new URLSearchParams(window.location.search);
+  if (on) params.set("print", "1");
+  else params.delete("print");
+  const qs = params.toString();
+  return `${window.location.pathname}${qs ? `?${qs}` : ""}`;
+}
+
+/**
+ * @typedef {{ key:string, title:string, when:string, details:string,
+ *   badges:string[], url:string, month?:string }} FlyerEntry
+ *   `when` may hold several lines; `url` is what the QR code opens ("" = none)
+ */
+
+/**
+ * Entries in order, cut into one section per month (`entry.month`). Runs
+ * of the same month stay together, so pass them sorted by date.
+ * @param {FlyerEntry[]} entries
+ * @returns {{ heading:string, entries:FlyerEntry[] }[]}
+ */
+export function sectionsByMonth(entries) {
+  const sections = [];
+  for (const entry of entries) {
+    const last = sections[sections.length - 1];
+    if (last && last.heading === (entry.month || "")) last.entries.push(entry);
+    else sections.push({ heading: entry.month || "", entries: [entry] });
+  }
+  return sections;
+}
+
+/** "November 2026" or "November 2026 – January 2027" for a set of sections. */
+export function periodOf(sections) {
+  const months = sections.map((s) => s.heading).filter(Boolean);
+  if (months.length === 0) return "";
+  const first = months[0];
+  const last = months[months.length - 1];
+  return first === last ? first : `${first} – ${last}`;
+}
+
+const qrCodes = new Map();
+
+/**
+ * A QR code for `text` as a PNG data URL, cached per page.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+export function qrDataUrl(text) {
+  if (!qrCodes.has(text)) {
+    qrCodes.set(text, (async () => {
+      const { default: QRCode } = await import("qrcode");
+      return QRCode.toDataURL(text, { margin: 1, width: 240, errorCorrectionLevel: "M" });
+    })());
+    qrCodes.get(text).catch(() => qrCodes.delete(text));
+  }
+  return qrCodes.get(text);
+}
+
+// A logo (any format the browser can show) as a PNG the PDF can embed.
+// Only works when the image host allows CORS — otherwise the PDF falls
+// back to the client's name.
+function logoPng(url) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => {
+      try {
+        const canvas = document.createElement("canvas");
+        canvas.width = img.naturalWidth || 320;
+        canvas.height = img.naturalHeight || 80;
+        canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve({ data: canvas.toDataURL("image/png"), w: canvas.width, h: canvas.height });
+      } catch {
+        resolve(null);
+      }
+    };
+    img.onerror = () => resolve(null);
+    img.src = url;
+  });
+}
+
+const hexRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+
+/**
+ * Draw the flyer as a Letter-size PDF and download it. Same content as
+ * the print view: header, one block per month, an entry per row with its
+ * QR code on the right, and a footer with page numbers on every page.
+ * @param {{ clientName:string, logoUrl:string, title:string, period:string,
+ *   sections:{ heading:string, entries:FlyerEntry[] }[], footer:string,
+ *   accent:string, fileName:string }} flyer
+ */
+export async function downloadFlyerPdf(flyer) {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "pt", format: "letter" });
+  const LH = 1.3; // line height, as a multiple of the font size
+  doc.setLineHeightFactor(LH);
+  const pageW = doc.internal.pageSize.getWidth();
+  const pageH = doc.internal.pageSize.getHeight();
+  const M = 40;
+  const QR = 66;
+  const GAP = 16;
+  const textW = pageW - 2 * M - QR - GAP;
+  const bottom = pageH - M - 18; // room for the footer
+  const accent = hexRgb(flyer.accent);
+  let y = M;
+
+  const newPageIfNeeded = (h) => {
+    if (y + h <= bottom) return;
+    doc.addPage();
+    y = M;
+  };
+
+  // Header: logo (or the client's name), title, month.
+  const logo = flyer.logoUrl ? await logoPng(flyer.logoUrl) : null;
+  if (logo) {
+    const scale = Math.min(150 / logo.w, 42 / logo.h, 1);
+    doc.addImage(logo.data, "PNG", M, y, logo.w * scale, logo.h * scale);
+    y += logo.h * scale + 14;
+  } else if (flyer.clientName) {
+    doc.setFont("helvetica", "bold").setFontSize(11).setTextColor(100, 116, 139);
+    doc.text(flyer.clientName, M, y + 10);
+    y += 22;
+  }
+  doc.setFont("helvetica", "bold").setFontSize(24).setTextColor(15, 23, 42);
+  const titleLines = doc.splitTextToSize(flyer.title, pageW - 2 * M);
+  doc.text(titleLines, M, y + 22);
+  y += 22 + (titleLines.length - 1) * 24 * LH + 8;
+  if (flyer.period) {
+    doc.setFont("helvetica", "bold").setFontSize(14).setTextColor(...accent);
+    doc.text(flyer.period, M, y + 14);
+    y += 24;
+  }
+  doc.setDrawColor(...accent).setLineWidth(2).line(M, y, pageW - M, y);
+  y += 18;
+
+  for (const section of flyer.sections) {
+    if (section.heading) {
+      // Keep a month's heading with its first entry.
+      newPageIfNeeded(30 + QR);
+      doc.setFont("helvetica", "bold").setFontSize(14).setTextColor(15, 23, 42);
+      doc.text(section.heading, M, y + 12);
+      y += 24;
+    }
+    for (const entry of section.entries) {
+      doc.setFont("helvetica", "bold").setFontSize(12);
+      const title = doc.splitTextToSize(entry.title, textW);
+      doc.setFont("helvetica", "normal").setFontSize(9.5);
+      const when = entry.when ? doc.splitTextToSize(entry.when, textW) : [];
+      const details = entry.details ? doc.splitTextToSize(entry.details, textW) : [];
+      const textH = title.length * 12 * LH + (when.length + details.length) * 9.5 * LH + (entry.badges.length ? 22 : 0);
+      const rowH = Math.max(textH, entry.url ? QR : 0) + 16;
+      newPageIfNeeded(rowH);
+
+      let ty = y + 11;
+      doc.setFont("helvetica", "bold").setFontSize(12).setTextColor(15, 23, 42);
+      doc.text(title, M, ty);
+      ty += title.length * 12 * LH;
+      doc.setFont("helvetica", "normal").setFontSize(9.5).setTextColor(51, 65, 85);
+      if (when.length) { doc.text(when, M, ty); ty += when.length * 9.5 * LH; }
+      doc.setTextColor(100, 116, 139);
+      if (details.length) { doc.text(details, M, ty); ty += details.length * 9.5 * LH; }
+
+      // Badges: small outlined pills in the accent color.
+      let bx = M;
+      doc.setFont("helvetica", "bold").setFontSize(8.5);
+      for (const badge of entry.badges) {
+        const w = doc.getTextWidth(badge) + 14;
+        if (bx + w > M + textW) break;
+        doc.setDrawColor(...accent).setLineWidth(0.8).roundedRect(bx, ty - 2, w, 15, 7.5, 7.5, "S");
+        doc.setTextColor(...accent).text(badge, bx + 7, ty + 8.5);
+        bx += w + 6;
+      }
+
+      if (entry.url) {
+        try {
+          doc.addImage(await qrDataUrl(entry.url), "PNG", pageW - M - QR, y, QR, QR);
+        } catch (e) {
+          console.error("flyer QR error:", e);
+        }
+      }
+      y += rowH;
+      doc.setDrawColor(226, 232, 240).setLineWidth(0.6).line(M, y - 8, pageW - M, y - 8);
+    }
+    y += 8;
+  }
+
+  const pages = doc.getNumberOfPages();
+  for (let p = 1; p <= pages; p++) {
+    doc.setPage(p);
+    doc.setFont("helvetica", "normal").setFontSize(8.5).setTextColor(100, 116, 139);
+    doc.text(flyer.footer, M, pageH - M + 8);
+    doc.text(`${p} / ${pages}`, pageW - M, pageH - M + 8, { align: "right" });
+  }
+  doc.save(flyer.fileName);
+}
+
+/** "mb2-live-events-2026-11.pdf" */
+export function flyerFileName(...parts) {
+  const base = parts
+    .join("-")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `${(base || "flyer").slice(0, 80)}.pdf`;
+}
@@ -0,0 +1,147 @@
+import { EN } from "./i18n.js";
+
+/**
+ * Offline geocoding + distances for in-person events. Used by:
+ *   - App.jsx                (visitor's ZIP → coordinates for the radius filter,
+ *                              "~32 mi away" on cards)
+ *   - admin/EventForm.jsx    (stores location_lat / location_lng on save)
+ *   - admin/ImportCsv.jsx, VendorSubmit.jsx  (the same, for imports and
+ *                              vendor submissions)
+ *   - scripts/backfill-event-coords.mjs  (rows saved before any of that)
+ *
+ * No geocoding service is called. Locations are placed with the Census
+ * ZIP / city centroid table in public/geo/us-zips.json (built by
+ * scripts/build-geo-gazetteer.mjs), which is only downloaded the first
+ * time someone needs it. A location resolves by the ZIP code in its text
+ * if there is one, otherwise by a "City, ST" pair — so "Dentlogics HQ,
+ * 1000 Main St, Carrollton, TX 75006" and "Carrollton, TX" both work.
+ */
+
+const GAZETTEER_URL = "/geo/us-zips.json";
+
+export const RADIUS_OPTIONS = [10, 25, 50, 100, 250];
+export const DEFAULT_RADIUS = 50;
+
+const STATES = new Set([
+  "al", "ak", "az", "ar", "ca", "co", "ct", "de", "dc", "fl", "ga", "hi", "id", "il",
+  "in", "ia", "ks", "ky", "la", "me", "md", "ma", "mi", "mn", "ms", "mo", "mt", "ne",
+  "nv", "nh", "nj", "nm", "ny", "nc", "nd", "oh", "ok", "or", "pa", "ri", "sc", "sd",
+  "tn", "tx", "ut", "vt", "va", "wa", "wv", "wi", "wy", "pr", "vi", "gu", "as", "mp",
+]);
+
+let gazetteerPromise = null;
+
+/**
+ * Fetch the centroid table once per page. Resolves to null if it can't be
+ * loaded, so callers can say "distance search unavailable" instead of
+ * throwing. A failed load is retried on the next call.
+ * @returns {Promise<{zips:Record<string,[number,number]>, places:Record<string,[number,number]>} | null>}
+ */
+export function loadGazetteer() {
+  if (!gazetteerPromise) {
+    gazetteerPromise = fetch(GAZETTEER_URL)
+      .then((res) => {
+        if (!res.ok) throw new Error(`${GAZETTEER_URL} → ${res.status}`);
+        // Without the file, the SPA fallback answers with index.html.
+        const type = res.headers.get("content-type") || "";
+        if (!type.includes("json")) {
+          throw new Error(`${GAZETTEER_URL} isn't deployed (got ${type || "no content-type"}) — see README, "Distance search"`);
+        }
+        return res.json();
+      })
+      .then((data) => ({ zips: data?.zips || {}, places: data?.places || {} }))
+      .catch((err) => {
+        console.warn("ZIP gazetteer unavailable:", err);
+        gazetteerPromise = null;
+        return null;
+      });
+  }
+  return gazetteerPromise;
+}
+
+/** "75006" from "…, Carrollton, TX 75006-1234", or "" if there's no ZIP. */
+export function extractZip(text) {
+  const all = String(text || "").match(/\b\d{5}(?:-\d{4})?\b/g);
+  return all ? all[all.length - 1].slice(0, 5) : "";
+}
+
+/**
+ * Possible "city|st" keys for the last "City, ST" in the text, longest
+ * first. Without a comma before the city ("1000 Main St Carrollton, TX")
+ * we can't tell where the street ends, so every trailing run of words is
+ * a candidate: "main st carrollton", "st carrollton", "carrollton".
+ */
+export function placeCandidates(text) {
+  const re = /([A-Za-z][A-Za-z .'-]*?)\s*,\s*([A-Za-z]{2})\b/g;
+  let last = null;
+  for (const m of String(text || "").matchAll(re)) {
+    if (STATES.has(m[2].toLowerCase())) last = m;
+  }
+  if (!last) return [];
+  const st = last[2].toLowerCase();
+  const words = last[1].trim().toLowerCase().split(/\s+/);
+  const keys = [];
+  for (let i = 0; i < words.length; i++) {
+    const city = words.slice(i).join(" ");
+    // Census names use "St." (St. Louis); people also type "St" or "Saint".
+    const saint = city.match(/^(?:st\.?|saint)\s+(.*)$/);
+    if (saint) {
+      for (const prefix of ["st. ", "saint ", "st "]) keys.push(`${prefix}${saint[1]}|${st}`);
+    } else {
+      keys.push(`${city}|${st}`);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Place a free-text location on the map.
+ * @returns {{lat:number, lng:number, zip?:string, place?:string} | null}
+ */
+export function geocodeLocation(text, gazetteer) {
+  if (!gazetteer || !text) return null;
+  const zip = extractZip(text);
+  if (zip && gazetteer.zips[zip]) {
+    const [lat, lng] = gazetteer.zips[zip];
+    return { lat, lng, zip };
+  }
+  for (const key of placeCandidates(text)) {
+    const hit = gazetteer.places[key];
+    if (hit) return { lat: hit[0], lng: hit[1], place: key };
+  }
+  return null;
+}
+
+/** In person or hybrid — the formats distance search applies to. */
+export const isInPersonFormat = (format) => {
+  const s = (format || "").trim().toLowerCase();
+  return s === "in-person" || s === "in person" || s === "inperson" || s === "hybrid";
+};
+
+/**
+ * The location_lat / location_lng columns for an event: its location
+ * placed on the map if it's in person or hybrid, else both null.
+ * @param {{ format?:string, location?:string }} ev
+ */
+export function eventCoords(ev, gazetteer) {
+  const geo = isInPersonFormat(ev.format) ? geocodeLocation((ev.location || "").trim(), gazetteer) : null;
+  return { location_lat: geo ? geo.lat : null, location_lng: geo ? geo.lng : null };
+}
+
+/** Coordinates for a visitor-entered ZIP, or null if it isn't known. */
+export function zipCentroid(zip, gazetteer) {
+  const z = String(zip || "").trim().slice(0, 5);
+  const hit = /^\d{5}$/.test(z) && gazetteer?.zips[z];
+  return hit ? { lat: hit[0], lng: hit[1] } : null;
+}
+
+/**
+ * "~32 mi away". Centroids are approximate, so never claim precision.
+ * @param {number} miles
+ * @param {ReturnType<import("./i18n.js").translator>} [tr]  language; English by default
+ */
+export function distanceLabel(miles, tr = EN) {
+  if (!Number.isFinite(miles)) return "";
+  if (miles < 1) return tr.t("near.underOne");
+  return tr.t("near.away", { miles: Math.round(miles) });
+}
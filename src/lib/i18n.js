@@ -0,0 +1,124 @@
+import en from "../locales/en.js";
+import es from "../locales/es.js";
+
+/**
+ * Message catalogs for the public pages. Used by:
+ *   - App.jsx             (events catalog + single event page)
+ *   - OnDemand.jsx        (on-demand catalog)
+ *   - UnifiedCatalog.jsx  (/all page)
+ *   - VendorSubmit.jsx    (vendor submission form)
+ *   - EventsCalendar.jsx, LoadMore.jsx, SaveButton.jsx, MyListChip.jsx
+ *   - lib/recurrence.js, lib/date-range.js, lib/geo.js, lib/ics.js
+ *     (take a translator argument; English when it's left out, which is
+ *     what the admin and the Netlify functions get)
+ *   - netlify/lib/reminders.js (reminder emails, in the language the
+ *     visitor signed up in)
+ *
+ * The language comes from `?lang=es`, else the browser's preferred
+ * languages, else English. Each locale in src/locales/ is
+ *   { code, name, dateLocale, messages }
+ * where `dateLocale` is what Intl formats dates and times with, and
+ * `messages` maps flat keys to strings. `{name}` in a string is filled
+ * from the vars; a string that depends on a number is an object of
+ * Intl.PluralRules categories ({ one, other }) picked by `vars.count`.
+ * A key missing from a locale falls back to English, then to the key.
+ *
+ * Adding a language: copy src/locales/es.js, translate the values and
+ * add it to LOCALES below.
+ */
+
+export const LOCALES = { en, es };
+export const DEFAULT_LOCALE = "en";
+
+const LANG_PARAM = "lang";
+
+/** A supported locale code for a tag like "es-MX", or "". */
+function supported(tag) {
+  const code = String(tag || "").toLowerCase().split(/[-_]/)[0];
+  return LOCALES[code] ? code : "";
+}
+
+/**
+ * The visitor's language: ?lang= first, then the browser's list.
+ * @returns {string} a key of LOCALES
+ */
+export function detectLocale() {
+  if (typeof window === "undefined") return DEFAULT_LOCALE;
+  const fromUrl = supported(new URLSearchParams(window.location.search).get(LANG_PARAM));
+  if (fromUrl) return fromUrl;
+  const prefs = typeof navigator !== "undefined"
+    ? (navigator.languages?.length ? navigator.languages : [navigator.language])
+    : [];
+  for (const tag of prefs) {
+    const code = supported(tag);
+    if (code) return code;
+  }
+  return DEFAULT_LOCALE;
+}
+
+const fill = (text, vars) =>
+  vars ? text.replace(/\{(\w+)\}/g, (m, k) => (vars[k] == null ? m : String(vars[k]))) : text;
+
+/**
+ * Everything a component needs to speak one language.
+ * @param {string} code  a key of LOCALES (anything else → English)
+ * @returns {{ locale:string, dateLocale:string,
+ *   t:(key:string, vars?:object) => string,
+ *   value:(group:string, raw:string) => string }}
+ */
+export function translator(code) {
+  const loc = LOCALES[code] || LOCALES[DEFAULT_LOCALE];
+  const plurals = new Intl.PluralRules(loc.dateLocale);
+
+  const t = (key, vars) => {
+    let msg = loc.messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key];
+    if (msg == null) return key;
+    if (typeof msg === "object") {
+      const n = Number(vars?.count);
+      msg = msg[plurals.select(Number.isFinite(n) ? n : 0)] ?? msg.other;
+    }
+    return fill(msg, vars);
+  };
+
+  // Stored values (formats, roles…) stay English in the database; this
+  // is their label, or the value itself when the catalog has none.
+  const value = (group, raw) => {
+    const msg = loc.messages[`${group}.${raw}`];
+    return typeof msg === "string" ? msg : String(raw ?? "");
+  };
+
+  return { locale: loc.code, dateLocale: loc.dateLocale, t, value };
+}
+
+/** English, for callers that don't pass a translator. */
+export const EN = translator(DEFAULT_LOCALE);
+
+/** The public pages' language, fixed for the page load. */
+export const i18n = translator(detectLocale());
+
+/**
+ * Mark <html lang> with the catalog's language (screen readers, the
+ * browser's translate offer). Public pages run it as an effect —
+ * `useEffect(applyPageLang, [])` — and get the old value back on
+ * unmount; the admin never calls it, so it stays "en". Kept free of
+ * React because the Netlify functions import this module too.
+ */
+export function applyPageLang() {
+  const root = document.documentElement;
+  const before = root.lang;
+  root.lang = i18n.locale;
+  return () => { root.lang = before; };
+}
+
+/**
+ * Carry an explicit ?lang= onto an in-app link, so a shared Spanish page
+ * opens in Spanish for the next visitor too. Detected languages aren't
+ * added — their links stay clean.
+ * @param {string} href  path, optionally with a query string
+ */
+export function withLang(href) {
+  if (typeof window === "undefined") return href;
+  const lang = supported(new URLSearchParams(window.location.search).get(LANG_PARAM));
+  if (!lang) return href;
+  return `${href}${href.includes("?") ? "&" : "?"}${LANG_PARAM}=${lang}`;
+}
@@ -0,0 +1,593 @@
+import { orderSessions } from "./event-sessions.js";
+import { EN } from "./i18n.js";
+
+/**
+ * iCalendar (.ics) + "add to calendar" link builders for live events.
+ * Used by:
+ *   - App.jsx (per-card "Add to calendar" menu)
+ *   - live-status.js (wallParts / zonedTimeToDate for a session's day)
+ *   - structured-data.js (an Event's dates, as calendar entries)
+ *   - netlify/functions (subscribable calendar feeds)
+ *
+ * Timed events are written with a TZID pointing at a VTIMEZONE block that
+ * we build from the browser/Node Intl tables, so Outlook and Apple Calendar
+ * show the right wall-clock time even across DST changes. Events with no
+ * time set (stored as midnight in their own zone — same rule as fromDb()
+ * in App.jsx) become all-day entries.
+ */
+
+const UID_DOMAIN = "events.dentlogics.com";
+const PRODID = "-//Dentlogics//MB2 Events Catalog//EN";
+const DEFAULT_TZ = "America/Chicago";
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const safe = (v) =>
+  typeof v === "string" ? v.trim() : v == null ? "" : String(v).trim();
+
+const pad = (n, w = 2) => String(n).padStart(w, "0");
+
+const isValidDate = (d) => d instanceof Date && !isNaN(d.getTime());
+
+/* ---------- timezone math ---------- */
+
+/**
+ * Wall-clock parts of an instant in an IANA zone.
+ * @param {Date} date
+ * @param {string} tz
+ * @returns {{year:number, month:number, day:number, hour:number, minute:number, second:number}}
+ */
+export function wallParts(date, tz) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit",
+    hour12: false,
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find((p) => p.type === type)?.value || "0", 10);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour") % 24, // Intl quirk: some engines say "24" for midnight
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
+
+// Minutes east of UTC that `tz` observes at `date` (e.g. -300 for CDT).
+function tzOffsetMinutes(date, tz) {
+  const w = wallParts(date, tz);
+  const asUtc = Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second);
+  const whole = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - whole) / 60000);
+}
+
+// Short zone name ("CST", "CDT") at `date`, for TZNAME.
+function tzShortName(date, tz) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    timeZoneName: "short",
+  }).formatToParts(date);
+  return parts.find((p) => p.type === "timeZoneName")?.value || tz;
+}
+
+/**
+ * Convert a wall-clock time in `tz` to a real instant.
+ * @param {{year:number, month:number, day:number, hour?:number, minute?:number}} w
+ * @param {string} tz  IANA zone
+ * @returns {Date}
+ */
+export function zonedTimeToDate(w, tz) {
+  const guess = Date.UTC(w.year, w.month - 1, w.day, w.hour || 0, w.minute || 0);
+  let t = guess - tzOffsetMinutes(new Date(guess), tz) * 60000;
+  // Second pass settles instants that sit right next to a DST change.
+  t = guess - tzOffsetMinutes(new Date(t), tz) * 60000;
+  return new Date(t);
+}
+
+// "No time set" = midnight in the event's own zone (see fromDb in App.jsx).
+const hasTime = (date, tz) => {
+  if (!isValidDate(date)) return false;
+  const w = wallParts(date, tz);
+  return !(w.hour === 0 && w.minute === 0);
+};
+
+// Every offset change in `tz` during the given calendar year (UTC-based),
+// found by stepping day by day and bisecting down to the minute.
+function transitionsInYear(year, tz) {
+  const out = [];
+  let t = Date.UTC(year, 0, 1);
+  const stop = Date.UTC(year + 1, 0, 1);
+  let prev = tzOffsetMinutes(new Date(t), tz);
+  while (t < stop) {
+    const next = Math.min(t + DAY_MS, stop);
+    const off = tzOffsetMinutes(new Date(next), tz);
+    if (off !== prev) {
+      let lo = t;
+      let hi = next;
+      while (hi - lo > 60000) {
+        const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+        if (tzOffsetMinutes(new Date(mid), tz) === prev) lo = mid;
+        else hi = mid;
+      }
+      out.push({ at: hi, from: prev, to: off });
+      prev = off;
+    }
+    t = next;
+  }
+  return out;
+}
+
+/* ---------- text formatting ---------- */
+
+const fmtOffset = (mins) => {
+  const sign = mins < 0 ? "-" : "+";
+  const a = Math.abs(mins);
+  return `${sign}${pad(Math.floor(a / 60))}${pad(a % 60)}`;
+};
+
+const fmtUtc = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+const fmtWall = (w) =>
+  `${w.year}${pad(w.month)}${pad(w.day)}T${pad(w.hour)}${pad(w.minute)}${pad(w.second || 0)}`;
+
+const fmtDateOnly = (w) => `${w.year}${pad(w.month)}${pad(w.day)}`;
+
+const isoDateOnly = (w) => `${w.year}-${pad(w.month)}-${pad(w.day)}`;
+
+// Calendar day after a wall date (for exclusive all-day DTEND).
+const nextDay = (w) => {
+  const d = new Date(Date.UTC(w.year, w.month - 1, w.day + 1));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+};
+
+const escapeText = (s) =>
+  safe(s)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// RFC 5545 §3.1: lines longer than 75 octets are folded with CRLF + space.
+// Count UTF-8 bytes so emoji/accents never get split mid-character.
+const encoder = new TextEncoder();
+function foldLine(line) {
+  if (encoder.encode(line).length <= 75) return line;
+  const out = [];
+  let cur = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const b = encoder.encode(ch).length;
+    const limit = out.length === 0 ? 75 : 74; // continuation lines lose 1 to the space
+    if (bytes + b > limit) {
+      out.push(cur);
+      cur = "";
+      bytes = 0;
+    }
+    cur += ch;
+    bytes += b;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+/* ---------- free-text session labels ---------- */
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// US zone abbreviations admins type into free-text time labels.
+const LABEL_ZONES = {
+  et: "America/New_York", est: "America/New_York", edt: "America/New_York", eastern: "America/New_York",
+  ct: "America/Chicago", cst: "America/Chicago", cdt: "America/Chicago", central: "America/Chicago",
+  mt: "America/Denver", mst: "America/Denver", mdt: "America/Denver", mountain: "America/Denver",
+  pt: "America/Los_Angeles", pst: "America/Los_Angeles", pdt: "America/Los_Angeles", pacific: "America/Los_Angeles",
+};
+
+const to24 = (h, ampm) => {
+  let hour = parseInt(h, 10) % 12;
+  if (/^p/i.test(ampm || "")) hour += 12;
+  return hour;
+};
+
+/**
+ * Best-effort read of a free-text session label ("Tue 6/12 · 7:00–8:30 PM CT")
+ * into a start/end. Returns null when no clock time can be found.
+ * @param {string} label
+ * @param {Date} baseDate   the event's main start (supplies date/year defaults)
+ * @param {string} tz       the event's stored timezone
+ */
+export function parseSessionLabel(label, baseDate, tz) {
+  const text = safe(label);
+  if (!text || !isValidDate(baseDate)) return null;
+
+  const zoneMatch = text.toLowerCase().match(/\b(eastern|central|mountain|pacific|[ecmp][sd]?t)\b/);
+  const zone = (zoneMatch && LABEL_ZONES[zoneMatch[1]]) || tz;
+
+  const range = text.match(
+    /(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?\s*(?:-|–|—|to)\s*(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)/i
+  );
+  const single = text.match(/(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)/i);
+  if (!range && !single) return null;
+
+  const base = wallParts(baseDate, tz);
+  let { year, month, day } = base;
+  const numeric = text.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+  const named = text.toLowerCase().match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})\b/);
+  if (numeric) {
+    month = parseInt(numeric[1], 10);
+    day = parseInt(numeric[2], 10);
+    if (numeric[3]) year = numeric[3].length === 2 ? 2000 + parseInt(numeric[3], 10) : parseInt(numeric[3], 10);
+  } else if (named) {
+    month = MONTHS.indexOf(named[1]) + 1;
+    day = parseInt(named[2], 10);
+  }
+
+  let start;
+  let end = null;
+  if (range) {
+    const endAmpm = range[6];
+    start = zonedTimeToDate(
+      { year, month, day, hour: to24(range[1], range[3] || endAmpm), minute: parseInt(range[2] || "0", 10) },
+      zone
+    );
+    end = zonedTimeToDate(
+      { year, month, day, hour: to24(range[4], endAmpm), minute: parseInt(range[5] || "0", 10) },
+      zone
+    );
+    if (end <= start) end = null;
+  } else {
+    start = zonedTimeToDate(
+      { year, month, day, hour: to24(single[1], single[3]), minute: parseInt(single[2] || "0", 10) },
+      zone
+    );
+  }
+  return { start, end, tz: zone };
+}
+
+/* ---------- entries ---------- */
+
+/**
+ * Turn one catalog event (the shape fromDb() in App.jsx returns) into one
+ * calendar entry per session. Sessions carry their own start / end /
+ * timezone; the first one falls back to event_date / event_end_date, and
+ * sessions carried over from the old two-slot columns only have a
+ * free-text label, so their time is parsed from that.
+ *
+ * UIDs follow the session's place in the list (`<id>@…`, `<id>-s2@…`,
+ * …), which keeps the UIDs the two-slot events were published with. One
+ * date of a repeating event (`ev.occurrenceDate`) adds its day to the id,
+ * so saving two dates doesn't overwrite the first. A whole series
+ * (`ev.recurrence`, from calendarEventFromRow) gives every entry the rule
+ * and the skipped dates instead.
+ *
+ * Labels and the description lines are English unless a translator
+ * (lib/i18n.js) is passed — the feeds leave it out.
+ *
+ * @param {object} ev
+ * @param {ReturnType<import("./i18n.js").translator>} [tr]
+ * @returns {Array<{uid:string, slot:number, label:string, title:string, description:string,
+ *   location:string, url:string, start:Date, end:Date, tz:string, allDay:boolean,
+ *   recurrence?:{rule:string, exdates:Date[]}}>}
+ */
+export function calendarEntriesFor(ev, tr = EN) {
+  if (!ev) return [];
+  const tz = ev.storedTz || DEFAULT_TZ;
+  const inPerson = !!ev.inPersonEvt;
+  const location = inPerson ? safe(ev.location) : "";
+  const sessions = Array.isArray(ev.sessions) && ev.sessions.length > 0 ? ev.sessions : [{}];
+
+  const describe = (s) => {
+    const lines = [];
+    if (safe(ev.description)) lines.push(safe(ev.description));
+    if (safe(ev.vendor)) lines.push(tr.t("calendar.presentedBy", { vendor: safe(ev.vendor) }));
+    const regUrl = safe(s?.url) || (inPerson ? safe(ev.inPersonRegistrationLink) : "");
+    const regEmail = safe(s?.email) || (inPerson ? safe(ev.inPersonRegistrationEmail) : "");
+    if (regUrl.startsWith("http")) lines.push(tr.t("calendar.register", { url: regUrl }));
+    else if (regEmail) lines.push(tr.t("calendar.registerByEmail", { email: regEmail }));
+    if (safe(ev.discountCode)) lines.push(tr.t("calendar.promoCode", { code: safe(ev.discountCode) }));
+    return lines.join("\n\n");
+  };
+  const joinUrl = (s) => {
+    const u = safe(s?.url) || (inPerson ? safe(ev.inPersonRegistrationLink) : "");
+    return u.startsWith("http") ? u : "";
+  };
+
+  // A start (and optional end) in `zone` → timed block, or an all-day
+  // block from the start date through the end date when there's no
+  // clock time (or a multi-day span whose end has no time).
+  const schedule = (start, endRaw, zone) => {
+    const end = isValidDate(endRaw) && endRaw > start ? endRaw : null;
+    if (hasTime(start, zone) && (!end || hasTime(end, zone))) {
+      return { start, end: end || new Date(start.getTime() + HOUR_MS), tz: zone, allDay: false };
+    }
+    return { start, end: end || start, tz: zone, allDay: true };
+  };
+
+  const uidBase = ev.occurrenceDate ? `${ev.id}-${ev.occurrenceDate.replace(/-/g, "")}` : ev.id;
+
+  // Skipped dates of a series, moved onto each entry's own start time.
+  const firstDay = ev.recurrence && isValidDate(ev.date) ? wallParts(ev.date, tz) : null;
+  const repeatFor = (when) => {
+    if (!firstDay) return null;
+    const w = wallParts(when.start, when.tz);
+    const base = Date.UTC(firstDay.year, firstDay.month - 1, firstDay.day);
+    const exdates = (ev.recurrence.exdates || []).map((day) => {
+      const [y, m, d] = day.split("-").map(Number);
+      return zonedTimeToDate({ ...w, day: w.day + Math.round((Date.UTC(y, m - 1, d) - base) / DAY_MS) }, when.tz);
+    });
+    return { rule: ev.recurrence.rule, exdates };
+  };
+
+  const entries = [];
+  let typicalMs = HOUR_MS;
+  sessions.forEach((s, i) => {
+    const label = safe(s.label);
+    let when = null;
+    let title = safe(ev.title);
+    if (isValidDate(s.start)) {
+      when = schedule(s.start, s.end, s.tz || tz);
+    } else if (i === 0 && isValidDate(ev.date)) {
+      when = schedule(ev.date, ev.endDate, tz);
+    } else if (isValidDate(ev.date)) {
+      const parsed = parseSessionLabel(label, ev.date, tz);
+      if (parsed) {
+        when = {
+          start: parsed.start,
+          end: parsed.end || new Date(parsed.start.getTime() + typicalMs),
+          tz: parsed.tz,
+          allDay: false,
+        };
+      } else {
+        if (!label && !safe(s.url) && !safe(s.email)) return;
+        when = { start: ev.date, end: ev.date, tz, allDay: true };
+        title = `${title} (${label || tr.t("calendar.anotherSession")})`;
+      }
+    }
+    if (!when) return;
+    if (i === 0 && !when.allDay && !ev.multiDay) typicalMs = when.end - when.start;
+
+    const recurrence = repeatFor(when);
+    entries.push({
+      uid: i === 0 ? `${uidBase}@${UID_DOMAIN}` : `${uidBase}-s${i + 1}@${UID_DOMAIN}`,
+      slot: i + 1,
+      label: label || (sessions.length > 1 ? tr.t("calendar.session", { n: i + 1 }) : tr.t("calendar.add")),
+      title,
+      description: describe(s),
+      location: location || joinUrl(s),
+      url: joinUrl(s),
+      ...when,
+      ...(recurrence ? { recurrence } : {}),
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * The earliest of calendarEntriesFor()'s entries that hasn't started:
+ * what "Remind me" is for once earlier sessions are under way. Shared
+ * by the card's button and netlify/lib/reminders.js so both agree.
+ * @param {{ start:Date }[]} entries
+ * @param {Date} [now]
+ * @returns {object|null}  null when every session has started
+ */
+export function nextCalendarEntry(entries, now = new Date()) {
+  return entries
+    .filter((e) => isValidDate(e.start) && e.start > now)
+    .reduce((best, e) => (!best || e.start < best.start ? e : best), null);
+}
+
+/**
+ * Server-side counterpart of fromDb() in App.jsx: map a raw `events` row
+ * (selected with EVENT_WITH_SESSIONS) to the fields calendarEntriesFor()
+ * reads. Used by the netlify functions, which can't import the React module.
+ * @param {object} row  one row from public.events
+ */
+export function calendarEventFromRow(row) {
+  const fmt = safe(row.format).toLowerCase();
+  const date = row.event_date ? new Date(row.event_date) : null;
+  const endDate = row.event_end_date ? new Date(row.event_end_date) : null;
+  const storedTz = row.event_timezone || DEFAULT_TZ;
+  const multiDay = !!(
+    isValidDate(date) && isValidDate(endDate) &&
+    isoDateOnly(wallParts(date, storedTz)) !== isoDateOnly(wallParts(endDate, storedTz))
+  );
+  return {
+    id: row.id,
+    title: safe(row.title) || "Untitled Event",
+    description: safe(row.description),
+    date,
+    endDate,
+    multiDay,
+    storedTz,
+    inPersonEvt: fmt === "in-person" || fmt === "in person" || fmt === "inperson",
+    vendor: safe(row.vendor),
+    location: safe(row.location),
+    inPersonRegistrationLink: safe(row.in_person_registration_url),
+    inPersonRegistrationEmail: safe(row.in_person_registration_email),
+    discountCode: safe(row.discount_code),
+    occurrenceDate: row.occurrence_date || "",
+    recurrence: safe(row.recurrence_rule) && !row.occurrence_date
+      ? {
+          rule: safe(row.recurrence_rule),
+          exdates: Array.isArray(row.recurrence_exdates) ? row.recurrence_exdates : [],
+        }
+      : null,
+    sessions: orderSessions(row.sessions).map((s) => ({
+      id: s.id,
+      start: s.starts_at ? new Date(s.starts_at) : null,
+      end: s.ends_at ? new Date(s.ends_at) : null,
+      tz: s.timezone || storedTz,
+      label: safe(s.label),
+      url: safe(s.registration_url),
+      email: safe(s.registration_email),
+    })),
+  };
+}
+
+/* ---------- .ics ---------- */
+
+function vtimezone(tz, years) {
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${tz}`];
+  const first = Math.min(...years);
+  const last = Math.max(...years);
+  const jan = new Date(Date.UTC(first, 0, 1));
+  const jul = new Date(Date.UTC(first, 6, 1));
+  const standardOffset = Math.min(tzOffsetMinutes(jan, tz), tzOffsetMinutes(jul, tz));
+
+  const observance = (kind, wall, from, to, name) => {
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${fmtWall(wall)}`,
+      `TZOFFSETFROM:${fmtOffset(from)}`,
+      `TZOFFSETTO:${fmtOffset(to)}`,
+      `TZNAME:${name}`,
+      `END:${kind}`
+    );
+  };
+
+  // Baseline observance so times before the first listed change resolve.
+  const janOffset = tzOffsetMinutes(jan, tz);
+  observance(
+    janOffset > standardOffset ? "DAYLIGHT" : "STANDARD",
+    { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0 },
+    janOffset, janOffset, tzShortName(jan, tz)
+  );
+
+  for (let y = first; y <= last; y++) {
+    for (const tr of transitionsInYear(y, tz)) {
+      // DTSTART is the local time just before the change, in the old offset.
+      const local = new Date(tr.at + tr.from * 60000);
+      observance(
+        tr.to > standardOffset ? "DAYLIGHT" : "STANDARD",
+        {
+          year: local.getUTCFullYear(), month: local.getUTCMonth() + 1, day: local.getUTCDate(),
+          hour: local.getUTCHours(), minute: local.getUTCMinutes(), second: 0,
+        },
+        tr.from, tr.to, tzShortName(new Date(tr.at), tz)
+      );
+    }
+  }
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+// RRULE value for an entry. A timed series needs UNTIL as a UTC instant,
+// so the stored end date becomes the end of that day in the entry's zone.
+function rruleValue(e) {
+  return e.recurrence.rule.replace(/UNTIL=(\d{4})(\d{2})(\d{2})\w*/, (all, y, m, d) =>
+    e.allDay
+      ? `UNTIL=${y}${m}${d}`
+      : `UNTIL=${fmtUtc(zonedTimeToDate({ year: +y, month: +m, day: +d, hour: 23, minute: 59 }, e.tz))}`
+  );
+}
+
+// Last year a series can reach: its UNTIL year, or a couple of years out.
+const lastRepeatYear = (e) => {
+  const from = wallParts(e.start, e.tz).year;
+  const until = e.recurrence.rule.match(/UNTIL=(\d{4})/);
+  return until ? Math.min(Number(until[1]), from + 10) : from + 2;
+};
+
+/**
+ * Serialize calendar entries into a full VCALENDAR document.
+ * @param {Array<object>} entries  from calendarEntriesFor(), optionally with
+ *   `sequence`, `lastModified` (Date) and `status` ("CONFIRMED" | "CANCELLED")
+ * @param {{ name?: string, method?: string, refreshHours?: number }} [opts]
+ * @returns {string}
+ */
+export function buildIcs(entries, opts = {}) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN"];
+  lines.push(`METHOD:${opts.method || "PUBLISH"}`);
+  if (opts.name) lines.push(`X-WR-CALNAME:${escapeText(opts.name)}`);
+  if (opts.refreshHours) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${opts.refreshHours}H`);
+    lines.push(`X-PUBLISHED-TTL:PT${opts.refreshHours}H`);
+  }
+
+  // One VTIMEZONE per zone used by a timed entry, covering every year touched.
+  const zones = {};
+  for (const e of entries) {
+    if (e.allDay) continue;
+    const set = zones[e.tz] || (zones[e.tz] = new Set());
+    set.add(wallParts(e.start, e.tz).year);
+    set.add(wallParts(e.end, e.tz).year);
+    if (e.recurrence) {
+      for (let y = wallParts(e.start, e.tz).year; y <= lastRepeatYear(e); y++) set.add(y);
+    }
+  }
+  for (const [tz, years] of Object.entries(zones)) lines.push(...vtimezone(tz, [...years]));
+
+  const stamp = fmtUtc(new Date());
+  for (const e of entries) {
+    lines.push("BEGIN:VEVENT", `UID:${e.uid}`, `DTSTAMP:${stamp}`);
+    if (e.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${fmtDateOnly(wallParts(e.start, e.tz))}`);
+      lines.push(`DTEND;VALUE=DATE:${fmtDateOnly(nextDay(wallParts(e.end, e.tz)))}`);
+    } else {
+      lines.push(`DTSTART;TZID=${e.tz}:${fmtWall(wallParts(e.start, e.tz))}`);
+      lines.push(`DTEND;TZID=${e.tz}:${fmtWall(wallParts(e.end, e.tz))}`);
+    }
+    if (e.recurrence) {
+      lines.push(`RRULE:${rruleValue(e)}`);
+      if (e.recurrence.exdates.length) {
+        lines.push(e.allDay
+          ? `EXDATE;VALUE=DATE:${e.recurrence.exdates.map((d) => fmtDateOnly(wallParts(d, e.tz))).join(",")}`
+          : `EXDATE;TZID=${e.tz}:${e.recurrence.exdates.map((d) => fmtWall(wallParts(d, e.tz))).join(",")}`);
+      }
+    }
+    lines.push(`SUMMARY:${escapeText(e.title)}`);
+    if (safe(e.description)) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+    if (safe(e.location)) lines.push(`LOCATION:${escapeText(e.location)}`);
+    if (safe(e.url)) lines.push(`URL:${safe(e.url)}`);
+    if (typeof e.sequence === "number") lines.push(`SEQUENCE:${e.sequence}`);
+    if (isValidDate(e.lastModified)) lines.push(`LAST-MODIFIED:${fmtUtc(e.lastModified)}`);
+    lines.push(`STATUS:${e.status || "CONFIRMED"}`, "TRANSP:OPAQUE", "END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/* ---------- web calendar links ---------- */
+
+/** Google Calendar "create event" template link for one entry. */
+export function googleCalendarUrl(e) {
+  const dates = e.allDay
+    ? `${fmtDateOnly(wallParts(e.start, e.tz))}/${fmtDateOnly(nextDay(wallParts(e.end, e.tz)))}`
+    : `${fmtUtc(e.start)}/${fmtUtc(e.end)}`;
+  const p = new URLSearchParams({ action: "TEMPLATE", text: e.title, dates });
+  if (safe(e.description)) p.set("details", e.description);
+  if (safe(e.location)) p.set("location", e.location);
+  if (!e.allDay) p.set("ctz", e.tz);
+  if (e.recurrence) p.set("recur", `RRULE:${rruleValue(e)}`);
+  return `https://calendar.google.com/calendar/render?${p.toString()}`;
+}
+
+/**
+ * Outlook on the web compose link for one entry.
+ * @param {object} e
+ * @param {"live"|"office"} [flavor]  outlook.com personal vs. Microsoft 365 work accounts
+ */
+export function outlookCalendarUrl(e, flavor = "live") {
+  const host = flavor === "office" ? "outlook.office.com" : "outlook.live.com";
+  const p = new URLSearchParams({
+    path: "/calendar/action/compose",
+    rru: "addevent",
+    subject: e.title,
+    startdt: e.allDay ? isoDateOnly(wallParts(e.start, e.tz)) : e.start.toISOString(),
+    enddt: e.allDay ? isoDateOnly(nextDay(wallParts(e.end, e.tz))) : e.end.toISOString(),
+    allday: e.allDay ? "true" : "false",
+  });
+  if (safe(e.description)) p.set("body", e.description);
+  if (safe(e.location)) p.set("location", e.location);
+  return `https://${host}/calendar/0/deeplink/compose?${p.toString()}`;
+}
+
+/** Filesystem-safe .ics file name from an event title. */
+export function icsFileName(title) {
+  const base = safe(title).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  return `${(base || "event").slice(0, 60)}.ics`;
+}
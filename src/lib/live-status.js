@@ -0,0 +1,135 @@
+import { useEffect, useRef, useState } from "react";
+import { wallParts, zonedTimeToDate } from "./ics.js";
+
+/**
+ * Real-time status of a live event: on now, starting within the hour, or
+ * finished earlier today. Used by:
+ *   - App.jsx  (Card: the thumbnail banner, "Join now" on the running
+ *              session, and the ended state)
+ *
+ * Works per session (the `sessions` fromDb() builds), so an event with
+ * several dates is live while any one of them runs. A session with no
+ * end time runs until the end of its day in its own zone — the event's
+ * stored timezone — and one with no time at all (midnight there, as
+ * elsewhere in the app) is on for that whole day but never counts down.
+ *
+ * Cards re-check on a shared timer (useLiveStatus), so a banner flips
+ * from the countdown to "Live now" to "Ended" without a reload. Cards
+ * further out check once a minute whether they've come within range, so
+ * a page left open all day still picks them up.
+ */
+
+// How long before the start the countdown shows.
+export const SOON_MINUTES = 60;
+
+const MINUTE_MS = 60 * 1000;
+const TICK_MS = 15 * 1000;
+const SLOW_TICK_MS = MINUTE_MS;
+
+// Midnight after `date`'s day in `tz`.
+function endOfDayIn(date, tz) {
+  const w = wallParts(date, tz);
+  const next = new Date(Date.UTC(w.year, w.month - 1, w.day + 1));
+  return zonedTimeToDate(
+    { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() },
+    tz
+  );
+}
+
+// [start, end) of a session, and whether it has a time of day.
+function windowOf(s) {
+  const w = wallParts(s.start, s.tz);
+  const timed = !(w.hour === 0 && w.minute === 0);
+  const hasEnd = s.end instanceof Date && s.end > s.start;
+  return {
+    start: s.start,
+    end: timed && hasEnd ? s.end : endOfDayIn(hasEnd ? s.end : s.start, s.tz),
+    timed,
+  };
+}
+
+const sameLocalDay = (a, b) => a.toDateString() === b.toDateString();
+
+/**
+ * @param {{ start:Date|null, end:Date|null, tz:string }[]} sessions
+ * @param {Date} [now]
+ * @returns {{ phase:"live"|"soon"|"ended"|"", session?:object, minutes?:number }}
+ *   `session` is the running (or next) one; `minutes` counts down to it.
+ *   "ended" only when the last session finished earlier today.
+ */
+export function liveStatus(sessions, now = new Date()) {
+  const dated = sessions
+    .filter((s) => s.start instanceof Date && !isNaN(s.start.getTime()))
+    .map((s) => ({ s, ...windowOf(s) }));
+  if (dated.length === 0) return { phase: "" };
+
+  const running = dated.find((d) => d.start <= now && now < d.end);
+  if (running) return { phase: "live", session: running.s };
+
+  const next = dated
+    .filter((d) => d.timed && d.start > now)
+    .sort((a, b) => a.start - b.start)[0];
+  if (next && next.start - now <= SOON_MINUTES * MINUTE_MS) {
+    return { phase: "soon", session: next.s, minutes: Math.max(1, Math.ceil((next.start - now) / MINUTE_MS)) };
+  }
+
+  const lastEnd = dated.reduce((max, d) => (d.end > max ? d.end : max), dated[0].end);
+  if (lastEnd <= now && sameLocalDay(lastEnd, now)) return { phase: "ended" };
+  return { phase: "" };
+}
+
+// Worth watching: something about it changes within the next day.
+const isNear = (sessions, now) =>
+  sessions.some((s) => {
+    if (!(s.start instanceof Date)) return false;
+    const end = s.end instanceof Date ? s.end : s.start;
+    return s.start - now < 24 * 60 * MINUTE_MS && now - end < 24 * 60 * MINUTE_MS;
+  });
+
+// One interval per tick rate for every card on the page, running only
+// while some card is watching.
+function sharedTimer(ms) {
+  const watchers = new Set();
+  let timer = null;
+  return (fn) => {
+    watchers.add(fn);
+    if (!timer) {
+      timer = setInterval(() => {
+        const now = new Date();
+        for (const w of watchers) w(now);
+      }, ms);
+    }
+    return () => {
+      watchers.delete(fn);
+      if (watchers.size === 0) {
+        clearInterval(timer);
+        timer = null;
+      }
+    };
+  };
+}
+
+const watch = sharedTimer(TICK_MS);
+const watchSlowly = sharedTimer(SLOW_TICK_MS);
+
+/**
+ * liveStatus() kept current for a mounted card. Events more than a day
+ * away (or over) only look once a minute for whether that's changed, and
+ * re-render when it has.
+ * @param {{ start:Date|null, end:Date|null, tz:string }[]} sessions
+ * @param {boolean} [enabled]  false for archive cards
+ */
+export function useLiveStatus(sessions, enabled = true) {
+  const [now, setNow] = useState(() => new Date());
+  const sessionsRef = useRef(sessions);
+  sessionsRef.current = sessions;
+  const near = enabled && isNear(sessions, now);
+  useEffect(() => {
+    if (!enabled) return undefined;
+    if (near) return watch(setNow);
+    return watchSlowly((t) => {
+      if (isNear(sessionsRef.current, t)) setNow(t);
+    });
+  }, [enabled, near]);
+  return near ? liveStatus(sessions, now) : { phase: "" };
+}
@@ -0,0 +1,96 @@
+import { useSyncExternalStore } from "react";
+
+/**
+ * "My list" — events and courses a learner saved for later. Used by:
+ *   - SaveButton.jsx  (the heart on event and course cards)
+ *   - App.jsx         ("My list" chip on the events filter bar, and the
+ *                      MyList page: saved events + courses, print / .ics)
+ *   - OnDemand.jsx    ("My list" chip on the on-demand filter bar)
+ *
+ * Kept in this browser's localStorage only — there's no account behind
+ * the public catalogs. Events are saved by their card key: the event id,
+ * or "<id>:<YYYY-MM-DD>" for one date of a repeating event (fromDb() in
+ * App.jsx), which is also what catalog_events' `saved` filter matches.
+ * Courses are saved by id. Newest first.
+ *
+ * Every tab of the catalog sees the same list: changes here notify this
+ * page's subscribers, and the `storage` event brings in other tabs'.
+ */
+
+const STORAGE_KEY = "mb2MyList";
+const EMPTY = { events: [], courses: [] };
+
+// Storage can be off (Safari private mode, some third-party iframes);
+// the list then lasts for this page load only.
+let memory = null;
+let snapshot = null;
+const listeners = new Set();
+
+const clean = (v) =>
+  Array.isArray(v) ? [...new Set(v.filter((k) => typeof k === "string" && k))] : [];
+
+function load() {
+  let raw = memory;
+  try {
+    raw = localStorage.getItem(STORAGE_KEY) ?? memory;
+  } catch {
+    /* storage unavailable — keep the in-memory copy */
+  }
+  try {
+    const parsed = raw ? JSON.parse(raw) : EMPTY;
+    return { events: clean(parsed?.events), courses: clean(parsed?.courses) };
+  } catch {
+    return EMPTY;
+  }
+}
+
+function save(next) {
+  const raw = JSON.stringify(next);
+  memory = raw;
+  try {
+    localStorage.setItem(STORAGE_KEY, raw);
+  } catch {
+    /* storage unavailable — in memory only */
+  }
+  snapshot = next;
+  listeners.forEach((fn) => fn());
+}
+
+function getSnapshot() {
+  if (!snapshot) snapshot = load();
+  return snapshot;
+}
+
+function subscribe(fn) {
+  listeners.add(fn);
+  const onStorage = (e) => {
+    if (e.key !== STORAGE_KEY && e.key !== null) return;
+    snapshot = load();
+    fn();
+  };
+  window.addEventListener("storage", onStorage);
+  return () => {
+    listeners.delete(fn);
+    window.removeEventListener("storage", onStorage);
+  };
+}
+
+/**
+ * Save or unsave one item.
+ * @param {"events"|"courses"} kind
+ * @param {string} key  event card key or course id
+ */
+export function toggleSaved(kind, key) {
+  const list = getSnapshot();
+  const keys = list[kind];
+  const next = keys.includes(key) ? keys.filter((k) => k !== key) : [key, ...keys];
+  save({ ...list, [kind]: next });
+}
+
+/**
+ * The saved list, re-rendering whenever it changes (in any tab).
+ * @returns {{ events:string[], courses:string[] }}
+ */
+export function useMyList() {
+  return useSyncExternalStore(subscribe, getSnapshot, () => EMPTY);
+}
@@ -1,3 +1,5 @@
+import { parseSessionLabel } from "./ics.js";
+
 /**
  * Convert one raw CSV row (object keyed by sheet column names) into a clean
  * Supabase `events` row ready for insert. Used by:
@@ -5,6 +7,10 @@
  *   - one-time migration script (optional)
  *
  * Stays tolerant of header typos the way your old normalize() in App.jsx does.
+ *
+ * The sheet's time slots ("Time of the event" + "Registration Link", the
+ * "2nd time of the Event" pair, and any "Time 3" / "Registration Link 3"…)
+ * come back as a `sessions` list for supabase/event_sessions.sql.
  */
 
 const safe = (v) =>
@@ -56,6 +62,31 @@ const virtualFlagToFormat = (value, fallback) => {
   return safe(fallback) || null;
 };
 
+const IMPORT_TZ = "America/Chicago"; // events.event_timezone default
+const MAX_SLOTS = 10;
+
+// Time slots → event_sessions rows (minus event_id). Slot 1 runs on the
+// event's own date; later slots only have a free-text time, which is read
+// into a real start when it can be ("Tue 6/12 · 7–8 PM CT") and kept as
+// the label either way.
+const slotsToSessions = (slots, eventDate) => {
+  const base = eventDate ? new Date(eventDate) : null;
+  return slots
+    .map((slot, i) => {
+      if (i > 0 && !slot.label && !slot.url) return null;
+      const parsed = i > 0 && base ? parseSessionLabel(slot.label, base, IMPORT_TZ) : null;
+      return {
+        starts_at: i === 0 ? eventDate : parsed ? parsed.start.toISOString() : null,
+        ends_at: parsed?.end ? parsed.end.toISOString() : null,
+        timezone: parsed?.tz || IMPORT_TZ,
+        label: slot.label || null,
+        registration_url: slot.url || null,
+      };
+    })
+    .filter(Boolean)
+    .map((s, position) => ({ position, ...s }));
+};
+
 // Detect MB2 Exclusive: explicit flag column wins, fall back to "Exclusive" in title.
 const detectMb2 = (flagValue, title) => {
   if (isTruthyFlag(flagValue)) return true;
@@ -64,7 +95,8 @@ const detectMb2 = (flagValue, title) => {
 
 /**
  * @param {Record<string, any>} row  - one parsed CSV row
- * @returns {object} row ready for `supabase.from('events').insert(...)`
+ * @returns {object} row ready for `supabase.from('events').insert(...)` once
+ *   its `sessions` list is split off (insert those into event_sessions)
  */
 export function csvRowToEvent(row) {
   const get = (...keys) => {
@@ -78,11 +110,29 @@ export function csvRowToEvent(row) {
   };
 
   const title = get("Name of Event", "Event Name", "Title", "Course Name", "Course") || "Untitled Event";
+  const eventDate = parseDate(get("Date of the Event", "Event Date", "Date"));
+
+  const slots = [
+    {
+      label: get("Time of the event", "Time of Event", "Time 1"),
+      url: get("Registration Link", "Reg Link", "Registration", "Link", "Register Link", "Register"),
+    },
+    {
+      label: get("2nd time of the Event", "Second Time", "Time 2"),
+      url: get("Second Registration Link", "Second Reg Link", "Registration 2"),
+    },
+  ];
+  for (let n = 3; n <= MAX_SLOTS; n++) {
+    slots.push({
+      label: get(`Time ${n}`),
+      url: get(`Registration Link ${n}`, `Registration ${n}`),
+    });
+  }
 
   return {
     title,
     description:                 get("Description", "description", "DESC", "Course Description") || null,
-    event_date:                  parseDate(get("Date of the Event", "Event Date", "Date")),
+    event_date:                  eventDate,
     category:                    get("category", "Category", "CATEGORY", "Topic", "Subject") || null,
     ce_hours:                    parseCe(get("CE Hours", "CE", "CE Hour", "CE hours", "Credits", "Credit", "CE Credits", "Hours")),
     cost:                        get("Cost", "cost", "Price") || null,
@@ -100,10 +150,7 @@ export function csvRowToEvent(row) {
       "In Person Reg Link",
       "In-Person Reg Link"
     ) || null,
-    session1_label:              get("Time of the event", "Time of Event", "Time 1") || null,
-    session1_url:                get("Registration Link", "Reg Link", "Registration", "Link", "Register Link", "Register") || null,
-    session2_label:              get("2nd time of the Event", "Second Time", "Time 2") || null,
-    session2_url:                get("Second Registration Link", "Second Reg Link", "Registration 2") || null,
+    sessions:                    slotsToSessions(slots, eventDate),
     mb2_exclusive:               detectMb2(get("MB2 Exclusive", "MB2Exclusive", "Exclusive"), title),
     // Drafts by default — admin chooses what to publish after a bulk import.
     is_published:                false,
@@ -0,0 +1,80 @@
+import { i18n } from "./i18n.js";
+
+/**
+ * Offline support for the public catalogs: the service worker
+ * (public/sw.js) and the install-as-an-app manifest. Used by:
+ *   - main.jsx          (registerOffline, once per page load)
+ *   - catalog-query.js  (onNetworkBack: reload saved results)
+ *   - App.jsx, OnDemand.jsx  (savedAtLabel for the notice)
+ *
+ * The worker keeps the app shell and the last good catalog answers, and
+ * serves them at once while it fetches fresh ones. A saved answer more
+ * than a few minutes old comes with a `saved_at` time, which
+ * useCatalogPages() passes on as `savedAt` — the catalogs then say
+ * "Showing saved results from …" (instead of "Data not loading" when
+ * Supabase is down), and load again once the fresh answer is in.
+ */
+
+const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL || "";
+
+// Pages that aren't a public catalog don't offer "Install app".
+const NOT_INSTALLABLE = /^\/(admin|portal|submit-course)(\/|$)/;
+
+function addToHead(tag, attrs) {
+  const el = document.createElement(tag);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+  document.head.appendChild(el);
+}
+
+/**
+ * Register the service worker and, on a standalone catalog, link the
+ * web app manifest. Production builds only — in dev, Vite serves
+ * modules the worker shouldn't hold on to.
+ */
+export function registerOffline() {
+  if (!import.meta.env.PROD) return;
+
+  const path = window.location.pathname;
+  // Framed in TI the host page is what gets installed, not us.
+  if (window.parent === window && path !== "/" && !NOT_INSTALLABLE.test(path)) {
+    addToHead("link", { rel: "manifest", href: "/manifest.webmanifest" });
+    addToHead("meta", { name: "theme-color", content: "#f97316" });
+  }
+
+  if (!("serviceWorker" in navigator)) return;
+  const sw = `/sw.js${SUPABASE_URL ? `?supabase=${encodeURIComponent(SUPABASE_URL)}` : ""}`;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(sw).catch((e) => console.warn("[offline] service worker:", e));
+  });
+}
+
+/**
+ * Call `fn` when fresh data is likely to load: the browser comes back
+ * online, or the worker got a late answer for `rpc` after serving a
+ * saved one.
+ * @param {string} rpc  e.g. "catalog_events"
+ * @param {() => void} fn
+ * @returns {() => void}  stop listening
+ */
+export function onNetworkBack(rpc, fn) {
+  const onMessage = (e) => {
+    if (e.data?.type === "mb2-catalog-refreshed" && e.data.rpc === rpc) fn();
+  };
+  window.addEventListener("online", fn);
+  navigator.serviceWorker?.addEventListener("message", onMessage);
+  return () => {
+    window.removeEventListener("online", fn);
+    navigator.serviceWorker?.removeEventListener("message", onMessage);
+  };
+}
+
+/**
+ * "Showing saved results from Nov 4, 7:05 PM." for a `savedAt` time.
+ * @param {string} savedAt  ISO timestamp
+ */
+export function savedAtLabel(savedAt) {
+  const time = new Date(savedAt).toLocaleString(i18n.dateLocale, {
+    month: "short", day: "numeric", hour: "numeric", minute: "2-digit",
+  });
+  return i18n.t("common.savedResults", { time });
+}
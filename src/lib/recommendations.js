@@ -0,0 +1,182 @@
+import { useEffect, useState } from "react";
+import { supabase } from "./supabase.js";
+
+/**
+ * "More from {vendor}" and "You might also like" — related live events
+ * and on-demand courses for one event or course. Used by:
+ *   - App.jsx       (single event page)
+ *   - OnDemand.jsx  (after a course is opened)
+ * Both render through Recommendations.jsx.
+ *
+ * Candidates come from the catalog RPCs (supabase/catalog_search.sql),
+ * so only what the public can already see is suggested: the client's
+ * upcoming published events and every published course. One request
+ * per shared trait (same vendor, a shared category, a shared role) per
+ * catalog keeps the pool small and on topic; the scoring below then
+ * ranks the pool in the browser:
+ *
+ *   same vendor                         +5
+ *   each shared category (max 2)        +3
+ *   each shared role (max 3)            +1
+ *   CE hours in the same range          +2   (neighbouring range +1)
+ *   webinar / virtual → on-demand       +1   (people who learn online)
+ *
+ * A repeating event counts once, at its next date.
+ */
+
+const POOL_SIZE = 24;
+const ROW_SIZE = 6;
+// A shared role or CE range alone isn't "related".
+const MIN_SCORE = 3;
+
+// CE ranges for scoring: under 1, 1–2.99, 3–5.99, 6+.
+const CE_RANGES = [1, 3, 6];
+
+const low = (v) => (typeof v === "string" ? v.trim().toLowerCase() : "");
+const texts = (arr) => (Array.isArray(arr) ? arr.map(low).filter(Boolean) : []);
+const num = (v) => {
+  const n = typeof v === "number" ? v : Number(v);
+  return v == null || v === "" || !Number.isFinite(n) ? null : n;
+};
+const ceRange = (ce) => (ce == null ? null : CE_RANGES.filter((edge) => ce >= edge).length);
+
+const ONLINE_FORMATS = new Set(["webinar", "virtual", "online", "live webinar"]);
+
+/**
+ * The traits scoring compares, from a raw catalog row.
+ * @param {"event"|"course"} kind
+ * @param {object} row  catalog_events / catalog_courses row (or an events row)
+ */
+export function traitsOf(kind, row) {
+  return {
+    kind,
+    id: row.id,
+    vendor: low(row.vendor),
+    categories: kind === "course" ? texts(row.categories) : texts([row.category]),
+    roles: texts(row.roles),
+    ce: num(row.ce_hours),
+    online: kind === "event" && ONLINE_FORMATS.has(low(row.format)),
+  };
+}
+
+/**
+ * How related `b` is to `a` (see the table above). 0 = not at all.
+ * @param {ReturnType<typeof traitsOf>} a
+ * @param {ReturnType<typeof traitsOf>} b
+ */
+export function relatedScore(a, b) {
+  let score = 0;
+  if (a.vendor && a.vendor === b.vendor) score += 5;
+  const cats = a.categories.filter((c) => b.categories.includes(c)).length;
+  score += 3 * Math.min(cats, 2);
+  const roles = a.roles.filter((r) => b.roles.includes(r)).length;
+  score += Math.min(roles, 3);
+  const ra = ceRange(a.ce);
+  const rb = ceRange(b.ce);
+  if (ra != null && rb != null) {
+    if (ra === rb) score += 2;
+    else if (Math.abs(ra - rb) === 1) score += 1;
+  }
+  if (a.online && b.kind === "course") score += 1;
+  return score;
+}
+
+async function fetchPool(rpc, args) {
+  const { data, error } = await supabase.rpc(rpc, { ...args, p_offset: 0, p_limit: POOL_SIZE });
+  if (error) throw error;
+  return Array.isArray(data?.rows) ? data.rows : [];
+}
+
+// One query per trait the source has; a source without any gets none.
+function poolQueries(src, { clientId, today, tz }) {
+  const asFilters = [
+    src.vendor && { vendor: [src.vendorRaw] },
+    src.categories.length && { category: src.categoriesRaw },
+    src.roles.length && { roles: src.rolesRaw },
+  ].filter(Boolean);
+  return asFilters.flatMap((f) => [
+    clientId
+      ? fetchPool("catalog_events", {
+          p_client_id: clientId,
+          p_filters: { ...f, tz, today, view: "upcoming" },
+          p_sort: "date",
+        }).then((rows) => rows.map((row) => ({ kind: "event", row })))
+      : Promise.resolve([]),
+    fetchPool("catalog_courses", { p_filters: { ...f, today }, p_sort: "relevance" })
+      .then((rows) => rows.map((row) => ({ kind: "course", row }))),
+  ]);
+}
+
+/**
+ * Pick the two rows from a candidate pool.
+ * @param {ReturnType<typeof traitsOf>} src
+ * @param {{kind:"event"|"course", row:object}[]} pool
+ * @returns {{ fromVendor: object[], alsoLike: object[] }}  items are
+ *   { kind, row, score }, best first
+ */
+function pickRecommendations(src, pool) {
+  const seen = new Set();
+  const scored = [];
+  for (const c of pool) {
+    // Events come back one row per date; the first is the soonest.
+    const key = `${c.kind}:${c.row.id}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (c.kind === src.kind && c.row.id === src.id) continue;
+    const score = relatedScore(src, traitsOf(c.kind, c.row));
+    if (score > 0) scored.push({ ...c, score });
+  }
+  scored.sort((a, b) => b.score - a.score);
+
+  const fromVendor = src.vendor
+    ? scored.filter((c) => low(c.row.vendor) === src.vendor).slice(0, ROW_SIZE)
+    : [];
+  const shown = new Set(fromVendor);
+  const alsoLike = scored
+    .filter((c) => !shown.has(c) && c.score >= MIN_SCORE)
+    .slice(0, ROW_SIZE);
+  return { fromVendor, alsoLike };
+}
+
+const EMPTY = { fromVendor: [], alsoLike: [], loading: false };
+
+/**
+ * Recommendations for one event or course, loaded once per source.
+ * @param {{ kind:"event"|"course", row:object } | null} source  raw row
+ * @param {{ clientId?: string|null, today: string, tz: string }} ctx
+ *   `clientId` scopes the live events; without it only courses are suggested
+ * @returns {{ fromVendor: object[], alsoLike: object[], loading: boolean }}
+ */
+export function useRecommendations(source, { clientId = null, today, tz }) {
+  const [state, setState] = useState(EMPTY);
+  const sourceKey = source ? `${source.kind}:${source.row.id}` : "";
+
+  useEffect(() => {
+    if (!source) { setState(EMPTY); return; }
+    let cancelled = false;
+    const src = {
+      ...traitsOf(source.kind, source.row),
+      // The RPC filters match the stored spelling, not the lowercased one.
+      vendorRaw: (source.row.vendor || "").trim(),
+      categoriesRaw: (source.kind === "course" ? source.row.categories || [] : [source.row.category])
+        .map((c) => (c || "").trim())
+        .filter(Boolean),
+      rolesRaw: (source.row.roles || []).map((r) => (r || "").trim()).filter(Boolean),
+    };
+    setState({ ...EMPTY, loading: true });
+    Promise.all(poolQueries(src, { clientId, today, tz }))
+      .then((pools) => {
+        if (!cancelled) setState({ ...pickRecommendations(src, pools.flat()), loading: false });
+      })
+      .catch((e) => {
+        // Suggestions are a bonus; the page works without them.
+        console.error("recommendations load error:", e);
+        if (!cancelled) setState(EMPTY);
+      });
+    return () => { cancelled = true; };
+    // Keyed on the source's id: the row object changes identity on
+    // every parent render.
+  }, [sourceKey, clientId, today, tz]);
+
+  return state;
+}
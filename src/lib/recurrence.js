@@ -0,0 +1,331 @@
+import { wallParts, zonedTimeToDate } from "./ics.js";
+import { EN } from "./i18n.js";
+
+/**
+ * Repeating events — RRULE-style rules on events.recurrence_rule
+ * (supabase/event_recurrence.sql).
+ * Used by:
+ *   - App.jsx               (repeat badge, event page dates)
+ *   - admin/EventForm.jsx   (rule editor, "this / future / all" saves)
+ *   - admin/EventsList.jsx  (one row per date)
+ *
+ * A rule is a subset of iCalendar's RRULE, stored as its text form:
+ *   FREQ=WEEKLY;BYDAY=TU,TH                 every Tuesday and Thursday
+ *   FREQ=WEEKLY;INTERVAL=2;UNTIL=20271231   every other week until Dec 31
+ *   FREQ=MONTHLY;BYDAY=2TU;COUNT=10         2nd Tuesday, ten times
+ *   FREQ=MONTHLY;BYDAY=-1FR                 last Friday of the month
+ *   FREQ=MONTHLY;BYMONTHDAY=15              the 15th
+ * Skipped dates live in events.recurrence_exdates.
+ *
+ * The event's own start is always the first date. Every other date keeps
+ * the same wall-clock times as the first, in each session's timezone.
+ * event_occurrence_days() in the SQL expands rules the same way for the
+ * public catalog — keep the two in step.
+ */
+
+export const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+
+// Safety net for open-ended rules; the same cap as the SQL.
+const MAX_PERIODS = 5000;
+
+const pad = (n) => String(n).padStart(2, "0");
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ---------- calendar days ("YYYY-MM-DD") ---------- */
+
+const toUtc = (day) => {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+};
+const keyOf = (d) => `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+
+/** `day` moved by `n` days. */
+export const addDays = (day, n) => {
+  const d = toUtc(day);
+  d.setUTCDate(d.getUTCDate() + n);
+  return keyOf(d);
+};
+
+/** Whole days from `a` to `b`. */
+export const daysBetween = (a, b) => Math.round((toUtc(b) - toUtc(a)) / 86400000);
+
+// 0 = Monday … 6 = Sunday, matching WEEKDAYS.
+const weekdayOf = (day) => (toUtc(day).getUTCDay() + 6) % 7;
+
+/** RRULE weekday code ("TU") of a day. */
+export const weekdayCode = (day) => WEEKDAYS[weekdayOf(day)];
+
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+
+/* ---------- rule text ---------- */
+
+/**
+ * Parse rule text. Returns null for blank or unsupported rules.
+ * @param {string | null | undefined} text
+ * @returns {{freq:"WEEKLY"|"MONTHLY", interval:number, byDay:Array<{n:number, day:string}>,
+ *   byMonthDay:number|null, until:string|null, count:number|null} | null}
+ */
+export function parseRule(text) {
+  const parts = {};
+  for (const bit of String(text || "").replace(/^RRULE:/i, "").split(";")) {
+    const [k, v] = bit.split("=");
+    if (k && v) parts[k.trim().toUpperCase()] = v.trim().toUpperCase();
+  }
+  if (parts.FREQ !== "WEEKLY" && parts.FREQ !== "MONTHLY") return null;
+  const byDay = (parts.BYDAY || "")
+    .split(",")
+    .map((code) => code.match(/^([+-]?\d)?(MO|TU|WE|TH|FR|SA|SU)$/))
+    .filter(Boolean)
+    .map((m) => ({ n: m[1] ? Number(m[1]) : 0, day: m[2] }));
+  const until = (parts.UNTIL || "").match(/^(\d{4})(\d{2})(\d{2})/);
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    byDay,
+    byMonthDay: /^-?\d+$/.test(parts.BYMONTHDAY || "") ? Number(parts.BYMONTHDAY) : null,
+    until: until ? `${until[1]}-${until[2]}-${until[3]}` : null,
+    count: /^\d+$/.test(parts.COUNT || "") && Number(parts.COUNT) > 0 ? Number(parts.COUNT) : null,
+  };
+}
+
+/**
+ * Rule → its stored text form.
+ * @param {ReturnType<typeof parseRule>} rule
+ * @returns {string | null}
+ */
+export function formatRule(rule) {
+  if (!rule) return null;
+  const bits = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) bits.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay?.length) bits.push(`BYDAY=${rule.byDay.map((b) => `${b.n || ""}${b.day}`).join(",")}`);
+  if (rule.byMonthDay != null) bits.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) bits.push(`UNTIL=${rule.until.replace(/-/g, "")}`);
+  else if (rule.count) bits.push(`COUNT=${rule.count}`);
+  return bits.join(";");
+}
+
+const fmtDay = (day, tr) =>
+  toUtc(day).toLocaleDateString(tr.dateLocale, { timeZone: "UTC", month: "short", day: "numeric", year: "numeric" });
+
+// "Tuesday" for "TU", in the translator's language (Jan 1, 2024 was a Monday).
+const weekdayName = (code, tr) =>
+  new Date(Date.UTC(2024, 0, 1 + WEEKDAYS.indexOf(code)))
+    .toLocaleDateString(tr.dateLocale, { timeZone: "UTC", weekday: "long" });
+
+const listNames = (names, tr) =>
+  names.length <= 1
+    ? names.join("")
+    : `${names.slice(0, -1).join(", ")} ${tr.t("common.and")} ${names[names.length - 1]}`;
+
+const ordinal = (n, tr) => {
+  const text = tr.t(`repeat.ordinal.${n}`);
+  return text === `repeat.ordinal.${n}` ? tr.t("repeat.ordinal.n", { n }) : text;
+};
+
+/**
+ * Short label for a catalog badge: "Weekly", "Every 2 weeks", "Monthly".
+ * @param {ReturnType<typeof parseRule>} rule
+ * @param {ReturnType<import("./i18n.js").translator>} [tr]  language; English by default
+ */
+export function repeatLabel(rule, tr = EN) {
+  if (!rule) return "";
+  if (rule.interval > 1) {
+    return tr.t(rule.freq === "WEEKLY" ? "repeat.everyWeeks" : "repeat.everyMonths", { count: rule.interval });
+  }
+  return tr.t(rule.freq === "WEEKLY" ? "repeat.weekly" : "repeat.monthly");
+}
+
+/**
+ * Sentence for a rule, e.g. "Every 2 weeks on Tuesday and Thursday, until
+ * Dec 31, 2027" or "Monthly on the 2nd Tuesday, 10 times".
+ * @param {ReturnType<typeof parseRule>} rule
+ * @param {string} [firstDay]  "YYYY-MM-DD" — fills in the weekday / day of
+ *   month when the rule leaves them out
+ * @param {ReturnType<import("./i18n.js").translator>} [tr]  language; English by default
+ */
+export function describeRule(rule, firstDay, tr = EN) {
+  if (!rule) return "";
+  const first = DAY_RE.test(firstDay || "") ? firstDay : null;
+  let text = repeatLabel(rule, tr);
+
+  if (rule.freq === "WEEKLY") {
+    const days = rule.byDay.length
+      ? [...rule.byDay].sort((a, b) => WEEKDAYS.indexOf(a.day) - WEEKDAYS.indexOf(b.day))
+      : first ? [{ day: WEEKDAYS[weekdayOf(first)] }] : [];
+    if (days.length) {
+      text = tr.t("repeat.onDays", { rule: text, days: listNames(days.map((b) => weekdayName(b.day, tr)), tr) });
+    }
+  } else if (rule.byDay.length) {
+    text = tr.t("repeat.onDays", {
+      rule: text,
+      days: listNames(rule.byDay.map((b) => b.n
+        ? tr.t("repeat.nth", { ordinal: ordinal(b.n, tr), day: weekdayName(b.day, tr) })
+        : tr.t("repeat.every", { day: weekdayName(b.day, tr) })
+      ), tr),
+    });
+  } else {
+    const md = rule.byMonthDay ?? (first ? Number(first.slice(8)) : null);
+    if (md === -1) text = tr.t("repeat.onLastDay", { rule: text });
+    else if (md) text = tr.t("repeat.onDay", { rule: text, day: md });
+  }
+
+  if (rule.until) text = tr.t("repeat.until", { rule: text, date: fmtDay(rule.until, tr) });
+  else if (rule.count) text = tr.t("repeat.times", { rule: text, count: rule.count });
+  return text;
+}
+
+/* ---------- expansion ---------- */
+
+// Candidate dates for one week / month of the rule, sorted.
+function periodDays(rule, firstDay, period) {
+  if (rule.freq === "WEEKLY") {
+    const weekStart = addDays(firstDay, -weekdayOf(firstDay) + 7 * rule.interval * period);
+    const codes = rule.byDay.length ? rule.byDay.map((b) => b.day) : [WEEKDAYS[weekdayOf(firstDay)]];
+    return [...new Set(codes)]
+      .map((code) => addDays(weekStart, WEEKDAYS.indexOf(code)))
+      .sort();
+  }
+
+  const [fy, fm] = firstDay.split("-").map(Number);
+  const monthIndex = fm - 1 + rule.interval * period;
+  const y = fy + Math.floor(monthIndex / 12);
+  const m = (monthIndex % 12) + 1;
+  const monthStart = `${y}-${pad(m)}-01`;
+  const last = daysInMonth(y, m);
+  const monthEnd = `${y}-${pad(m)}-${pad(last)}`;
+  const out = [];
+
+  if (rule.byDay.length) {
+    for (const { n, day } of rule.byDay) {
+      const wd = WEEKDAYS.indexOf(day);
+      const firstMatch = addDays(monthStart, (wd - weekdayOf(monthStart) + 7) % 7);
+      const lastMatch = addDays(monthEnd, -((weekdayOf(monthEnd) - wd + 7) % 7));
+      if (n === 0) {
+        for (let d = firstMatch; d <= monthEnd; d = addDays(d, 7)) out.push(d);
+      } else {
+        const d = n > 0 ? addDays(firstMatch, 7 * (n - 1)) : addDays(lastMatch, 7 * (n + 1));
+        if (d >= monthStart && d <= monthEnd) out.push(d);
+      }
+    }
+  } else {
+    const md = rule.byMonthDay ?? Number(firstDay.slice(8));
+    const dom = md < 0 ? last + md + 1 : md;
+    if (dom >= 1 && dom <= last) out.push(`${y}-${pad(m)}-${pad(dom)}`);
+  }
+  return [...new Set(out)].sort();
+}
+
+/**
+ * Dates a rule falls on, first one included.
+ * @param {string} firstDay  "YYYY-MM-DD" — the event's own start date
+ * @param {ReturnType<typeof parseRule>} rule
+ * @param {{ exdates?: string[], from?: string, to?: string, limit?: number }} [opts]
+ *   `from` / `to` bound the dates returned (inclusive). COUNT always counts
+ *   from the first date, and skipped dates still use up their place in it.
+ * @returns {string[]}
+ */
+export function occurrenceDays(firstDay, rule, { exdates = [], from = "", to = "", limit = Infinity } = {}) {
+  if (!rule || !DAY_RE.test(firstDay || "")) return [];
+  const skip = new Set(exdates || []);
+  const out = [];
+  let seen = 0;
+  const take = (day) => {
+    seen += 1;
+    if ((!from || day >= from) && (!to || day <= to) && !skip.has(day)) out.push(day);
+  };
+
+  take(firstDay);
+  for (let period = 0; period < MAX_PERIODS && out.length < limit; period++) {
+    if (rule.count && seen >= rule.count) break;
+    for (const day of periodDays(rule, firstDay, period)) {
+      if (day <= firstDay) continue;
+      if ((rule.until && day > rule.until) || (to && day > to)) return out.slice(0, limit);
+      if (rule.count && seen >= rule.count) break;
+      take(day);
+    }
+  }
+  return out.slice(0, limit);
+}
+
+/* ---------- moving an event to one of its dates ---------- */
+
+/**
+ * The same wall-clock time `days` days later (or earlier) in `tz`, so
+ * 7 PM stays 7 PM across a DST change.
+ * @param {string | null} iso
+ * @param {string} tz
+ * @param {number} days
+ * @returns {string | null}
+ */
+export function shiftTimestamp(iso, tz, days) {
+  if (!iso || !days) return iso || null;
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return iso;
+  const w = wallParts(d, tz);
+  return zonedTimeToDate({ ...w, day: w.day + days }, tz).toISOString();
+}
+
+/** The event's first date in its own timezone, or "" if it has none. */
+export function firstDayOf(row) {
+  if (!row?.event_date) return "";
+  const d = new Date(row.event_date);
+  if (isNaN(d.getTime())) return "";
+  const w = wallParts(d, row.event_timezone || "America/Chicago");
+  return `${w.year}-${pad(w.month)}-${pad(w.day)}`;
+}
+
+/**
+ * An events row as it reads on `day`: event_date / event_end_date and every
+ * session moved by the same number of days, plus `occurrence_date`.
+ * @param {object} row  events row (sessions embedded, if any)
+ * @param {string} day  "YYYY-MM-DD"
+ */
+export function expandRow(row, day) {
+  const shift = daysBetween(firstDayOf(row), day);
+  const tz = row.event_timezone || "America/Chicago";
+  return {
+    ...row,
+    occurrence_date: day,
+    event_date: shiftTimestamp(row.event_date, tz, shift),
+    event_end_date: shiftTimestamp(row.event_end_date, tz, shift),
+    ...(Array.isArray(row.sessions)
+      ? {
+          sessions: row.sessions.map((s) => ({
+            ...s,
+            starts_at: shiftTimestamp(s.starts_at, s.timezone || tz, shift),
+            ends_at: shiftTimestamp(s.ends_at, s.timezone || tz, shift),
+          })),
+        }
+      : {}),
+  };
+}
+
+/**
+ * Which date of a repeating event a page about it should show: `wanted` if
+ * the rule falls on it, else the next date from `today`, else the last one.
+ * "" for one-off events.
+ * @param {object} row     events row
+ * @param {string} wanted  "YYYY-MM-DD" from the link, or ""
+ * @param {string} today   "YYYY-MM-DD"
+ * @returns {string}
+ */
+export function pickOccurrence(row, wanted, today) {
+  const rule = parseRule(row?.recurrence_rule);
+  const first = firstDayOf(row);
+  if (!rule || !first) return "";
+  const exdates = row.recurrence_exdates || [];
+  if (isOccurrence(row, wanted)) return wanted;
+  return occurrenceDays(first, rule, { exdates, from: today, limit: 1 })[0]
+    || occurrenceDays(first, rule, { exdates, to: today }).pop()
+    || "";
+}
+
+/** Whether a repeating event runs on `day` (skipped dates don't count). */
+export function isOccurrence(row, day) {
+  if (!DAY_RE.test(day || "")) return false;
+  return occurrenceDays(firstDayOf(row), parseRule(row?.recurrence_rule), {
+    exdates: row?.recurrence_exdates || [],
+    from: day,
+    to: day,
+  }).length > 0;
+}
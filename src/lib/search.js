@@ -0,0 +1,149 @@
+/**
+ * Ranked, typo-tolerant catalog search. Used by:
+ *   - App.jsx       (live events — turns the search box into terms)
+ *   - OnDemand.jsx  (on-demand courses — same)
+ *   - Highlight.jsx (marks matched terms in card text)
+ *
+ * The matching and ranking themselves run in Postgres
+ * (catalog_search_score in supabase/catalog_search.sql) so the catalogs
+ * can page through results; this module keeps the same rules for
+ * highlighting, and the two should change together.
+ *
+ * The query is split into terms and EVERY term has to match somewhere in
+ * the record — "hygiene implant" finds an implant course aimed at
+ * hygienists even though the words are in different fields. Each term
+ * matches a word as, from best to worst: the whole word, the start of a
+ * word ("implan" → "implants"), the word with a typo or two ("hygeine"),
+ * or part of a longer word ("plant" → "implant"). Where it matched and
+ * how well decide the score; fields carry weights so a title hit
+ * outranks a description hit.
+ */
+
+// Small words people type that shouldn't have to match on their own.
+const STOP_WORDS = new Set([
+  "a", "an", "and", "the", "of", "for", "in", "on", "to", "with", "by", "or",
+]);
+
+const QUALITY = {
+  exact: 1,
+  prefix: 0.85,
+  fuzzy: 0.7,
+  fuzzyPrefix: 0.55,
+  substring: 0.5,
+};
+
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+/** Lowercase and drop accents so "Café" matches "cafe". */
+export function normalize(s) {
+  return String(s ?? "")
+    .normalize("NFD")
+    .replace(/\p{M}+/gu, "")
+    .toLowerCase();
+}
+
+const tokenize = (s) => normalize(s).match(WORD_RE) || [];
+
+// Typos allowed for a term of this length.
+const maxEdits = (len) => (len >= 8 ? 2 : len >= 4 ? 1 : 0);
+
+// Optimal-string-alignment distance (Levenshtein + adjacent swaps), with
+// an early exit once every path is over `limit`.
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        v = Math.min(v, prev2[j - 2] + 1);
+      }
+      cur.push(v);
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > limit) return limit + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * How `term` matches one normalized word.
+ * @returns {{kind:string, quality:number, start:number, end:number} | null}
+ *   start/end = the matched span within the word, for highlighting
+ */
+function matchWord(term, word) {
+  if (word === term) return { kind: "exact", quality: QUALITY.exact, start: 0, end: word.length };
+  if (word.startsWith(term)) {
+    return { kind: "prefix", quality: QUALITY.prefix, start: 0, end: term.length };
+  }
+  const edits = maxEdits(term.length);
+  if (edits > 0) {
+    const d = editDistance(term, word, edits);
+    if (d <= edits) {
+      return { kind: "fuzzy", quality: QUALITY.fuzzy - 0.1 * (d - 1), start: 0, end: word.length };
+    }
+    if (word.length > term.length) {
+      const head = word.slice(0, term.length);
+      if (editDistance(term, head, edits) <= edits) {
+        return { kind: "fuzzyPrefix", quality: QUALITY.fuzzyPrefix, start: 0, end: term.length };
+      }
+    }
+  }
+  if (term.length >= 3) {
+    const at = word.indexOf(term);
+    if (at > 0) return { kind: "substring", quality: QUALITY.substring, start: at, end: at + term.length };
+  }
+  return null;
+}
+
+/**
+ * Split a search box value into normalized terms. Stop words are dropped
+ * unless they're all the query has.
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function parseQuery(query) {
+  const all = [...new Set(tokenize(query))];
+  const meaningful = all.filter((t) => !STOP_WORDS.has(t));
+  return meaningful.length ? meaningful : all;
+}
+
+/**
+ * Split `text` into plain and matched pieces for highlighting.
+ * @param {string} text
+ * @param {string[]} terms  from parseQuery
+ * @returns {{ text:string, match:boolean }[]}
+ */
+export function highlightParts(text, terms) {
+  const src = String(text ?? "");
+  if (!src || !terms?.length) return [{ text: src, match: false }];
+
+  const parts = [];
+  let last = 0;
+  for (const m of src.matchAll(WORD_RE)) {
+    const word = m[0];
+    const norm = normalize(word);
+    let hit = null;
+    for (const term of terms) {
+      const r = matchWord(term, norm);
+      if (r && (!hit || r.quality > hit.quality)) hit = r;
+    }
+    // Only map spans back onto the original word when normalizing kept
+    // its length (no ligatures etc.); otherwise mark the whole word.
+    if (!hit) continue;
+    const sameLen = norm.length === word.length;
+    const start = m.index + (sameLen ? hit.start : 0);
+    const end = m.index + (sameLen ? hit.end : word.length);
+    if (start > last) parts.push({ text: src.slice(last, start), match: false });
+    parts.push({ text: src.slice(start, end), match: true });
+    last = end;
+  }
+  if (last < src.length) parts.push({ text: src.slice(last), match: false });
+  return parts;
+}
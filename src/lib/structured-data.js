@@ -0,0 +1,195 @@
+import { calendarEntriesFor, wallParts } from "./ics.js";
+
+/**
+ * schema.org JSON-LD for search engines: live events as `Event`,
+ * on-demand courses as `Course`. Used by:
+ *   - App.jsx       (the events catalog's ItemList, and the event page)
+ *   - OnDemand.jsx  (the courses catalog's ItemList)
+ *   - netlify/functions/event-page.js  (the same Event in the HTML
+ *                   crawlers get, which they read without running the SPA)
+ *
+ * eventJsonLd() takes a fromDb() card (App.jsx) — or, on the server,
+ * calendarEventFromRow() plus format / cost / thumb / vendorLogo — and
+ * reads dates through calendarEntriesFor(), so a crawler sees the same
+ * sessions as the "Add to calendar" menu. Courses are catalog_courses
+ * rows as OnDemand.jsx renders them.
+ *
+ * Nothing here touches React; the catalogs call setJsonLd() from an
+ * effect and get its cleanup back.
+ */
+
+const CONTEXT = "https://schema.org";
+// The admin's cost field is US dollars ("$" prefix, or FREE).
+const CURRENCY = "USD";
+
+const safe = (v) => (typeof v === "string" ? v.trim() : v == null ? "" : String(v).trim());
+const isUrl = (u) => /^https?:\/\//i.test(safe(u));
+const pad = (n) => String(n).padStart(2, "0");
+
+// Drop empty fields so the output only says what we know.
+const compact = (obj) =>
+  Object.fromEntries(
+    Object.entries(obj).filter(([, v]) => v != null && v !== "" && !(Array.isArray(v) && v.length === 0))
+  );
+
+// ISO 8601 in the session's own zone: "2026-11-04T19:00:00-06:00", or
+// just the date for all-day entries.
+function isoIn(date, tz, allDay) {
+  const w = wallParts(date, tz);
+  const day = `${w.year}-${pad(w.month)}-${pad(w.day)}`;
+  if (allDay) return day;
+  const offset = Math.round(
+    (Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second) - date.getTime()) / 60000
+  );
+  const sign = offset < 0 ? "-" : "+";
+  const abs = Math.abs(offset);
+  return `${day}T${pad(w.hour)}:${pad(w.minute)}:${pad(w.second)}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// Format → attendance mode. Anything that isn't in person or hybrid
+// (Webinar, Online, "Virtual" imports) is online.
+function attendanceMode(format) {
+  const f = safe(format).toLowerCase();
+  if (f === "in-person" || f === "in person" || f === "inperson") return "Offline";
+  if (f === "hybrid") return "Mixed";
+  return "Online";
+}
+
+/**
+ * The cost field as an Offer: "FREE" → price 0, "$49" / "49.00" → 49.
+ * Other text is kept as the offer's description, without a price.
+ * @param {string} cost
+ * @param {string} url  where to register
+ */
+function offerFor(cost, url) {
+  const text = safe(cost);
+  if (!text) return null;
+  const amount = /^free$/i.test(text) ? "0" : (text.match(/^\$?\s*(\d[\d,]*(?:\.\d+)?)$/) || [])[1];
+  return compact({
+    "@type": "Offer",
+    ...(amount != null
+      ? { price: amount.replace(/,/g, ""), priceCurrency: CURRENCY }
+      : { description: text }),
+    url: isUrl(url) ? url : "",
+  });
+}
+
+const organization = (name, logo) =>
+  safe(name) ? compact({ "@type": "Organization", name: safe(name), logo: isUrl(logo) ? safe(logo) : "" }) : null;
+
+/**
+ * One live event as a schema.org Event.
+ * @param {object} ev  fromDb() card, or calendarEventFromRow() + format,
+ *   cost, thumb, vendorLogo
+ * @param {{ url:string, clientName?:string }} opts
+ *   `url` is the event's page; `clientName` organizes when there's no vendor
+ * @returns {object|null}  null when the event has no date
+ */
+export function eventJsonLd(ev, { url, clientName = "" }) {
+  const entries = calendarEntriesFor(ev);
+  if (entries.length === 0) return null;
+  const first = entries[0];
+  const last = entries[entries.length - 1];
+
+  const mode = attendanceMode(ev.format);
+  const register =
+    entries.map((e) => e.url).find(isUrl) || (isUrl(ev.inPersonRegistrationLink) ? safe(ev.inPersonRegistrationLink) : "");
+  const place = safe(ev.location)
+    ? { "@type": "Place", name: safe(ev.location), address: safe(ev.location) }
+    : null;
+  const virtual = { "@type": "VirtualLocation", url: register || url };
+  const location = mode === "Offline" ? place : mode === "Mixed" ? [place, virtual].filter(Boolean) : virtual;
+
+  return compact({
+    "@context": CONTEXT,
+    "@type": "Event",
+    name: safe(ev.title),
+    description: safe(ev.description),
+    url,
+    image: isUrl(ev.thumb) ? [safe(ev.thumb)] : [],
+    startDate: isoIn(first.start, first.tz, first.allDay),
+    endDate: isoIn(last.end, last.tz, last.allDay),
+    eventStatus: `${CONTEXT}/EventScheduled`,
+    eventAttendanceMode: `${CONTEXT}/${mode}EventAttendanceMode`,
+    location,
+    organizer: organization(ev.vendor, ev.vendorLogo) || organization(clientName),
+    offers: offerFor(ev.cost, register || url),
+    // Several sessions: each one as its own sub-event.
+    subEvent: entries.length > 1
+      ? entries.map((e) => compact({
+          "@type": "Event",
+          name: e.title,
+          startDate: isoIn(e.start, e.tz, e.allDay),
+          endDate: isoIn(e.end, e.tz, e.allDay),
+          url: e.url || url,
+        }))
+      : [],
+  });
+}
+
+/**
+ * One on-demand course as a schema.org Course.
+ * @param {object} course  a catalog_courses row
+ * @param {{ url:string, clientName?:string }} opts
+ *   `url` is used when the course has no link of its own
+ */
+export function courseJsonLd(course, { url, clientName = "" }) {
+  const link = isUrl(course.course_url) ? safe(course.course_url) : url;
+  const categories = (Array.isArray(course.categories) ? course.categories : []).map(safe).filter(Boolean);
+  return compact({
+    "@context": CONTEXT,
+    "@type": "Course",
+    name: safe(course.title),
+    description: safe(course.description) || safe(course.title),
+    url: link,
+    image: isUrl(course.thumbnail_url) ? [safe(course.thumbnail_url)] : [],
+    provider: organization(course.vendor, course.vendor_logo_url) || organization(clientName),
+    about: categories,
+    learningResourceType: safe(course.type),
+    offers: offerFor(course.cost, link),
+    hasCourseInstance: { "@type": "CourseInstance", courseMode: "Online", url: link },
+  });
+}
+
+/**
+ * A catalog page: its items in the order shown. Items keep their own
+ * @context out, as schema.org nests them.
+ * @param {{ name:string, url:string, items:(object|null)[] }} list
+ */
+export function itemListJsonLd({ name, url, items }) {
+  const listed = items.filter(Boolean);
+  if (listed.length === 0) return null;
+  return {
+    "@context": CONTEXT,
+    "@type": "ItemList",
+    name,
+    url,
+    numberOfItems: listed.length,
+    itemListElement: listed.map(({ "@context": _ctx, ...item }, i) => ({
+      "@type": "ListItem",
+      position: i + 1,
+      item,
+    })),
+  };
+}
+
+// JSON that can sit inside a <script> element: "</script>" in a title
+// would otherwise end it.
+export const jsonLdText = (data) => JSON.stringify(data).replace(/</g, "\\u003c");
+
+/**
+ * A <script type="application/ld+json"> in <head> for `data`, replacing
+ * any earlier one with the same id. Returns the cleanup for useEffect.
+ * @param {string} id
+ * @param {object|null} data  null removes it
+ */
+export function setJsonLd(id, data) {
+  document.head.querySelector(`script[data-jsonld="${id}"]`)?.remove();
+  if (!data) return undefined;
+  const el = document.createElement("script");
+  el.type = "application/ld+json";
+  el.dataset.jsonld = id;
+  el.textContent = jsonLdText(data);
+  document.head.appendChild(el);
+  return () => el.remove();
+}
@@ -0,0 +1,117 @@
+import { useCallback, useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
+
+/**
+ * Catalog filter state that lives in the query string, so a refresh or a
+ * shared link ("hygienist webinars from vendor X") reopens the same view
+ * and the browser back button steps through filter changes. Used by:
+ *   - App.jsx       (live events)
+ *   - OnDemand.jsx  (on-demand courses)
+ *
+ * The URL is the single source of truth — there is no mirrored React state
+ * to drift. Multi-select filters repeat their param
+ * (?roles=Hygienist&roles=Assistant); empty values and defaults are left
+ * out so plain catalog URLs stay clean. Param names match the calendar
+ * feed (/feeds/:slug.ics) so the same filters can be pasted across.
+ *
+ * `exclusive=1` is NOT a filter here — it's the locked Exclusive page mode
+ * (see App.jsx). The user-toggled Exclusive chip is `exclusiveOnly=1`.
+ */
+
+// Every param any catalog filter may write. UnifiedCatalog drops these
+// when switching tabs so one catalog's filters don't leak into the other.
+export const FILTER_PARAM_KEYS = [
+  "q", "category", "vendor", "ce", "format", "roles", "exclusiveOnly", "sort", "view", "layout",
+  "dates", "near", "radius", "mine", "print",
+];
+
+/** CE option values are numbers except the "10+" bucket. */
+export const parseCeParam = (v) => (v === "10+" ? v : Number(v));
+
+/**
+ * Return a copy of `params` with all catalog filter params removed.
+ * @param {URLSearchParams} params
+ */
+export function withoutFilterParams(params) {
+  const next = new URLSearchParams(params);
+  for (const k of FILTER_PARAM_KEYS) next.delete(k);
+  return next;
+}
+
+const readValue = (params, field) => {
+  if (field.type === "set") {
+    const parse = field.parse || ((v) => v);
+    return new Set(
+      params.getAll(field.param)
+        .filter((v) => v !== "")
+        .map(parse)
+        .filter((v) => !(typeof v === "number" && Number.isNaN(v)))
+    );
+  }
+  if (field.type === "flag") return params.get(field.param) === "1";
+  const raw = params.get(field.param);
+  return raw == null || raw === "" ? field.default ?? "" : raw;
+};
+
+const writeValue = (params, field, value) => {
+  params.delete(field.param);
+  if (field.type === "set") {
+    for (const v of value || []) params.append(field.param, String(v));
+  } else if (field.type === "flag") {
+    if (value) params.set(field.param, "1");
+  } else if (value != null && value !== "" && value !== field.default) {
+    params.set(field.param, String(value));
+  }
+};
+
+/**
+ * @param {Record<string, {param:string, type:"set"|"string"|"flag", default?:any, parse?:(v:string)=>any}>} schema
+ *   field name → how it's stored in the URL
+ * @returns {[Record<string, any>, (name:string, valueOrUpdater:any, opts?:{replace?:boolean}) => void, (keep?:string[]) => void, (values:Record<string, any>, opts?:{replace?:boolean}) => void]}
+ *   [values, setField, resetAll, setFields] — resetAll clears every field except the names in
+ *   `keep`; setFields writes several fields as one history entry (the embed API's set-filters)
+ */
+export function useUrlFilters(schema) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const search = searchParams.toString();
+
+  // Re-derive only when the query string actually changes, so Sets keep
+  // their identity between renders and downstream useMemos stay cached.
+  const values = useMemo(() => {
+    const params = new URLSearchParams(search);
+    const out = {};
+    for (const [name, field] of Object.entries(schema)) out[name] = readValue(params, field);
+    return out;
+  }, [search, schema]);
+
+  // Always build on the live location rather than the rendered params:
+  // navigate() updates history synchronously, so several setters fired in
+  // the same tick (e.g. toggle + clear) compose instead of overwriting.
+  const setField = useCallback((name, valueOrUpdater, opts = {}) => {
+    const field = schema[name];
+    if (!field) return;
+    const params = new URLSearchParams(window.location.search);
+    const prev = readValue(params, field);
+    const next = typeof valueOrUpdater === "function" ? valueOrUpdater(prev) : valueOrUpdater;
+    writeValue(params, field, next);
+    setSearchParams(params, { replace: !!opts.replace });
+  }, [schema, setSearchParams]);
+
+  const resetAll = useCallback((keep = []) => {
+    const params = new URLSearchParams(window.location.search);
+    for (const [name, field] of Object.entries(schema)) {
+      if (!keep.includes(name)) params.delete(field.param);
+    }
+    setSearchParams(params);
+  }, [schema, setSearchParams]);
+
+  const setFields = useCallback((next, opts = {}) => {
+    const params = new URLSearchParams(window.location.search);
+    for (const [name, value] of Object.entries(next)) {
+      if (schema[name]) writeValue(params, schema[name], value);
+    }
+    setSearchParams(params, { replace: !!opts.replace });
+  }, [schema, setSearchParams]);
+
+  return [values, setField, resetAll, setFields];
+}
@@ -0,0 +1,425 @@
+/* English — the catalog's own wording, and the fallback for any key a
+   translation leaves out. See lib/i18n.js for the format. Stored values
+   (formats, roles…) need no `format.*` / `role.*` keys here: without
+   one, the value itself is shown. */
+export default {
+  code: "en",
+  name: "English",
+  dateLocale: "en-US",
+  messages: {
+    /* ---------- shared ---------- */
+    "common.loading": "Loading…",
+    "common.error": "Error:",
+    "common.dataNotLoading": "Data not loading",
+    "common.savedResults": "Can't reach the catalog right now — showing saved results from {time}.",
+    "common.close": "Close",
+    "common.cancel": "Cancel",
+    "common.search": "Search…",
+    "common.exclusive": "Exclusive",
+    "common.ce": "{ce} CE",
+    "common.and": "and",
+
+    // Button labels a client hasn't renamed (lib/client-theme.js)
+    "label.register_label": "Register",
+    "label.watch_label": "Watch",
+    "label.course_label": "Go To Course",
+
+    "loadMore.more": "Show more {noun}",
+    "loadMore.showing": "Showing {shown} of {total}",
+    "loadMore.results": "results",
+
+    /* ---------- filter bars ---------- */
+    "filters.format": "Format",
+    "filters.role": "Role",
+    "filters.category": "Category",
+    "filters.vendor": "Vendor",
+    "filters.client": "Client",
+    "filters.ceHours": "CE Hours",
+    "filters.searchIn": "Search {label}…",
+    "filters.noMatches": "No matches",
+    "filters.clearOne": "Clear {label}",
+    "filters.clearAll": "Clear all",
+    "filters.resetAll": "Reset all filters",
+    "filters.sortBy": "Sort by",
+    "filters.exclusive": "{name} Exclusive",
+    "filters.exclusiveEvents": "Only show {name} Exclusive events",
+    "filters.exclusiveCourses": "Only show {name} Exclusive courses",
+    "filters.yourOrganization": "your organization",
+
+    "sort.relevance": "Best match",
+    "sort.date": "Date",
+    "sort.distance": "Distance",
+    "sort.name": "Name (A → Z)",
+    "sort.ce_desc": "CE hours (high → low)",
+    "sort.ce_asc": "CE hours (low → high)",
+    "sort.newest": "Newest first",
+    "sort.oldest": "Oldest first",
+
+    "layout.label": "Layout",
+    "layout.grid": "Grid",
+    "layout.month": "Month",
+    "layout.week": "Week",
+
+    // Date filter (lib/date-range.js)
+    "date.label": "Date",
+    "date.today": "Today",
+    "date.week": "This week",
+    "date.next30": "Next 30 days",
+    "date.month": "Month",
+    "date.chooseMonth": "Choose a month…",
+    "date.noMonths": "No events scheduled",
+    "date.customRange": "Custom range",
+    "date.from": "From",
+    "date.to": "To",
+    "date.fromDay": "From {day}",
+    "date.untilDay": "Until {day}",
+    "date.apply": "Apply range",
+    "date.any": "Any date",
+
+    // Distance filter (lib/geo.js)
+    "near.label": "Distance",
+    "near.within": "Within {radius} mi of {zip}",
+    "near.unavailable": "Distance search isn't available right now.",
+    "near.unknownZip": "We couldn't find ZIP code {zip}.",
+    "near.heading": "In-person events near",
+    "near.zip": "ZIP code",
+    "near.radius": "Radius",
+    "near.miles": "{miles} mi",
+    "near.apply": "Show nearby",
+    "near.any": "Any distance",
+    "near.underOne": "<1 mi away",
+    "near.away": "~{miles} mi away",
+
+    /* ---------- live events catalog ---------- */
+    "events.notFound": "Catalog not found",
+    "events.noCatalog": "No catalog exists at \"{slug}\".",
+    "events.titleUpcoming": "Upcoming Events",
+    "events.titlePast": "Past Events",
+    "events.titleExclusiveUpcoming": "Upcoming {name} Exclusive Events",
+    "events.titleExclusivePast": "Past {name} Exclusive Events",
+    "events.intro": "Browse upcoming events, register instantly, and filter by category, vendor, CE hours, format, or role.",
+    "events.introExclusive": "Browse upcoming {name} Exclusive events, register instantly, and filter by category, vendor, CE hours, format, or role.",
+    "events.introPartners": "Upcoming events from across our partners. Register instantly, and filter by client, category, vendor, CE hours, format, or role.",
+    "events.introPast": "Look back at events that have already happened, watch recordings where available, and filter by category, vendor, CE hours, format, or role.",
+    "events.searchPlaceholder": "Search events, vendors, categories…",
+    "events.noneUpcoming": "No upcoming events match your filters.",
+    "events.nonePast": "No past events match your filters.",
+    "events.filters": "Event filters",
+    "events.view": "Upcoming or past events",
+    "events.upcoming": "Upcoming",
+    "events.past": "Past",
+    "events.count": { one: "event", other: "events" },
+    "events.noun": "events",
+    "events.untitled": "Untitled Event",
+
+    "eventPage.backUpcoming": "← All upcoming events",
+    "eventPage.backPast": "← All past events",
+    "eventPage.backUpcomingNamed": "← All upcoming {name} events",
+    "eventPage.backPastNamed": "← All past {name} events",
+    "eventPage.notLoading": "Event not loading",
+    "eventPage.unavailable": "This event isn't available. It may have been removed or unpublished.",
+    "eventPage.loadFailed": "Failed to load event.",
+
+    "card.thumbnail": "{title} thumbnail",
+    "card.happeningToday": "Happening today",
+    "card.today": "Today",
+    "card.soon": { one: "Tomorrow", other: "In {count} days" },
+    "card.liveNow": "Live now",
+    "card.startsIn": "Starts in {count} min",
+    "card.endedToday": "Ended",
+    "card.join": "Join now",
+    "card.vendorLogo": "Vendor logo",
+    "card.fromClients": "From {names}",
+    "card.alsoOn": "Also on",
+    "card.idealFor": "This event is ideal for",
+    "card.date": "Date",
+    "card.location": "Location",
+    "card.recording": "Recording available",
+    "card.ended": "This event has ended",
+    "card.seats": { one: "{count} seat", other: "{count} seats" },
+    "card.promo": "Promo",
+
+    "emailReg.button": "Email to Register",
+    "emailReg.buttonTitle": "Email {email}",
+    "emailReg.title": "Register by email",
+    "emailReg.text": "Send your registration request to:",
+    "emailReg.copy": "Copy email address",
+    "emailReg.copied": "✓ Copied!",
+    "emailReg.open": "Open email app",
+
+    // "Remind me" on a card (netlify/functions/event-reminders.js)
+    "remind.button": "Remind me",
+    "remind.buttonTitle": "Get an email reminder for {title}",
+    "remind.title": "Email me a reminder",
+    "remind.text": "We'll email you a few days before this event and again an hour before it starts.",
+    "remind.email": "Your email",
+    "remind.placeholder": "you@practice.com",
+    "remind.submit": "Remind me",
+    "remind.sending": "Sending…",
+    "remind.sentTitle": "Check your inbox",
+    "remind.sentText": "We sent a confirmation link to {email}. Reminders start once you've clicked it.",
+    "remind.invalidEmail": "Please enter a valid email address.",
+    "remind.failed": "Couldn't save your reminder — please try again.",
+    "remind.privacy": "Your address is only used for this event's reminders, and every email has an unsubscribe link.",
+
+    // Reminder emails and the pages behind their links (netlify/lib/reminders.js)
+    "reminderEmail.questions": "Questions? Email",
+    "reminderEmail.tagline": "Continuing dental education",
+    "reminderEmail.when": "{date} · {time}",
+    "reminderEmail.eyebrow": "Event reminder",
+    "reminderEmail.confirmSubject": "Confirm your reminder for {title}",
+    "reminderEmail.confirmPreheader": "One click and we'll remind you before {title}.",
+    "reminderEmail.confirmEyebrow": "Confirm your reminder",
+    "reminderEmail.confirmText": "You asked to be reminded about this event:",
+    "reminderEmail.confirmButton": "Confirm reminder",
+    "reminderEmail.notYou": "Didn't ask for this?",
+    "reminderEmail.notYouText": "Just ignore this email — nothing more is sent unless the reminder is confirmed.",
+    "reminderEmail.schedule": {
+      one: "We'll email you the day before it starts and again an hour before.",
+      other: "We'll email you {count} days before it starts and again an hour before.",
+    },
+    "reminderEmail.scheduleHour": "We'll email you an hour before it starts.",
+    "reminderEmail.scheduleDay": {
+      one: "We'll email you the day before and again on the day.",
+      other: "We'll email you {count} days before and again on the day.",
+    },
+    "reminderEmail.scheduleOnDay": "We'll email you on the day.",
+    "reminderEmail.inAnHour": "Starting in an hour",
+    "reminderEmail.subject": "{eyebrow}: {title}",
+    "reminderEmail.view": "View event",
+    "reminderEmail.why": "You're getting this because you asked for a reminder about this event.",
+    "reminderEmail.unsubscribe": "Unsubscribe",
+    "reminderEmail.confirmAskTitle": "Confirm your reminder",
+    "reminderEmail.unsubscribeAskTitle": "Unsubscribe from reminders?",
+    "reminderEmail.unsubscribeAskText": "You won't get any more reminders about this event.",
+    "reminderEmail.confirmedTitle": "Reminder confirmed",
+    "reminderEmail.unsubscribedTitle": "You're unsubscribed",
+    "reminderEmail.unsubscribedText": "You won't get any more reminders about this event.",
+    "reminderEmail.invalidTitle": "This link has expired",
+    "reminderEmail.invalidText": "The event may have already started, or it's no longer listed.",
+    "reminderEmail.errorTitle": "Something went wrong",
+    "reminderEmail.errorText": "Please try the link again in a few minutes.",
+
+    // "Add to calendar" menu and the entries it saves (lib/ics.js)
+    "calendar.add": "Add to calendar",
+    "calendar.addTitle": "Add {title} to calendar",
+    "calendar.icsFile": ".ics file",
+    "calendar.session": "Session {n}",
+    "calendar.anotherSession": "another session",
+    "calendar.presentedBy": "Presented by {vendor}",
+    "calendar.register": "Register: {url}",
+    "calendar.registerByEmail": "Register by email: {email}",
+    "calendar.promoCode": "Promo code: {code}",
+
+    // Repeating events (lib/recurrence.js). {rule} is the sentence so far.
+    "repeat.weekly": "Weekly",
+    "repeat.monthly": "Monthly",
+    "repeat.everyWeeks": "Every {count} weeks",
+    "repeat.everyMonths": "Every {count} months",
+    "repeat.onDays": "{rule} on {days}",
+    "repeat.nth": "the {ordinal} {day}",
+    "repeat.every": "every {day}",
+    "repeat.ordinal.1": "1st",
+    "repeat.ordinal.2": "2nd",
+    "repeat.ordinal.3": "3rd",
+    "repeat.ordinal.4": "4th",
+    "repeat.ordinal.5": "5th",
+    "repeat.ordinal.-1": "last",
+    "repeat.ordinal.n": "{n}th",
+    "repeat.onDay": "{rule} on day {day}",
+    "repeat.onLastDay": "{rule} on the last day",
+    "repeat.until": "{rule}, until {date}",
+    "repeat.times": { one: "{rule}, once", other: "{rule}, {count} times" },
+
+    // Month / week layout (EventsCalendar.jsx)
+    "cal.previous": "Previous",
+    "cal.next": "Next",
+    "cal.today": "Today",
+    "cal.undated": {
+      one: "{count} event has no date yet and isn't shown",
+      other: "{count} events have no date yet and aren't shown",
+    },
+    "cal.more": "+{count} more",
+
+    /* ---------- on-demand catalog ---------- */
+    "courses.title": "On Demand Courses",
+    "courses.intro": "Access our library of on-demand continuing education courses. Learn on your schedule, at your pace.",
+    "courses.searchPlaceholder": "Search on-demand courses…",
+    "courses.noneMatch": "No courses match your filters.",
+    "courses.noneYet": "No on-demand courses available yet.",
+    "courses.filters": "Course filters",
+    "courses.count": { one: "course", other: "courses" },
+    "courses.noun": "courses",
+    "courses.leaving": "Leaving MB2 Shield",
+    "courses.leavingTitle": "You're leaving MB2 Shield",
+    "courses.leavingText": "You are about to leave the MB2 Shield platform to go to a course on an external platform. Course completion and certificates will not be recorded within MB2 Shield.",
+    "courses.leavingConfirm": "I understand — Go to course",
+    "courses.anytime": "Available anytime",
+    "courses.credits": { one: "CE Credit", other: "CE Credits" },
+    "courses.creditsAria": { one: "{count} CE credit", other: "{count} CE credits" },
+    "courses.linkNotSet": "Course link not set",
+    "courses.open": "Open course: {title}",
+
+    /* ---------- /all page ---------- */
+    "unified.title": "On-demand Courses, Live Events, Webinars and State Requirements",
+    "unified.tabs": "Catalog type",
+    "unified.events": "Live Events & Webinars",
+    "unified.eventsSub": "Scheduled sessions · register to attend",
+    "unified.courses": "On Demand Courses",
+    "unified.coursesSub": "Learn anytime · self-paced",
+    "unified.requirements": "CE Requirements",
+    "unified.requirementsSub": "State by state required courses for credentialing",
+    "unified.back": "↑ Back to search & filters",
+    "unified.myList": "My list",
+    "unified.myListSub": "Saved events & courses · print or export",
+
+    "myList.save": "Save {title} to My list",
+    "myList.unsave": "Remove {title} from My list",
+    "myList.chip": "My list",
+    "myList.chipTitle": "Show only what you've saved",
+    "myList.open": "Print or export →",
+    "myList.noneHere": "Nothing saved here yet — tap ♥ on a card to keep it in My list.",
+    "myList.title": "My list",
+    "myList.intro": "Events and courses you've saved in this browser. Print the list, or add the live events to your calendar in one go.",
+    "myList.empty": "Nothing saved yet — tap ♥ on any event or course to keep it here.",
+    "myList.events": "Live events & webinars",
+    "myList.courses": "On-demand courses",
+    "myList.print": "Print list",
+    "myList.ics": "Add events to calendar (.ics)",
+    "myList.back": "← Back to the catalog",
+    "myList.calendarName": "My list — {name}",
+    "myList.printedOn": "Printed {date}",
+
+    /* ---------- printable flyer (Flyer.jsx) ---------- */
+    "flyer.link": "Print / PDF",
+    "flyer.linkTitle": "These results as a printable flyer with QR codes",
+    "flyer.back": "← Back to the catalog",
+    "flyer.print": "Print",
+    "flyer.pdf": "Download PDF",
+    "flyer.pdfBusy": "Preparing PDF…",
+    "flyer.pdfFailed": "The PDF couldn't be created. Use Print and choose “Save as PDF” instead.",
+    "flyer.truncated": "Showing the first {shown} of {total}. Narrow the filters to fit the rest.",
+    "flyer.empty": "Nothing matches these filters.",
+    "flyer.scanEvents": "Scan a code with your phone's camera to register",
+    "flyer.scanPast": "Scan a code with your phone's camera to open the event",
+    "flyer.scanCourses": "Scan a code with your phone's camera to open the course",
+    "flyer.qrAlt": "QR code for {title}",
+
+    /* ---------- recommendations (Recommendations.jsx) ---------- */
+    "recs.moreFrom": "More from {vendor}",
+    "recs.alsoLike": "You might also like",
+    "recs.live": "Live",
+    "recs.onDemand": "On demand",
+    "recs.becauseOpened": "Because you opened “{title}”",
+
+    /* ---------- vendor submission form ---------- */
+    "submit.invalidTitle": "This link isn't valid",
+    "submit.invalidText": "This submission link doesn't match an active catalog. Please double-check the link you were given, or contact the team that sent it to you for an updated one.",
+    "submit.thanksTitle": "Thank you!",
+    "submit.thanksEvent": "Your event has been submitted to the MB2 Shield education team. We'll review it and reach out to {email} if we have any questions. Once approved, it will appear on the catalog.",
+    "submit.thanksCourse": "Your course has been submitted to the MB2 Shield education team. We'll review it and reach out to {email} if we have any questions. Once approved, it will appear on the catalog.",
+    "submit.another": "Submit another",
+    "submit.logoAlt": "{name} logo",
+    "submit.brandTag": "{name} · MB2 Shield Education",
+    "submit.title": "Submit a CE Event or Course",
+    "submit.intro": "Partner with {name} to feature your live CE event or on-demand course on the MB2 Shield catalog. Fill out the details below — our education team reviews every submission before it's published.",
+    "submit.whatSection": "What are you submitting?",
+    "submit.kind": "Submission type",
+    "submit.kindEvent": "Live event",
+    "submit.kindEventSub": "Webinar, in-person, or hybrid on a specific date",
+    "submit.kindCourse": "On-demand course",
+    "submit.kindCourseSub": "Recorded content available anytime",
+    "submit.yourInfo": "Your information",
+    "submit.vendor": "Company / vendor name *",
+    "submit.firstName": "First name *",
+    "submit.lastName": "Last name *",
+    "submit.email": "Email *",
+    "submit.emailPlaceholder": "you@company.com",
+    "submit.phone": "Phone",
+    "submit.eventDetails": "Event details",
+    "submit.courseDetails": "Course details",
+    "submit.eventTitle": "Event title *",
+    "submit.courseTitle": "Course title *",
+    "submit.description": "Description *",
+    "submit.descriptionPlaceholder": "What will attendees learn? 2–4 sentences works best.",
+    "submit.speaker": "Speaker / presenter & credentials",
+    "submit.speakerPlaceholder": "e.g. Jane Smith, DDS",
+    "submit.ce": "CE credits",
+    "submit.cePlaceholder": "Leave blank if no CE",
+    "submit.openToEvent": "This event is open to *",
+    "submit.openToCourse": "This course is open to *",
+    "submit.eventDate": "Event date *",
+    "submit.startTime": "Start time",
+    "submit.endTime": "End time",
+    "submit.timezone": "Time zone",
+    "submit.format": "Format",
+    "submit.endDate": "End date",
+    "submit.multiDay": "(multi-day events)",
+    "submit.location": "Location",
+    "submit.locationHint": "(venue, city, state)",
+    "submit.locationPlaceholder": "e.g. Omni Hotel, Dallas, TX",
+    "submit.regLink": "Registration link *",
+    "submit.regLinkOther": "Registration link",
+    "submit.ifDifferent": "(if different)",
+    "submit.regEmail": "…or registration email",
+    "submit.seats": "Seats available",
+    "submit.seatsPlaceholder": "e.g. 100",
+    "submit.optional": "(optional)",
+    "submit.dateN": "Date {n}",
+    "submit.date": "Date *",
+    "submit.remove": "Remove",
+    "submit.addDate": "+ Add another date",
+    "submit.cost": "Cost to attendees",
+    "submit.costPlaceholder": "e.g. FREE or $99",
+    "submit.discountCode": "Discount code",
+    "submit.discountPlaceholder": "e.g. MB2SAVE20",
+    "submit.discountWhat": "What does the discount give?",
+    "submit.discountWhatPlaceholder": "e.g. 20% off registration for MB2 offices",
+    "submit.idealDate": "Ideal post date",
+    "submit.courseLink": "Course / registration link *",
+    "submit.highlights": "Important highlights or promo codes",
+    "submit.highlightsPlaceholder": "Anything the MB2 team should know or feature.",
+    "submit.whoFor": "Who is this for?",
+    "submit.eventCategory": "Event category (pick one)",
+    "submit.courseCategories": "Course categories",
+    "submit.files": "Files",
+    "submit.eventFlyer": "Event flyer (PDF) *",
+    "submit.courseFlyer": "Course flyer (PDF) *",
+    "submit.logo": "High-resolution company logo",
+    "submit.thumb": "Catalog thumbnail image",
+    "submit.thumbHint": "(780 × 340 recommended)",
+    "submit.submitting": "Submitting…",
+    "submit.submitEvent": "Submit event for review",
+    "submit.submitCourse": "Submit course for review",
+    "submit.finePrint": "Submissions are reviewed by the MB2 Shield education team before appearing on the catalog.",
+
+    "submit.err.vendor": "Please enter your company name.",
+    "submit.err.name": "Please enter your first and last name.",
+    "submit.err.email": "Please enter a valid email address.",
+    "submit.err.eventTitle": "Please enter the event title.",
+    "submit.err.courseTitle": "Please enter the course title.",
+    "submit.err.description": "Please enter a description.",
+    "submit.err.eventDate": "Please enter the event date.",
+    "submit.err.registration": "Please provide a registration link (starting with https://) or a registration email.",
+    "submit.err.regLink": "Please enter the full registration link, starting with https://",
+    "submit.err.extraDate": "Please enter date {n}, or remove it.",
+    "submit.err.extraLink": "Please enter the full registration link for date {n}, starting with https://",
+    "submit.err.extraTimes": "The end time for date {n} is before its start time.",
+    "submit.err.courseLink": "Please enter the full course link, starting with https://",
+    "submit.err.flyer": "Please attach your flyer (PDF).",
+    "submit.err.upload": "{file} upload failed: {message}",
+    "submit.err.failed": "Submission failed — please try again.",
+    "submit.err.generic": "Something went wrong — please try again.",
+    "submit.file.flyer": "Flyer",
+    "submit.file.logo": "Logo",
+    "submit.file.thumb": "Thumbnail",
+
+    "tz.America/New_York": "Eastern (ET)",
+    "tz.America/Chicago": "Central (CT)",
+    "tz.America/Denver": "Mountain (MT)",
+    "tz.America/Phoenix": "Arizona (no DST)",
+    "tz.America/Los_Angeles": "Pacific (PT)",
+    "tz.America/Anchorage": "Alaska (AKT)",
+    "tz.Pacific/Honolulu": "Hawaii (HT)",
+  },
+};
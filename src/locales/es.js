@@ -0,0 +1,437 @@
+/* Spanish (US). Same keys as en.js; anything missing here shows in
+   English. Stored values get their Spanish labels from the `format.*`,
+   `role.*` and `openTo.*` keys at the bottom. */
+export default {
+  code: "es",
+  name: "Español",
+  dateLocale: "es-US",
+  messages: {
+    /* ---------- shared ---------- */
+    "common.loading": "Cargando…",
+    "common.error": "Error:",
+    "common.dataNotLoading": "No se pudieron cargar los datos",
+    "common.savedResults": "No podemos conectar con el catálogo en este momento: se muestran resultados guardados del {time}.",
+    "common.close": "Cerrar",
+    "common.cancel": "Cancelar",
+    "common.search": "Buscar…",
+    "common.exclusive": "Exclusivo",
+    "common.ce": "{ce} CE",
+    "common.and": "y",
+
+    "label.register_label": "Inscribirse",
+    "label.watch_label": "Ver",
+    "label.course_label": "Ir al curso",
+
+    "loadMore.more": "Mostrar más {noun}",
+    "loadMore.showing": "Mostrando {shown} de {total}",
+    "loadMore.results": "resultados",
+
+    /* ---------- filter bars ---------- */
+    "filters.format": "Formato",
+    "filters.role": "Función",
+    "filters.category": "Categoría",
+    "filters.vendor": "Proveedor",
+    "filters.client": "Cliente",
+    "filters.ceHours": "Horas de CE",
+    "filters.searchIn": "Buscar {label}…",
+    "filters.noMatches": "Sin resultados",
+    "filters.clearOne": "Quitar {label}",
+    "filters.clearAll": "Quitar todo",
+    "filters.resetAll": "Quitar todos los filtros",
+    "filters.sortBy": "Ordenar por",
+    "filters.exclusive": "Exclusivo de {name}",
+    "filters.exclusiveEvents": "Mostrar solo los eventos exclusivos de {name}",
+    "filters.exclusiveCourses": "Mostrar solo los cursos exclusivos de {name}",
+    "filters.yourOrganization": "su organización",
+
+    "sort.relevance": "Más relevantes",
+    "sort.date": "Fecha",
+    "sort.distance": "Distancia",
+    "sort.name": "Nombre (A → Z)",
+    "sort.ce_desc": "Horas de CE (de más a menos)",
+    "sort.ce_asc": "Horas de CE (de menos a más)",
+    "sort.newest": "Más recientes primero",
+    "sort.oldest": "Más antiguos primero",
+
+    "layout.label": "Vista",
+    "layout.grid": "Cuadrícula",
+    "layout.month": "Mes",
+    "layout.week": "Semana",
+
+    "date.label": "Fecha",
+    "date.today": "Hoy",
+    "date.week": "Esta semana",
+    "date.next30": "Próximos 30 días",
+    "date.month": "Mes",
+    "date.chooseMonth": "Elija un mes…",
+    "date.noMonths": "No hay eventos programados",
+    "date.customRange": "Fechas personalizadas",
+    "date.from": "Desde",
+    "date.to": "Hasta",
+    "date.fromDay": "Desde el {day}",
+    "date.untilDay": "Hasta el {day}",
+    "date.apply": "Aplicar fechas",
+    "date.any": "Cualquier fecha",
+
+    "near.label": "Distancia",
+    "near.within": "A {radius} mi de {zip}",
+    "near.unavailable": "La búsqueda por distancia no está disponible en este momento.",
+    "near.unknownZip": "No encontramos el código postal {zip}.",
+    "near.heading": "Eventos presenciales cerca de",
+    "near.zip": "Código postal",
+    "near.radius": "Radio",
+    "near.miles": "{miles} mi",
+    "near.apply": "Mostrar cercanos",
+    "near.any": "Cualquier distancia",
+    "near.underOne": "a menos de 1 mi",
+    "near.away": "a ~{miles} mi",
+
+    /* ---------- live events catalog ---------- */
+    "events.notFound": "Catálogo no encontrado",
+    "events.noCatalog": "No existe ningún catálogo en \"{slug}\".",
+    "events.titleUpcoming": "Próximos eventos",
+    "events.titlePast": "Eventos pasados",
+    "events.titleExclusiveUpcoming": "Próximos eventos exclusivos de {name}",
+    "events.titleExclusivePast": "Eventos exclusivos de {name} pasados",
+    "events.intro": "Explore los próximos eventos, inscríbase al instante y filtre por categoría, proveedor, horas de CE, formato o función.",
+    "events.introExclusive": "Explore los próximos eventos exclusivos de {name}, inscríbase al instante y filtre por categoría, proveedor, horas de CE, formato o función.",
+    "events.introPartners": "Próximos eventos de todos nuestros socios. Regístrese al instante y filtre por cliente, categoría, proveedor, horas de CE, formato o función.",
+    "events.introPast": "Repase los eventos que ya se realizaron, vea las grabaciones disponibles y filtre por categoría, proveedor, horas de CE, formato o función.",
+    "events.searchPlaceholder": "Buscar eventos, proveedores, categorías…",
+    "events.noneUpcoming": "Ningún evento próximo coincide con sus filtros.",
+    "events.nonePast": "Ningún evento pasado coincide con sus filtros.",
+    "events.filters": "Filtros de eventos",
+    "events.view": "Eventos próximos o pasados",
+    "events.upcoming": "Próximos",
+    "events.past": "Pasados",
+    "events.count": { one: "evento", other: "eventos" },
+    "events.noun": "eventos",
+    "events.untitled": "Evento sin título",
+
+    "eventPage.backUpcoming": "← Todos los próximos eventos",
+    "eventPage.backPast": "← Todos los eventos pasados",
+    "eventPage.backUpcomingNamed": "← Todos los próximos eventos de {name}",
+    "eventPage.backPastNamed": "← Todos los eventos pasados de {name}",
+    "eventPage.notLoading": "No se pudo cargar el evento",
+    "eventPage.unavailable": "Este evento no está disponible. Es posible que se haya eliminado o retirado.",
+    "eventPage.loadFailed": "No se pudo cargar el evento.",
+
+    "card.thumbnail": "Imagen de {title}",
+    "card.happeningToday": "Es hoy",
+    "card.today": "Hoy",
+    "card.soon": { one: "Mañana", other: "En {count} días" },
+    "card.liveNow": "En vivo",
+    "card.startsIn": "Empieza en {count} min",
+    "card.endedToday": "Terminó",
+    "card.join": "Entrar ahora",
+    "card.vendorLogo": "Logotipo del proveedor",
+    "card.fromClients": "De {names}",
+    "card.alsoOn": "También el",
+    "card.idealFor": "Este evento es ideal para",
+    "card.date": "Fecha",
+    "card.location": "Lugar",
+    "card.recording": "Grabación disponible",
+    "card.ended": "Este evento ya terminó",
+    "card.seats": { one: "{count} lugar", other: "{count} lugares" },
+    "card.promo": "Promoción",
+
+    "emailReg.button": "Inscribirse por correo",
+    "emailReg.buttonTitle": "Escribir a {email}",
+    "emailReg.title": "Inscripción por correo electrónico",
+    "emailReg.text": "Envíe su solicitud de inscripción a:",
+    "emailReg.copy": "Copiar la dirección",
+    "emailReg.copied": "✓ ¡Copiada!",
+    "emailReg.open": "Abrir la aplicación de correo",
+
+    // "Recordarme" en una tarjeta (netlify/functions/event-reminders.js)
+    "remind.button": "Recordarme",
+    "remind.buttonTitle": "Recibir un recordatorio por correo de {title}",
+    "remind.title": "Enviarme un recordatorio",
+    "remind.text": "Le escribiremos unos días antes de este evento y otra vez una hora antes de que comience.",
+    "remind.email": "Su correo electrónico",
+    "remind.placeholder": "usted@consultorio.com",
+    "remind.submit": "Recordarme",
+    "remind.sending": "Enviando…",
+    "remind.sentTitle": "Revise su bandeja de entrada",
+    "remind.sentText": "Enviamos un enlace de confirmación a {email}. Los recordatorios comenzarán cuando haga clic en él.",
+    "remind.invalidEmail": "Ingrese un correo electrónico válido.",
+    "remind.failed": "No se pudo guardar su recordatorio; inténtelo de nuevo.",
+    "remind.privacy": "Su dirección solo se usa para los recordatorios de este evento, y cada correo incluye un enlace para darse de baja.",
+
+    // Correos de recordatorio y las páginas de sus enlaces (netlify/lib/reminders.js)
+    "reminderEmail.questions": "¿Preguntas? Escriba a",
+    "reminderEmail.tagline": "Educación dental continua",
+    "reminderEmail.when": "{date} · {time}",
+    "reminderEmail.eyebrow": "Recordatorio de evento",
+    "reminderEmail.confirmSubject": "Confirme su recordatorio para {title}",
+    "reminderEmail.confirmPreheader": "Con un clic le recordaremos {title}.",
+    "reminderEmail.confirmEyebrow": "Confirme su recordatorio",
+    "reminderEmail.confirmText": "Usted pidió un recordatorio de este evento:",
+    "reminderEmail.confirmButton": "Confirmar recordatorio",
+    "reminderEmail.notYou": "¿No lo pidió usted?",
+    "reminderEmail.notYouText": "Ignore este correo: no se enviará nada más a menos que se confirme el recordatorio.",
+    "reminderEmail.schedule": {
+      one: "Le escribiremos el día anterior y otra vez una hora antes de que comience.",
+      other: "Le escribiremos {count} días antes y otra vez una hora antes de que comience.",
+    },
+    "reminderEmail.scheduleHour": "Le escribiremos una hora antes de que comience.",
+    "reminderEmail.scheduleDay": {
+      one: "Le escribiremos el día anterior y otra vez el mismo día.",
+      other: "Le escribiremos {count} días antes y otra vez el mismo día.",
+    },
+    "reminderEmail.scheduleOnDay": "Le escribiremos el mismo día.",
+    "reminderEmail.inAnHour": "Comienza en una hora",
+    "reminderEmail.subject": "{eyebrow}: {title}",
+    "reminderEmail.view": "Ver el evento",
+    "reminderEmail.why": "Recibe este correo porque pidió un recordatorio de este evento.",
+    "reminderEmail.unsubscribe": "Darse de baja",
+    "reminderEmail.confirmAskTitle": "Confirme su recordatorio",
+    "reminderEmail.unsubscribeAskTitle": "¿Darse de baja de los recordatorios?",
+    "reminderEmail.unsubscribeAskText": "No recibirá más recordatorios de este evento.",
+    "reminderEmail.confirmedTitle": "Recordatorio confirmado",
+    "reminderEmail.unsubscribedTitle": "Se ha dado de baja",
+    "reminderEmail.unsubscribedText": "No recibirá más recordatorios de este evento.",
+    "reminderEmail.invalidTitle": "Este enlace ha caducado",
+    "reminderEmail.invalidText": "Es posible que el evento ya haya comenzado o que ya no esté publicado.",
+    "reminderEmail.errorTitle": "Algo salió mal",
+    "reminderEmail.errorText": "Vuelva a intentar el enlace en unos minutos.",
+
+    "calendar.add": "Agregar al calendario",
+    "calendar.addTitle": "Agregar {title} al calendario",
+    "calendar.icsFile": "archivo .ics",
+    "calendar.session": "Sesión {n}",
+    "calendar.anotherSession": "otra sesión",
+    "calendar.presentedBy": "Presentado por {vendor}",
+    "calendar.register": "Inscripción: {url}",
+    "calendar.registerByEmail": "Inscripción por correo: {email}",
+    "calendar.promoCode": "Código de promoción: {code}",
+
+    "repeat.weekly": "Semanal",
+    "repeat.monthly": "Mensual",
+    "repeat.everyWeeks": "Cada {count} semanas",
+    "repeat.everyMonths": "Cada {count} meses",
+    "repeat.onDays": "{rule}: {days}",
+    "repeat.nth": "el {ordinal} {day}",
+    "repeat.every": "cada {day}",
+    "repeat.ordinal.1": "primer",
+    "repeat.ordinal.2": "segundo",
+    "repeat.ordinal.3": "tercer",
+    "repeat.ordinal.4": "cuarto",
+    "repeat.ordinal.5": "quinto",
+    "repeat.ordinal.-1": "último",
+    "repeat.ordinal.n": "{n}.º",
+    "repeat.onDay": "{rule}: el día {day}",
+    "repeat.onLastDay": "{rule}: el último día del mes",
+    "repeat.until": "{rule}, hasta el {date}",
+    "repeat.times": { one: "{rule}, una vez", other: "{rule}, {count} veces" },
+
+    "cal.previous": "Anterior",
+    "cal.next": "Siguiente",
+    "cal.today": "Hoy",
+    "cal.undated": {
+      one: "{count} evento aún no tiene fecha y no se muestra",
+      other: "{count} eventos aún no tienen fecha y no se muestran",
+    },
+    "cal.more": "+{count} más",
+
+    /* ---------- on-demand catalog ---------- */
+    "courses.title": "Cursos a pedido",
+    "courses.intro": "Acceda a nuestra biblioteca de cursos de educación continua a pedido. Aprenda cuando quiera y a su propio ritmo.",
+    "courses.searchPlaceholder": "Buscar cursos a pedido…",
+    "courses.noneMatch": "Ningún curso coincide con sus filtros.",
+    "courses.noneYet": "Todavía no hay cursos a pedido disponibles.",
+    "courses.filters": "Filtros de cursos",
+    "courses.count": { one: "curso", other: "cursos" },
+    "courses.noun": "cursos",
+    "courses.leaving": "Salir de MB2 Shield",
+    "courses.leavingTitle": "Está saliendo de MB2 Shield",
+    "courses.leavingText": "Está a punto de salir de la plataforma MB2 Shield para ir a un curso en una plataforma externa. La finalización del curso y los certificados no quedarán registrados en MB2 Shield.",
+    "courses.leavingConfirm": "Entendido — Ir al curso",
+    "courses.anytime": "Disponible en cualquier momento",
+    "courses.credits": { one: "crédito de CE", other: "créditos de CE" },
+    "courses.creditsAria": { one: "{count} crédito de CE", other: "{count} créditos de CE" },
+    "courses.linkNotSet": "El curso aún no tiene enlace",
+    "courses.open": "Abrir el curso: {title}",
+
+    /* ---------- /all page ---------- */
+    "unified.title": "Cursos a pedido, eventos en vivo, seminarios web y requisitos estatales",
+    "unified.tabs": "Tipo de catálogo",
+    "unified.events": "Eventos en vivo y seminarios web",
+    "unified.eventsSub": "Sesiones programadas · inscríbase para asistir",
+    "unified.courses": "Cursos a pedido",
+    "unified.coursesSub": "Aprenda cuando quiera · a su ritmo",
+    "unified.requirements": "Requisitos de CE",
+    "unified.requirementsSub": "Cursos obligatorios por estado para la acreditación",
+    "unified.back": "↑ Volver a la búsqueda y los filtros",
+    "unified.myList": "Mi lista",
+    "unified.myListSub": "Eventos y cursos guardados · imprimir o exportar",
+
+    "myList.save": "Guardar {title} en Mi lista",
+    "myList.unsave": "Quitar {title} de Mi lista",
+    "myList.chip": "Mi lista",
+    "myList.chipTitle": "Mostrar solo lo que ha guardado",
+    "myList.open": "Imprimir o exportar →",
+    "myList.noneHere": "Aún no ha guardado nada aquí: toque ♥ en una tarjeta para añadirla a Mi lista.",
+    "myList.title": "Mi lista",
+    "myList.intro": "Los eventos y cursos que guardó en este navegador. Imprima la lista o agregue todos los eventos en vivo a su calendario de una vez.",
+    "myList.empty": "Aún no ha guardado nada: toque ♥ en cualquier evento o curso para tenerlo aquí.",
+    "myList.events": "Eventos en vivo y seminarios web",
+    "myList.courses": "Cursos a pedido",
+    "myList.print": "Imprimir lista",
+    "myList.ics": "Agregar eventos al calendario (.ics)",
+    "myList.back": "← Volver al catálogo",
+    "myList.calendarName": "Mi lista — {name}",
+    "myList.printedOn": "Impreso el {date}",
+
+    /* ---------- printable flyer (Flyer.jsx) ---------- */
+    "flyer.link": "Imprimir / PDF",
+    "flyer.linkTitle": "Estos resultados como folleto imprimible con códigos QR",
+    "flyer.back": "← Volver al catálogo",
+    "flyer.print": "Imprimir",
+    "flyer.pdf": "Descargar PDF",
+    "flyer.pdfBusy": "Preparando el PDF…",
+    "flyer.pdfFailed": "No se pudo crear el PDF. Use Imprimir y elija “Guardar como PDF”.",
+    "flyer.truncated": "Se muestran los primeros {shown} de {total}. Reduzca los filtros para incluir el resto.",
+    "flyer.empty": "Nada coincide con estos filtros.",
+    "flyer.scanEvents": "Escanee un código con la cámara de su teléfono para inscribirse",
+    "flyer.scanPast": "Escanee un código con la cámara de su teléfono para abrir el evento",
+    "flyer.scanCourses": "Escanee un código con la cámara de su teléfono para abrir el curso",
+    "flyer.qrAlt": "Código QR de {title}",
+
+    /* ---------- recommendations (Recommendations.jsx) ---------- */
+    "recs.moreFrom": "Más de {vendor}",
+    "recs.alsoLike": "También le puede interesar",
+    "recs.live": "En vivo",
+    "recs.onDemand": "A pedido",
+    "recs.becauseOpened": "Porque abrió “{title}”",
+
+    /* ---------- vendor submission form ---------- */
+    "submit.invalidTitle": "Este enlace no es válido",
+    "submit.invalidText": "Este enlace de envío no corresponde a ningún catálogo activo. Revise el enlace que recibió o comuníquese con el equipo que se lo envió para obtener uno nuevo.",
+    "submit.thanksTitle": "¡Gracias!",
+    "submit.thanksEvent": "Su evento se envió al equipo de educación de MB2 Shield. Lo revisaremos y escribiremos a {email} si tenemos alguna pregunta. Una vez aprobado, aparecerá en el catálogo.",
+    "submit.thanksCourse": "Su curso se envió al equipo de educación de MB2 Shield. Lo revisaremos y escribiremos a {email} si tenemos alguna pregunta. Una vez aprobado, aparecerá en el catálogo.",
+    "submit.another": "Enviar otro",
+    "submit.logoAlt": "Logotipo de {name}",
+    "submit.brandTag": "{name} · Educación MB2 Shield",
+    "submit.title": "Envíe un evento o curso de CE",
+    "submit.intro": "Colabore con {name} para presentar su evento de CE en vivo o su curso a pedido en el catálogo de MB2 Shield. Complete los datos a continuación: nuestro equipo de educación revisa cada envío antes de publicarlo.",
+    "submit.whatSection": "¿Qué desea enviar?",
+    "submit.kind": "Tipo de envío",
+    "submit.kindEvent": "Evento en vivo",
+    "submit.kindEventSub": "Seminario web, presencial o híbrido en una fecha determinada",
+    "submit.kindCourse": "Curso a pedido",
+    "submit.kindCourseSub": "Contenido grabado disponible en cualquier momento",
+    "submit.yourInfo": "Sus datos",
+    "submit.vendor": "Nombre de la empresa o proveedor *",
+    "submit.firstName": "Nombre *",
+    "submit.lastName": "Apellido *",
+    "submit.email": "Correo electrónico *",
+    "submit.emailPlaceholder": "usted@empresa.com",
+    "submit.phone": "Teléfono",
+    "submit.eventDetails": "Detalles del evento",
+    "submit.courseDetails": "Detalles del curso",
+    "submit.eventTitle": "Título del evento *",
+    "submit.courseTitle": "Título del curso *",
+    "submit.description": "Descripción *",
+    "submit.descriptionPlaceholder": "¿Qué aprenderán los asistentes? Lo ideal son 2 a 4 oraciones.",
+    "submit.speaker": "Presentador y credenciales",
+    "submit.speakerPlaceholder": "p. ej., Jane Smith, DDS",
+    "submit.ce": "Créditos de CE",
+    "submit.cePlaceholder": "Déjelo en blanco si no otorga CE",
+    "submit.openToEvent": "Este evento está abierto a *",
+    "submit.openToCourse": "Este curso está abierto a *",
+    "submit.eventDate": "Fecha del evento *",
+    "submit.startTime": "Hora de inicio",
+    "submit.endTime": "Hora de finalización",
+    "submit.timezone": "Zona horaria",
+    "submit.format": "Formato",
+    "submit.endDate": "Fecha de finalización",
+    "submit.multiDay": "(eventos de varios días)",
+    "submit.location": "Lugar",
+    "submit.locationHint": "(sede, ciudad, estado)",
+    "submit.locationPlaceholder": "p. ej., Omni Hotel, Dallas, TX",
+    "submit.regLink": "Enlace de inscripción *",
+    "submit.regLinkOther": "Enlace de inscripción",
+    "submit.ifDifferent": "(si es otro)",
+    "submit.regEmail": "…o correo de inscripción",
+    "submit.seats": "Lugares disponibles",
+    "submit.seatsPlaceholder": "p. ej., 100",
+    "submit.optional": "(opcional)",
+    "submit.dateN": "Fecha {n}",
+    "submit.date": "Fecha *",
+    "submit.remove": "Quitar",
+    "submit.addDate": "+ Agregar otra fecha",
+    "submit.cost": "Costo para los asistentes",
+    "submit.costPlaceholder": "p. ej., FREE o $99",
+    "submit.discountCode": "Código de descuento",
+    "submit.discountPlaceholder": "p. ej., MB2SAVE20",
+    "submit.discountWhat": "¿Qué ofrece el descuento?",
+    "submit.discountWhatPlaceholder": "p. ej., 20 % de descuento en la inscripción para consultorios de MB2",
+    "submit.idealDate": "Fecha ideal de publicación",
+    "submit.courseLink": "Enlace del curso o de inscripción *",
+    "submit.highlights": "Puntos destacados o códigos de promoción",
+    "submit.highlightsPlaceholder": "Todo lo que el equipo de MB2 deba saber o destacar.",
+    "submit.whoFor": "¿A quién está dirigido?",
+    "submit.eventCategory": "Categoría del evento (elija una)",
+    "submit.courseCategories": "Categorías del curso",
+    "submit.files": "Archivos",
+    "submit.eventFlyer": "Folleto del evento (PDF) *",
+    "submit.courseFlyer": "Folleto del curso (PDF) *",
+    "submit.logo": "Logotipo de la empresa en alta resolución",
+    "submit.thumb": "Imagen en miniatura para el catálogo",
+    "submit.thumbHint": "(se recomienda 780 × 340)",
+    "submit.submitting": "Enviando…",
+    "submit.submitEvent": "Enviar el evento para revisión",
+    "submit.submitCourse": "Enviar el curso para revisión",
+    "submit.finePrint": "El equipo de educación de MB2 Shield revisa los envíos antes de que aparezcan en el catálogo.",
+
+    "submit.err.vendor": "Escriba el nombre de su empresa.",
+    "submit.err.name": "Escriba su nombre y apellido.",
+    "submit.err.email": "Escriba una dirección de correo electrónico válida.",
+    "submit.err.eventTitle": "Escriba el título del evento.",
+    "submit.err.courseTitle": "Escriba el título del curso.",
+    "submit.err.description": "Escriba una descripción.",
+    "submit.err.eventDate": "Indique la fecha del evento.",
+    "submit.err.registration": "Indique un enlace de inscripción (que empiece con https://) o un correo de inscripción.",
+    "submit.err.regLink": "Escriba el enlace de inscripción completo, empezando con https://",
+    "submit.err.extraDate": "Indique la fecha {n} o quítela.",
+    "submit.err.extraLink": "Escriba el enlace de inscripción completo de la fecha {n}, empezando con https://",
+    "submit.err.extraTimes": "La hora de finalización de la fecha {n} es anterior a la de inicio.",
+    "submit.err.courseLink": "Escriba el enlace completo del curso, empezando con https://",
+    "submit.err.flyer": "Adjunte su folleto (PDF).",
+    "submit.err.upload": "No se pudo subir el archivo ({file}): {message}",
+    "submit.err.failed": "No se pudo enviar. Vuelva a intentarlo.",
+    "submit.err.generic": "Algo salió mal. Vuelva a intentarlo.",
+    "submit.file.flyer": "folleto",
+    "submit.file.logo": "logotipo",
+    "submit.file.thumb": "miniatura",
+
+    "tz.America/New_York": "Este (ET)",
+    "tz.America/Chicago": "Centro (CT)",
+    "tz.America/Denver": "Montaña (MT)",
+    "tz.America/Phoenix": "Arizona (sin horario de verano)",
+    "tz.America/Los_Angeles": "Pacífico (PT)",
+    "tz.America/Anchorage": "Alaska (AKT)",
+    "tz.Pacific/Honolulu": "Hawái (HT)",
+
+    /* ---------- stored values ---------- */
+    "format.Webinar": "Seminario web",
+    "format.In-Person": "Presencial",
+    "format.Hybrid": "Híbrido",
+    "format.Online": "En línea",
+
+    "role.Assistants": "Asistentes",
+    "role.Assistant": "Asistente",
+    "role.Hygienist": "Higienista",
+    "role.Front Office": "Recepción",
+    "role.Treatment Coordinators": "Coordinadores de tratamiento",
+    "role.Dentist": "Dentista",
+    "role.Leadership & Management": "Liderazgo y gestión",
+
+    "openTo.The public": "Público general",
+    "openTo.MB2 Only": "Solo MB2",
+    "openTo.MB2 & Carabelli Club": "MB2 y Carabelli Club",
+    "openTo.Carabelli Club Only": "Solo Carabelli Club",
+  },
+};
@@ -1,19 +1,24 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import { BrowserRouter, Routes, Route } from "react-router-dom";
-import App from "./App.jsx";
+import App, { EventPage, MyList } from "./App.jsx";
 import AdminApp from "./admin/AdminApp.jsx";
 import PortalAuth from "./admin/PortalAuth.jsx";
 import OnDemand from "./OnDemand.jsx";
 import UnifiedCatalog from "./UnifiedCatalog.jsx";
 import VendorSubmit from "./VendorSubmit.jsx";
 import { initEmbedAutoHeight } from "./embedAutoHeight.js";
+import { registerOffline } from "./lib/offline.js";
 import "./App.css";
 
 // When embedded in an iframe (TI / MB2 Shield), report our height to the
 // parent page so the iframe can auto-resize and the page scrolls as one.
 initEmbedAutoHeight();
 
+// Saved app shell + catalog results for flaky Wi-Fi, and "Install app"
+// on the standalone catalogs (public/sw.js).
+registerOffline();
+
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <BrowserRouter>
@@ -38,6 +43,10 @@ ReactDOM.createRoot(document.getElementById("root")).render(
         <Route path="/all" element={<UnifiedCatalog />} />
         <Route path="/all/:slug" element={<UnifiedCatalog />} />
 
+        {/* Partner catalog — several clients' public events in one list
+            (supabase/catalog_aggregates.sql), e.g. /partners/dso-network */}
+        <Route path="/partners/:slug" element={<App partner />} />
+
         {/* Admin dashboard (auth-gated inside AdminApp). */}
         <Route path="/" element={<AdminApp />} />
         <Route path="/admin/*" element={<AdminApp />} />
@@ -47,6 +56,20 @@ ReactDOM.createRoot(document.getElementById("root")).render(
             "/c/:slug" — legacy alias, kept so old links don't break. */}
         <Route path="/c/:slug" element={<App />} />
         <Route path="/:slug" element={<App />} />
+
+        {/* Standalone event page, e.g. /mb2/events/<id>, and the
+            visitor's saved events + courses at /mb2/my-list. Declared as
+            a splat with nested routes so /admin/* — whose editor lives
+            at /admin/events/:id — still outranks them. */}
+        <Route
+          path="/:slug/*"
+          element={
+            <Routes>
+              <Route path="events/:id" element={<EventPage />} />
+              <Route path="my-list" element={<MyList />} />
+            </Routes>
+          }
+        />
       </Routes>
     </BrowserRouter>
   </React.StrictMode>
@@ -0,0 +1,94 @@
+-- ============================================================
+-- Partner catalogs — one events catalog across several clients
+--
+-- Every public catalog belongs to one client (/:slug). A partner
+-- catalog, at /partners/:slug, lists the published events of
+-- several clients together: each card says which client it's
+-- from, and a "Client" filter narrows to some of them.
+--
+--   * Only public events — Exclusive events stay on their own
+--     client's catalog.
+--   * An event syndicated to several of the clients (same title,
+--     same start) shows once, under the first of them in
+--     client_ids, and lists the others on its card.
+--
+-- Which clients a partner catalog draws from is client_ids, in
+-- order of preference. Super admins edit them under Admin →
+-- Partner catalogs (src/admin/PartnerCatalogs.jsx).
+--
+-- catalog_search.sql has to run first (it defines
+-- catalog_events_for(), which does the work).
+--
+-- Run this in Supabase: SQL Editor → New query → paste → Run.
+-- Safe to run more than once (idempotent).
+-- ============================================================
+
+-- ---- 1. catalog_aggregates table ---------------------------
+create table if not exists public.catalog_aggregates (
+  id            uuid          primary key default gen_random_uuid(),
+  slug          text          not null unique check (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  name          text          not null,                -- page heading, e.g. "Partner Events"
+  intro         text          not null default '',     -- '' = the standard intro
+  client_ids    uuid[]        not null default '{}',   -- source clients, first = preferred copy
+  is_published  boolean       not null default true,
+  created_at    timestamptz   not null default now(),
+  updated_at    timestamptz   not null default now()
+);
+
+drop trigger if exists catalog_aggregates_set_updated_at on public.catalog_aggregates;
+create trigger catalog_aggregates_set_updated_at
+before update on public.catalog_aggregates
+for each row execute function public.tg_set_updated_at();
+
+
+-- ---- 2. Row Level Security ---------------------------------
+alter table public.catalog_aggregates enable row level security;
+
+-- Anyone can read a published one (the public page looks it up
+-- by slug); super admins see and edit them all.
+drop policy if exists "catalog_aggregates_read" on public.catalog_aggregates;
+create policy "catalog_aggregates_read"
+  on public.catalog_aggregates for select
+  to anon, authenticated
+  using (is_published or public.is_super_admin());
+
+drop policy if exists "catalog_aggregates_write_super" on public.catalog_aggregates;
+create policy "catalog_aggregates_write_super"
+  on public.catalog_aggregates for all
+  to authenticated
+  using (public.is_super_admin())
+  with check (public.is_super_admin());
+
+
+-- ---- 3. the catalog -----------------------------------------
+-- Same arguments and result as catalog_events(), with the partner
+-- catalog's slug in place of a client id. p_filters takes the
+-- same keys plus `client` (client names); Exclusive events are
+-- always left out and syndicated copies merged. null when the
+-- slug isn't a published partner catalog.
+create or replace function public.catalog_aggregate_events(
+  p_slug    text,
+  p_filters jsonb   default '{}'::jsonb,
+  p_sort    text    default 'relevance',
+  p_offset  integer default 0,
+  p_limit   integer default 24
+)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public, extensions
+as $$
+  select public.catalog_events_for(
+    a.client_ids,
+    (coalesce(p_filters, '{}'::jsonb) - 'exclusive_only')
+      || jsonb_build_object('public_only', true, 'dedupe', true),
+    p_sort, p_offset, p_limit
+  )
+  from public.catalog_aggregates a
+  where a.slug = lower(btrim(p_slug))
+    and a.is_published;
+$$;
+
+grant execute on function public.catalog_aggregate_events(text, jsonb, text, integer, integer)
+  to anon, authenticated;
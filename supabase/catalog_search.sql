@@ -0,0 +1,661 @@
+-- ============================================================
+-- Public catalogs — server-side filtering, paging and facets
+--
+-- The events and on-demand catalogs used to download every
+-- published row and filter in the browser. These functions do
+-- the filtering, search ranking and sorting in Postgres and hand
+-- back one page of rows at a time, plus per-option counts for
+-- every filter popover:
+--
+--   catalog_events(client_id, filters, sort, offset, limit)
+--   catalog_events_for(client_ids, filters, sort, offset, limit)
+--                     (several clients at once — catalog_aggregates.sql)
+--   catalog_courses(filters, sort, offset, limit)
+--
+-- Both return one JSON object:
+--   { "total": 42,
+--     "rows":  [ …one page, same columns as select * … ],
+--              (event rows also carry their `sessions` — see
+--              event_sessions.sql, which has to run first)
+--     "facets": { "category": [{ "value": "Implants", "count": 4 }, …], … } }
+--
+-- A facet counts what you'd get by ticking that option, so each
+-- one applies every OTHER filter but ignores its own — ticking
+-- a second vendor adds to the results instead of emptying them.
+--
+-- Search follows the same rules as src/lib/search.js (which the
+-- cards still use for highlighting): every term has to hit some
+-- field, as a whole word, a word start, a near miss (pg_trgm) or
+-- part of a word, and field weights decide the ranking.
+--
+-- Both functions run as the caller, so the usual RLS policies
+-- still decide what the public can see.
+--
+-- Run this in Supabase: SQL Editor → New query → paste → Run.
+-- Safe to run more than once (idempotent). No data is modified.
+-- ============================================================
+
+create extension if not exists pg_trgm with schema extensions;
+
+create index if not exists events_client_published_idx
+  on public.events(client_id, is_published);
+
+-- ---- 1. small helpers ---------------------------------------
+
+-- JSON array of strings → trimmed text[] without blanks.
+create or replace function public.catalog_json_texts(j jsonb)
+returns text[] language sql immutable as $$
+  select coalesce(array_agg(btrim(x)) filter (where btrim(x) <> ''), '{}')
+  from jsonb_array_elements_text(
+    case when jsonb_typeof(j) = 'array' then j else '[]'::jsonb end
+  ) as x;
+$$;
+
+-- CE Hours filter value: "1.5", or "10+" for anything over 10.
+create or replace function public.catalog_ce_bucket(hours numeric)
+returns text language sql immutable as $$
+  select case
+    when hours is null then null
+    when hours > 10 then '10+'
+    else trim_scale(hours)::text
+  end;
+$$;
+
+-- Great-circle distance in miles.
+create or replace function public.catalog_miles(
+  lat1 double precision, lng1 double precision,
+  lat2 double precision, lng2 double precision
+)
+returns double precision language sql immutable as $$
+  select 2 * 3958.8 * asin(least(1, sqrt(
+    sin(radians(lat2 - lat1) / 2) ^ 2 +
+    cos(radians(lat1)) * cos(radians(lat2)) * sin(radians(lng2 - lng1) / 2) ^ 2
+  )));
+$$;
+
+-- How well one search term matches one (lowercased) field, 0–1.
+create or replace function public.catalog_term_quality(term text, field text)
+returns real language sql stable
+set search_path = public, extensions
+as $$
+  select (case
+    when field is null or field = '' then 0
+    when field ~ ('\m' || term || '\M') then 1
+    when field ~ ('\m' || term) then 0.85
+    when length(term) >= 4 and word_similarity(term, field) >= 0.5 then 0.7
+    when length(term) >= 3 and strpos(field, term) > 0 then 0.5
+    else 0
+  end)::real;
+$$;
+
+-- Relevance of a record, or null if any term misses every field.
+-- A term scores its best field, plus a little for other fields it
+-- also hits; the whole query as a phrase earns a bonus.
+create or replace function public.catalog_search_score(
+  terms text[], fields text[], weights real[]
+)
+returns real language plpgsql stable
+set search_path = public, extensions
+as $$
+declare
+  clean  text[] := '{}';
+  t      text;
+  n      int := coalesce(array_length(fields, 1), 0);
+  total  real := 0;
+  best   real;
+  extra  real;
+  q      real;
+  s      real;
+  phrase text;
+begin
+  -- Terms come from parseQuery(); strip anything that isn't a
+  -- letter or digit so they're safe inside a regex.
+  foreach t in array coalesce(terms, '{}') loop
+    t := regexp_replace(lower(t), '[^[:alnum:]]+', '', 'g');
+    if t <> '' then clean := clean || t; end if;
+  end loop;
+  if cardinality(clean) = 0 then return 0; end if;
+
+  for i in 1 .. n loop
+    fields[i] := lower(coalesce(fields[i], ''));
+  end loop;
+
+  foreach t in array clean loop
+    best := 0;
+    extra := 0;
+    for i in 1 .. n loop
+      q := public.catalog_term_quality(t, fields[i]);
+      continue when q = 0;
+      s := q * weights[i];
+      if s > best then
+        extra := extra + best * 0.15;
+        best := s;
+      else
+        extra := extra + s * 0.15;
+      end if;
+    end loop;
+    if best = 0 then return null; end if;
+    total := total + best + extra;
+  end loop;
+
+  if cardinality(clean) > 1 then
+    phrase := array_to_string(clean, ' ');
+    for i in 1 .. n loop
+      if strpos(fields[i], phrase) > 0 then total := total + weights[i] * 0.5; end if;
+    end loop;
+  end if;
+  return total;
+end $$;
+
+
+-- ---- 2. live events -----------------------------------------
+-- p_filters (all optional):
+--   tz, today             viewer's IANA zone and local date — decide
+--                         what's "past" and which days online events fall on
+--   view                  "upcoming" | "past"
+--   terms                 search terms (parseQuery output)
+--   category, vendor, format, roles, ce     arrays of selected options
+--   exclusive_only        true = Exclusive events only
+--   date_start, date_end  "YYYY-MM-DD" window; an event matches if
+--                         any day of any of its sessions falls inside
+--   near                  { lat, lng, miles } — in-person / hybrid
+--                         events with coordinates within range
+--   saved                 "My list" card keys (src/lib/my-list.js):
+--                         event ids, or "<id>:<YYYY-MM-DD>" for one
+--                         date of a repeating event. When present,
+--                         only those rows match — an empty list
+--                         matches nothing.
+--   client                client names — for catalogs spanning several
+--                         clients (facet "client")
+--   public_only           true = leave Exclusive events out altogether
+--   dedupe                true = an event syndicated to several of the
+--                         clients comes back once (see `ev` below)
+-- p_sort: relevance | date | name | ce_desc | distance
+--
+-- A repeating event (event_recurrence.sql, which has to run first)
+-- comes back once per date, with its dates and sessions moved to
+-- that day and `occurrence_date` set. Dates are expanded across the
+-- date filter, or a year either side of today without one.
+--
+-- Every row also carries `client_name`, `client_slug` and
+-- `client_names` (the clients it is listed by). catalog_events()
+-- is the one-client case of catalog_events_for().
+create or replace function public.catalog_events_for(
+  p_client_ids uuid[],
+  p_filters   jsonb   default '{}'::jsonb,
+  p_sort      text    default 'relevance',
+  p_offset    integer default 0,
+  p_limit     integer default 24
+)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public, extensions
+as $$
+with params as (
+  select
+    coalesce(nullif(p_filters->>'tz', ''), 'UTC')                  as tz,
+    coalesce(nullif(p_filters->>'today', '')::date, current_date)  as today,
+    coalesce(p_filters->>'view', '') = 'past'                       as past,
+    coalesce((p_filters->>'exclusive_only')::boolean, false)        as exclusive_only,
+    coalesce((p_filters->>'public_only')::boolean, false)           as public_only,
+    coalesce((p_filters->>'dedupe')::boolean, false)                as dedupe,
+    nullif(p_filters->>'date_start', '')::date                      as date_start,
+    nullif(p_filters->>'date_end', '')::date                        as date_end,
+    (p_filters->'near'->>'lat')::double precision                   as near_lat,
+    (p_filters->'near'->>'lng')::double precision                   as near_lng,
+    coalesce((p_filters->'near'->>'miles')::double precision, 50)   as near_miles,
+    case when p_filters ? 'saved'
+         then public.catalog_json_texts(p_filters->'saved') end     as saved,
+    public.catalog_json_texts(p_filters->'terms')                   as terms,
+    public.catalog_json_texts(p_filters->'category')                as category,
+    public.catalog_json_texts(p_filters->'vendor')                  as vendor,
+    public.catalog_json_texts(p_filters->'format')                  as format,
+    public.catalog_json_texts(p_filters->'roles')                   as roles,
+    public.catalog_json_texts(p_filters->'ce')                      as ce,
+    public.catalog_json_texts(p_filters->'client')                  as client
+),
+ev_all as (
+  select
+    e.id, e.client_id, cl.name as client_name, cl.slug as client_slug,
+    o.day as occurrence_date,
+    e.id::text || coalesce('@' || o.day::text, '') as row_key,
+    e.title, e.description,
+    public.event_shift(e.event_date, e.event_timezone, o.shift)     as event_date,
+    public.event_shift(e.event_end_date, e.event_timezone, o.shift) as event_end_date,
+    e.event_timezone, e.ce_hours, e.mb2_exclusive, e.location, e.location_lat, e.location_lng,
+    to_jsonb(e) || jsonb_build_object(
+      'event_date',      public.event_shift(e.event_date, e.event_timezone, o.shift),
+      'event_end_date',  public.event_shift(e.event_end_date, e.event_timezone, o.shift),
+      'occurrence_date', o.day
+    ) as row_json,
+    ses.sessions,
+    btrim(coalesce(e.category, '')) as f_category,
+    btrim(coalesce(e.vendor, ''))   as f_vendor,
+    btrim(coalesce(e.format, ''))   as f_format,
+    array(select btrim(r) from unnest(coalesce(e.roles, '{}')) as r where btrim(r) <> '') as f_roles,
+    public.catalog_ce_bucket(e.ce_hours) as f_ce,
+    lower(btrim(coalesce(e.format, ''))) in ('in-person', 'in person', 'inperson') as in_person,
+    lower(btrim(coalesce(e.format, ''))) = 'hybrid' as hybrid,
+    v.logo_url as vendor_logo, v.default_thumb_url as vendor_thumb
+  from public.events e
+  join public.clients cl on cl.id = e.client_id
+  cross join params p
+  -- One row per date: a one-off event as it is, a repeating one
+  -- moved `shift` days from its first date.
+  cross join lateral (
+    select null::date as day, 0 as shift
+    where coalesce(e.recurrence_rule, '') = '' or e.event_date is null
+    union all
+    select x.day, x.day - f.first_day
+    from (select (e.event_date at time zone coalesce(nullif(e.event_timezone, ''), 'America/Chicago'))::date
+                 as first_day) f
+    cross join public.event_occurrence_days(
+      f.first_day, e.recurrence_rule, e.recurrence_exdates,
+      coalesce(p.date_start, p.today - 366), coalesce(p.date_end, p.today + 366)
+    ) as x(day)
+    where coalesce(e.recurrence_rule, '') <> '' and e.event_date is not null
+  ) o
+  left join lateral (
+    select vv.logo_url, vv.default_thumb_url
+    from public.vendors vv
+    where vv.client_id = e.client_id and lower(vv.name) = lower(e.vendor)
+    limit 1
+  ) v on true
+  left join lateral (
+    select jsonb_agg(
+             to_jsonb(s) || jsonb_build_object(
+               'starts_at', public.event_shift(s.starts_at, s.timezone, o.shift),
+               'ends_at',   public.event_shift(s.ends_at, s.timezone, o.shift))
+             order by s.position, s.starts_at) as sessions
+    from public.event_sessions s
+    where s.event_id = e.id
+  ) ses on true
+  where e.client_id = any(p_client_ids)
+    and e.is_published
+    and not (p.public_only and e.mb2_exclusive)
+),
+-- With `dedupe`, copies of one event syndicated to several
+-- clients — same title, same start time — collapse into the copy
+-- of the client listed first. Without it every row is its own
+-- group.
+ev as (
+  select d.*,
+    array(select c from unnest(d.group_clients) with ordinality as u(c, n)
+          group by c order by min(n)) as f_clients
+  from (
+    select a.*,
+      row_number() over grp as dup_rank,
+      array_agg(a.client_name) over (grp rows between unbounded preceding and unbounded following)
+        as group_clients
+    from ev_all a
+    cross join params p
+    window grp as (
+      partition by case when p.dedupe and a.event_date is not null
+                        then lower(btrim(a.title)) || '|' || a.event_date::text
+                        else a.row_key end
+      order by array_position(p_client_ids, a.client_id), a.id
+    )
+  ) d
+  where d.dup_rank = 1
+),
+m as (
+  select
+    ev.*,
+    d.last_day,
+    d.spans,
+    d.next_start,
+    d.last_start,
+    dist.miles as distance_mi,
+    s.score,
+    coalesce(
+      (d.last_day is not null and d.last_day < p.today) = p.past
+      and (not p.exclusive_only or ev.mb2_exclusive)
+      and (cardinality(p.terms) = 0 or s.score is not null)
+      and (p.near_lat is null or dist.miles <= p.near_miles)
+      and (p.saved is null
+           or ev.id::text || coalesce(':' || ev.occurrence_date::text, '') = any(p.saved)),
+      false) as ok_base,
+    cardinality(p.category) = 0 or ev.f_category = any(p.category) as ok_category,
+    cardinality(p.vendor) = 0 or ev.f_vendor = any(p.vendor)       as ok_vendor,
+    cardinality(p.format) = 0 or ev.f_format = any(p.format)       as ok_format,
+    cardinality(p.roles) = 0 or ev.f_roles && p.roles              as ok_roles,
+    cardinality(p.ce) = 0 or coalesce(ev.f_ce = any(p.ce), false)  as ok_ce,
+    cardinality(p.client) = 0 or ev.f_clients && p.client          as ok_client,
+    (p.date_start is null and p.date_end is null)
+      or exists (select 1 from unnest(d.spans) r
+                 where r && daterange(p.date_start, p.date_end, '[]')) as ok_dates
+  from ev
+  cross join params p
+  -- One day span per session with a start (the event's own dates
+  -- when it has none). Days are counted in the zone the card
+  -- shows: the venue's for in-person events, the viewer's for
+  -- everything else. Upcoming lists sort by the next session
+  -- still to come, the archive by the last one.
+  cross join lateral (
+    select
+      max(sp.last_day) as last_day,
+      array_agg(daterange(sp.first_day, sp.last_day, '[]')) filter (where sp.first_day is not null) as spans,
+      coalesce(min(sp.starts_at) filter (where sp.last_day >= p.today), min(sp.starts_at)) as next_start,
+      max(sp.starts_at) as last_start
+    from (
+      select
+        o.starts_at,
+        (o.starts_at at time zone z.tz)::date as first_day,
+        greatest(
+          (o.starts_at at time zone z.tz)::date,
+          (coalesce(o.ends_at, o.starts_at) at time zone z.tz)::date
+        ) as last_day
+      from (
+        select (x->>'starts_at')::timestamptz as starts_at,
+               (x->>'ends_at')::timestamptz   as ends_at,
+               x->>'timezone'                  as timezone
+        from jsonb_array_elements(coalesce(ev.sessions, '[]'::jsonb)) as x
+        where x->>'starts_at' is not null
+        union all
+        select ev.event_date, ev.event_end_date, ev.event_timezone
+        where ev.event_date is not null
+          and not exists (select 1 from jsonb_array_elements(coalesce(ev.sessions, '[]'::jsonb)) as x
+                          where x->>'starts_at' is not null)
+      ) o
+      cross join lateral (
+        select case when ev.in_person
+                    then coalesce(nullif(o.timezone, ''), nullif(ev.event_timezone, ''), 'America/Chicago')
+                    else p.tz end as tz
+      ) z
+    ) sp
+  ) d
+  cross join lateral (
+    select case
+      when p.near_lat is not null and (ev.in_person or ev.hybrid)
+           and ev.location_lat is not null and ev.location_lng is not null
+      then public.catalog_miles(p.near_lat, p.near_lng, ev.location_lat, ev.location_lng)
+    end as miles
+  ) dist
+  cross join lateral (
+    select case when cardinality(p.terms) > 0 then public.catalog_search_score(
+      p.terms,
+      array[
+        ev.title, ev.f_vendor, ev.f_category, array_to_string(ev.f_roles, ' '), ev.f_format,
+        ev.location,
+        case when ev.ce_hours is not null then trim_scale(ev.ce_hours)::text || ' ce' end,
+        to_char(ev.event_date at time zone p.tz, 'Mon FMDD, YYYY'),
+        ev.description
+      ],
+      array[10, 6, 5, 4, 3, 2, 2, 2, 1]::real[]
+    ) end as score
+  ) s
+),
+matched as (
+  select m.*,
+    row_number() over (
+      order by
+        case when p_sort = 'name' then lower(m.title) end,
+        case when p_sort = 'ce_desc' then m.ce_hours end desc nulls last,
+        -- Best match while searching; nearest first when filtering by
+        -- distance; plain date order otherwise.
+        case when p_sort = 'relevance' then m.score end desc nulls last,
+        case when p_sort in ('distance', 'relevance') then m.distance_mi end nulls last,
+        -- The archive reads newest-first.
+        case when p.past then m.last_start end desc nulls last,
+        case when not p.past then m.next_start end nulls last,
+        m.id,
+        m.occurrence_date
+    ) as ord
+  from m
+  cross join params p
+  where m.ok_base and m.ok_category and m.ok_vendor and m.ok_format
+    and m.ok_roles and m.ok_ce and m.ok_dates and m.ok_client
+)
+select jsonb_build_object(
+  'total', (select count(*) from matched),
+  'rows', coalesce((
+    select jsonb_agg(
+      x.row_json || jsonb_build_object(
+        'thumb_url',       coalesce(nullif(btrim(x.row_json->>'thumb_url'), ''), x.vendor_thumb, ''),
+        'vendor_logo_url', coalesce(nullif(btrim(x.row_json->>'vendor_logo_url'), ''), x.vendor_logo, ''),
+        'distance_mi',     x.distance_mi,
+        'sessions',        coalesce(x.sessions, '[]'::jsonb),
+        'client_name',     x.client_name,
+        'client_slug',     x.client_slug,
+        'client_names',    to_jsonb(x.f_clients)
+      )
+      order by x.ord)
+    from matched x
+    where x.ord > greatest(p_offset, 0)
+      and x.ord <= greatest(p_offset, 0) + least(greatest(p_limit, 1), 500)
+  ), '[]'::jsonb),
+  'facets', jsonb_build_object(
+    'category', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', v, 'count', n) order by v), '[]'::jsonb)
+      from (select f_category as v, count(*) as n from m
+            where ok_base and ok_vendor and ok_format and ok_roles and ok_ce and ok_dates and ok_client
+              and f_category <> ''
+            group by 1) f),
+    'vendor', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', v, 'count', n) order by v), '[]'::jsonb)
+      from (select f_vendor as v, count(*) as n from m
+            where ok_base and ok_category and ok_format and ok_roles and ok_ce and ok_dates and ok_client
+              and f_vendor <> ''
+            group by 1) f),
+    'format', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', v, 'count', n) order by v), '[]'::jsonb)
+      from (select f_format as v, count(*) as n from m
+            where ok_base and ok_category and ok_vendor and ok_roles and ok_ce and ok_dates and ok_client
+              and f_format <> ''
+            group by 1) f),
+    'roles', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', v, 'count', n) order by v), '[]'::jsonb)
+      from (select r as v, count(*) as n from m, unnest(m.f_roles) as r
+            where ok_base and ok_category and ok_vendor and ok_format and ok_ce and ok_dates and ok_client
+            group by 1) f),
+    'ce', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', v, 'count', n) order by v), '[]'::jsonb)
+      from (select f_ce as v, count(*) as n from m
+            where ok_base and ok_category and ok_vendor and ok_format and ok_roles and ok_dates and ok_client
+              and f_ce is not null
+            group by 1) f),
+    'client', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', v, 'count', n) order by v), '[]'::jsonb)
+      from (select c as v, count(*) as n from m, unnest(m.f_clients) as c
+            where ok_base and ok_category and ok_vendor and ok_format and ok_roles and ok_ce and ok_dates
+            group by 1) f),
+    -- Month picker: every month a matching event has a session in.
+    'months', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', v, 'count', n) order by v), '[]'::jsonb)
+      from (select to_char(g, 'YYYY-MM') as v, count(distinct m.row_key) as n
+            from m,
+            unnest(m.spans) as r,
+            generate_series(
+              date_trunc('month', lower(r)::timestamp),
+              date_trunc('month', least(upper(r) - 1, lower(r) + 730)::timestamp),
+              interval '1 month'
+            ) as g
+            where ok_base and ok_category and ok_vendor and ok_format and ok_roles and ok_ce and ok_client
+            group by 1) f)
+  )
+);
+$$;
+
+grant execute on function public.catalog_events_for(uuid[], jsonb, text, integer, integer)
+  to anon, authenticated;
+
+create or replace function public.catalog_events(
+  p_client_id uuid,
+  p_filters   jsonb   default '{}'::jsonb,
+  p_sort      text    default 'relevance',
+  p_offset    integer default 0,
+  p_limit     integer default 24
+)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public, extensions
+as $$
+  select public.catalog_events_for(array[p_client_id], p_filters, p_sort, p_offset, p_limit);
+$$;
+
+grant execute on function public.catalog_events(uuid, jsonb, text, integer, integer)
+  to anon, authenticated;
+
+
+-- ---- 3. on-demand courses -----------------------------------
+-- p_filters (all optional):
+--   today                 viewer's local date — "featured until" check
+--   terms                 search terms (parseQuery output)
+--   type, category, vendor, roles, ce       arrays of selected options
+--   exclusive_only        true = Exclusive courses only
+--   saved                 "My list" course ids; when present, only
+--                         those courses match
+-- p_sort: relevance | newest | oldest | name | ce_desc | ce_asc
+-- Currently-featured courses always come first.
+create or replace function public.catalog_courses(
+  p_filters jsonb   default '{}'::jsonb,
+  p_sort    text    default 'relevance',
+  p_offset  integer default 0,
+  p_limit   integer default 24
+)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public, extensions
+as $$
+with params as (
+  select
+    coalesce(nullif(p_filters->>'today', '')::date, current_date)  as today,
+    coalesce((p_filters->>'exclusive_only')::boolean, false)        as exclusive_only,
+    case when p_filters ? 'saved'
+         then public.catalog_json_texts(p_filters->'saved') end     as saved,
+    public.catalog_json_texts(p_filters->'terms')                   as terms,
+    public.catalog_json_texts(p_filters->'type')                    as type,
+    public.catalog_json_texts(p_filters->'category')                as category,
+    public.catalog_json_texts(p_filters->'vendor')                  as vendor,
+    public.catalog_json_texts(p_filters->'roles')                   as roles,
+    public.catalog_json_texts(p_filters->'ce')                      as ce
+),
+-- Vendor logos / default thumbnails come from the MB2 vendors list.
+mb2 as (
+  select id from public.clients where slug = 'mb2' limit 1
+),
+co as (
+  select
+    c.id, c.title, c.description, c.ce_hours::numeric as ce_hours, c.release_date,
+    c.sort_order, c.created_at, c.mb2_exclusive,
+    to_jsonb(c) as row_json,
+    coalesce(c.is_featured, false)
+      and (c.featured_until is null or left(c.featured_until::text, 10) >= p.today::text) as featured_now,
+    btrim(coalesce(c.type, ''))   as f_type,
+    btrim(coalesce(c.vendor, '')) as f_vendor,
+    array(select btrim(r) from unnest(coalesce(c.roles, '{}')) as r where btrim(r) <> '') as f_roles,
+    array(select btrim(x) from unnest(coalesce(c.categories, '{}')) as x where btrim(x) <> '') as f_categories,
+    public.catalog_ce_bucket(c.ce_hours::numeric) as f_ce,
+    v.logo_url as vendor_logo, v.default_thumb_url as vendor_thumb
+  from public.on_demand_courses c
+  cross join params p
+  left join lateral (
+    select vv.logo_url, vv.default_thumb_url
+    from public.vendors vv
+    where vv.client_id = (select id from mb2) and lower(vv.name) = lower(c.vendor)
+    limit 1
+  ) v on true
+  where c.is_published
+),
+m as (
+  select
+    co.*,
+    s.score,
+    coalesce(
+      (not p.exclusive_only or co.mb2_exclusive)
+      and (cardinality(p.terms) = 0 or s.score is not null)
+      and (p.saved is null or co.id::text = any(p.saved)),
+      false) as ok_base,
+    cardinality(p.type) = 0 or co.f_type = any(p.type)                as ok_type,
+    cardinality(p.category) = 0 or co.f_categories && p.category      as ok_category,
+    cardinality(p.vendor) = 0 or co.f_vendor = any(p.vendor)          as ok_vendor,
+    cardinality(p.roles) = 0 or co.f_roles && p.roles                 as ok_roles,
+    cardinality(p.ce) = 0 or coalesce(co.f_ce = any(p.ce), false)     as ok_ce
+  from co
+  cross join params p
+  cross join lateral (
+    select case when cardinality(p.terms) > 0 then public.catalog_search_score(
+      p.terms,
+      array[
+        co.title, co.f_vendor, array_to_string(co.f_categories, ' '),
+        array_to_string(co.f_roles, ' '), co.f_type,
+        case when co.ce_hours is not null then trim_scale(co.ce_hours)::text || ' ce' end,
+        co.description
+      ],
+      array[10, 6, 5, 4, 3, 2, 1]::real[]
+    ) end as score
+  ) s
+),
+matched as (
+  select m.*,
+    row_number() over (
+      order by
+        m.featured_now desc,
+        case when p_sort = 'relevance' then m.score end desc nulls last,
+        case when p_sort in ('relevance', 'newest') then m.release_date end desc nulls last,
+        case when p_sort = 'oldest' then m.release_date end nulls first,
+        case when p_sort = 'name' then lower(m.title) end,
+        case when p_sort = 'ce_desc' then m.ce_hours end desc nulls last,
+        case when p_sort = 'ce_asc' then m.ce_hours end nulls last,
+        m.sort_order nulls last,
+        m.created_at desc,
+        m.id
+    ) as ord
+  from m
+  where m.ok_base and m.ok_type and m.ok_category and m.ok_vendor
+    and m.ok_roles and m.ok_ce
+)
+select jsonb_build_object(
+  'total', (select count(*) from matched),
+  'rows', coalesce((
+    select jsonb_agg(
+      x.row_json || jsonb_build_object(
+        'thumbnail_url',   coalesce(nullif(btrim(x.row_json->>'thumbnail_url'), ''), x.vendor_thumb, ''),
+        'vendor_logo_url', coalesce(nullif(btrim(x.row_json->>'vendor_logo_url'), ''), x.vendor_logo, '')
+      )
+      order by x.ord)
+    from matched x
+    where x.ord > greatest(p_offset, 0)
+      and x.ord <= greatest(p_offset, 0) + least(greatest(p_limit, 1), 500)
+  ), '[]'::jsonb),
+  'facets', jsonb_build_object(
+    'type', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', v, 'count', n) order by v), '[]'::jsonb)
+      from (select f_type as v, count(*) as n from m
+            where ok_base and ok_category and ok_vendor and ok_roles and ok_ce
+              and f_type <> ''
+            group by 1) f),
+    'category', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', v, 'count', n) order by v), '[]'::jsonb)
+      from (select x as v, count(*) as n from m, unnest(m.f_categories) as x
+            where ok_base and ok_type and ok_vendor and ok_roles and ok_ce
+            group by 1) f),
+    'vendor', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', v, 'count', n) order by v), '[]'::jsonb)
+      from (select f_vendor as v, count(*) as n from m
+            where ok_base and ok_type and ok_category and ok_roles and ok_ce
+              and f_vendor <> ''
+            group by 1) f),
+    'roles', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', v, 'count', n) order by v), '[]'::jsonb)
+      from (select r as v, count(*) as n from m, unnest(m.f_roles) as r
+            where ok_base and ok_type and ok_category and ok_vendor and ok_ce
+            group by 1) f),
+    'ce', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', v, 'count', n) order by v), '[]'::jsonb)
+      from (select f_ce as v, count(*) as n from m
+            where ok_base and ok_type and ok_category and ok_vendor and ok_roles
+              and f_ce is not null
+            group by 1) f)
+  )
+);
+$$;
+
+grant execute on function public.catalog_courses(jsonb, text, integer, integer)
+  to anon, authenticated;
@@ -0,0 +1,34 @@
+-- ============================================================
+-- Clients — catalog branding
+--
+-- Every client's public catalogs used to wear MB2's orange and
+-- teal. clients.theme holds the brand settings the catalogs
+-- (App.jsx, OnDemand.jsx, UnifiedCatalog.jsx) apply at load;
+-- anything left out keeps the current look:
+--
+--   primary_color        '#f97316'  date sticker, Today badge, focus rings
+--   accent_color         '#1dbfc9'  buttons, filter chips, tabs
+--   font_family          CSS font stack ('' = Inter / system)
+--   card_radius          card corner radius in px (0–32)
+--   register_label       'Register'        live event buttons
+--   watch_label          'Watch'           recording buttons
+--   course_label         'Go To Course'    on-demand buttons
+--   events_title / events_intro     events catalog header
+--   courses_title / courses_intro   on-demand catalog header
+--   unified_title                   /all page title
+--   show_calendar_block  false hides the date sticker on cards
+--
+-- Edited under Clients → Branding (src/admin/Clients.jsx);
+-- src/lib/client-theme.js reads and validates it.
+--
+-- Run this in Supabase: SQL Editor → New query → paste → Run.
+-- Safe to run more than once (idempotent). No data is modified.
+-- ============================================================
+
+alter table public.clients
+  add column if not exists theme jsonb not null default '{}'::jsonb;
+
+alter table public.clients
+  drop constraint if exists clients_theme_is_object;
+alter table public.clients
+  add constraint clients_theme_is_object check (jsonb_typeof(theme) = 'object');
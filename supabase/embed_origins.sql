@@ -0,0 +1,36 @@
+-- ============================================================
+-- Clients — sites allowed to control the embedded catalog
+--
+-- The catalog iframe takes commands from the page hosting it
+-- (set filters, search, switch tab, scroll to an event) and
+-- tells it what the visitor does — see src/lib/embed-api.js and
+-- public/embed.js. clients.embed_origins lists the origins
+-- (scheme + host [+ port], no path) allowed to do that, e.g.
+--
+--   {https://learn.dentlogics.com, https://www.mb2dental.com}
+--
+-- Messages from any other page are ignored, and the catalog only
+-- posts to its host when the host is on the list. An empty list
+-- (the default) leaves the API off; auto-height and the pinned
+-- menu keep working as before.
+--
+-- Edited under Clients → Details (src/admin/Clients.jsx).
+--
+-- Run this in Supabase: SQL Editor → New query → paste → Run.
+-- Safe to run more than once (idempotent). No data is modified.
+-- ============================================================
+
+alter table public.clients
+  add column if not exists embed_origins text[] not null default '{}';
+
+-- Origins only: lowercase scheme://host[:port], nothing after it.
+alter table public.clients
+  drop constraint if exists clients_embed_origins_format;
+alter table public.clients
+  add constraint clients_embed_origins_format check (
+    array_to_string(embed_origins, ' ') = ''
+    or array_to_string(embed_origins, ' ') ~ '^(https?://[a-z0-9.-]+(:[0-9]+)?)( https?://[a-z0-9.-]+(:[0-9]+)?)*$'
+  );
+
+-- The catalog reads the list without signing in.
+grant select (embed_origins) on public.clients to anon, authenticated;
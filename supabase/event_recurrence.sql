@@ -0,0 +1,175 @@
+-- ============================================================
+-- Live events — repeating events
+--
+-- Monthly study clubs and weekly lunch-and-learns used to be
+-- entered one copy at a time. An event can now carry a repeat
+-- rule (a subset of iCalendar's RRULE, see src/lib/recurrence.js):
+--
+--   recurrence_rule      'FREQ=WEEKLY;BYDAY=TU' … null = one-off
+--   recurrence_exdates   dates skipped ("no session on Dec 24")
+--
+-- The event's own start is the first date; every later date keeps
+-- the same wall-clock times. The public catalog and the admin list
+-- show each date as its own card / row.
+--
+-- Changing ONE date in the admin copies it out as its own event
+-- (recurrence_parent_id + recurrence_date point back at the
+-- series) and skips that date on the series. Changing "this and
+-- all future" dates ends the series the day before and starts a
+-- new one (recurrence_parent_id set, no recurrence_date).
+--
+-- Run this in Supabase: SQL Editor → New query → paste → Run,
+-- then re-run catalog_search.sql so the catalog expands repeats.
+-- Safe to run more than once (idempotent). Existing events are
+-- not changed.
+-- ============================================================
+
+-- ---- 1. columns --------------------------------------------
+alter table public.events
+  add column if not exists recurrence_rule text;
+
+alter table public.events
+  add column if not exists recurrence_exdates date[] not null default '{}';
+
+alter table public.events
+  add column if not exists recurrence_parent_id uuid
+    references public.events(id) on delete set null;
+
+alter table public.events
+  add column if not exists recurrence_date date;
+
+create index if not exists events_recurrence_parent_idx
+  on public.events(recurrence_parent_id)
+  where recurrence_parent_id is not null;
+
+
+-- ---- 2. expanding a rule -----------------------------------
+-- Same wall-clock time `days` days later in `tz`.
+create or replace function public.event_shift(ts timestamptz, tz text, days integer)
+returns timestamptz language sql immutable as $$
+  select case
+    when ts is null or coalesce(days, 0) = 0 then ts
+    else ((ts at time zone coalesce(nullif(tz, ''), 'America/Chicago'))
+          + make_interval(days => days))
+         at time zone coalesce(nullif(tz, ''), 'America/Chicago')
+  end;
+$$;
+
+-- Dates matching one BYDAY code ('TU', '2TU', '-1FR') in a month.
+create or replace function public.event_month_weekdays(p_month date, p_code text)
+returns setof date language sql immutable as $$
+  with c as (
+    select
+      coalesce(nullif(substring(p_code from '^([-+]?\d)'), '')::int, 0) as n,
+      array_position(array['MO','TU','WE','TH','FR','SA','SU'], right(p_code, 2)) as wd,
+      date_trunc('month', p_month)::date as m0,
+      (date_trunc('month', p_month) + interval '1 month - 1 day')::date as m1
+  ),
+  b as (
+    select c.*,
+      c.m0 + ((c.wd - extract(isodow from c.m0)::int + 7) % 7) as first_match,
+      c.m1 - ((extract(isodow from c.m1)::int - c.wd + 7) % 7) as last_match
+    from c
+    where c.wd is not null
+  )
+  select d::date
+  from b, generate_series(b.first_match, b.m1, interval '7 days') as d
+  where b.n = 0
+  union all
+  select x
+  from b, lateral (
+    select case when b.n > 0 then b.first_match + 7 * (b.n - 1)
+                else b.last_match + 7 * (b.n + 1) end as x
+  ) y
+  where b.n <> 0 and y.x between b.m0 and b.m1;
+$$;
+
+-- Every date of a rule inside [p_from, p_to], first date included,
+-- skipped dates left out. COUNT counts from the first date (skipped
+-- dates still use up their place). Mirrors occurrenceDays() in
+-- src/lib/recurrence.js.
+create or replace function public.event_occurrence_days(
+  p_first   date,
+  p_rule    text,
+  p_exdates date[],
+  p_from    date,
+  p_to      date
+)
+returns setof date
+language plpgsql
+immutable
+as $$
+declare
+  v_rule     text   := upper(coalesce(p_rule, ''));
+  v_freq     text   := substring(v_rule from 'FREQ=([A-Z]+)');
+  v_interval int    := greatest(coalesce(substring(v_rule from 'INTERVAL=(\d+)')::int, 1), 1);
+  v_count    int    := substring(v_rule from 'COUNT=(\d+)')::int;
+  v_until    date   := to_date(substring(v_rule from 'UNTIL=(\d{8})'), 'YYYYMMDD');
+  v_byday    text[] := string_to_array(substring(v_rule from 'BYDAY=([-+0-9A-Z,]+)'), ',');
+  v_monthday int    := substring(v_rule from 'BYMONTHDAY=(-?\d+)')::int;
+  v_codes    text[] := array['MO','TU','WE','TH','FR','SA','SU'];
+  v_last     date;
+  v_seen     int := 1;
+  v_start    date;
+  v_days     date[];
+  v_day      date;
+  v_dom      int;
+begin
+  if p_first is null or v_freq is null or v_freq not in ('WEEKLY', 'MONTHLY') then
+    return;
+  end if;
+  -- least() skips nulls; an open-ended rule with no window stops after ten years.
+  v_last := coalesce(least(p_to, v_until), p_first + 3660);
+
+  if (p_from is null or p_first >= p_from) and p_first <= v_last
+     and not (p_first = any(coalesce(p_exdates, '{}'))) then
+    return next p_first;
+  end if;
+
+  for v_period in 0 .. 4999 loop
+    exit when v_count is not null and v_seen >= v_count;
+
+    if v_freq = 'WEEKLY' then
+      v_start := p_first - (extract(isodow from p_first)::int - 1) + 7 * v_interval * v_period;
+      exit when v_start > v_last;
+      v_days := array(
+        select distinct v_start + (array_position(v_codes, right(code, 2)) - 1)
+        from unnest(coalesce(v_byday, array[v_codes[extract(isodow from p_first)::int]])) as code
+        where array_position(v_codes, right(code, 2)) is not null
+        order by 1
+      );
+    else
+      v_start := (date_trunc('month', p_first) + make_interval(months => v_interval * v_period))::date;
+      exit when v_start > v_last;
+      if v_byday is not null then
+        v_days := array(
+          select distinct d
+          from unnest(v_byday) as code, public.event_month_weekdays(v_start, code) as d
+          order by 1
+        );
+      else
+        v_dom := coalesce(v_monthday, extract(day from p_first)::int);
+        v_days := array(
+          select d from (
+            select case when v_dom < 0
+                        then (v_start + interval '1 month')::date + v_dom
+                        else v_start + (v_dom - 1) end as d
+          ) x
+          where x.d >= v_start and x.d < (v_start + interval '1 month')::date
+        );
+      end if;
+    end if;
+
+    foreach v_day in array v_days loop
+      continue when v_day <= p_first;
+      if v_day > v_last then
+        return;
+      end if;
+      exit when v_count is not null and v_seen >= v_count;
+      v_seen := v_seen + 1;
+      if (p_from is null or v_day >= p_from) and not (v_day = any(coalesce(p_exdates, '{}'))) then
+        return next v_day;
+      end if;
+    end loop;
+  end loop;
+end $$;
@@ -0,0 +1,72 @@
+-- ============================================================
+-- Live events — email reminders
+--
+-- "Remind me" on an event card stores one row here per email and
+-- event (per date, for a repeating event). Nothing is sent until
+-- the address is confirmed from the email we send it (double
+-- opt-in). The scheduled send-event-reminders function then mails
+-- a reminder a few days before the start and another an hour
+-- before (on the day itself, for events with no time set),
+-- stamping early_sent_at / final_sent_at so neither goes out
+-- twice. Every reminder carries a one-click unsubscribe link.
+--
+-- Sign-up is anonymous, so confirmation emails are throttled by
+-- confirm_sent_at: one per row every few minutes, and only so
+-- many per address a day (event-reminders.js).
+--
+-- Only the Netlify functions touch this table (with the service
+-- role key): RLS is on with no policies, so visitors' addresses
+-- can't be read or written through the anon key.
+--
+-- Run this in Supabase: SQL Editor → New query → paste → Run.
+-- Safe to run more than once (idempotent).
+-- ============================================================
+
+-- ---- 1. event_reminders table ------------------------------
+create table if not exists public.event_reminders (
+  id               uuid primary key default gen_random_uuid(),
+  event_id         uuid          not null references public.events(id) on delete cascade,
+  occurrence_date  date,                               -- one date of a repeating event; null = one-off
+  email            text          not null,
+  locale           text          not null default 'en', -- language the emails go out in
+  token            uuid          not null default gen_random_uuid(),  -- confirm / unsubscribe links
+  starts_at        timestamptz   not null,             -- when the event (date) starts; kept in step by the sender
+  confirmed_at     timestamptz,
+  unsubscribed_at  timestamptz,
+  early_sent_at    timestamptz,                        -- the "in N days" reminder
+  final_sent_at    timestamptz,                        -- the "in an hour" / "today" reminder
+  confirm_sent_at  timestamptz,                        -- last confirmation email (throttle)
+  created_at       timestamptz   not null default now(),
+  updated_at       timestamptz   not null default now()
+);
+
+create unique index if not exists event_reminders_token_idx
+  on public.event_reminders(token);
+
+-- One reminder per address per event date.
+create unique index if not exists event_reminders_unique_idx
+  on public.event_reminders(event_id, coalesce(occurrence_date, '1970-01-01'::date), lower(email));
+
+-- What the sender scans every run.
+create index if not exists event_reminders_pending_idx
+  on public.event_reminders(starts_at)
+  where confirmed_at is not null and unsubscribed_at is null and final_sent_at is null;
+
+-- Added after the first release.
+alter table public.event_reminders
+  add column if not exists confirm_sent_at timestamptz;
+
+-- The per-address daily count of confirmation emails.
+create index if not exists event_reminders_confirm_sent_idx
+  on public.event_reminders(email, confirm_sent_at)
+  where confirm_sent_at is not null;
+
+drop trigger if exists event_reminders_set_updated_at on public.event_reminders;
+create trigger event_reminders_set_updated_at
+before update on public.event_reminders
+for each row execute function public.tg_set_updated_at();
+
+
+-- ---- 2. Row Level Security ---------------------------------
+alter table public.event_reminders enable row level security;
+-- No policies on purpose: service role only.
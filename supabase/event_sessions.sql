@@ -0,0 +1,199 @@
+-- ============================================================
+-- Live events — any number of sessions per event
+--
+-- Events used to hold at most two time slots (the session1_* /
+-- session2_* columns). Each run of an event now gets its own row
+-- in event_sessions: start / end, timezone, its own registration
+-- link or email, and an optional seat cap. A webinar that runs
+-- four times a month is one event with four sessions.
+--
+-- The event's event_date / event_end_date / event_timezone stay
+-- the FIRST session's schedule (the admin form keeps them in
+-- step), so anything that only needs "when does this start"
+-- keeps working.
+--
+-- Existing events are copied over once. Slot 1 takes the event's
+-- own dates. Slot 2 only ever had a free-text time ("Tue 6/12 ·
+-- 7 PM CT"), so it's kept as the session label with no start —
+-- the calendar links still read the time out of the label, but
+-- the catalog's date filter only sees sessions with a start, so
+-- re-save those events with a real date to include them. The old
+-- columns are left in place and no longer read.
+--
+-- Run this in Supabase: SQL Editor → New query → paste → Run
+-- (after events_location_geo.sql, whose coordinates vendor
+-- submissions fill in), then re-run catalog_search.sql so the
+-- catalog reads sessions.
+-- Safe to run more than once (idempotent). Events that already
+-- have sessions are not touched again.
+-- ============================================================
+
+-- ---- 1. event_sessions table -------------------------------
+create table if not exists public.event_sessions (
+  id                  uuid primary key default gen_random_uuid(),
+  event_id            uuid          not null references public.events(id) on delete cascade,
+  position            integer       not null default 0,   -- display order; 0 = the event's own date
+  starts_at           timestamptz,                        -- null = legacy free-text label only
+  ends_at             timestamptz,
+  timezone            text          not null default 'America/Chicago',
+  label               text,                               -- shown instead of the computed time
+  registration_url    text,
+  registration_email  text,
+  capacity            integer       check (capacity is null or capacity > 0),
+  created_at          timestamptz   not null default now(),
+  updated_at          timestamptz   not null default now()
+);
+
+create index if not exists event_sessions_event_idx  on public.event_sessions(event_id, position);
+create index if not exists event_sessions_starts_idx on public.event_sessions(starts_at);
+
+drop trigger if exists event_sessions_set_updated_at on public.event_sessions;
+create trigger event_sessions_set_updated_at
+before update on public.event_sessions
+for each row execute function public.tg_set_updated_at();
+
+-- A session change is a change to its event: bump the event's
+-- updated_at so calendar subscribers pick up the new SEQUENCE.
+create or replace function public.tg_event_sessions_touch_event()
+returns trigger language plpgsql as $$
+begin
+  update public.events
+  set updated_at = now()
+  where id = coalesce(new.event_id, old.event_id);
+  return null;
+end $$;
+
+drop trigger if exists event_sessions_touch_event on public.event_sessions;
+create trigger event_sessions_touch_event
+after insert or update or delete on public.event_sessions
+for each row execute function public.tg_event_sessions_touch_event();
+
+
+-- ---- 2. Row Level Security ---------------------------------
+alter table public.event_sessions enable row level security;
+
+-- Sessions are public exactly when their event is.
+drop policy if exists "event_sessions_read_published" on public.event_sessions;
+create policy "event_sessions_read_published"
+  on public.event_sessions for select
+  using ( exists (
+    select 1 from public.events e
+    where e.id = event_sessions.event_id and e.is_published = true
+  ) );
+
+drop policy if exists "event_sessions_read_admin" on public.event_sessions;
+create policy "event_sessions_read_admin"
+  on public.event_sessions for select
+  to authenticated
+  using ( public.is_admin() );
+
+drop policy if exists "event_sessions_write_admin" on public.event_sessions;
+create policy "event_sessions_write_admin"
+  on public.event_sessions for all
+  to authenticated
+  using ( public.is_admin() )
+  with check ( public.is_admin() );
+
+
+-- ---- 3. backfill from the two-slot columns -----------------
+with todo as (
+  select e.*
+  from public.events e
+  where not exists (select 1 from public.event_sessions s where s.event_id = e.id)
+)
+insert into public.event_sessions
+  (event_id, position, starts_at, ends_at, timezone, label, registration_url, registration_email)
+select t.id, 0, t.event_date, t.event_end_date,
+       coalesce(nullif(btrim(t.event_timezone), ''), 'America/Chicago'),
+       nullif(btrim(t.session1_label), ''),
+       nullif(btrim(t.session1_url), ''),
+       nullif(btrim(t.session1_email), '')
+from todo t
+union all
+select t.id, 1, null, null,
+       coalesce(nullif(btrim(t.event_timezone), ''), 'America/Chicago'),
+       nullif(btrim(t.session2_label), ''),
+       nullif(btrim(t.session2_url), ''),
+       nullif(btrim(t.session2_email), '')
+from todo t
+where coalesce(btrim(t.session2_label), '') <> ''
+   or coalesce(btrim(t.session2_url), '') <> ''
+   or coalesce(btrim(t.session2_email), '') <> '';
+
+
+-- ---- 4. vendor submissions with several sessions -----------
+-- The public submission form (src/VendorSubmit.jsx) sends the
+-- usual submit_vendor_event payload — start_date / start_time /
+-- registration_url etc. filled from the first session — plus
+--   sessions: [{ date, end_date, start_time, end_time, timezone,
+--                registration_url, registration_email, capacity }]
+-- submit_vendor_event() creates the draft exactly as before; this
+-- wrapper then finds that draft (rows inserted in this
+-- transaction all carry created_at = now()) and adds every
+-- session to it.
+create or replace function public.submit_vendor_event_with_sessions(p jsonb)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_event uuid;
+begin
+  perform public.submit_vendor_event(p);
+
+  select e.id into v_event
+  from public.events e
+  join public.clients c on c.id = e.client_id
+  where e.created_at = now()
+    and not e.is_published
+    and c.slug = lower(coalesce(p->>'client_slug', 'mb2'))
+  order by e.id
+  limit 1;
+  if v_event is null then
+    raise exception 'Submission failed — please try again.';
+  end if;
+
+  insert into public.event_sessions
+    (event_id, position, starts_at, ends_at, timezone, registration_url, registration_email, capacity)
+  select
+    v_event,
+    (x.ord - 1)::integer,
+    ((x.s->>'date') || ' ' || coalesce(nullif(x.s->>'start_time', ''), '00:00'))::timestamp
+      at time zone x.tz,
+    case when coalesce(x.s->>'end_time', '') <> '' or coalesce(x.s->>'end_date', '') <> '' then
+      (coalesce(nullif(x.s->>'end_date', ''), x.s->>'date') || ' '
+        || coalesce(nullif(x.s->>'end_time', ''), '00:00'))::timestamp at time zone x.tz
+    end,
+    x.tz,
+    nullif(left(btrim(x.s->>'registration_url'), 2000), ''),
+    nullif(left(btrim(x.s->>'registration_email'), 320), ''),
+    case when (x.s->>'capacity') ~ '^\d{1,6}$' and (x.s->>'capacity')::integer > 0
+         then (x.s->>'capacity')::integer end
+  from (
+    select s, ord,
+           coalesce(nullif(btrim(s->>'timezone'), ''), nullif(btrim(p->>'timezone'), ''), 'America/Chicago') as tz
+    from jsonb_array_elements(coalesce(p->'sessions', '[]'::jsonb)) with ordinality as a(s, ord)
+  ) x
+  where coalesce(x.s->>'date', '') ~ '^\d{4}-\d{2}-\d{2}$'
+  order by x.ord
+  limit 20;
+
+  -- Coordinates for distance search, placed by the form from the
+  -- ZIP / city table (src/lib/geo.js). Kept only if they are ones.
+  update public.events e
+  set location_lat = g.lat, location_lng = g.lng
+  from (
+    select
+      case when p->>'location_lat' ~ '^-?\d{1,2}(\.\d+)?$' then (p->>'location_lat')::double precision end as lat,
+      case when p->>'location_lng' ~ '^-?\d{1,3}(\.\d+)?$' then (p->>'location_lng')::double precision end as lng
+  ) g
+  where e.id = v_event
+    and g.lat between -90 and 90
+    and g.lng between -180 and 180;
+
+  return v_event;
+end $$;
+
+grant execute on function public.submit_vendor_event_with_sessions(jsonb)
+  to anon, authenticated;
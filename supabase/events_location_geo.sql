@@ -0,0 +1,19 @@
+-- ============================================================
+-- Live events — coordinates for distance search
+--
+-- The public catalog lets visitors enter a ZIP and a radius to
+-- find in-person / hybrid events nearby. The admin event form,
+-- the CSV import and vendor submissions fill these from the
+-- Location text, using the bundled Census ZIP / city table
+-- (public/geo/us-zips.json) — no outside geocoding service.
+-- Blank = couldn't be placed; distance search skips it. Events
+-- that existed before this ran are placed once by
+-- scripts/backfill-event-coords.mjs (see README, "Distance search").
+--
+-- Run this in Supabase: SQL Editor → New query → paste → Run.
+-- Safe to run more than once (idempotent). No data is modified.
+-- ============================================================
+
+alter table public.events
+  add column if not exists location_lat double precision,
+  add column if not exists location_lng double precision;
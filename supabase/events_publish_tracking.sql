@@ -0,0 +1,98 @@
+-- ============================================================
+-- Live events — publish / unpublish timestamps
+--
+-- The subscribable calendar feed (/feeds/:slug.ics) needs to
+-- tell subscribers when an event they already have is pulled,
+-- so their calendar marks it cancelled instead of keeping a
+-- stale copy. These two columns record when an event was last
+-- published and last unpublished; a trigger keeps them fresh
+-- whenever `is_published` flips.
+--
+-- Deleting an event would make it simply drop out of the feed,
+-- and Outlook / Apple Calendar keep a copy that just stops being
+-- listed. So a deleted event that was ever published leaves a
+-- tombstone in deleted_events — the row as it was, sessions
+-- included — which the feed lists as cancelled for a while.
+--
+-- Run this in Supabase: SQL Editor → New query → paste → Run.
+-- Safe to run more than once (idempotent). Existing published
+-- events are backfilled with their updated_at.
+-- ============================================================
+
+-- ---- 1. columns --------------------------------------------
+alter table public.events
+  add column if not exists last_published_at timestamptz;
+
+alter table public.events
+  add column if not exists unpublished_at timestamptz;
+
+-- ---- 2. backfill -------------------------------------------
+update public.events
+set last_published_at = coalesce(updated_at, created_at, now())
+where is_published = true
+  and last_published_at is null;
+
+-- ---- 3. trigger --------------------------------------------
+create or replace function public.tg_events_publish_tracking()
+returns trigger language plpgsql as $$
+begin
+  if tg_op = 'INSERT' then
+    if new.is_published then
+      new.last_published_at = now();
+    end if;
+  elsif new.is_published is distinct from old.is_published then
+    if new.is_published then
+      new.last_published_at = now();
+    else
+      new.unpublished_at = now();
+    end if;
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists events_publish_tracking on public.events;
+create trigger events_publish_tracking
+before insert or update on public.events
+for each row execute function public.tg_events_publish_tracking();
+
+-- ---- 4. tombstones for deleted events ----------------------
+create table if not exists public.deleted_events (
+  id          uuid          primary key,              -- the event's id (its calendar UID)
+  client_id   uuid          not null,
+  row_json    jsonb         not null,                 -- the events row + its sessions
+  deleted_at  timestamptz   not null default now()
+);
+
+create index if not exists deleted_events_client_idx
+  on public.deleted_events(client_id, deleted_at);
+
+-- Only the feed function reads it (service role key).
+alter table public.deleted_events enable row level security;
+
+-- BEFORE, so the sessions are still there to copy; they go with the
+-- event (on delete cascade). Tombstones past any feed's window are
+-- cleared out on the way.
+create or replace function public.tg_events_tombstone()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  delete from public.deleted_events where deleted_at < now() - interval '180 days';
+  if old.last_published_at is not null then
+    insert into public.deleted_events (id, client_id, row_json)
+    values (
+      old.id,
+      old.client_id,
+      to_jsonb(old) || jsonb_build_object('sessions', coalesce(
+        (select jsonb_agg(to_jsonb(s)) from public.event_sessions s where s.event_id = old.id),
+        '[]'::jsonb
+      ))
+    )
+    on conflict (id) do update
+      set row_json = excluded.row_json, deleted_at = now();
+  end if;
+  return old;
+end $$;
+
+drop trigger if exists events_tombstone on public.events;
+create trigger events_tombstone
+before delete on public.events
+for each row execute function public.tg_events_tombstone();
@@ -0,0 +1,13 @@
+-- ============================================================
+-- Live events — recording link for the past-events archive
+--
+-- Once an event is over, the public catalog's "Past events"
+-- view shows a "Recording available" link on its card when
+-- this is set. Blank = no replay.
+--
+-- Run this in Supabase: SQL Editor → New query → paste → Run.
+-- Safe to run more than once (idempotent). No data is modified.
+-- ============================================================
+
+alter table public.events
+  add column if not exists recording_url text;
@@ -0,0 +1,203 @@
+-- ============================================================
+-- Registration clicks — what visitors clicked through to
+--
+-- Every register / email-registration / course link in the
+-- public catalogs records one anonymous row here: which event or
+-- course, which client's catalog, where on the page (catalog tab,
+-- event page, My list) and, inside an iframe, the origin of the
+-- page hosting it. No visitor id, IP or cookie is stored.
+--
+-- The catalogs write through record_registration_click(), which
+-- looks the item up and snapshots its title, vendor and
+-- categories, so a report still reads right after an event is
+-- renamed or deleted. Nothing can be read, changed or deleted
+-- through the anon key.
+--
+-- Admins read their own clients' clicks (super admins: every
+-- client's) with registration_click_report(), which powers
+-- Admin → Clicks (src/admin/ClickReport.jsx).
+--
+-- Run this in Supabase: SQL Editor → New query → paste → Run.
+-- Safe to run more than once (idempotent).
+-- ============================================================
+
+-- ---- 1. registration_clicks table --------------------------
+create table if not exists public.registration_clicks (
+  id               bigint generated always as identity primary key,
+  clicked_at       timestamptz   not null default now(),
+  client_id        uuid          not null references public.clients(id) on delete cascade,
+  kind             text          not null check (kind in ('event', 'course')),
+  event_id         uuid          references public.events(id) on delete set null,
+  occurrence_date  date,                               -- the date clicked, for a repeating event
+  course_id        text,                               -- on_demand_courses.id (courses are shared, no FK)
+  link             text          not null check (link in ('session', 'in_person', 'email', 'course', 'external_course')),
+  tab              text          not null default 'other',  -- events | on-demand | event-page | my-list | other
+  referrer         text,                               -- host page origin when embedded, e.g. https://learn.example.com
+  title            text          not null default '',
+  vendor           text          not null default '',
+  categories       text[]        not null default '{}'
+);
+
+create index if not exists registration_clicks_client_idx
+  on public.registration_clicks(client_id, clicked_at);
+
+
+-- ---- 2. Row Level Security ---------------------------------
+alter table public.registration_clicks enable row level security;
+
+-- Read-only for the client's admins. Rows only come in through
+-- the function below.
+drop policy if exists "registration_clicks_read_admin" on public.registration_clicks;
+create policy "registration_clicks_read_admin"
+  on public.registration_clicks for select
+  to authenticated
+  using (
+    public.is_super_admin()
+    or exists (
+      select 1 from public.client_admins ca
+      where ca.user_id = auth.uid() and ca.client_id = registration_clicks.client_id
+    )
+  );
+
+
+-- ---- 3. recording a click (public, insert-only) ------------
+-- p: { slug, kind: "event" | "course", event_id | course_id,
+--      occurrence_date?, link, tab, referrer? }
+-- Unknown clients, unpublished items and another client's events
+-- are dropped silently — the catalog doesn't wait on this.
+create or replace function public.record_registration_click(p jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_client  uuid;
+  v_title   text;
+  v_vendor  text;
+  v_cats    text[];
+  v_link    text := p->>'link';
+  v_tab     text := coalesce(p->>'tab', '');
+  v_ref     text := nullif(btrim(coalesce(p->>'referrer', '')), '');
+  v_day     date;
+begin
+  select id into v_client from public.clients where slug = lower(btrim(p->>'slug'));
+  if v_client is null then return; end if;
+
+  if v_tab not in ('events', 'on-demand', 'event-page', 'my-list') then v_tab := 'other'; end if;
+  if v_ref is not null and (length(v_ref) > 200 or v_ref !~ '^https?://[^/?#]+$') then v_ref := null; end if;
+
+  if p->>'kind' = 'event' then
+    if v_link not in ('session', 'in_person', 'email') then return; end if;
+    select e.title, btrim(coalesce(e.vendor, '')),
+           case when btrim(coalesce(e.category, '')) = '' then '{}'::text[] else array[btrim(e.category)] end
+      into v_title, v_vendor, v_cats
+      from public.events e
+     where e.id = (p->>'event_id')::uuid and e.client_id = v_client and e.is_published;
+    if not found then return; end if;
+    begin
+      v_day := nullif(p->>'occurrence_date', '')::date;
+    exception when others then
+      v_day := null;
+    end;
+    insert into public.registration_clicks
+      (client_id, kind, event_id, occurrence_date, link, tab, referrer, title, vendor, categories)
+    values
+      (v_client, 'event', (p->>'event_id')::uuid, v_day, v_link, v_tab, v_ref,
+       coalesce(v_title, ''), v_vendor, v_cats);
+
+  elsif p->>'kind' = 'course' then
+    if v_link not in ('course', 'external_course') then return; end if;
+    select c.title, btrim(coalesce(c.vendor, '')),
+           array(select btrim(x) from unnest(coalesce(c.categories, '{}')) as x where btrim(x) <> '')
+      into v_title, v_vendor, v_cats
+      from public.on_demand_courses c
+     where c.id::text = p->>'course_id' and c.is_published;
+    if not found then return; end if;
+    insert into public.registration_clicks
+      (client_id, kind, course_id, link, tab, referrer, title, vendor, categories)
+    values
+      (v_client, 'course', p->>'course_id', v_link, v_tab, v_ref,
+       coalesce(v_title, ''), v_vendor, v_cats);
+  end if;
+exception
+  when invalid_text_representation then
+    return; -- a malformed id
+end $$;
+
+revoke all on function public.record_registration_click(jsonb) from public;
+grant execute on function public.record_registration_click(jsonb) to anon, authenticated;
+
+
+-- ---- 4. the admin report ------------------------------------
+-- Clicks for one client between two dates (inclusive, in p_tz),
+-- grouped four ways:
+--   { "total": 120,
+--     "by_item":     [{ kind, id, title, vendor, clicks }, …],
+--     "by_vendor":   [{ vendor, clicks }, …],
+--     "by_category": [{ category, clicks }, …],
+--     "by_week":     [{ week: "2026-10-12", clicks }, …] }
+-- Weeks start on Monday. Runs as the caller, so the read policy
+-- above keeps admins to their own clients.
+create or replace function public.registration_click_report(
+  p_client_id uuid,
+  p_start     date,
+  p_end       date,
+  p_tz        text default 'UTC'
+)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+with c as (
+  select r.*, (r.clicked_at at time zone coalesce(nullif(p_tz, ''), 'UTC'))::date as day
+  from public.registration_clicks r
+  where r.client_id = p_client_id
+),
+w as (
+  select * from c
+  where (p_start is null or day >= p_start) and (p_end is null or day <= p_end)
+)
+select jsonb_build_object(
+  'total', (select count(*) from w),
+  'by_item', coalesce((
+    select jsonb_agg(x order by x.clicks desc, x.title)
+    from (
+      -- A deleted event's clicks stay together under its last title.
+      select kind, max(coalesce(event_id::text, course_id, '')) as id,
+             (array_agg(title order by clicked_at desc))[1] as title,
+             (array_agg(vendor order by clicked_at desc))[1] as vendor,
+             count(*) as clicks
+      from w
+      group by kind, coalesce(event_id::text, course_id, 'deleted: ' || title)
+    ) x
+  ), '[]'::jsonb),
+  'by_vendor', coalesce((
+    select jsonb_agg(x order by x.clicks desc, x.vendor)
+    from (
+      select vendor, count(*) as clicks from w group by vendor
+    ) x
+  ), '[]'::jsonb),
+  'by_category', coalesce((
+    select jsonb_agg(x order by x.clicks desc, x.category)
+    from (
+      select coalesce(cat, '') as category, count(*) as clicks
+      from w
+      left join lateral unnest(w.categories) as cat on true
+      group by coalesce(cat, '')
+    ) x
+  ), '[]'::jsonb),
+  'by_week', coalesce((
+    select jsonb_agg(x order by x.week)
+    from (
+      select to_char(date_trunc('week', day), 'YYYY-MM-DD') as week, count(*) as clicks
+      from w group by 1
+    ) x
+  ), '[]'::jsonb)
+);
+$$;
+
+grant execute on function public.registration_click_report(uuid, date, date, text)
+  to authenticated;